@@ -8,13 +8,13 @@ async function addDeactivatedUser() {
     await mongoose.connect('mongodb://localhost:27017/taskmanager');
     console.log('Connected to MongoDB');
 
-    // Import UserNew model
-    const UserNew = require('./models/UserNew');
+    // Import User model
+    const User = require('./models/User');
 
     // Create a deactivated user
     const hashedPassword = await bcrypt.hash('test123', 10);
     
-    const deactivatedUser = await UserNew.create({
+    const deactivatedUser = await User.create({
       author_id: 'test-deactivated-001',
       name: 'Test Deactivated User',
       email: 'test.deactivated@example.com',
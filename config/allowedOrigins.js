@@ -0,0 +1,45 @@
+// Browser origins allowed to call the API with credentials. Origins are compared
+// exactly (scheme, host and port), so a preview deployment on a shared domain such
+// as *.vercel.app is not trusted unless it is listed.
+//
+// FRONTEND_URL and the comma-separated CORS_ALLOWED_ORIGINS add to the defaults.
+// Outside production the usual local dev servers are allowed as well.
+
+const PRODUCTION_ORIGINS = [
+  'https://task-frontend-x8j5.vercel.app',
+  'https://task-manager-frontend.vercel.app'
+];
+
+const DEVELOPMENT_ORIGINS = [
+  'http://localhost:3000',
+  'http://localhost:5173',
+  'http://127.0.0.1:3000',
+  'http://127.0.0.1:5173'
+];
+
+// Origin of a URL ("https://app.example.com/path" -> "https://app.example.com"), or null
+const toOrigin = (value) => {
+  try {
+    return new URL(value.trim()).origin;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getAllowedOrigins = () => {
+  const configured = [process.env.FRONTEND_URL, ...(process.env.CORS_ALLOWED_ORIGINS || '').split(',')]
+    .filter(value => value && value.trim())
+    .map(toOrigin)
+    .filter(Boolean);
+  const defaults = process.env.NODE_ENV === 'production'
+    ? PRODUCTION_ORIGINS
+    : [...PRODUCTION_ORIGINS, ...DEVELOPMENT_ORIGINS];
+  return [...new Set([...defaults, ...configured])];
+};
+
+const isAllowedOrigin = (origin) => Boolean(origin) && getAllowedOrigins().includes(origin);
+
+module.exports = {
+  getAllowedOrigins,
+  isAllowedOrigin
+};
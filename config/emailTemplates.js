@@ -0,0 +1,30 @@
+// Emails admins can edit through /api/admin/email-templates. The defaults below
+// are used until an admin saves a template with the same key.
+//
+// Templates use {{placeholder}} tokens. Values are HTML-escaped in the html body;
+// unknown placeholders are left as they are so typos are easy to spot.
+
+const DEFAULT_EMAIL_TEMPLATES = {
+  welcome: {
+    name: 'Welcome email',
+    description: 'Sent to a joiner when their user account is created, and on resend',
+    placeholders: {
+      name: 'Joiner name',
+      email: 'Login email',
+      setPasswordUrl: 'One-time link to choose a password',
+      linkExpiresAt: 'When the set-password link expires',
+      joiningDate: 'Joining date',
+      department: 'Department'
+    },
+    subject: 'Welcome to Task Manager, {{name}}',
+    text: 'Hi {{name}},\n\nWelcome aboard! An account has been created for you with the login {{email}}.\n\nChoose your password using the link below. It can be used once and expires on {{linkExpiresAt}}.\n\n{{setPasswordUrl}}\n\nYour joining date is {{joiningDate}}. See you soon!',
+    html: '<p>Hi {{name}},</p><p>Welcome aboard! An account has been created for you with the login <strong>{{email}}</strong>.</p><p>Choose your password using the link below. It can be used once and expires on {{linkExpiresAt}}.</p><p><a href="{{setPasswordUrl}}">Set your password</a></p><p>Your joining date is {{joiningDate}}. See you soon!</p>'
+  }
+};
+
+const EMAIL_TEMPLATE_KEYS = Object.keys(DEFAULT_EMAIL_TEMPLATES);
+
+module.exports = {
+  DEFAULT_EMAIL_TEMPLATES,
+  EMAIL_TEMPLATE_KEYS,
+};
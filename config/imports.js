@@ -0,0 +1,69 @@
+// Columns each file import understands. Headers in an uploaded CSV/XLSX file are
+// matched against the field name and its aliases after lowercasing and dropping
+// everything but letters and digits, so "Date of Joining", "date_of_joining" and
+// "DOJ" all land on date_of_joining. Saved mappings (ImportMapping) cover
+// headers no alias catches.
+
+const LEARNING_REPORT_SHEETS = ['DailyQuizReports', 'FortnightScores', 'CourseExamScores', 'OnlineDemoReports', 'OfflineDemoReports'];
+const CANDIDATE_REPORT_SHEETS = [...LEARNING_REPORT_SHEETS, 'AttendanceReport', 'GroomingReport'];
+
+const IMPORT_TYPES = {
+  joiners: {
+    label: 'Joiners',
+    permission: 'joiners:bulk_upload',
+    requiredFields: ['candidate_name', 'candidate_personal_mail_id'],
+    fields: {
+      author_id: ['authorid', 'author', 'candidateid', 'uuid'],
+      candidate_name: ['name', 'fullname', 'candidatename', 'employeename', 'joinername'],
+      candidate_personal_mail_id: ['email', 'emailid', 'mail', 'mailid', 'personalemail', 'personalmail', 'personalmailid', 'personalemailid'],
+      phone_number: ['phone', 'mobile', 'mobileno', 'mobilenumber', 'phoneno', 'contact', 'contactnumber'],
+      date_of_joining: ['doj', 'joiningdate', 'dateofjoining', 'joindate'],
+      joining_status: ['status', 'joiningstatus'],
+      top_department_name_as_per_darwinbox: ['department', 'dept', 'topdepartment', 'topdepartmentname'],
+      department_name_as_per_darwinbox: ['subdepartment', 'departmentname'],
+      role_type: ['roletype', 'employmenttype'],
+      role_assign: ['role', 'track', 'roleassign', 'roleassigned'],
+      qualification: ['degree', 'education', 'highestqualification'],
+      employee_id: ['employeeid', 'empid', 'empno', 'employeenumber', 'employeecode'],
+      genre: ['gender', 'sex']
+    }
+  },
+  results: {
+    label: 'Exam results',
+    permission: 'results:bulk_upload',
+    requiredFields: ['author_id'],
+    fields: {
+      author_id: ['authorid', 'author', 'candidateid', 'uuid'],
+      trainee_name: ['name', 'traineename', 'candidatename', 'fullname'],
+      email: ['emailid', 'mail', 'mailid'],
+      exam_type: ['exam', 'examtype', 'examname', 'test'],
+      score: ['marks', 'marksobtained', 'obtained', 'scored'],
+      total_marks: ['total', 'maxmarks', 'maximummarks', 'outof', 'totalmarks'],
+      exam_date: ['date', 'examdate', 'testdate'],
+      remarks: ['remark', 'comments', 'comment', 'feedback'],
+      department: ['dept'],
+      trainer_name: ['trainer', 'trainername'],
+      batch_name: ['batch', 'batchname']
+    }
+  },
+  // One worksheet per report sheet (CANDIDATE_REPORT_SHEETS). Learning sheets have
+  // one row per candidate and topic; the other columns are the metrics. Attendance
+  // and grooming sheets have one row per candidate and keep every column as-is.
+  // Metric columns have no fixed names, so mappings may rename them freely.
+  candidate_reports: {
+    label: 'Candidate reports',
+    permission: 'candidate_reports:bulk_upload',
+    allowOtherFields: true,
+    requiredFields: ['author_id'],
+    fields: {
+      author_id: ['authorid', 'author', 'candidateid', 'uuid'],
+      topic: ['skill', 'subject', 'course', 'module', 'technology']
+    }
+  }
+};
+
+module.exports = {
+  IMPORT_TYPES,
+  LEARNING_REPORT_SHEETS,
+  CANDIDATE_REPORT_SHEETS,
+};
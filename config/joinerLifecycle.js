@@ -0,0 +1,41 @@
+// Allowed joiner status changes. Joiner.status tracks the joiner in the training
+// programme, Joiner.joining_status tracks whether they turn up on their joining date.
+// A status missing from a field's map cannot be left once reached.
+
+const JOINER_STATUS_TRANSITIONS = {
+  status: {
+    pending: ['active', 'not_joined', 'inactive'],
+    active: ['completed', 'inactive'],
+    inactive: ['active'],
+    completed: ['active', 'inactive'],
+    not_joined: ['pending']
+  },
+  joining_status: {
+    pending: ['confirmed', 'postponed', 'cancelled', 'active'],
+    confirmed: ['active', 'postponed', 'cancelled'],
+    // Postponing again moves the joining date again
+    postponed: ['confirmed', 'postponed', 'cancelled', 'active'],
+    cancelled: ['pending'],
+    active: []
+  }
+};
+
+// Data a transition into a status must come with
+const JOINER_TRANSITION_REQUIREMENTS = {
+  status: {
+    not_joined: { notJoinedReason: 'Why the joiner did not join' }
+  },
+  joining_status: {
+    postponed: { joiningDate: 'The new joining date' },
+    cancelled: { reason: 'Why the joining was cancelled' }
+  }
+};
+
+// What caused a transition: a user through the API, or one of the system paths
+const JOINER_TRANSITION_SOURCES = ['manual', 'account_created', 'account_deactivated', 'status_fix', 'version_restore'];
+
+module.exports = {
+  JOINER_STATUS_TRANSITIONS,
+  JOINER_TRANSITION_REQUIREMENTS,
+  JOINER_TRANSITION_SOURCES
+};
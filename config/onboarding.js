@@ -0,0 +1,73 @@
+// Onboarding workflow defaults. Templates are edited by admins through
+// /api/onboarding/templates; the built-in template below is used until one exists.
+
+// Events that complete onboarding steps automatically. Controllers fire them
+// through onboardingService.handleEvent() when the matching thing happens.
+const ONBOARDING_EVENTS = {
+  account_created: 'A user account (login credentials) was created for the joiner',
+  welcome_email_sent: 'The welcome email was sent to the joiner',
+  account_activated: 'The joiner signed in for the first time',
+  training_assigned: 'The joiner was assigned to a trainer',
+};
+
+// Flags on Joiner.onboardingChecklist that a step keeps in sync with its status
+const CHECKLIST_FLAGS = ['welcomeEmailSent', 'credentialsGenerated', 'accountActivated', 'trainingAssigned', 'documentsSubmitted'];
+
+// dueOffsetDays is counted from the joiner's joining date (negative = before joining)
+const DEFAULT_ONBOARDING_TEMPLATE = {
+  name: 'Standard onboarding',
+  description: 'Built-in checklist used when no onboarding template has been configured',
+  steps: [
+    {
+      key: 'credentials',
+      title: 'Create login credentials',
+      ownerRole: 'boa',
+      dueOffsetDays: -2,
+      dependsOn: [],
+      autoCompleteOn: 'account_created',
+      checklistFlag: 'credentialsGenerated'
+    },
+    {
+      key: 'welcome_email',
+      title: 'Send welcome email',
+      ownerRole: 'boa',
+      dueOffsetDays: -1,
+      dependsOn: ['credentials'],
+      autoCompleteOn: 'welcome_email_sent',
+      checklistFlag: 'welcomeEmailSent'
+    },
+    {
+      key: 'documents',
+      title: 'Collect joining documents',
+      ownerRole: 'boa',
+      dueOffsetDays: 0,
+      dependsOn: [],
+      autoCompleteOn: null,
+      checklistFlag: 'documentsSubmitted'
+    },
+    {
+      key: 'first_sign_in',
+      title: 'Sign in to the portal',
+      ownerRole: 'trainee',
+      dueOffsetDays: 1,
+      dependsOn: ['credentials'],
+      autoCompleteOn: 'account_activated',
+      checklistFlag: 'accountActivated'
+    },
+    {
+      key: 'trainer_assignment',
+      title: 'Assign a trainer',
+      ownerRole: 'master_trainer',
+      dueOffsetDays: 3,
+      dependsOn: ['credentials'],
+      autoCompleteOn: 'training_assigned',
+      checklistFlag: 'trainingAssigned'
+    }
+  ]
+};
+
+module.exports = {
+  ONBOARDING_EVENTS,
+  CHECKLIST_FLAGS,
+  DEFAULT_ONBOARDING_TEMPLATE,
+};
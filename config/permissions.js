@@ -0,0 +1,191 @@
+// Named permissions checked by requirePermission() in the route files.
+// The role -> permission mapping below is only the default; admins can edit it
+// through /api/admin/permissions, and the edited mapping is stored in MongoDB.
+const PERMISSIONS = {
+  // Users and accounts
+  'users:view': 'View a single user profile',
+  'users:list': 'List users',
+  'users:create': 'Create user accounts',
+  'users:manage': 'Promote, deactivate, reactivate and edit users',
+  'users:impersonate': 'View the app as another user (read-only, logged)',
+  'invites:manage': 'Create, resend and revoke invites',
+  'email_templates:manage': 'Edit the emails sent to users, such as the welcome email',
+  'security:manage': 'Manage login lockouts and two-factor policies',
+  'permissions:manage': 'Edit the role to permission mapping',
+  'api_keys:manage': 'Create, list and revoke API keys for machine clients',
+  'system:stats': 'View system statistics and status checks',
+  'system:maintenance': 'Run data repair operations',
+  'trash:manage': 'Browse, restore and permanently delete trashed records',
+
+  // Joiners and onboarding
+  'joiners:read': 'View joiners and joiner statistics',
+  'joiners:write': 'Create and update joiners',
+  'joiners:delete': 'Delete joiners',
+  'joiners:create_account': 'Create user accounts for joiners and send their welcome emails',
+  'joiners:bulk_upload': 'Bulk import joiners from Google Sheets',
+  'joiners:merge': 'Find duplicate joiners and merge them',
+  'reference_data:manage': 'Manage the departments and role tracks joiners can be given',
+  'onboarding:read': 'View onboarding progress and overdue onboarding steps',
+  'onboarding:update': 'Complete or skip onboarding steps owned by your role',
+  'onboarding:manage': 'Manage onboarding templates and complete any onboarding step',
+
+  // Assignments
+  'assignments:manage': 'Create, update and complete trainer assignments',
+  'assignments:read_own': 'View own trainer or trainee assignment',
+  'assignments:acknowledge': 'Acknowledge an assignment as trainer',
+  'trainees:read_assigned': 'View assigned trainees and their results',
+
+  // Campuses and allocations
+  'campuses:read': 'View campuses',
+  'campuses:write': 'Create, update and delete campuses',
+  'allocations:read': 'View campus allocations',
+  'allocations:write': 'Create, update and delete campus allocations',
+  'batches:read': 'View training batches, their rosters and batch dashboards',
+  'batches:write': 'Create, update and delete training batches and manage their members',
+
+  // Results and exams
+  'results:read': 'View exam results',
+  'results:read_own': 'View own exam results',
+  'results:write': 'Create, update and delete exam results',
+  'results:bulk_upload': 'Bulk import exam results from Google Sheets',
+  'results:statistics': 'View exam statistics and debug data',
+  'mcq:read': 'View MCQ deployments',
+  'mcq:manage': 'Create, update and delete MCQ deployments',
+  'mcq:upload_results': 'Upload MCQ results',
+  'mcq:take': 'Take MCQ assessments',
+
+  // Candidate reports
+  'candidate_reports:read': 'View candidate performance reports',
+  'candidate_reports:write': 'Update candidate reports',
+  'candidate_reports:bulk_upload': 'Bulk import candidate reports',
+  'imports:manage': 'Register sheet sources that are fetched and imported on a schedule, and run them',
+  'candidates:dashboard': 'View the candidate dashboard',
+  'performance_metrics:read': 'View performers metrics',
+
+  // Daily work
+  'attendance:clock': 'Clock in and out',
+  'attendance:validate': 'View and validate trainee attendance',
+  'day_plans:read': 'View trainer day plans',
+  'day_plans:write': 'Create, update, publish and delete trainer day plans',
+  'day_plans:read_own': 'View own assigned day plans as trainee',
+  'day_plans:update_progress': 'Update task status in an assigned day plan',
+  'trainee_day_plans:read': 'View trainee day plans',
+  'trainee_day_plans:create': 'Create trainee day plans',
+  'trainee_day_plans:write': 'Update, submit and delete own trainee day plans and EOD updates',
+  'trainee_day_plans:review': 'Review trainee day plans and EOD updates',
+  'observations:read': 'View a single observation',
+  'observations:read_own': 'View observations about yourself',
+  'observations:manage': 'Create, update and submit observations',
+  'observations:review': 'Review observations as master trainer',
+  'demos:read': 'View demos',
+  'demos:submit': 'Upload and delete demos',
+  'demos:review': 'Review demos and record offline demos',
+  'demos:master_review': 'Give the final review on demos',
+  'tasks:read': 'View tasks and task dashboards',
+  'tasks:update': 'Update task details, status and checklists',
+  'tasks:manage': 'Create and delete tasks',
+  'notifications:read': 'Read and manage own notifications',
+
+  // Dashboards and reports
+  'dashboard:master_trainer': 'View the master trainer dashboard',
+  'dashboard:trainer': 'View the trainer dashboard',
+  'dashboard:trainee': 'View the trainee dashboard',
+  'reports:read': 'View attendance, day plan and observation reports',
+  'reports:assignments': 'View assignment reports',
+  'audit:read': 'View the audit log',
+  'history:restore': 'Restore earlier versions of joiners, results and candidate reports',
+  'sheets_sync:data': 'Sync joiners and candidate reports to Google Sheets',
+  'sheets_sync:manage': 'Sync users and all data to Google Sheets and view sync configuration',
+};
+
+const ROLES = ['admin', 'master_trainer', 'trainer', 'trainee', 'boa'];
+
+// Permissions every signed-in user needs regardless of role
+const COMMON_PERMISSIONS = ['users:view', 'tasks:read', 'tasks:update', 'notifications:read'];
+
+const DEFAULT_ROLE_PERMISSIONS = {
+  // Admin starts with everything
+  admin: Object.keys(PERMISSIONS),
+
+  master_trainer: [
+    ...COMMON_PERMISSIONS,
+    'users:list',
+    'joiners:read', 'joiners:write', 'joiners:delete', 'joiners:create_account',
+    'onboarding:read', 'onboarding:update',
+    'assignments:manage', 'assignments:read_own', 'assignments:acknowledge', 'trainees:read_assigned',
+    'campuses:read', 'campuses:write', 'allocations:read', 'allocations:write',
+    'batches:read', 'batches:write',
+    'results:read', 'results:write', 'results:bulk_upload', 'results:statistics',
+    'mcq:read',
+    'attendance:validate',
+    'day_plans:read', 'day_plans:write',
+    'trainee_day_plans:read',
+    'observations:read', 'observations:manage', 'observations:review',
+    'demos:read', 'demos:review', 'demos:master_review',
+    'tasks:manage',
+    'dashboard:master_trainer', 'dashboard:trainer',
+    'reports:read', 'reports:assignments', 'audit:read', 'history:restore',
+  ],
+
+  trainer: [
+    ...COMMON_PERMISSIONS,
+    'users:list',
+    'assignments:read_own', 'assignments:acknowledge', 'trainees:read_assigned',
+    'campuses:read', 'allocations:read',
+    'batches:read',
+    'results:read',
+    'candidate_reports:read', 'candidate_reports:write',
+    'attendance:clock', 'attendance:validate',
+    'day_plans:read', 'day_plans:write',
+    'trainee_day_plans:read', 'trainee_day_plans:create', 'trainee_day_plans:review',
+    'observations:read', 'observations:manage',
+    'demos:read', 'demos:submit', 'demos:review',
+    'dashboard:trainer',
+    'reports:read',
+  ],
+
+  trainee: [
+    ...COMMON_PERMISSIONS,
+    'assignments:read_own',
+    'allocations:read',
+    'results:read_own',
+    'mcq:take',
+    'attendance:clock',
+    'day_plans:read_own', 'day_plans:update_progress',
+    'trainee_day_plans:read', 'trainee_day_plans:create', 'trainee_day_plans:write',
+    'observations:read', 'observations:read_own',
+    'demos:read', 'demos:submit',
+    'dashboard:trainee',
+  ],
+
+  boa: [
+    ...COMMON_PERMISSIONS,
+    'users:list', 'users:create',
+    'joiners:read', 'joiners:write', 'joiners:delete', 'joiners:create_account', 'joiners:bulk_upload', 'joiners:merge',
+    'onboarding:read', 'onboarding:update',
+    'assignments:manage',
+    'campuses:read', 'campuses:write', 'allocations:read', 'allocations:write',
+    'batches:read', 'batches:write',
+    'results:read', 'results:write', 'results:bulk_upload', 'results:statistics',
+    'mcq:read', 'mcq:upload_results',
+    'candidate_reports:bulk_upload',
+    'demos:read',
+    'sheets_sync:data',
+    'history:restore',
+  ],
+};
+
+// Permissions an API key can be scoped to. Keys are limited to the bulk
+// import endpoints; everything else still needs a signed-in user.
+const API_KEY_SCOPES = ['joiners:bulk_upload', 'results:bulk_upload', 'candidate_reports:bulk_upload'];
+
+// Admins can never lose these, otherwise nobody could fix the mapping again
+const LOCKED_ADMIN_PERMISSIONS = ['permissions:manage', 'users:manage'];
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE_PERMISSIONS,
+  LOCKED_ADMIN_PERMISSIONS,
+  API_KEY_SCOPES,
+};
@@ -0,0 +1,47 @@
+// Departments and role tracks a joiner can be given. The lists live in MongoDB and
+// are edited by admins through /api/reference-data; these are the records an empty
+// collection starts with (the values Joiner used to hard-code). Aliases are matched
+// after lowercasing and dropping everything but letters and digits, so Darwinbox
+// names such as "Information Technology" land on a code.
+
+const DEFAULT_DEPARTMENTS = [
+  { code: 'IT', name: 'Information Technology', aliases: ['Technology', 'Engineering'] },
+  { code: 'HR', name: 'Human Resources', aliases: ['People', 'People Operations'] },
+  { code: 'FINANCE', name: 'Finance', aliases: ['Accounts', 'Finance and Accounts'] },
+  { code: 'SDM', name: 'SDM', aliases: [] },
+  { code: 'SDI', name: 'SDI', aliases: [] },
+  { code: 'OTHERS', name: 'Others', aliases: ['Other'] }
+];
+
+const DEFAULT_TRACKS = [
+  { code: 'SDM', name: 'SDM', aliases: [] },
+  { code: 'SDI', name: 'SDI', aliases: [] },
+  { code: 'SDF', name: 'SDF', aliases: [] },
+  { code: 'SDB', name: 'SDB', aliases: [] },
+  { code: 'OTHER', name: 'Other', aliases: ['Others'] }
+];
+
+// kind -> label, the Joiner field holding the code, and defaults. The fallback code
+// is given to joiners whose department or track is not known (accounts created at
+// registration, Darwinbox departments nobody has mapped yet) and cannot be
+// deactivated.
+const REFERENCE_DATA_KINDS = {
+  departments: {
+    label: 'Department',
+    joinerField: 'department',
+    defaults: DEFAULT_DEPARTMENTS,
+    fallbackCode: 'OTHERS'
+  },
+  tracks: {
+    label: 'Track',
+    joinerField: 'role_assign',
+    defaults: DEFAULT_TRACKS,
+    fallbackCode: 'OTHER'
+  }
+};
+
+module.exports = {
+  DEFAULT_DEPARTMENTS,
+  DEFAULT_TRACKS,
+  REFERENCE_DATA_KINDS,
+};
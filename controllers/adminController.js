@@ -1,11 +1,54 @@
-const UserNew = require('../models/UserNew');
 const Joiner = require('../models/Joiner');
 const DeactivatedUser = require('../models/DeactivatedUser');
+const Invite = require('../models/Invite');
+const LoginThrottle = require('../models/LoginThrottle');
+const TwoFactorPolicy = require('../models/TwoFactorPolicy');
+const RolePermission = require('../models/RolePermission');
+const ApiKey = require('../models/ApiKey');
+const LoginEvent = require('../models/LoginEvent');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const mongoose = require('mongoose');
 const { autoSyncToGoogleSheets } = require('../utils/autoSyncGoogleSheets');
+const { hashToken, createSession, revokeUserSessions, setRefreshCookie } = require('../utils/sessionTokens');
+const { sendMail, buildFrontendUrl } = require('../utils/mailer');
+const { TWO_FACTOR_ROLES, getTwoFactorPolicies, clearTwoFactorPolicyCache } = require('../utils/twoFactorPolicy');
+const { getPermissionMatrix, clearPermissionCache } = require('../utils/rolePermissions');
+const { PERMISSIONS, ROLES, DEFAULT_ROLE_PERMISSIONS, LOCKED_ADMIN_PERMISSIONS, API_KEY_SCOPES } = require('../config/permissions');
+const { recordLogin, getLoginSummary } = require('../utils/loginHistory');
+const { recordAudit } = require('../utils/auditLog');
+const { recordVersion } = require('../utils/versionHistory');
+const { resolveDepartment, resolveTrack, DEPARTMENT_FALLBACK, TRACK_FALLBACK } = require('../utils/referenceData');
+const userService = require('../services/userService');
+const onboardingService = require('../services/onboardingService');
+const welcomeEmailService = require('../services/welcomeEmailService');
+const { planJoinerTransitions, recordJoinerTransitions } = require('../utils/joinerLifecycle');
+
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS, 10) || 7;
+const INVITE_ROLES = ['admin', 'master_trainer', 'trainer', 'trainee', 'boa'];
+const API_KEY_TTL_DAYS = parseInt(process.env.API_KEY_TTL_DAYS, 10) || 90;
+const API_KEY_PREFIX = 'tms_';
+
+// Issue a fresh token for an invite and email the signup link
+const sendInviteEmail = async (invite, inviterName) => {
+  const rawToken = crypto.randomBytes(32).toString('hex');
+  invite.tokenHash = hashToken(rawToken);
+  invite.lastSentAt = new Date();
+  invite.sendCount += 1;
+  await invite.save();
+
+  const signupUrl = buildFrontendUrl('/signup', { invite: rawToken, email: invite.email });
+  const roleLabel = invite.role.replace('_', ' ');
+
+  await sendMail({
+    to: invite.email,
+    subject: 'You have been invited to Task Manager',
+    text: `${inviterName} has invited you to join Task Manager as ${roleLabel}.\n\nCreate your account here: ${signupUrl}\n\nThis invite can be used once and expires on ${invite.expiresAt.toUTCString()}.`,
+    html: `<p>${inviterName} has invited you to join Task Manager as <strong>${roleLabel}</strong>.</p><p><a href="${signupUrl}">Create your account</a></p><p>This invite can be used once and expires on ${invite.expiresAt.toUTCString()}.</p>`
+  });
+
+  return rawToken;
+};
 
 // Create admin account with invite token
 const createAdmin = async (req, res) => {
@@ -20,7 +63,7 @@ const createAdmin = async (req, res) => {
     }
 
     // Check if admin already exists
-    const existingAdmin = await UserNew.findOne({ 
+    const existingAdmin = await userService.findOne({ 
       $or: [{ email }, { role: 'admin' }] 
     });
     
@@ -35,7 +78,7 @@ const createAdmin = async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, salt);
 
     // Create admin user
-    const admin = await UserNew.create({
+    const admin = await userService.create({
       name,
       email,
       password: hashedPassword,
@@ -47,16 +90,15 @@ const createAdmin = async (req, res) => {
       passwordChanged: true
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: admin._id, role: admin.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session for the new admin
+    const { session, accessToken, refreshToken } = await createSession(admin._id, req);
+    setRefreshCookie(res, refreshToken);
+    await recordLogin({ user: admin, success: true, method: 'registration', sessionId: session._id, req });
 
     res.status(201).json({
       message: 'Admin account created successfully',
-      token,
+      token: accessToken,
+      refreshToken,
       user: {
         id: admin._id,
         author_id: admin.author_id,
@@ -87,20 +129,11 @@ const promoteUser = async (req, res) => {
     
     //console.log('Extracted data:', { userId, newRole, reason, adminId });
 
-    // Find user to promote - check both UserNew and User models
+    // Find user to promote
    // console.log('Looking for user with ID:', userId);
-    let user = await UserNew.findById(userId);
-   // console.log('Found in UserNew:', user ? { id: user._id, name: user.name, role: user.role } : 'Not found');
+    const user = await userService.findById(userId);
     
-    // If not found in UserNew, try the old User model
     if (!user) {
-      const User = require('../models/User');
-      user = await User.findById(userId);
-     // console.log('Found in User:', user ? { id: user._id, name: user.name, role: user.role } : 'Not found');
-    }
-    
-    if (!user) {
-     // console.log('User not found in either model, returning 404');
       return res.status(404).json({
         message: 'User not found'
       });
@@ -138,7 +171,6 @@ const promoteUser = async (req, res) => {
       
       try {
         const Assignment = require('../models/Assignment');
-        const User = require('../models/User');
         
         // Find all active assignments for this trainer
         const activeAssignments = await Assignment.find({
@@ -158,19 +190,11 @@ const promoteUser = async (req, res) => {
          // console.log(`Unassigning ${allTraineeIds.length} trainees`);
           
           // Find trainee ObjectIds by their author_ids
-          const traineeObjects = await User.find({ author_id: { $in: allTraineeIds } }).select('_id');
+          const traineeObjects = await userService.find({ author_id: { $in: allTraineeIds } }).select('_id');
           const traineeObjectIds = traineeObjects.map(t => t._id);
           
-          // Update trainees in both User and UserNew models using ObjectIds
-          await User.updateMany(
-            { _id: { $in: traineeObjectIds } },
-            { 
-              assignedTrainer: null,
-              status: 'pending_assignment'
-            }
-          );
-          
-          await UserNew.updateMany(
+          // Unassign trainees using ObjectIds
+          await userService.updateMany(
             { _id: { $in: traineeObjectIds } },
             { 
               assignedTrainer: null,
@@ -179,14 +203,14 @@ const promoteUser = async (req, res) => {
           );
           
           // Also directly find and unassign trainees by assignedTrainer field (like deactivation does)
-          const directlyAssignedTrainees = await User.find({ 
+          const directlyAssignedTrainees = await userService.find({ 
             assignedTrainer: user._id,
             role: 'trainee' 
           });
           
           if (directlyAssignedTrainees.length > 0) {
             console.log(`Also unassigning ${directlyAssignedTrainees.length} directly assigned trainees`);
-            await User.updateMany(
+            await userService.updateMany(
               { assignedTrainer: user._id, role: 'trainee' },
               { 
                 assignedTrainer: null, 
@@ -227,25 +251,18 @@ const promoteUser = async (req, res) => {
       await user.save();
     }
     
-    // If user was from old User model, also update in UserNew model for consistency
-    if (user.constructor.modelName === 'User') {
-      console.log('User was from old User model, updating UserNew model for consistency');
-      try {
-        const existingUserNew = await UserNew.findOne({ email: user.email });
-        if (existingUserNew) {
-          existingUserNew.role = newRole;
-          if (newRole !== 'trainer') {
-            existingUserNew.assignedTrainees = [];
-          }
-          await existingUserNew.save();
-          console.log('UserNew model also updated for consistency');
-        } else {
-          console.log('No corresponding UserNew record found, skipping consistency update');
-        }
-      } catch (consistencyError) {
-        console.log('Warning: Could not update UserNew model for consistency:', consistencyError.message);
-      }
-    }
+    // Existing tokens were issued for the old role
+    await revokeUserSessions(user._id, 'role_changed');
+
+    await recordAudit(req, {
+      action: 'role_change',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: user.email,
+      before: { role: originalRole },
+      after: { role: newRole },
+      metadata: { reason: reason || null }
+    });
 
     res.json({
       message: `User successfully promoted to ${newRole}`,
@@ -275,19 +292,8 @@ const deactivateUser = async (req, res) => {
     
     // console.log('Extracted data:', { userId, reason, adminId });
 
-    // // Find user to deactivate - check both UserNew and User models
     // console.log('Looking for user with ID:', userId);
-    
-    // First check if user exists in UserNew model (without validation)
-    let userExists = await UserNew.findById(userId).select('_id name role isActive').lean();
-    let userModel = 'UserNew';
-    
-    if (!userExists) {
-      // If not found in UserNew, try User model
-      const User = require('../models/User');
-      userExists = await User.findById(userId).select('_id name role isActive').lean();
-      userModel = 'User';
-    }
+    const userExists = await userService.findById(userId).select('-password').lean();
     
     if (!userExists) {
       return res.status(404).json({
@@ -313,26 +319,13 @@ const deactivateUser = async (req, res) => {
       joinerId: null,
       roleHistory: [],
       invitedBy: null,
-      inviteToken: null,
-      inviteExpiresAt: null,
-      createdBy: null, // Clear createdBy to avoid validation error
-      company_allocated_details: null
+      company_allocated_details: []
     };
 
-    // Use findByIdAndUpdate to bypass validation
-    let updateResult;
-    if (userModel === 'UserNew') {
-      updateResult = await UserNew.findByIdAndUpdate(userId, updateData, { 
-        runValidators: false,
-        new: true 
-      });
-    } else {
-      const User = require('../models/User');
-      updateResult = await User.findByIdAndUpdate(userId, updateData, { 
-        runValidators: false,
-        new: true 
-      });
-    }
+    const updateResult = await userService.findByIdAndUpdate(userId, updateData, { 
+      runValidators: false,
+      new: true 
+    });
     
     if (!updateResult) {
       return res.status(500).json({
@@ -340,49 +333,30 @@ const deactivateUser = async (req, res) => {
       });
     }
 
-    // Also update the other model to keep them in sync
-    const User = require('../models/User');
-    if (userModel === 'UserNew') {
-      // User was found in UserNew, also update User model
-      const crossUpdateResult = await User.findOneAndUpdate(
-        { email: updateResult.email },
-        { 
-          isActive: false,
-          accountStatus: 'deactivated',
-          deactivatedAt: updateResult.deactivatedAt,
-          deactivatedBy: updateResult.deactivatedBy,
-          deactivationReason: updateResult.deactivationReason
-        },
-        { runValidators: false }
-      );
-      console.log('Updated User model for:', updateResult.email, 'Result:', crossUpdateResult ? 'Success' : 'Not found');
-    } else {
-      // User was found in User, also update UserNew model
-      const crossUpdateResult = await UserNew.findOneAndUpdate(
-        { email: updateResult.email },
-        { 
-          isActive: false,
-          accountStatus: 'deactivated',
-          deactivatedAt: updateResult.deactivatedAt,
-          deactivatedBy: updateResult.deactivatedBy,
-          deactivationReason: updateResult.deactivationReason
-        },
-        { runValidators: false }
-      );
-      console.log('Updated UserNew model for:', updateResult.email, 'Result:', crossUpdateResult ? 'Success' : 'Not found');
-    }
+    // Remove access immediately rather than when the last token expires
+    await revokeUserSessions(updateResult._id, 'deactivated');
+
+    await recordAudit(req, {
+      action: 'deactivate',
+      entityType: 'user',
+      entityId: updateResult._id,
+      entityLabel: updateResult.email,
+      before: userExists,
+      after: updateResult,
+      metadata: { reason: updateData.deactivationReason }
+    });
 
     // If deactivating a trainer, unassign all their trainees
     if (userExists.role === 'trainer') {
       // Find all trainees assigned to this trainer
-      const assignedTrainees = await User.find({ 
+      const assignedTrainees = await userService.find({ 
         assignedTrainer: userId,
         role: 'trainee' 
       });
       
       if (assignedTrainees.length > 0) {
         // Unassign all trainees from this trainer
-        await User.updateMany(
+        await userService.updateMany(
           { assignedTrainer: userId, role: 'trainee' },
           { 
             assignedTrainer: null, 
@@ -393,7 +367,7 @@ const deactivateUser = async (req, res) => {
       }
       
       // Clear the trainer's assignedTrainees array
-      await User.findByIdAndUpdate(userId, { 
+      await userService.findByIdAndUpdate(userId, { 
         assignedTrainees: [] 
       });
     }
@@ -401,7 +375,7 @@ const deactivateUser = async (req, res) => {
     // Create deactivated user record
     try {
        // Get admin user info
-      const adminUser = await UserNew.findById(adminId).select('name email');
+      const adminUser = await userService.findById(adminId).select('name email');
       const adminName = adminUser ? adminUser.name : 'Unknown Admin';
       const adminEmail = adminUser ? adminUser.email : 'unknown@admin.com';
       
@@ -410,7 +384,7 @@ const deactivateUser = async (req, res) => {
       let assignedTraineesInfo = [];
       
       if (userExists.role === 'trainee' && updateResult.assignedTrainer) {
-        const trainer = await User.findById(updateResult.assignedTrainer).select('name email');
+        const trainer = await userService.findById(updateResult.assignedTrainer).select('name email');
         if (trainer) {
           assignedTrainerInfo = {
             id: trainer._id,
@@ -421,7 +395,7 @@ const deactivateUser = async (req, res) => {
       }
       
       if (userExists.role === 'trainer' && updateResult.assignedTrainees) {
-        const trainees = await User.find({ 
+        const trainees = await userService.find({ 
           _id: { $in: updateResult.assignedTrainees } 
         }).select('name email');
         assignedTraineesInfo = trainees.map(t => ({
@@ -432,9 +406,10 @@ const deactivateUser = async (req, res) => {
       }
       
       // Create deactivated user record
+      const loginSummary = await getLoginSummary(updateResult._id);
+
       const deactivatedUserRecord = await DeactivatedUser.create({
-        originalUserId: userModel === 'User' ? updateResult._id : null,
-        originalUserNewId: userModel === 'UserNew' ? updateResult._id : null,
+        originalUserId: updateResult._id,
         
         userInfo: {
           author_id: updateResult.author_id || updateResult._id.toString(),
@@ -467,10 +442,10 @@ const deactivateUser = async (req, res) => {
         },
         
         systemInfo: {
-          lastLoginAt: updateResult.lastLoginAt || null,
+          lastLoginAt: loginSummary.lastLoginAt,
           accountCreatedAt: updateResult.accountCreatedAt || null,
-          totalLoginDays: updateResult.totalLoginDays || 0,
-          lastActivityAt: updateResult.lastActivityAt || null
+          totalLoginDays: loginSummary.totalLoginDays,
+          lastActivityAt: loginSummary.lastActivityAt
         },
         
         status: 'deactivated'
@@ -501,15 +476,17 @@ const deactivateUser = async (req, res) => {
       }
 
       if (existingJoiner) {
-        const joinerUpdateResult = await Joiner.findOneAndUpdate(
+        // A joiner whose lifecycle does not allow becoming inactive (e.g. not_joined) keeps their status
+        const deactivation = planJoinerTransitions(existingJoiner, { status: 'inactive' });
+        await Joiner.findOneAndUpdate(
           { _id: existingJoiner._id },
           { 
-            status: 'inactive',
+            ...(deactivation.error ? {} : deactivation.updates),
             accountCreated: false
           },
           { runValidators: false, new: true }
         );
-        
+        await recordJoinerTransitions(existingJoiner, deactivation.transitions, { actor: req.user, source: 'account_deactivated' });
       } 
     } catch (joinerError) {
       console.error('Error updating joiner status:', joinerError);
@@ -551,20 +528,10 @@ const reactivateUser = async (req, res) => {
     const { userId } = req.body;
     const { id: adminId } = req.user;
 
-    // Find user to reactivate - check both UserNew and User models
   //  console.log('Looking for user with ID:', userId);
-    let user = await UserNew.findById(userId);
-  //  console.log('Found in UserNew:', user ? { id: user._id, name: user.name, role: user.role } : 'Not found');
+    const user = await userService.findById(userId);
     
-    // If not found in UserNew, try the old User model
     if (!user) {
-      const User = require('../models/User');
-      user = await User.findById(userId);
-      console.log('Found in User:', user ? { id: user._id, name: user.name, role: user.role } : 'Not found');
-    }
-    
-    if (!user) {
-      console.log('User not found in either model, returning 404');
       return res.status(404).json({
         message: 'User not found'
       });
@@ -578,12 +545,23 @@ const reactivateUser = async (req, res) => {
     }
 
     // Reactivate user
+    const previousUser = user.toObject();
     user.isActive = true;
+    user.accountStatus = 'active';
     user.deactivatedAt = null;
     user.deactivatedBy = null;
     user.deactivationReason = null;
     await user.save();
 
+    await recordAudit(req, {
+      action: 'reactivate',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: user.email,
+      before: previousUser,
+      after: user
+    });
+
     res.json({
       message: 'User account reactivated successfully',
       user: {
@@ -630,66 +608,26 @@ const getAllUsers = async (req, res) => {
     
     //console.log('Final query:', query);
 
-    // Get users from both UserNew and User models
-    const User = require('../models/User');
-    
-    // Get users from UserNew model
-    const newUsers = await UserNew.find(query)
-      .select('-password -tempPassword')
-      .sort({ createdAt: -1 });
-    // Get users from old User model and convert to UserNew format
-    const oldUsers = await User.find(query)
+    const pageNumber = parseInt(page, 10) || 1;
+    const pageSize = parseInt(limit, 10) || 10;
+
+    // If limit is very high (>= 1000), return all users without pagination for statistics
+    let usersQuery = userService.find(query)
       .select('-password -tempPassword')
       .sort({ createdAt: -1 });
-    // Convert old users to new format
-    const convertedOldUsers = oldUsers.map(user => ({
-      _id: user._id,
-      author_id: user.author_id || user._id.toString(),
-      name: user.name,
-      email: user.email,
-      profileImageUrl: user.profileImageUrl,
-      role: user.role,
-      isActive: user.isActive !== undefined ? user.isActive : true,
-      deactivatedAt: user.deactivatedAt,
-      deactivatedBy: user.deactivatedBy,
-      deactivationReason: user.deactivationReason,
-      createdAt: user.createdAt,
-      updatedAt: user.updatedAt
-    }));
-
-    // Combine users and remove duplicates based on email
-    const allUsers = [...newUsers, ...convertedOldUsers];
-    const uniqueUsers = allUsers.filter((user, index, self) => 
-      index === self.findIndex(u => u.email === user.email)
-    );
-    
-    // Debug: Log users being returned
-    // console.log('=== GET ALL USERS DEBUG ===');
-    // console.log('Query used:', query);
-    // console.log('Users found:', uniqueUsers.map(u => ({ name: u.name, email: u.email, role: u.role, isActive: u.isActive })));
-    // console.log('=== END GET ALL USERS DEBUG ===');
-    
-    // console.log('New users found:', newUsers.length);
-    // console.log('Old users found:', oldUsers.length);
-    // console.log('Total unique users:', uniqueUsers.length);
-    // console.log('Users with isActive false:', uniqueUsers.filter(u => u.isActive === false).length);
-    
-    // Apply pagination
-    // If limit is very high (>= 1000), return all users without pagination for statistics
-    const startIndex = (page - 1) * limit;
-    const endIndex = limit >= 1000 ? uniqueUsers.length : startIndex + limit;
-    const users = uniqueUsers.slice(startIndex, endIndex);
+    if (pageSize < 1000) {
+      usersQuery = usersQuery.skip((pageNumber - 1) * pageSize).limit(pageSize);
+    }
 
-    // Get total count
-    const total = uniqueUsers.length;
-    
-    // console.log('Returning users:', users.length);
-    // console.log('=== END GET ALL USERS DEBUG ===');
+    const [users, total] = await Promise.all([
+      usersQuery,
+      userService.countDocuments(query)
+    ]);
 
     res.json({
       users,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
+      totalPages: Math.ceil(total / pageSize),
+      currentPage: pageNumber,
       total
     });
   } catch (error) {
@@ -706,7 +644,7 @@ const getUserRoleHistory = async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const user = await UserNew.findById(userId)
+    const user = await userService.findById(userId)
       .select('name email role roleHistory')
       .populate('roleHistory.assignedBy', 'name email');
 
@@ -735,92 +673,79 @@ const getUserRoleHistory = async (req, res) => {
   }
 };
 
+// @desc    Login history and activity summary of a user
+// @route   GET /api/admin/users/:userId/logins
+// @access  Private (Admin)
+const getUserLoginHistory = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { success, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const user = await userService.findById(userId).select('name email role accountCreatedAt').lean();
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    const query = { user: user._id };
+    if (success !== undefined) query.success = success === 'true';
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [logins, total, summary] = await Promise.all([
+      LoginEvent.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      LoginEvent.countDocuments(query),
+      getLoginSummary(user._id)
+    ]);
+
+    res.json({
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        accountCreatedAt: user.accountCreatedAt
+      },
+      summary,
+      logins,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching user login history:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // Get system statistics
 const getSystemStats = async (req, res) => {
   try {
-    const totalUsers = await UserNew.countDocuments();
-    const activeUsers = await UserNew.countDocuments({ accountStatus: 'active' });
-    const deactivatedUsers = await UserNew.countDocuments({ accountStatus: 'deactivated' });
-    
-    // Debug: Check if there are users in the old User model
-    const User = require('../models/User');
-    const oldModelUsers = await User.countDocuments();
-    // Get users from both models for accurate stats
-    const allNewUsers = await UserNew.find({});
-    const allOldUsers = await User.find({});
-    
-    // Convert old users to new format
-    const convertedOldUsers = allOldUsers.map(user => ({
-      _id: user._id,
-      author_id: user.author_id || user._id.toString(),
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      accountStatus: user.accountStatus || 'active',
-      isActive: user.isActive
-    }));
-    
-    // Combine all users
-    const allUsers = [...allNewUsers, ...convertedOldUsers];
-    const uniqueUsers = allUsers.filter((user, index, self) => 
-      index === self.findIndex(u => u.email === user.email)
-    );
-    
-    // Calculate stats from combined users
-    const actualTotalUsers = uniqueUsers.filter(u => u.isActive === true).length; // Only count active users
-    const actualActiveUsers = uniqueUsers.filter(u => u.isActive === true).length;
-    const actualDeactivatedUsers = uniqueUsers.filter(u => u.isActive === false).length;
-    
-    // Debug logging
-    // console.log('=== SYSTEM STATS DEBUG ===');
-    // console.log('Total users:', actualTotalUsers);
-    // console.log('Active users:', actualActiveUsers);
-    // console.log('Deactivated users:', actualDeactivatedUsers);
-    // console.log('Users with isActive false:', uniqueUsers.filter(u => u.isActive === false).length);
-    // console.log('Users by accountStatus:', uniqueUsers.reduce((acc, u) => {
-    //   const status = u.accountStatus || 'undefined';
-    //   acc[status] = (acc[status] || 0) + 1;
-    //   return acc;
-    // }, {}));
-    // console.log('Users by isActive:', uniqueUsers.reduce((acc, u) => {
-    //   const active = u.isActive;
-    //   acc[active] = (acc[active] || 0) + 1;
-    //   return acc;
-    // }, {}));
-    
-    // Calculate role stats (only for active users)
-    const activeUsersForRoles = uniqueUsers.filter(user => user.isActive === true);
-    
-    // Debug: Log all users and their roles/status
-    // console.log('=== ROLE STATS DEBUG ===');
-    // console.log('All users:', uniqueUsers.map(u => ({ name: u.name, email: u.email, role: u.role, isActive: u.isActive })));
-    // console.log('Active users for roles:', activeUsersForRoles.map(u => ({ name: u.name, email: u.email, role: u.role, isActive: u.isActive })));
-    
-    const roleStats = activeUsersForRoles.reduce((acc, user) => {
-      const role = user.role;
-      acc[role] = (acc[role] || 0) + 1;
-      return acc;
-    }, {});
-    
-    // console.log('Role stats:', roleStats);
-    // console.log('=== END ROLE STATS DEBUG ===');
-    
-    const roleStatsArray = Object.entries(roleStats).map(([role, count]) => ({
-      _id: role,
-      count
-    }));
-    
-    // Calculate status stats (only for active users)
-    const statusStats = uniqueUsers.filter(user => user.isActive === true).reduce((acc, user) => {
-      const status = user.accountStatus || 'active';
-      acc[status] = (acc[status] || 0) + 1;
-      return acc;
-    }, {});
-    
-    const statusStatsArray = Object.entries(statusStats).map(([status, count]) => ({
-      _id: status,
-      count
-    }));
+    // Only active users are counted in the totals and breakdowns
+    const [actualActiveUsers, actualDeactivatedUsers, roleStatsArray, statusStatsArray] = await Promise.all([
+      userService.countDocuments({ isActive: true }),
+      userService.countDocuments({ isActive: false }),
+      userService.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+      ]),
+      userService.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: { $ifNull: ['$accountStatus', 'active'] }, count: { $sum: 1 } } }
+      ])
+    ]);
+    const actualTotalUsers = actualActiveUsers;
 
     res.json({
       totalUsers: actualTotalUsers,
@@ -853,7 +778,7 @@ const createTraineeAccount = async (req, res) => {
       role_assign, 
       qualification, 
       password,
-      department = 'OTHERS',
+      department,
       top_department_name_as_per_darwinbox,
       department_name_as_per_darwinbox
     } = req.body;
@@ -865,24 +790,43 @@ const createTraineeAccount = async (req, res) => {
       });
     }
 
+    // Department and track are given by code, display name or alias
+    const resolvedDepartment = await resolveDepartment(department);
+    const resolvedTrack = await resolveTrack(role_assign);
+    if (resolvedDepartment.error || resolvedTrack.error) {
+      return res.status(400).json({ message: resolvedDepartment.error || resolvedTrack.error });
+    }
+
     // Check if joiner with this email already exists
     const existingJoiner = await Joiner.findOne({ 
       $or: [
         { email: candidate_personal_mail_id },
         { candidate_personal_mail_id: candidate_personal_mail_id }
       ]
-    });
+    }).setOptions({ withDeleted: true });
     if (existingJoiner) {
       return res.status(400).json({
-        message: 'Joiner with this email already exists'
+        message: existingJoiner.deletedAt
+          ? 'A deleted joiner with this email is in the trash; restore or purge it first'
+          : 'Joiner with this email already exists'
       });
     }
 
     // Check if joiner with this author_id already exists
-    const existingAuthorId = await Joiner.findOne({ author_id });
+    const existingAuthorId = await Joiner.findOne({ author_id }).setOptions({ withDeleted: true });
     if (existingAuthorId) {
       return res.status(400).json({
-        message: 'Joiner with this Author ID already exists'
+        message: existingAuthorId.deletedAt
+          ? 'A deleted joiner with this Author ID is in the trash; restore or purge it first'
+          : 'Joiner with this Author ID already exists'
+      });
+    }
+
+    // The trainee's login is created below; the email must not belong to another account
+    const existingUser = await userService.findOne({ email: candidate_personal_mail_id });
+    if (existingUser) {
+      return res.status(400).json({
+        message: 'User with this email already exists'
       });
     }
 
@@ -895,10 +839,10 @@ const createTraineeAccount = async (req, res) => {
       candidate_personal_mail_id: candidate_personal_mail_id,
       phone: phone_number,
       phone_number: phone_number,
-      department: department,
+      department: resolvedDepartment.code || DEPARTMENT_FALLBACK,
       top_department_name_as_per_darwinbox: top_department_name_as_per_darwinbox,
       role: role_type || 'trainee',
-      role_assign: role_assign || 'OTHER',
+      role_assign: resolvedTrack.code || TRACK_FALLBACK,
       qualification: qualification,
       genre: genre,
       joiningDate: date_of_joining ? new Date(date_of_joining) : new Date(),
@@ -919,6 +863,52 @@ const createTraineeAccount = async (req, res) => {
 
     await newJoiner.save();
 
+    // Login for the trainee. Without a password from the admin it gets a random
+    // one; the trainee chooses their own through the welcome email's link.
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password || crypto.randomBytes(24).toString('hex'), salt);
+    const user = await userService.create({
+      name: newJoiner.name,
+      email: newJoiner.email,
+      password: hashedPassword,
+      role: 'trainee',
+      phone: newJoiner.phone,
+      department: newJoiner.department,
+      genre: newJoiner.genre,
+      joiningDate: newJoiner.joiningDate,
+      qualification: newJoiner.qualification,
+      roleAssign: newJoiner.role_assign,
+      joinerId: newJoiner._id,
+      isActive: true,
+      createdBy: req.user ? req.user._id : null,
+      author_id: newJoiner.author_id
+    });
+    newJoiner.userId = user._id;
+    newJoiner.onboardingChecklist.credentialsGenerated = true;
+    await newJoiner.save();
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'joiner',
+      entityId: newJoiner._id,
+      entityLabel: newJoiner.name,
+      after: newJoiner
+    });
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: user.email,
+      after: user,
+      metadata: { joinerId: newJoiner._id }
+    });
+    await recordVersion(req, 'joiner', { document: newJoiner, action: 'create' });
+    await onboardingService.startOnboardingBatch([newJoiner]);
+    await onboardingService.handleEvent('account_created', { joinerIds: [newJoiner._id] }, req.user);
+
+    // The trainee gets a set-password link by email, never the password itself
+    const welcomeEmail = await welcomeEmailService.sendForNewAccount(newJoiner, req.user);
+
     // Automatically sync joiners and users to Google Sheets (non-blocking)
     autoSyncToGoogleSheets('joiners');
     autoSyncToGoogleSheets('users');
@@ -944,8 +934,10 @@ const createTraineeAccount = async (req, res) => {
         joining_status: newJoiner.joining_status,
         status: newJoiner.status,
         accountCreated: newJoiner.accountCreated,
-        accountCreatedAt: newJoiner.accountCreatedAt
-      }
+        accountCreatedAt: newJoiner.accountCreatedAt,
+        userId: newJoiner.userId
+      },
+      welcomeEmail
     });
 
   } catch (error) {
@@ -999,16 +991,11 @@ const getPendingUsers = async (req, res) => {
 const fixJoinerStatuses = async (req, res) => {
   try {
     const Joiner = require('../models/Joiner');
-    const User = require('../models/User');
-    const UserNew = require('../models/UserNew');
     
     console.log('Starting joiner status fix...');
     
     // Find all deactivated users
-    const deactivatedUsers = await User.find({ isActive: false });
-    const deactivatedUsersNew = await UserNew.find({ isActive: false });
-    
-    const allDeactivatedUsers = [...deactivatedUsers, ...deactivatedUsersNew];
+    const allDeactivatedUsers = await userService.find({ isActive: false });
     
     console.log(`Found ${allDeactivatedUsers.length} deactivated users`);
     
@@ -1034,15 +1021,17 @@ const fixJoinerStatuses = async (req, res) => {
       if (joiner) {
         console.log(`Found joiner for ${user.email}, current status: ${joiner.status}`);
         
-        // Update joiner status to inactive
+        // Update joiner status to inactive where the lifecycle allows it
+        const deactivation = planJoinerTransitions(joiner, { status: 'inactive' });
         const updatedJoiner = await Joiner.findOneAndUpdate(
           { _id: joiner._id },
           { 
-            status: 'inactive',
+            ...(deactivation.error ? {} : deactivation.updates),
             accountCreated: false
           },
           { new: true, runValidators: false }
         );
+        await recordJoinerTransitions(joiner, deactivation.transitions, { actor: req.user, source: 'status_fix' });
         
         console.log(`Updated joiner status to: ${updatedJoiner.status}`);
         fixedCount++;
@@ -1218,7 +1207,7 @@ const reinstateUser = async (req, res) => {
     }
     
     // Get admin info
-    const adminUser = await UserNew.findById(adminId).select('name email');
+    const adminUser = await userService.findById(adminId).select('name email');
     
     // Update deactivated user record
     deactivatedUser.status = 'reinstated';
@@ -1232,17 +1221,25 @@ const reinstateUser = async (req, res) => {
     await deactivatedUser.save();
     
     // Reactivate the original user
-    const User = require('../models/User');
-    const originalUserId = deactivatedUser.originalUserId || deactivatedUser.originalUserNewId;
-    const userModel = deactivatedUser.originalUserId ? User : UserNew;
-    
-    await userModel.findByIdAndUpdate(originalUserId, {
+    const previousUser = await userService.findByIdAndUpdate(deactivatedUser.originalUserId, {
       isActive: true,
       accountStatus: 'active',
       deactivatedAt: null,
       deactivatedBy: null,
       deactivationReason: null
-    });
+    }).lean();
+
+    if (previousUser) {
+      await recordAudit(req, {
+        action: 'reinstate',
+        entityType: 'user',
+        entityId: previousUser._id,
+        entityLabel: previousUser.email,
+        before: { isActive: previousUser.isActive, accountStatus: previousUser.accountStatus, deactivationReason: previousUser.deactivationReason },
+        after: { isActive: true, accountStatus: 'active', deactivationReason: null },
+        metadata: { reason: reason || null, deactivatedUserId: deactivatedUser._id }
+      });
+    }
     
     res.json({ 
       message: 'User reinstated successfully',
@@ -1260,12 +1257,8 @@ const reinstateUser = async (req, res) => {
 const checkStatus = async (req, res) => {
   try {
     const Joiner = require('../models/Joiner');
-    const User = require('../models/User');
-    const UserNew = require('../models/UserNew');
     
-    const deactivatedUsers = await User.find({ isActive: false });
-    const deactivatedUsersNew = await UserNew.find({ isActive: false });
-    const allDeactivatedUsers = [...deactivatedUsers, ...deactivatedUsersNew];
+    const allDeactivatedUsers = await userService.find({ isActive: false });
     
     const joinerStatusCounts = await Joiner.aggregate([
       {
@@ -1285,6 +1278,583 @@ const checkStatus = async (req, res) => {
   }
 };
 
+// @desc    Invite a person by email with a fixed role
+// @route   POST /api/admin/invites
+// @access  Private (Admin)
+const createInvite = async (req, res) => {
+  try {
+    const { email, role, expiresInDays } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({ message: 'Email and role are required' });
+    }
+    if (!INVITE_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Valid roles: ${INVITE_ROLES.join(', ')}` });
+    }
+
+    const normalizedEmail = email.toString().trim().toLowerCase();
+
+    const existingUser = await userService.findOne({ email: normalizedEmail }).select('_id').lean();
+    if (existingUser) {
+      return res.status(400).json({ message: 'A user with this email already exists' });
+    }
+
+    // One open invite per email - older ones are revoked
+    await Invite.updateMany(
+      { email: normalizedEmail, usedAt: null, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: req.user._id }
+    );
+
+    const ttlDays = parseInt(expiresInDays, 10) || INVITE_TTL_DAYS;
+    const invite = new Invite({
+      email: normalizedEmail,
+      role,
+      tokenHash: crypto.randomBytes(32).toString('hex'), // replaced when the email is sent
+      expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000),
+      createdBy: req.user._id
+    });
+
+    try {
+      await sendInviteEmail(invite, req.user.name);
+    } catch (mailError) {
+      console.error('Error sending invite email:', mailError.message);
+      return res.status(502).json({
+        message: 'Invite created but the email could not be sent. Use resend to try again.',
+        invite
+      });
+    }
+
+    res.status(201).json({
+      message: 'Invite sent successfully',
+      invite
+    });
+  } catch (error) {
+    console.error('Error creating invite:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List invites
+// @route   GET /api/admin/invites
+// @access  Private (Admin)
+const getInvites = async (req, res) => {
+  try {
+    const { status, role, email, page = 1, limit = 20 } = req.query;
+    const now = new Date();
+
+    const query = {};
+    if (role) query.role = role;
+    if (email) query.email = { $regex: email, $options: 'i' };
+    if (status === 'pending') {
+      Object.assign(query, { usedAt: null, revokedAt: null, expiresAt: { $gt: now } });
+    } else if (status === 'used') {
+      query.usedAt = { $ne: null };
+    } else if (status === 'revoked') {
+      query.revokedAt = { $ne: null };
+    } else if (status === 'expired') {
+      Object.assign(query, { usedAt: null, revokedAt: null, expiresAt: { $lte: now } });
+    }
+
+    const invites = await Invite.find(query)
+      .populate('createdBy', 'name email')
+      .populate('usedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Invite.countDocuments(query);
+
+    res.json({
+      invites,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching invites:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Resend an invite with a new link (the old link stops working)
+// @route   POST /api/admin/invites/:id/resend
+// @access  Private (Admin)
+const resendInvite = async (req, res) => {
+  try {
+    const invite = await Invite.findById(req.params.id);
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+    if (invite.usedAt || invite.revokedAt) {
+      return res.status(400).json({ message: `Invite is already ${invite.status}` });
+    }
+
+    // Resending restarts the expiry window
+    const ttlDays = parseInt(req.body.expiresInDays, 10) || INVITE_TTL_DAYS;
+    invite.expiresAt = new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000);
+
+    try {
+      await sendInviteEmail(invite, req.user.name);
+    } catch (mailError) {
+      console.error('Error resending invite email:', mailError.message);
+      return res.status(502).json({ message: 'Invite email could not be sent', error: mailError.message });
+    }
+
+    res.json({
+      message: 'Invite resent successfully',
+      invite
+    });
+  } catch (error) {
+    console.error('Error resending invite:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke an unused invite
+// @route   PUT /api/admin/invites/:id/revoke
+// @access  Private (Admin)
+const revokeInvite = async (req, res) => {
+  try {
+    const invite = await Invite.findById(req.params.id);
+    if (!invite) {
+      return res.status(404).json({ message: 'Invite not found' });
+    }
+    if (invite.usedAt || invite.revokedAt) {
+      return res.status(400).json({ message: `Invite is already ${invite.status}` });
+    }
+
+    invite.revokedAt = new Date();
+    invite.revokedBy = req.user._id;
+    await invite.save();
+
+    res.json({
+      message: 'Invite revoked successfully',
+      invite
+    });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List accounts and IPs currently locked by login throttling
+// @route   GET /api/admin/locked-accounts
+// @access  Private (Admin)
+const getLockedAccounts = async (req, res) => {
+  try {
+    const { type, includeThrottled } = req.query;
+    const now = new Date();
+
+    // By default only active lockouts; includeThrottled=true also lists counters with failures
+    const query = includeThrottled === 'true'
+      ? { $or: [{ lockedUntil: { $gt: now } }, { failedCount: { $gt: 0 } }] }
+      : { lockedUntil: { $gt: now } };
+    if (type) query.type = type;
+
+    const counters = await LoginThrottle.find(query)
+      .sort({ lockedUntil: -1, lastFailedAt: -1 })
+      .lean();
+
+    // Attach user details to email lockouts
+    const emails = counters.filter(c => c.type === 'email').map(c => c.key);
+    const users = await userService.find({ email: { $in: emails } })
+      .select('_id author_id name email role isActive')
+      .lean();
+    const usersByEmail = new Map(users.map(u => [u.email.toLowerCase(), u]));
+
+    res.json({
+      lockedAccounts: counters.map(counter => ({
+        ...counter,
+        isLocked: Boolean(counter.lockedUntil && counter.lockedUntil > now),
+        user: counter.type === 'email' ? usersByEmail.get(counter.key) || null : null
+      })),
+      total: counters.length
+    });
+  } catch (error) {
+    console.error('Error fetching locked accounts:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Clear a login lockout and its failed-attempt counter
+// @route   PUT /api/admin/locked-accounts/:id/unlock
+// @access  Private (Admin)
+const unlockAccount = async (req, res) => {
+  try {
+    const counter = await LoginThrottle.findByIdAndDelete(req.params.id);
+    if (!counter) {
+      return res.status(404).json({ message: 'Lockout not found' });
+    }
+
+    res.json({
+      message: `Login lockout cleared for ${counter.type} ${counter.key}`,
+      unlocked: { type: counter.type, key: counter.key }
+    });
+  } catch (error) {
+    console.error('Error unlocking account:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get which roles must use two-factor authentication
+// @route   GET /api/admin/two-factor/policies
+// @access  Private (Admin)
+const getTwoFactorPolicySettings = async (req, res) => {
+  try {
+    clearTwoFactorPolicyCache();
+    const policies = await getTwoFactorPolicies();
+
+    // Enrollment numbers help decide when it is safe to enforce
+    const enrollment = await userService.aggregate([
+      { $match: { role: { $in: TWO_FACTOR_ROLES }, isActive: true } },
+      {
+        $group: {
+          _id: '$role',
+          total: { $sum: 1 },
+          enrolled: { $sum: { $cond: ['$twoFactorEnabled', 1, 0] } }
+        }
+      }
+    ]);
+
+    res.json({
+      policies: TWO_FACTOR_ROLES.map(role => {
+        const stats = enrollment.find(e => e._id === role);
+        return {
+          role,
+          required: policies[role],
+          activeUsers: stats ? stats.total : 0,
+          enrolledUsers: stats ? stats.enrolled : 0
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching two-factor policies:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Require or stop requiring two-factor authentication for a role
+// @route   PUT /api/admin/two-factor/policies/:role
+// @access  Private (Admin)
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { required } = req.body;
+
+    if (!TWO_FACTOR_ROLES.includes(role)) {
+      return res.status(400).json({
+        message: `Two-factor policy can only be set for: ${TWO_FACTOR_ROLES.join(', ')}`
+      });
+    }
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ message: 'required must be true or false' });
+    }
+
+    const policy = await TwoFactorPolicy.findOneAndUpdate(
+      { role },
+      { required, updatedBy: req.user._id },
+      { upsert: true, new: true }
+    );
+    clearTwoFactorPolicyCache();
+
+    res.json({
+      message: `Two-factor authentication is now ${required ? 'required' : 'optional'} for ${role}`,
+      policy
+    });
+  } catch (error) {
+    console.error('Error updating two-factor policy:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a user's two-factor enrollment (lost device)
+// @route   PUT /api/admin/users/:userId/two-factor/reset
+// @access  Private (Admin)
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await userService.findByIdAndUpdate(
+      userId,
+      {
+        twoFactorEnabled: false,
+        twoFactorEnabledAt: null,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorRecoveryCodes: [],
+        twoFactorLastUsedStep: null
+      },
+      { new: true, runValidators: false }
+    );
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await revokeUserSessions(user._id, 'two_factor_changed');
+
+    res.json({
+      message: 'Two-factor authentication reset. The user must enroll again at next login if their role requires it.',
+      user: {
+        id: user._id,
+        author_id: user.author_id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get the permission catalog and the current role mapping
+// @route   GET /api/admin/permissions
+// @access  Private (permissions:manage)
+const getPermissionSettings = async (req, res) => {
+  try {
+    clearPermissionCache();
+    const matrix = await getPermissionMatrix();
+    const customized = await RolePermission.find({}).select('role updatedBy updatedAt').populate('updatedBy', 'name email').lean();
+
+    res.json({
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      roles: ROLES.map(role => {
+        const override = customized.find(entry => entry.role === role);
+        return {
+          role,
+          permissions: matrix[role],
+          isDefault: !override,
+          updatedBy: override ? override.updatedBy : null,
+          updatedAt: override ? override.updatedAt : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching permissions:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Replace the permissions granted to a role
+// @route   PUT /api/admin/permissions/:role
+// @access  Private (permissions:manage)
+const updateRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Valid roles: ${ROLES.join(', ')}` });
+    }
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ message: 'permissions must be an array of permission names' });
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `Unknown permissions: ${unknown.join(', ')}` });
+    }
+
+    // Prevent admins from locking themselves out of user and permission management
+    if (role === 'admin') {
+      const missing = LOCKED_ADMIN_PERMISSIONS.filter(permission => !permissions.includes(permission));
+      if (missing.length > 0) {
+        return res.status(400).json({
+          message: `Admin role must keep: ${missing.join(', ')} to prevent system lockout`
+        });
+      }
+    }
+
+    const rolePermission = await RolePermission.findOneAndUpdate(
+      { role },
+      { permissions: [...new Set(permissions)], updatedBy: req.user._id },
+      { upsert: true, new: true }
+    );
+    clearPermissionCache();
+
+    res.json({
+      message: `Permissions updated for ${role}`,
+      role: rolePermission.role,
+      permissions: rolePermission.permissions
+    });
+  } catch (error) {
+    console.error('Error updating role permissions:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Restore the default permissions of a role
+// @route   DELETE /api/admin/permissions/:role
+// @access  Private (permissions:manage)
+const resetRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Invalid role. Valid roles: ${ROLES.join(', ')}` });
+    }
+
+    await RolePermission.deleteOne({ role });
+    clearPermissionCache();
+
+    res.json({
+      message: `Permissions for ${role} restored to defaults`,
+      role,
+      permissions: DEFAULT_ROLE_PERMISSIONS[role]
+    });
+  } catch (error) {
+    console.error('Error resetting role permissions:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create an API key for a machine client (the key is only returned once)
+// @route   POST /api/admin/api-keys
+// @access  Private (Admin)
+const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ message: 'Name and at least one scope are required' });
+    }
+    const invalid = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalid.length) {
+      return res.status(400).json({
+        message: `Invalid scopes: ${invalid.join(', ')}. Valid scopes: ${API_KEY_SCOPES.join(', ')}`
+      });
+    }
+
+    // expiresInDays: 0 creates a key that never expires
+    const ttlDays = expiresInDays === 0 ? 0 : (parseInt(expiresInDays, 10) || API_KEY_TTL_DAYS);
+    const rawKey = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+    const apiKey = await ApiKey.create({
+      name: name.toString().trim(),
+      prefix: rawKey.slice(0, API_KEY_PREFIX.length + 8),
+      keyHash: hashToken(rawKey),
+      scopes: [...new Set(scopes)],
+      expiresAt: ttlDays ? new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000) : null,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again.',
+      key: rawKey,
+      apiKey
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List API keys
+// @route   GET /api/admin/api-keys
+// @access  Private (Admin)
+const getApiKeys = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const now = new Date();
+
+    const query = {};
+    if (status === 'active') {
+      Object.assign(query, { revokedAt: null, $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] });
+    } else if (status === 'revoked') {
+      query.revokedAt = { $ne: null };
+    } else if (status === 'expired') {
+      Object.assign(query, { revokedAt: null, expiresAt: { $lte: now } });
+    }
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      apiKeys,
+      availableScopes: API_KEY_SCOPES,
+      total: apiKeys.length
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke an API key
+// @route   PUT /api/admin/api-keys/:id/revoke
+// @access  Private (Admin)
+const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    if (apiKey.revokedAt) {
+      return res.status(400).json({ message: 'API key is already revoked' });
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = req.user._id;
+    await apiKey.save();
+
+    res.json({
+      message: 'API key revoked successfully',
+      apiKey
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   createAdmin,
   promoteUser,
@@ -1292,6 +1862,7 @@ module.exports = {
   reactivateUser,
   getAllUsers,
   getUserRoleHistory,
+  getUserLoginHistory,
   getSystemStats,
   createTraineeAccount,
   getPendingUsers,
@@ -1299,5 +1870,20 @@ module.exports = {
   checkStatus,
   getDeactivatedUsers,
   getDeactivatedUserDetails,
-  reinstateUser
+  reinstateUser,
+  createInvite,
+  getInvites,
+  resendInvite,
+  revokeInvite,
+  getLockedAccounts,
+  unlockAccount,
+  getTwoFactorPolicySettings,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor,
+  getPermissionSettings,
+  updateRolePermissions,
+  resetRolePermissions,
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
 };
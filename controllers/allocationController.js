@@ -1,7 +1,8 @@
 const Allocation = require('../models/Allocation');
-const User = require('../models/User');
 const Campus = require('../models/Campus');
 const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/auditLog');
+const userService = require('../services/userService');
 
 // @desc    Create a new campus allocation
 // @route   POST /api/allocation
@@ -16,7 +17,7 @@ const createAllocation = async (req, res) => {
     if (mongoose.Types.ObjectId.isValid(traineeId)) {
       traineeOrs.push({ _id: traineeId });
     }
-    const trainee = await User.findOne({ $or: traineeOrs, role: 'trainee' });
+    const trainee = await userService.findOne({ $or: traineeOrs, role: 'trainee' });
 
     if (!trainee) {
       return res.status(400).json({
@@ -62,6 +63,14 @@ const createAllocation = async (req, res) => {
       notes,
       allocatedBy
     });
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'allocation',
+      entityId: allocation._id,
+      entityLabel: `${trainee.name} - ${campus.name}`,
+      after: allocation
+    });
     
     res.status(201).json({
       success: true,
@@ -98,7 +107,7 @@ const getAllocations = async (req, res) => {
     // Security check: If user is a trainee, they can only view their own allocations
     if (userRole === 'trainee') {
       // Get the trainee's author_id to match with stored allocations
-      const trainee = await User.findById(userId).select('author_id');
+      const trainee = await userService.findById(userId).select('author_id');
       const authorId = trainee?.author_id;
       
       // Query for both the trainee's _id and author_id to match any stored allocations
@@ -139,7 +148,7 @@ const getAllocations = async (req, res) => {
         traineeLookupOrs.push({ _id: allocation.traineeId });
       }
       traineeLookupOrs.push({ author_id: allocation.traineeId });
-      const trainee = await User.findOne({ $or: traineeLookupOrs }).select('name email employeeId department');
+      const trainee = await userService.findOne({ $or: traineeLookupOrs }).select('name email employeeId department');
       return {
         ...allocation.toObject(),
         traineeName: trainee?.name || 'Unknown',
@@ -186,7 +195,7 @@ const getAllocationById = async (req, res) => {
     }
 
     // Get trainee details
-    const trainee = await User.findById(allocation.traineeId).select('name email employeeId department');
+    const trainee = await userService.findById(allocation.traineeId).select('name email employeeId department');
     const allocationWithTrainee = {
       ...allocation.toObject(),
       traineeName: trainee?.name || 'Unknown',
@@ -241,6 +250,15 @@ const updateAllocation = async (req, res) => {
     ).populate('allocatedBy', 'name email')
      .populate('updatedBy', 'name email');
 
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'allocation',
+      entityId: allocation._id,
+      entityLabel: `${allocation.traineeId} - ${allocation.campusName}`,
+      before: allocation,
+      after: updatedAllocation
+    });
+
     res.json({
       success: true,
       message: 'Allocation updated successfully',
@@ -271,11 +289,19 @@ const deleteAllocation = async (req, res) => {
       });
     }
 
-    await Allocation.findByIdAndDelete(req.params.id);
+    await allocation.softDelete(req.user._id);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'allocation',
+      entityId: allocation._id,
+      entityLabel: `${allocation.traineeId} - ${allocation.campusName}`,
+      before: allocation
+    });
 
     res.json({
       success: true,
-      message: 'Allocation deleted successfully'
+      message: 'Allocation moved to trash'
     });
 
   } catch (error) {
@@ -294,7 +320,7 @@ const deleteAllocation = async (req, res) => {
 const debugAllocations = async (req, res) => {
   try {
     const allAllocations = await Allocation.find({}).limit(10);
-    const traineeCount = await User.countDocuments({ role: 'trainee' });
+    const traineeCount = await userService.countDocuments({ role: 'trainee' });
     const campusCount = await Campus.countDocuments({});
     
     res.json({
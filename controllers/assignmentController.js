@@ -1,22 +1,31 @@
 const Assignment = require("../models/Assignment");
-const User = require("../models/User");
-const Notification = require("../models/Notification");
-
-// @desc    Assign trainees to trainer
+const AssignmentMembership = require("../models/AssignmentMembership");
+const userService = require("../services/userService");
+const assignmentService = require("../services/assignmentService");
+const Campus = require("../models/Campus");
+const { resolveTrack } = require("../utils/referenceData");
+const { recordAudit } = require("../utils/auditLog");
+const { createPreview, findPreviewForCommit, claimPreview } = require("../utils/bulkPreview");
+const {
+  TRAINER_DEFAULT_CAPACITY,
+  getTrainerCapacities,
+  planAutoAssignment
+} = require("../utils/trainerCapacity");
+
+// @desc    Assign trainees to trainer. Going over the trainer's capacity needs overrideCapacity.
 // @route   POST /api/assignments
 // @access  Private (Master Trainer, BOA)
 const createAssignment = async (req, res) => {
   try {
-    const assignedById = req.user.id;
-    const { trainerId, traineeIds, effectiveDate, notes, instructions } = req.body;
+    const { trainerId, traineeIds, effectiveDate, notes, instructions, overrideCapacity } = req.body;
     // Validate trainer exists and is a trainer
-    const trainer = await User.findOne({ author_id: trainerId });
+    const trainer = await userService.findOne({ author_id: trainerId });
     if (!trainer || trainer.role !== "trainer") {
       return res.status(400).json({ message: "Invalid trainer" });
     }
 
     // Validate trainees exist and are trainees
-    const trainees = await User.find({
+    const trainees = await userService.find({
       author_id: { $in: traineeIds },
       role: "trainee",
       isActive: true
@@ -25,100 +34,12 @@ const createAssignment = async (req, res) => {
       return res.status(400).json({ message: "Some trainees are invalid" });
     }
 
-    // Check if trainer already has active assignments
-    const existingAssignment = await Assignment.findOne({
-      trainer: trainerId,
-      status: "active"
-    });
-
-    let assignment;
-    let allTraineeIds = traineeIds;
-
-    if (existingAssignment) {
-      // Update existing assignment with new trainees
-      const currentTrainees = existingAssignment.trainees || [];
-      allTraineeIds = [...new Set([...currentTrainees, ...traineeIds])]; // Remove duplicates
-      
-      assignment = await Assignment.findByIdAndUpdate(
-        existingAssignment._id,
-        {
-          trainees: allTraineeIds,
-          totalTrainees: allTraineeIds.length,
-          activeTrainees: allTraineeIds.length,
-          updatedAt: new Date(),
-          updatedBy: assignedById
-        },
-        { new: true }
-      );
-    } else {
-      // Create new assignment
-      assignment = await Assignment.create({
-        masterTrainer: assignedById,
-        trainer: trainerId,
-        trainees: traineeIds,
-        assignmentDate: new Date(),
-        effectiveDate: new Date(effectiveDate),
-        totalTrainees: traineeIds.length,
-        activeTrainees: traineeIds.length,
-        notes: notes || "",
-        instructions: instructions || "",
-        createdBy: assignedById
-      });
+    const capacityError = await assignmentService.checkTrainerCapacity(trainer, traineeIds, overrideCapacity);
+    if (capacityError) {
+      return res.status(409).json(capacityError);
     }
 
-    // Get trainee ObjectIds for the trainer's assignedTrainees field
-    const traineeObjectsUser = await User.find({ author_id: { $in: allTraineeIds } }).select('_id');
-    const traineeObjectIds = traineeObjectsUser.map(t => t._id);
-    
-    // Update trainer's assigned trainees with ObjectIds (search in both models)
-    let trainerUpdateResult = await User.findOneAndUpdate({ author_id: trainerId }, {
-      assignedTrainees: traineeObjectIds
-    });
-
-    // Get trainer ObjectId for trainees' assignedTrainer field
-    let trainerObject = await User.findOne({ author_id: trainerId }).select('_id');
-    
-    if (!trainerObject) {
-      return res.status(400).json({ message: "Trainer not found in database" });
-    }
-    
-    // Update new trainees' assigned trainer (only the newly assigned ones) - update both models
-    const update = { assignedTrainer: trainerObject._id, status: 'active' };
-    await User.updateMany({ author_id: { $in: traineeIds } }, update);
-
-    // Send notification to trainer
-    const isUpdate = existingAssignment ? true : false;
-    await Notification.create({
-      recipientId: trainerObject._id.toString(),
-      recipientRole: 'trainer',
-      title: isUpdate ? "Trainee Assignment Updated" : "New Trainee Assignment",
-      message: isUpdate 
-        ? `Your assignment has been updated. You now have ${allTraineeIds.length} total trainees (${traineeIds.length} newly assigned)`
-        : `You have been assigned ${traineeIds.length} trainees`,
-      type: "assignment_created",
-      relatedEntityType: "assignment",
-      relatedEntityId: assignment._id.toString(),
-      priority: "high"
-    });
-
-    // Send notifications to trainees
-    for (const traineeId of traineeIds) {
-      // Find the trainee ObjectId
-      let traineeObject = await User.findOne({ author_id: traineeId }).select('_id');
-      
-      if (traineeObject) {
-        await Notification.create({
-          recipientId: traineeObject._id.toString(),
-          recipientRole: 'trainee',
-          title: "Trainer Assignment",
-          message: `You have been assigned to trainer: ${trainer.name}`,
-          type: "assignment_created",
-          relatedEntityType: "assignment",
-          relatedEntityId: assignment._id.toString(),
-          priority: "medium"
-        });
-      }
-    }
+    const { assignment, isUpdate, allTraineeIds } = await assignmentService.assignTrainees(req.user, trainer, traineeIds, { effectiveDate, notes, instructions });
 
     res.status(201).json({
       message: isUpdate ? "Assignment updated successfully" : "Assignment created successfully",
@@ -168,9 +89,9 @@ const getAssignments = async (req, res) => {
 
     // Manually populate user details using author_id
     const populatedAssignments = await Promise.all(assignments.map(async (assignment) => {
-      const trainer = await User.findOne({ author_id: assignment.trainer }).select('name email author_id');
-      const trainees = await User.find({ author_id: { $in: assignment.trainees } }).select('name email employeeId department author_id');
-      const createdBy = await User.findOne({ author_id: assignment.createdBy }).select('name email author_id');
+      const trainer = await userService.findOne({ author_id: assignment.trainer }).select('name email author_id');
+      const trainees = await userService.find({ author_id: { $in: assignment.trainees } }).select('name email employeeId department author_id');
+      const createdBy = await userService.findOne({ author_id: assignment.createdBy }).select('name email author_id');
       
       return {
         ...assignment.toObject(),
@@ -201,7 +122,7 @@ const getTrainerAssignment = async (req, res) => {
   try {
     const trainerId = req.user.id;
     // Get trainer with assigned trainees
-    const trainer = await User.findById(trainerId)
+    const trainer = await userService.findById(trainerId)
       .populate('assignedTrainees', 'name email employeeId department genre lastClockIn lastClockOut')
       .select('name email assignedTrainees');
     
@@ -239,7 +160,7 @@ const getTraineeAssignment = async (req, res) => {
     const traineeId = req.user.id;
     
     // Get trainee with assigned trainer
-    const trainee = await User.findById(traineeId)
+    const trainee = await userService.findById(traineeId)
       .populate('assignedTrainer', 'name email')
       .select('name email assignedTrainer');
     
@@ -288,19 +209,19 @@ const updateAssignment = async (req, res) => {
       const newTrainees = updateData.trainees;
 
       // Remove old assignments
-      await User.updateMany(
+      await userService.updateMany(
         { _id: { $in: oldTrainees } },
         { assignedTrainer: null }
       );
 
       // Add new assignments
-      await User.updateMany(
+      await userService.updateMany(
         { _id: { $in: newTrainees } },
         { assignedTrainer: assignment.trainer }
       );
 
       // Update trainer's assigned trainees
-      await User.findByIdAndUpdate(assignment.trainer, {
+      await userService.findByIdAndUpdate(assignment.trainer, {
         assignedTrainees: newTrainees
       });
 
@@ -384,15 +305,20 @@ const completeAssignment = async (req, res) => {
     assignment.modifiedAt = new Date();
 
     // Remove assignments from users
-    await User.updateMany(
+    await userService.updateMany(
       { _id: { $in: assignment.trainees } },
       { assignedTrainer: null }
     );
 
-    await User.findByIdAndUpdate(assignment.trainer, {
+    await userService.findByIdAndUpdate(assignment.trainer, {
       assignedTrainees: []
     });
 
+    await AssignmentMembership.updateMany(
+      { assignment: assignment._id, status: "active", endDate: null },
+      { $set: { endDate: assignment.endDate, endReason: "completed", status: "ended", endedBy: req.user._id } }
+    );
+
     await assignment.save();
 
     res.json({
@@ -405,20 +331,171 @@ const completeAssignment = async (req, res) => {
   }
 };
 
-// @desc    Get available trainers
+// @desc    Get trainers with room for more trainees
 // @route   GET /api/assignments/trainers/available
 // @access  Private (Master Trainer)
 const getAvailableTrainers = async (req, res) => {
   try {
-    const trainers = await User.find({
-      role: "trainer",
-      isActive: true,
-      assignedTrainees: { $size: 0 } // No active assignments
-    }).select('name email department');
+    const trainers = await getTrainerCapacities();
+
+    res.json(trainers.filter(trainer => trainer.remaining > 0));
+
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Get every active trainer's capacity, load and remaining room
+// @route   GET /api/assignments/trainers/capacity
+// @access  Private (Master Trainer)
+const getTrainerCapacity = async (req, res) => {
+  try {
+    const trainers = await getTrainerCapacities();
+
+    res.json({
+      defaultCapacity: TRAINER_DEFAULT_CAPACITY,
+      totals: {
+        capacity: trainers.reduce((sum, trainer) => sum + trainer.capacity, 0),
+        assigned: trainers.reduce((sum, trainer) => sum + trainer.assigned, 0),
+        remaining: trainers.reduce((sum, trainer) => sum + trainer.remaining, 0)
+      },
+      trainers
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Set a trainer's capacity (null for the default) and the tracks and campus
+//          auto-assignment matches them on
+// @route   PUT /api/assignments/trainers/:trainerId/capacity
+// @access  Private (Master Trainer)
+const updateTrainerCapacity = async (req, res) => {
+  try {
+    const { traineeCapacity, trainerTracks, trainerCampus } = req.body;
+    const trainer = await userService.findOne({ author_id: req.params.trainerId, role: "trainer" });
+    if (!trainer) {
+      return res.status(404).json({ message: "Trainer not found" });
+    }
+    const previous = {
+      traineeCapacity: trainer.traineeCapacity,
+      trainerTracks: [...(trainer.trainerTracks || [])],
+      trainerCampus: trainer.trainerCampus
+    };
+
+    if (traineeCapacity !== undefined) {
+      const capacity = traineeCapacity === null || traineeCapacity === "" ? null : Number(traineeCapacity);
+      if (capacity !== null && (!Number.isInteger(capacity) || capacity < 0)) {
+        return res.status(400).json({ message: "traineeCapacity must be a whole number of 0 or more, or null for the default" });
+      }
+      trainer.traineeCapacity = capacity;
+    }
+
+    if (trainerTracks !== undefined) {
+      const codes = [];
+      for (const value of Array.isArray(trainerTracks) ? trainerTracks : [trainerTracks].filter(Boolean)) {
+        const { code, error } = await resolveTrack(value);
+        if (error) {
+          return res.status(400).json({ message: error });
+        }
+        if (code && !codes.includes(code)) codes.push(code);
+      }
+      trainer.trainerTracks = codes;
+    }
+
+    if (trainerCampus !== undefined) {
+      if (trainerCampus) {
+        const campus = await Campus.findById(trainerCampus).catch(() => null);
+        if (!campus) {
+          return res.status(400).json({ message: "Campus not found" });
+        }
+        trainer.trainerCampus = campus._id;
+      } else {
+        trainer.trainerCampus = null;
+      }
+    }
+
+    await trainer.save();
+
+    await recordAudit(req, {
+      action: "update",
+      entityType: "user",
+      entityId: trainer._id,
+      entityLabel: trainer.email,
+      before: previous,
+      after: {
+        traineeCapacity: trainer.traineeCapacity,
+        trainerTracks: trainer.trainerTracks,
+        trainerCampus: trainer.trainerCampus
+      }
+    });
+
+    const [capacity] = await getTrainerCapacities({ _id: trainer._id });
+    res.json({ message: "Trainer capacity updated successfully", trainer: capacity });
+
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Distribute unassigned trainees across trainers by remaining capacity,
+//          department, track and campus. Always returns a preview first; send its
+//          previewToken to commit it.
+// @route   POST /api/assignments/auto-assign
+// @access  Private (Master Trainer)
+const autoAssignTrainees = async (req, res) => {
+  try {
+    const { preview, status, message } = await findPreviewForCommit(req, "assignments");
+    if (status) {
+      return res.status(status).json({ message });
+    }
 
-    res.json(trainers);
+    const payload = preview
+      ? preview.payload
+      : {
+          traineeIds: req.body.traineeIds,
+          trainerIds: req.body.trainerIds,
+          match: req.body.match,
+          effectiveDate: req.body.effectiveDate || new Date().toISOString(),
+          notes: req.body.notes,
+          instructions: req.body.instructions
+        };
+
+    const plan = await planAutoAssignment(payload);
+    if (plan.error) {
+      return res.status(400).json({ message: plan.error });
+    }
+
+    if (!preview) {
+      const previewBody = await createPreview(req, "assignments", payload, plan.rows);
+      return res.json({ ...previewBody, trainers: plan.trainers });
+    }
+
+    const claim = await claimPreview(req, preview, plan.rows);
+    if (!claim.ok) {
+      return res.status(claim.status).json({ ...claim.body, trainers: plan.trainers });
+    }
+
+    const assignments = [];
+    for (const { trainerId, traineeIds } of plan.groups) {
+      const trainer = await userService.findOne({ author_id: trainerId });
+      const { assignment, isUpdate } = await assignmentService.assignTrainees(req.user, trainer, traineeIds, payload);
+      assignments.push({ trainerId, trainerName: trainer.name, assignmentId: assignment._id, isUpdate, assigned: traineeIds });
+    }
+    const assigned = assignments.reduce((sum, entry) => sum + entry.assigned.length, 0);
+
+    res.status(201).json({
+      message: `Assigned ${assigned} trainee(s) to ${assignments.length} trainer(s)`,
+      assigned,
+      skipped: plan.rows.filter(row => row.action !== "create").length,
+      assignments,
+      rows: plan.rows,
+      trainers: plan.trainers
+    });
 
   } catch (error) {
+    console.error('Error auto-assigning trainees:', error);
     res.status(500).json({ message: "Server error", error: error.message });
   }
 };
@@ -428,14 +505,12 @@ const getAvailableTrainers = async (req, res) => {
 // @access  Private (Master Trainer)
 const getUnassignedTrainees = async (req, res) => {
   try {
-    // Fetch from both schemas to avoid missing records
-    const userTrainees = await User.find({
+    const userTrainees = await userService.find({
       role: "trainee",
       isActive: true,
       assignedTrainer: null
     }).select('name email employeeId department joiningDate author_id');
 
-    // Return trainees from users only
     res.json(userTrainees);
 
   } catch (error) {
@@ -443,6 +518,181 @@ const getUnassignedTrainees = async (req, res) => {
   }
 };
 
+// @desc    Transfer a trainee to another trainer from an effective date. Their day
+//          plans and demos awaiting review go to the new trainer. A future date
+//          schedules the transfer; it is carried out once the date comes.
+// @route   POST /api/assignments/transfer
+// @access  Private (Master Trainer)
+const transferTrainee = async (req, res) => {
+  try {
+    const { traineeId, toTrainerId, effectiveDate, reason, overrideCapacity } = req.body;
+    if (!traineeId || !toTrainerId) {
+      return res.status(400).json({ message: "traineeId and toTrainerId are required" });
+    }
+
+    const transfer = await assignmentService.validateTransfer(traineeId, toTrainerId);
+    if (transfer.error) {
+      return res.status(transfer.status).json({ message: transfer.error });
+    }
+    const { trainee, fromAssignment, fromName, toTrainer } = transfer;
+
+    const membership = await AssignmentMembership.findOne({ trainee: traineeId, assignment: fromAssignment._id, status: "active", endDate: null });
+    const startedAt = membership ? membership.startDate : fromAssignment.effectiveDate;
+
+    const effective = effectiveDate ? new Date(effectiveDate) : new Date();
+    if (isNaN(effective.getTime())) {
+      return res.status(400).json({ message: "Invalid effectiveDate" });
+    }
+    if (startedAt && effective < startedAt) {
+      return res.status(400).json({ message: `effectiveDate cannot be before the trainee joined ${fromName} on ${startedAt.toISOString().slice(0, 10)}` });
+    }
+
+    const scheduled = await AssignmentMembership.findOne({ trainee: traineeId, status: "scheduled" });
+    if (scheduled) {
+      return res.status(409).json({
+        message: `A transfer to ${scheduled.trainerName} is already scheduled for ${scheduled.startDate.toISOString().slice(0, 10)}; cancel it first`,
+        transferId: scheduled._id
+      });
+    }
+
+    const capacityError = await assignmentService.checkTrainerCapacity(toTrainer, [traineeId], overrideCapacity);
+    if (capacityError) {
+      return res.status(409).json(capacityError);
+    }
+
+    if (effective > new Date()) {
+      const pendingTransfer = await assignmentService.scheduleTransfer(req, {
+        ...transfer,
+        effectiveDate: effective,
+        reason,
+        overrideCapacity: overrideCapacity === true || overrideCapacity === "true",
+        actor: req.user
+      });
+      return res.status(201).json({
+        message: `${trainee.name} will be transferred from ${fromName} to ${toTrainer.name} on ${effective.toISOString().slice(0, 10)}`,
+        scheduled: true,
+        transferId: pendingTransfer._id,
+        effectiveDate: effective,
+        from: { trainerId: fromAssignment.trainer, name: fromName, assignmentId: fromAssignment._id },
+        to: { trainerId: toTrainerId, name: toTrainer.name }
+      });
+    }
+
+    const { assignment, moved } = await assignmentService.applyTransfer(req, { ...transfer, effectiveDate: effective, reason, actor: req.user });
+
+    res.json({
+      message: `${trainee.name} transferred from ${fromName} to ${toTrainer.name}`,
+      scheduled: false,
+      effectiveDate: effective,
+      from: { trainerId: fromAssignment.trainer, name: fromName, assignmentId: fromAssignment._id },
+      to: { trainerId: toTrainerId, name: toTrainer.name, assignmentId: assignment._id },
+      moved
+    });
+
+  } catch (error) {
+    console.error('Error transferring trainee:', error);
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Cancel a scheduled transfer before it takes effect
+// @route   DELETE /api/assignments/transfers/:id
+// @access  Private (Master Trainer)
+const cancelScheduledTransfer = async (req, res) => {
+  try {
+    const transfer = await AssignmentMembership.findOneAndUpdate(
+      { _id: req.params.id, status: "scheduled" },
+      { $set: { status: "cancelled", cancelReason: req.body.reason || "Cancelled", endedBy: req.user._id } },
+      { new: true }
+    );
+    if (!transfer) {
+      return res.status(404).json({ message: "Scheduled transfer not found" });
+    }
+
+    const trainee = await userService.findOne({ author_id: transfer.trainee }).select("email");
+    await recordAudit(req, {
+      action: "update",
+      entityType: "user",
+      entityId: trainee ? trainee._id : transfer.trainee,
+      entityLabel: trainee ? trainee.email : transfer.trainee,
+      metadata: { transfer: "cancelled", membershipId: transfer._id, to: transfer.trainer, reason: transfer.cancelReason }
+    });
+
+    res.json({ message: "Scheduled transfer cancelled", transfer });
+
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Assignment history of a trainee: every trainer they had and from when to when
+// @route   GET /api/assignments/trainees/:traineeId/timeline
+// @access  Private (Master Trainer)
+const getTraineeAssignmentTimeline = async (req, res) => {
+  try {
+    const trainee = await userService.findByIdOrAuthorId(req.params.traineeId).select("name email author_id role");
+    if (!trainee || trainee.role !== "trainee") {
+      return res.status(404).json({ message: "Trainee not found" });
+    }
+
+    const memberships = await AssignmentMembership.find({ trainee: trainee.author_id })
+      .populate("startedBy", "name email")
+      .populate("endedBy", "name email")
+      .lean();
+
+    // Assignments from before memberships were recorded
+    const recorded = memberships.map(membership => membership.assignment).filter(Boolean);
+    const legacy = await Assignment.find({ trainees: trainee.author_id, _id: { $nin: recorded } }).lean();
+    const legacyTrainers = await userService.find({ author_id: { $in: legacy.map(assignment => assignment.trainer) } })
+      .select("name author_id")
+      .lean();
+    const trainerNames = new Map(legacyTrainers.map(trainer => [trainer.author_id, trainer.name]));
+
+    const timeline = [
+      ...memberships.map(membership => ({
+        trainerId: membership.trainer,
+        trainerName: membership.trainerName,
+        assignmentId: membership.assignment,
+        startDate: membership.startDate,
+        endDate: membership.endDate,
+        status: membership.status,
+        current: membership.status === "active" && !membership.endDate,
+        startReason: membership.startReason,
+        endReason: membership.endReason,
+        reason: membership.reason,
+        cancelReason: membership.cancelReason,
+        movedItems: membership.movedItems,
+        startedBy: membership.startedBy,
+        endedBy: membership.endedBy
+      })),
+      ...legacy.map(assignment => ({
+        trainerId: assignment.trainer,
+        trainerName: trainerNames.get(assignment.trainer) || null,
+        assignmentId: assignment._id,
+        startDate: assignment.effectiveDate,
+        endDate: assignment.status === "active" ? null : assignment.endDate || assignment.modifiedAt || assignment.updatedAt,
+        status: assignment.status === "active" ? "active" : "ended",
+        current: assignment.status === "active",
+        startReason: "assigned",
+        endReason: assignment.status === "active" ? null : assignment.status,
+        reason: "",
+        movedItems: null,
+        startedBy: null,
+        endedBy: null
+      }))
+    ].sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+
+    res.json({
+      trainee: { _id: trainee._id, author_id: trainee.author_id, name: trainee.name, email: trainee.email },
+      currentTrainer: timeline.find(entry => entry.current) || null,
+      timeline
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
 // One-time sync: backfill users.assignedTrainer and trainer.assignedTrainees from Assignments
 const syncAssignmentsToUsers = async (req, res) => {
   try {
@@ -451,19 +701,19 @@ const syncAssignmentsToUsers = async (req, res) => {
     let updatedTrainers = 0;
 
     for (const a of active) {
-      const trainerDoc = await User.findOne({ author_id: a.trainer }).select('_id');
+      const trainerDoc = await userService.findOne({ author_id: a.trainer }).select('_id');
       if (!trainerDoc) continue;
-      const traineeDocs = await User.find({ author_id: { $in: a.trainees } }).select('_id');
+      const traineeDocs = await userService.find({ author_id: { $in: a.trainees } }).select('_id');
       const traineeIds = traineeDocs.map(t => t._id);
       if (traineeIds.length === 0) continue;
 
-      const updT = await User.updateMany(
+      const updT = await userService.updateMany(
         { _id: { $in: traineeIds } },
         { $set: { assignedTrainer: trainerDoc._id, status: 'active' } }
       );
       updatedTrainees += updT.modifiedCount || 0;
 
-      const updR = await User.updateOne(
+      const updR = await userService.updateOne(
         { _id: trainerDoc._id },
         { $addToSet: { assignedTrainees: { $each: traineeIds } } }
       );
@@ -485,6 +735,12 @@ module.exports = {
   acknowledgeAssignment,
   completeAssignment,
   getAvailableTrainers,
+  getTrainerCapacity,
+  updateTrainerCapacity,
+  autoAssignTrainees,
   getUnassignedTrainees,
+  transferTrainee,
+  cancelScheduledTransfer,
+  getTraineeAssignmentTimeline,
   syncAssignmentsToUsers
 };
@@ -1,6 +1,6 @@
 const Attendance = require("../models/Attendance");
-const User = require("../models/User");
 const Notification = require("../models/Notification");
+const userService = require("../services/userService");
 
 // @desc    Clock in user
 // @route   POST /api/attendance/clock-in
@@ -45,7 +45,7 @@ const clockIn = async (req, res) => {
     }
 
     // Update user's last clock in time
-    await User.findByIdAndUpdate(userId, { lastClockIn: clockInTime });
+    await userService.findByIdAndUpdate(userId, { lastClockIn: clockInTime });
 
     res.json({
       message: `Clocked in at ${clockInTime.toLocaleTimeString()}`,
@@ -111,7 +111,7 @@ const clockOut = async (req, res) => {
     await attendance.save();
 
     // Update user's last clock out time
-    await User.findByIdAndUpdate(userId, { lastClockOut: clockOutTime });
+    await userService.findByIdAndUpdate(userId, { lastClockOut: clockOutTime });
 
     res.json({
       message: `Clocked out at ${clockOutTime.toLocaleTimeString()}`,
@@ -213,7 +213,7 @@ const getTraineeAttendance = async (req, res) => {
     const { date, traineeId } = req.query;
 
     // Get trainer's assigned trainees
-    const trainer = await User.findById(trainerId).populate('assignedTrainees');
+    const trainer = await userService.findById(trainerId).populate('assignedTrainees');
     if (!trainer) {
       return res.status(404).json({ message: "Trainer not found" });
     }
@@ -258,7 +258,7 @@ const validateAttendance = async (req, res) => {
     }
 
     // Check if trainer has access to this trainee
-    const trainer = await User.findById(trainerId);
+    const trainer = await userService.findById(trainerId);
     const hasAccess = trainer.assignedTrainees.includes(attendance.user);
     
     if (!hasAccess) {
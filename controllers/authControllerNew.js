@@ -1,22 +1,82 @@
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
-const UserNew = require("../models/UserNew");
 const Joiner = require("../models/Joiner");
+const PasswordResetToken = require("../models/PasswordResetToken");
+const Invite = require("../models/Invite");
 const crypto = require("crypto");
 const { autoSyncToGoogleSheets } = require("../utils/autoSyncGoogleSheets");
+const {
+  REFRESH_COOKIE_NAME,
+  hashToken,
+  generateAccessToken,
+  generateTwoFactorToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  setRefreshCookie,
+  clearRefreshCookie
+} = require("../utils/sessionTokens");
+const { sendMail, buildFrontendUrl } = require("../utils/mailer");
+const { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } = require("../utils/loginThrottle");
+const { verifyTotp } = require("../utils/totp");
+const { isTwoFactorRequired } = require("../utils/twoFactorPolicy");
+const { getRolePermissions } = require("../utils/rolePermissions");
+const { recordLogin } = require("../utils/loginHistory");
+const { recordAudit } = require("../utils/auditLog");
+const { resolveChangedReference, DEPARTMENT_FALLBACK, TRACK_FALLBACK } = require("../utils/referenceData");
+const userService = require('../services/userService');
+const onboardingService = require('../services/onboardingService');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+
+// Rule every new password follows, whether chosen at registration, on a reset or on a change.
+// Returns the problem, or null when the password is acceptable.
+const checkPasswordStrength = (password) => {
+  const value = (password || "").toString();
+  if (value.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long`;
+  }
+  if (!/[A-Za-z]/.test(value) || !/[0-9]/.test(value)) {
+    return "Password must contain at least one letter and one number";
+  }
+  return null;
+};
+const LOGIN_USER_FIELDS = '_id author_id name email password role profileImageUrl isActive passwordChanged tempPassword joinerId twoFactorEnabled';
+
+// Start a session for an authenticated user and build the login response body
+const buildLoginResponse = async (user, req, res, method = 'password') => {
+  const { session, accessToken, refreshToken } = await createSession(user._id, req);
+  setRefreshCookie(res, refreshToken);
+  await recordLogin({ user, success: true, method, sessionId: session._id, req });
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
-  });
+  // A joiner signing in completes the first sign-in onboarding step
+  if (user.joinerId) {
+    await onboardingService.handleEvent('account_activated', { joinerIds: [user.joinerId] }, user);
+  }
+
+  return {
+    _id: user._id,
+    author_id: user.author_id || user._id.toString(),
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    profileImageUrl: user.profileImageUrl,
+    passwordChanged: user.passwordChanged !== undefined ? user.passwordChanged : false,
+    tempPassword: user.tempPassword || null,
+    twoFactorEnabled: user.twoFactorEnabled === true,
+    twoFactorSetupRequired: !user.twoFactorEnabled && await isTwoFactorRequired(user.role),
+    token: accessToken,
+    refreshToken,
+  };
 };
 
 // Register User
 const registerUser = async (req, res) => {
   try {
     const {
-      name, email, password, profileImageUrl, adminInviteToken
+      name, email, password, profileImageUrl, inviteToken, adminInviteToken
     } = req.body;
 
     // Validate required fields
@@ -26,33 +86,42 @@ const registerUser = async (req, res) => {
       });
     }
 
+    const passwordError = checkPasswordStrength(password);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
     // Check if user already exists
-    const userExists = await UserNew.findOne({ email });
+    const userExists = await userService.findOne({ email });
     if (userExists) {
       return res.status(400).json({ message: "User already exists" });
     }
 
-    // Determine user role based on invite token
+    // Determine user role from a single-use invite; self-registration is trainee only
     let role = "trainee"; // Default role
-    const cleanedToken = (adminInviteToken || "").toString().trim();
+    let invite = null;
+    const cleanedToken = (inviteToken || adminInviteToken || "").toString().trim();
     
     if (cleanedToken) {
-      // Check if admin token matches
-      if (process.env.ADMIN_INVITE_TOKEN && cleanedToken === process.env.ADMIN_INVITE_TOKEN.trim()) {
-        role = "admin";
-        } else if (process.env.MASTER_TRAINER_INVITE_TOKEN && cleanedToken === process.env.MASTER_TRAINER_INVITE_TOKEN.trim()) {
-        role = "master_trainer";
-        } else if (process.env.TRAINER_INVITE_TOKEN && cleanedToken === process.env.TRAINER_INVITE_TOKEN.trim()) {
-        role = "trainer";
-        } else if (process.env.TRAINEE_INVITE_TOKEN && cleanedToken === process.env.TRAINEE_INVITE_TOKEN.trim()) {
-        role = "trainee";
-        } else if (process.env.BOA_INVITE_TOKEN && cleanedToken === process.env.BOA_INVITE_TOKEN.trim()) {
-        role = "boa";
-        } else {
+      // Consume the invite atomically so it cannot be used twice
+      invite = await Invite.findOneAndUpdate(
+        {
+          tokenHash: hashToken(cleanedToken),
+          email: email.toString().trim().toLowerCase(),
+          usedAt: null,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() }
+        },
+        { usedAt: new Date() },
+        { new: true }
+      );
+
+      if (!invite) {
         return res.status(400).json({ 
-          message: "Invalid invite code. Please check your invite code and try again." 
+          message: "Invalid or expired invite. Please check your invite link or ask an administrator for a new one." 
         });
       }
+      role = invite.role;
     }
 
     // Hash password
@@ -60,14 +129,40 @@ const registerUser = async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, salt);
 
     // Create new user with minimal data
-    const user = await UserNew.create({
-      name,
-      email,
-      password: hashedPassword,
-      profileImageUrl,
-      role,
-      accountCreatedAt: new Date(),
-      createdBy: req.user ? req.user._id : null
+    let user;
+    try {
+      user = await userService.create({
+        name,
+        email,
+        password: hashedPassword,
+        profileImageUrl,
+        role,
+        accountCreatedAt: new Date(),
+        createdBy: req.user ? req.user._id : null,
+        invitedBy: invite ? invite.createdBy : null
+      });
+    } catch (createError) {
+      // The account was not created, so the invite can still be used
+      if (invite) {
+        await Invite.updateOne({ _id: invite._id, usedBy: null }, { $set: { usedAt: null } })
+          .catch(releaseError => console.error('Error releasing invite after failed registration:', releaseError.message));
+      }
+      throw createError;
+    }
+
+    if (invite) {
+      invite.usedBy = user._id;
+      await invite.save();
+    }
+
+    await recordAudit(req, {
+      actor: user,
+      action: 'register',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: user.email,
+      after: user,
+      metadata: { inviteId: invite ? invite._id : null }
     });
 
     // For trainees, create a joiner record
@@ -79,11 +174,11 @@ const registerUser = async (req, res) => {
         candidate_personal_mail_id: email,
         phone: null, // Will be updated later
         phone_number: null,
-        department: 'OTHERS', // Default department
+        department: DEPARTMENT_FALLBACK, // Default department
         top_department_name_as_per_darwinbox: null,
         department_name_as_per_darwinbox: null,
         role: role,
-        role_assign: 'OTHER',
+        role_assign: TRACK_FALLBACK,
         qualification: null,
         employeeId: null,
         genre: null,
@@ -109,6 +204,10 @@ const registerUser = async (req, res) => {
       user.joinerId = joiner._id;
       await user.save();
 
+      // Self-registered trainees chose their own credentials
+      await onboardingService.startOnboardingBatch([joiner]);
+      await onboardingService.handleEvent('account_created', { joinerIds: [joiner._id] }, user);
+
       // Automatically sync joiners to Google Sheets (non-blocking)
       autoSyncToGoogleSheets('joiners');
     }
@@ -116,7 +215,11 @@ const registerUser = async (req, res) => {
     // Automatically sync users to Google Sheets (non-blocking)
     autoSyncToGoogleSheets('users');
 
-    // Return user data with JWT
+    // Return user data with a fresh session
+    const { session, accessToken, refreshToken } = await createSession(user._id, req);
+    setRefreshCookie(res, refreshToken);
+    await recordLogin({ user, success: true, method: 'registration', sessionId: session._id, req });
+
     const responseData = {
       _id: user._id,
       author_id: user.author_id,
@@ -124,7 +227,8 @@ const registerUser = async (req, res) => {
       email: user.email,
       role: user.role,
       profileImageUrl: user.profileImageUrl,
-      token: generateToken(user._id),
+      token: accessToken,
+      refreshToken,
     };
 
     res.status(201).json(responseData);
@@ -141,56 +245,74 @@ const loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    // Check if user exists in UserNew model first
-    // Use lean() for faster queries and select only needed fields
-    let user = await UserNew.findOne({ email })
-      .select('_id author_id name email password role profileImageUrl isActive passwordChanged tempPassword joinerId')
-      .lean();
-    let userModel = 'UserNew';
-    
-    // If not found in UserNew, check old User model
-    if (!user) {
-      const User = require('../models/User');
-      user = await User.findOne({ email })
-        .select('_id author_id name email password role profileImageUrl isActive passwordChanged tempPassword')
-        .lean();
-      userModel = 'User';
+    if (!email || !password) {
+      return res.status(400).json({ message: "Email and password are required" });
     }
-    
-    if (!user) {
-      return res.status(401).json({ message: "Invalid email or password" });
+
+    // Refuse attempts while the email or IP is locked or cooling down
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      await recordLogin({ email, success: false, failureReason: 'locked', req });
+      res.set('Retry-After', String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        message: throttle.lockedUntil
+          ? "Too many failed login attempts. Account is temporarily locked."
+          : "Too many failed login attempts. Please wait before trying again.",
+        reason: throttle.reason,
+        lockedUntil: throttle.lockedUntil,
+        retryAfterSeconds: throttle.retryAfterSeconds
+      });
     }
 
+    // Use lean() for faster queries and select only needed fields
+    const user = await userService.findOne({ email })
+      .select(LOGIN_USER_FIELDS)
+      .lean();
+    
     // Check password (user is now a plain object from lean(), so access directly)
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const isPasswordValid = user ? await bcrypt.compare(password, user.password) : false;
     if (!isPasswordValid) {
-      return res.status(401).json({ message: "Invalid email or password" });
+      const failure = await recordLoginFailure(email, req.ip);
+      await recordLogin({ user, email, success: false, failureReason: 'invalid_credentials', req });
+      if (failure.lockedUntil) {
+        return res.status(429).json({
+          message: "Too many failed login attempts. Account is temporarily locked.",
+          lockedUntil: failure.lockedUntil
+        });
+      }
+      return res.status(401).json({
+        message: "Invalid email or password",
+        remainingAttempts: failure.remainingAttempts
+      });
     }
 
     // Check if user account is active
     if (user.isActive === false) {
+      await recordLogin({ user, email, success: false, failureReason: 'deactivated', req });
       return res.status(403).json({ 
         message: "Account is deactivated. Please contact administrator for assistance." 
       });
     }
 
-    // Return user data with JWT immediately - don't wait for joiner data
+    // Enrolled users must still present a TOTP or recovery code; the
+    // failure counter is only cleared once the second factor succeeds
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        twoFactorToken: generateTwoFactorToken(user._id),
+        message: "Enter the code from your authenticator app to finish signing in"
+      });
+    }
+
+    await recordLoginSuccess(email);
+
+    // Return user data with a new session immediately - don't wait for joiner data
     // Joiner data can be fetched later if needed (lazy loading)
-    const responseData = {
-      _id: user._id,
-      author_id: user.author_id || user._id.toString(), // Fallback for old User model
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      profileImageUrl: user.profileImageUrl,
-      passwordChanged: user.passwordChanged !== undefined ? user.passwordChanged : false,
-      tempPassword: user.tempPassword || null,
-      token: generateToken(user._id),
-    };
+    const responseData = await buildLoginResponse(user, req, res);
 
     // Optionally fetch joiner data in the background (non-blocking)
     // Only fetch if joinerId exists and user is a trainee (where joiner data is most needed)
-    if (userModel === 'UserNew' && user.joinerId && user.role === 'trainee') {
+    if (user.joinerId && user.role === 'trainee') {
       // Fetch joiner data asynchronously without blocking the response
       // This will be available in subsequent profile requests
       setImmediate(async () => {
@@ -215,47 +337,123 @@ const loginUser = async (req, res) => {
   }
 };
 
+// @desc    Second login step for users with two-factor authentication
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires the twoFactorToken from /login)
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+    if (!twoFactorToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: "twoFactorToken and a code or recoveryCode are required" });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ message: "Sign-in step expired, please log in again" });
+    }
+    if (decoded.purpose !== "2fa_login") {
+      return res.status(401).json({ message: "Invalid two-factor token" });
+    }
+
+    const user = await userService.findById(decoded.id)
+      .select(`${LOGIN_USER_FIELDS} +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep`)
+      .lean();
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ message: "Invalid two-factor token" });
+    }
+    if (user.isActive === false) {
+      return res.status(403).json({ 
+        message: "Account is deactivated. Please contact administrator for assistance." 
+      });
+    }
+
+    // Codes are guessable, so they share the login throttle
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      await recordLogin({ user, success: false, method: 'two_factor', failureReason: 'locked', req });
+      res.set('Retry-After', String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        message: "Too many failed attempts. Please wait before trying again.",
+        lockedUntil: throttle.lockedUntil,
+        retryAfterSeconds: throttle.retryAfterSeconds
+      });
+    }
+
+    let verified = false;
+    let usedRecoveryCode = false;
+    if (code) {
+      const step = verifyTotp(user.twoFactorSecret, code);
+      if (step !== null && (user.twoFactorLastUsedStep === null || step > user.twoFactorLastUsedStep)) {
+        // Conditional update so the same code cannot be accepted twice concurrently
+        const updated = await userService.updateOne(
+          { _id: user._id, $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }] },
+          { twoFactorLastUsedStep: step }
+        );
+        verified = updated.modifiedCount === 1;
+      }
+    } else {
+      const codeHash = hashToken(recoveryCode.toString().trim().toLowerCase());
+      const updated = await userService.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: codeHash },
+        { $pull: { twoFactorRecoveryCodes: codeHash } }
+      );
+      verified = updated.modifiedCount === 1;
+      usedRecoveryCode = verified;
+    }
+
+    if (!verified) {
+      await recordLoginFailure(user.email, req.ip);
+      await recordLogin({ user, success: false, method: 'two_factor', failureReason: 'invalid_two_factor', req });
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    await recordLoginSuccess(user.email);
+
+    const responseData = await buildLoginResponse(user, req, res, 'two_factor');
+    if (usedRecoveryCode) {
+      responseData.remainingRecoveryCodes = user.twoFactorRecoveryCodes.length - 1;
+    }
+
+    res.status(200).json(responseData);
+  } catch (error) {
+    res.status(500).json({ 
+      message: "Server error during two-factor verification",
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // Get User Profile
 const getUserProfile = async (req, res) => {
   try {
-    // Try UserNew model first
-    let user = await UserNew.findById(req.user._id);
-    let userModel = 'UserNew';
-    
-    // If not found, try old User model
-    if (!user) {
-      const User = require('../models/User');
-      user = await User.findById(req.user._id);
-      userModel = 'User';
-    }
-    
+    const user = await userService.findById(req.user._id);
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
     // Get joiner data if available
     let joiner = null;
-    if (userModel === 'UserNew') {
-      try {
-        // First try to find by joinerId
-        if (user.joinerId) {
-          joiner = await Joiner.findById(user.joinerId);
-        }
-        
-        // If not found by joinerId, try to find by email or userId
-        if (!joiner && user.email) {
-          joiner = await Joiner.findOne({
-            $or: [
-              { email: user.email },
-              { candidate_personal_mail_id: user.email },
-              { userId: user._id }
-            ]
-          });
-        }
-        
-      } catch (err) {
-        // Error fetching joiner - continue
+    try {
+      // First try to find by joinerId
+      if (user.joinerId) {
+        joiner = await Joiner.findById(user.joinerId);
+      }
+      
+      // If not found by joinerId, try to find by email or userId
+      if (!joiner && user.email) {
+        joiner = await Joiner.findOne({
+          $or: [
+            { email: user.email },
+            { candidate_personal_mail_id: user.email },
+            { userId: user._id }
+          ]
+        });
       }
+      
+    } catch (err) {
+      // Error fetching joiner - continue
     }
 
     // Safe field access with fallbacks - include all profile fields
@@ -273,22 +471,25 @@ const getUserProfile = async (req, res) => {
       accountCreatedAt: user.accountCreatedAt || user.createdAt || new Date(),
       createdAt: user.createdAt || new Date(),
       passwordChanged: user.passwordChanged !== undefined ? user.passwordChanged : false,
-      tempPassword: user.tempPassword || null,
+      // Never reveal the temporary password to an admin viewing as this user
+      tempPassword: req.impersonation ? null : (user.tempPassword || null),
       // Profile fields
-      phone: user.phone || user.phone_number || joiner?.phone || joiner?.phone_number || '',
-      phone_number: user.phone_number || user.phone || joiner?.phone_number || joiner?.phone || '',
+      phone: user.phone || joiner?.phone || joiner?.phone_number || '',
+      phone_number: user.phone || joiner?.phone_number || joiner?.phone || '',
       department: user.department || joiner?.department || '',
       employeeId: joiner?.employeeId || user.employeeId || '', // Prioritize joiner's employeeId
       qualification: user.qualification || joiner?.qualification || '',
       specialization: user.specialization || joiner?.specialization || '',
       state: user.state || joiner?.state || '',
       genre: user.genre || joiner?.genre || '',
-      joiningDate: user.joiningDate || user.date_of_joining || joiner?.joiningDate || joiner?.date_of_joining || null,
-      date_of_joining: user.date_of_joining || user.joiningDate || joiner?.date_of_joining || joiner?.joiningDate || null,
+      joiningDate: user.joiningDate || joiner?.joiningDate || joiner?.date_of_joining || null,
+      date_of_joining: user.joiningDate || joiner?.date_of_joining || joiner?.joiningDate || null,
       haveMTechPC: user.haveMTechPC || joiner?.haveMTechPC || '',
       haveMTechOD: user.haveMTechOD || joiner?.haveMTechOD || '',
       yearOfPassout: user.yearOfPassout || joiner?.yearOfPassout || '',
-      status: user.status || joiner?.status || 'active'
+      status: user.status || joiner?.status || 'active',
+      // Lets the frontend show the "viewing as" banner
+      impersonation: req.impersonation || null
     };
 
     res.status(200).json(responseData);
@@ -300,25 +501,56 @@ const getUserProfile = async (req, res) => {
   }
 };
 
+// @desc    Get the effective permissions of the current user
+// @route   GET /api/auth/permissions
+// @access  Private
+const getMyPermissions = async (req, res) => {
+  try {
+    const permissions = await getRolePermissions(req.user.role);
+    res.status(200).json({
+      role: req.user.role,
+      permissions
+    });
+  } catch (error) {
+    res.status(500).json({ 
+      message: "Server error getting permissions",
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // Update User Role (for promotions/demotions)
 const updateUserRole = async (req, res) => {
   try {
     const { userId, newRole } = req.body;
     
-    const user = await UserNew.findById(userId);
+    const user = await userService.findById(userId);
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
     // Update role
+    const originalRole = user.role;
     user.role = newRole;
     await user.save();
 
+    await recordAudit(req, {
+      action: 'role_change',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: user.email,
+      before: { role: originalRole },
+      after: { role: newRole }
+    });
+
     // If user has joiner data, update it too
     if (user.joinerId) {
       await Joiner.findByIdAndUpdate(user.joinerId, { role: newRole });
     }
 
+    // Tokens issued for the old role must not outlive the change
+    await revokeUserSessions(user._id, 'role_changed');
+
     res.status(200).json({ 
       message: "User role updated successfully",
       user: {
@@ -336,17 +568,7 @@ const updateUserRole = async (req, res) => {
 // Update User Profile
 const updateUserProfile = async (req, res) => {
   try {
-    // Try UserNew model first
-    let user = await UserNew.findById(req.user.id);
-    let userModel = 'UserNew';
-    
-    // If not found, try old User model
-    if (!user) {
-      const User = require('../models/User');
-      user = await User.findById(req.user.id);
-      userModel = 'User';
-    }
-
+    const user = await userService.findById(req.user.id);
     if (!user) {
       return res.status(404).json({ success: false, message: "User not found" });
     }
@@ -360,16 +582,8 @@ const updateUserProfile = async (req, res) => {
     if (req.body.department !== undefined) updateFields.department = req.body.department || null;
     if (req.body.qualification !== undefined) updateFields.qualification = req.body.qualification || null;
     
-    // Handle genre - enum only allows "male", "female", "other", or null
-    if (req.body.genre !== undefined) {
-      const genreValue = req.body.genre?.trim().toLowerCase();
-      if (genreValue === '' || genreValue === null || genreValue === undefined) {
-        updateFields.genre = null;
-      } else if (['male', 'female', 'other'].includes(genreValue)) {
-        updateFields.genre = genreValue;
-      }
-      // If invalid value, don't update (keep existing)
-    }
+    // The model normalizes genre ("Male", "F", "") to male/female/other or null
+    if (req.body.genre !== undefined) updateFields.genre = req.body.genre;
     
     if (req.body.joiningDate !== undefined && req.body.joiningDate !== '') {
       updateFields.joiningDate = req.body.joiningDate ? new Date(req.body.joiningDate) : user.joiningDate;
@@ -377,43 +591,43 @@ const updateUserProfile = async (req, res) => {
 
     // Update password if provided
     if (req.body.password) {
+      const passwordError = checkPasswordStrength(req.body.password);
+      if (passwordError) {
+        return res.status(400).json({ success: false, message: passwordError });
+      }
       const salt = await bcrypt.genSalt(10);
       updateFields.password = await bcrypt.hash(req.body.password, salt);
       updateFields.passwordChanged = true;
     }
 
-    // Use findByIdAndUpdate to avoid validation issues with unchanged fields like createdBy
     // Only update the fields we specify, don't touch createdBy or other fields
-    // runValidators: false to avoid validating unchanged fields (like createdBy with invalid UUID)
-    let updatedUser;
-    if (userModel === 'UserNew') {
-      updatedUser = await UserNew.findByIdAndUpdate(
-        req.user.id,
-        { $set: updateFields },
-        { new: true, runValidators: false, setDefaultsOnInsert: false }
-      );
-    } else {
-      // For old User model, use save method but only update specific fields
-      if (updateFields.name) user.name = updateFields.name;
-      if (updateFields.email) user.email = updateFields.email;
-      if (updateFields.phone !== undefined) user.phone = updateFields.phone;
-      if (updateFields.department !== undefined) user.department = updateFields.department;
-      if (updateFields.qualification !== undefined) user.qualification = updateFields.qualification;
-      if (updateFields.genre !== undefined) user.genre = updateFields.genre;
-      if (updateFields.joiningDate !== undefined) user.joiningDate = updateFields.joiningDate;
-      if (updateFields.password) {
-        user.password = updateFields.password;
-        user.passwordChanged = updateFields.passwordChanged;
-      }
-      updatedUser = await user.save();
-    }
+    const updatedUser = await userService.findByIdAndUpdate(
+      req.user.id,
+      { $set: updateFields },
+      { new: true, runValidators: true, setDefaultsOnInsert: false }
+    );
     
     if (!updatedUser) {
       return res.status(404).json({ success: false, message: "User not found after update" });
     }
 
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'user',
+      entityId: updatedUser._id,
+      entityLabel: updatedUser.email,
+      before: user,
+      after: updatedUser,
+      metadata: { passwordChanged: Boolean(updateFields.password) }
+    });
+
+    // A new password ends every other session of this user
+    if (updateFields.password) {
+      await revokeUserSessions(updatedUser._id, 'password_changed', req.sessionId);
+    }
+
     // If user has joinerId, also update the Joiner record with all profile fields
-    if (userModel === 'UserNew' && user.joinerId) {
+    if (user.joinerId) {
       try {
         const joiner = await Joiner.findById(user.joinerId);
         if (joiner) {
@@ -434,7 +648,11 @@ const updateUserProfile = async (req, res) => {
             joiner.phone_number = req.body.phone_number;
             joiner.phone = req.body.phone_number; // Also update phone
           }
-          if (req.body.department !== undefined) joiner.department = req.body.department || null;
+          // The joiner keeps its department unless the new one resolves to an active department
+          if (req.body.department) {
+            const department = await resolveChangedReference('departments', req.body.department, joiner.department);
+            if (department.code) joiner.department = department.code;
+          }
           if (req.body.employeeId !== undefined) joiner.employeeId = req.body.employeeId || null;
           if (req.body.qualification !== undefined) joiner.qualification = req.body.qualification || null;
           if (req.body.specialization !== undefined) joiner.specialization = req.body.specialization || null;
@@ -478,13 +696,13 @@ const updateUserProfile = async (req, res) => {
 
     // Get full user data for response
     let fullUserData = null;
-    if (userModel === 'UserNew' && updatedUser.getFullData) {
+    if (updatedUser.getFullData) {
       fullUserData = await updatedUser.getFullData();
     }
 
     // Get joiner data for response if available
     let joinerData = null;
-    if (userModel === 'UserNew' && updatedUser.joinerId) {
+    if (updatedUser.joinerId) {
       try {
         joinerData = await Joiner.findById(updatedUser.joinerId);
       } catch (err) {
@@ -514,7 +732,7 @@ const updateUserProfile = async (req, res) => {
         haveMTechOD: joinerData?.haveMTechOD || '',
         yearOfPassout: joinerData?.yearOfPassout || '',
         joinerData: fullUserData?.joinerData || joinerData || null,
-        token: generateToken(updatedUser._id),
+        token: generateAccessToken(updatedUser._id, req.sessionId),
       }
     });
   } catch (error) {
@@ -528,15 +746,9 @@ const changePassword = async (req, res) => {
     const { currentPassword, newPassword } = req.body;
     const userId = req.user._id; // Use _id instead of id
 
-    // Get user from database - try UserNew first, then User
-    let user = await UserNew.findById(userId);
-    if (!user) {
-      const User = require('../models/User');
-      user = await User.findById(userId);
-      }
-    
+    const user = await userService.findById(userId);
     if (!user) {
-      return res.status(404).json({ success: false, message: "User not found in any model" });
+      return res.status(404).json({ success: false, message: "User not found" });
     }
 
     // Verify current password
@@ -554,28 +766,23 @@ const changePassword = async (req, res) => {
       return res.status(400).json({ success: false, message: "Current password is incorrect" });
     }
 
+    const passwordError = checkPasswordStrength(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
+    }
+
     // Hash new password
     const salt = await bcrypt.genSalt(10);
     const hashedNewPassword = await bcrypt.hash(newPassword, salt);
     // Update password and mark as changed
-    let updateResult;
-    
-    // Try to update in the same model where user was found
-    if (user.constructor.modelName === 'UserNew') {
-      updateResult = await UserNew.findByIdAndUpdate(userId, {
-        password: hashedNewPassword,
-        passwordChanged: true,
-        tempPassword: null // Clear temporary password
-      });
-    } else {
-      // For old User model, we need to check if it has these fields
-      const User = require('../models/User');
-      updateResult = await User.findByIdAndUpdate(userId, {
-        password: hashedNewPassword,
-        passwordChanged: true,
-        tempPassword: null // Clear temporary password
-      });
-    }
+    await userService.findByIdAndUpdate(userId, {
+      password: hashedNewPassword,
+      passwordChanged: true,
+      tempPassword: null // Clear temporary password
+    });
+
+    // Sign out every other device; the session making this request stays valid
+    await revokeUserSessions(userId, 'password_changed', req.sessionId);
     
     res.json({
       success: true,
@@ -586,10 +793,203 @@ const changePassword = async (req, res) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new access/refresh token pair. With the
+//          cookie, the new refresh token is only set as the cookie and the request
+//          needs X-Requested-With from an allowed origin.
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token in cookie or body)
+const refreshAccessToken = async (req, res) => {
+  try {
+    const cookieToken = req.cookies?.[REFRESH_COOKIE_NAME];
+    const presentedToken = cookieToken || req.body.refreshToken;
+    if (!presentedToken) {
+      return res.status(401).json({ message: "Refresh token is required" });
+    }
+
+    const rotated = await rotateSession(presentedToken, req);
+    if (!rotated) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ message: "Invalid or expired refresh token, please log in again" });
+    }
+
+    // Deactivated users cannot keep refreshing
+    const user = await userService.findById(rotated.session.userId).select('isActive').lean();
+    if (!user || user.isActive === false) {
+      await revokeSession(rotated.session._id, 'deactivated');
+      clearRefreshCookie(res);
+      return res.status(403).json({
+        message: "Account is deactivated. Please contact administrator for assistance."
+      });
+    }
+
+    // A refresh racing one that already rotated the token gets no new refresh token;
+    // the client keeps the one the other refresh issued
+    if (rotated.refreshToken) {
+      setRefreshCookie(res, rotated.refreshToken);
+    }
+    // A cookie-based client keeps the refresh token in the cookie; it never goes in
+    // a response body a script could read
+    res.status(200).json(cookieToken || !rotated.refreshToken
+      ? { token: rotated.accessToken }
+      : { token: rotated.accessToken, refreshToken: rotated.refreshToken });
+  } catch (error) {
+    res.status(500).json({
+      message: "Server error refreshing token",
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Private
+const logoutUser = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, 'logout');
+    clearRefreshCookie(res);
+    res.status(200).json({ success: true, message: "Logged out successfully" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Log out every session of the current user
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAllSessions = async (req, res) => {
+  try {
+    const revokedCount = await revokeUserSessions(req.user._id, 'logout_all');
+    clearRefreshCookie(res);
+    res.status(200).json({
+      success: true,
+      message: "Logged out from all devices",
+      revokedSessions: revokedCount
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+// @desc    Email a one-time password reset link
+// @route   POST /api/auth/forgot-password
+// @access  Public
+const requestPasswordReset = async (req, res) => {
+  // Same response whether or not the email exists, so accounts cannot be enumerated
+  const genericResponse = {
+    success: true,
+    message: "If an account exists for this email, a password reset link has been sent"
+  };
+
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ success: false, message: "Email is required" });
+    }
+
+    const user = await userService.findByEmail(email).select('_id name email isActive').lean();
+    if (!user || user.isActive === false) {
+      return res.status(200).json(genericResponse);
+    }
+
+    // Only the most recent link stays usable
+    await PasswordResetToken.updateMany(
+      { userId: user._id, usedAt: null },
+      { usedAt: new Date() }
+    );
+
+    const rawToken = crypto.randomBytes(32).toString("hex");
+    await PasswordResetToken.create({
+      userId: user._id,
+      tokenHash: hashToken(rawToken),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+      requestedIp: req.ip || null
+    });
+
+    const resetUrl = buildFrontendUrl('/reset-password', { token: rawToken });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+        html: `<p>Hi ${user.name},</p><p>Use the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.</p><p><a href="${resetUrl}">Reset password</a></p><p>If you did not request this, you can ignore this email.</p>`
+      });
+    } catch (mailError) {
+      console.error('Error sending password reset email:', mailError.message);
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error requesting password reset",
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Set a new password using a reset token
+// @route   POST /api/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({ success: false, message: "Token and newPassword are required" });
+    }
+
+    // Checked before the token is consumed so a rejected password doesn't burn the link
+    const passwordError = checkPasswordStrength(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
+    }
+
+    // Consume the token atomically so it cannot be used twice
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(token.toString()), usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!resetToken) {
+      return res.status(400).json({ success: false, message: "Reset link is invalid or has expired" });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(newPassword, salt);
+
+    const user = await userService.findByIdAndUpdate(
+      resetToken.userId,
+      { password: hashedPassword, passwordChanged: true, tempPassword: null },
+      { new: true, runValidators: false }
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    // Anyone holding the old password's sessions is signed out
+    await revokeUserSessions(user._id, 'password_changed');
+
+    res.status(200).json({ success: true, message: "Password has been reset. Please log in with your new password." });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error resetting password",
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 module.exports = {
   registerUser,
   loginUser,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllSessions,
+  verifyTwoFactorLogin,
+  requestPasswordReset,
+  resetPassword,
   getUserProfile,
+  getMyPermissions,
   updateUserProfile,
   changePassword,
   updateUserRole
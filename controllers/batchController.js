@@ -0,0 +1,570 @@
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const Campus = require('../models/Campus');
+const Joiner = require('../models/Joiner');
+const Attendance = require('../models/Attendance');
+const TraineeDayPlan = require('../models/TraineeDayPlan');
+const Observation = require('../models/Observation');
+const Result = require('../models/Result');
+const userService = require('../services/userService');
+const { findBatchMembers } = require('../utils/batches');
+const { recordAudit } = require('../utils/auditLog');
+const { resolveTrack, resolveChangedReference } = require('../utils/referenceData');
+
+const LEAD_TRAINER_ROLES = ['trainer', 'master_trainer'];
+
+const isObjectId = (value) => mongoose.Types.ObjectId.isValid(value) && String(value).length === 24;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const populateBatch = (query) => query
+  .populate('campus', 'name location')
+  .populate('leadTrainer', 'name email author_id')
+  .populate('createdBy', 'name email')
+  .populate('updatedBy', 'name email');
+
+const summarizeBatch = (batch) => {
+  const { members, ...rest } = batch;
+  return { ...rest, memberCount: members ? members.length : 0 };
+};
+
+/**
+ * Check the campus, track and lead trainer of a create/update body. The track may
+ * be given by code, name or alias; a batch keeps its current track even when it
+ * has since been deactivated.
+ *
+ * @returns {Promise<{ error?: string, track?: string|null }>} the track code on success
+ */
+const validateBatchReferences = async ({ campus, track, leadTrainer }, currentTrack = null) => {
+  if (campus) {
+    if (!isObjectId(campus) || !(await Campus.exists({ _id: campus }))) {
+      return { error: 'Campus not found' };
+    }
+  }
+  const resolvedTrack = currentTrack
+    ? await resolveChangedReference('tracks', track, currentTrack)
+    : await resolveTrack(track);
+  if (resolvedTrack.error) {
+    return { error: `Invalid track: ${resolvedTrack.error}` };
+  }
+  if (leadTrainer) {
+    const trainer = isObjectId(leadTrainer) ? await userService.findById(leadTrainer).select('role isActive') : null;
+    if (!trainer || !LEAD_TRAINER_ROLES.includes(trainer.role) || trainer.isActive === false) {
+      return { error: 'Lead trainer must be an active trainer or master trainer' };
+    }
+  }
+  return { track: resolvedTrack.code };
+};
+
+// Joiners by _id or author_id, in the order asked for; unknown identifiers are reported back
+const findJoinersByIdentifiers = async (identifiers) => {
+  const ids = identifiers.filter(isObjectId);
+  const joiners = await Joiner.find({
+    $or: [{ _id: { $in: ids } }, { author_id: { $in: identifiers.map(String) } }]
+  }).select('name email author_id status').lean();
+
+  const found = [];
+  const missing = [];
+  identifiers.forEach(identifier => {
+    const joiner = joiners.find(j => String(j._id) === String(identifier) || j.author_id === String(identifier));
+    if (joiner) {
+      if (!found.some(j => String(j._id) === String(joiner._id))) found.push(joiner);
+    } else {
+      missing.push(identifier);
+    }
+  });
+  return { found, missing };
+};
+
+// @desc    Create a batch
+// @route   POST /api/batches
+// @access  Private (Admin, Master Trainer, BOA)
+const createBatch = async (req, res) => {
+  try {
+    const { name, description, startDate, endDate, campus, track, leadTrainer } = req.body;
+
+    if (!name || !startDate) {
+      return res.status(400).json({ success: false, message: 'Name and start date are required' });
+    }
+
+    const existingBatch = await Batch.findOne({ name: { $regex: new RegExp(`^${escapeRegex(String(name).trim())}$`, 'i') } });
+    if (existingBatch) {
+      return res.status(400).json({ success: false, message: 'A batch with this name already exists' });
+    }
+
+    const references = await validateBatchReferences({ campus, track, leadTrainer });
+    if (references.error) {
+      return res.status(400).json({ success: false, message: references.error });
+    }
+
+    const batch = await Batch.create({
+      name,
+      description,
+      startDate,
+      endDate: endDate || null,
+      campus: campus || null,
+      track: references.track,
+      leadTrainer: leadTrainer || null,
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'batch',
+      entityId: batch._id,
+      entityLabel: batch.name,
+      after: batch
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Batch created successfully',
+      batch
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation error', error: error.message });
+    }
+    console.error('Error creating batch:', error);
+    res.status(500).json({ success: false, message: 'Failed to create batch', error: error.message });
+  }
+};
+
+// @desc    List batches (?campus, ?track, ?leadTrainer, ?current=true for batches running today, ?search)
+// @route   GET /api/batches
+// @access  Private (Admin, Master Trainer, BOA, Trainer)
+const getBatches = async (req, res) => {
+  try {
+    const { campus, track, leadTrainer, current, search } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const query = {};
+    if (campus) query.campus = campus;
+    if (track) query.track = (await resolveTrack(track, { allowInactive: true })).code || String(track).toUpperCase();
+    if (leadTrainer) query.leadTrainer = leadTrainer;
+    if (search) query.name = { $regex: escapeRegex(search), $options: 'i' };
+    if (current === 'true') {
+      const now = new Date();
+      query.startDate = { $lte: now };
+      query.$or = [{ endDate: null }, { endDate: { $gte: now } }];
+    }
+
+    const batches = await populateBatch(Batch.find(query))
+      .sort({ startDate: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean();
+    const total = await Batch.countDocuments(query);
+
+    res.json({
+      success: true,
+      batches: batches.map(summarizeBatch),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching batches:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch batches', error: error.message });
+  }
+};
+
+// @desc    Get a batch
+// @route   GET /api/batches/:id
+// @access  Private (Admin, Master Trainer, BOA, Trainer)
+const getBatchById = async (req, res) => {
+  try {
+    if (!isObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+    const batch = await populateBatch(Batch.findById(req.params.id)).lean();
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+
+    res.json({ success: true, batch: summarizeBatch(batch) });
+  } catch (error) {
+    console.error('Error fetching batch:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch batch', error: error.message });
+  }
+};
+
+// @desc    Update a batch
+// @route   PUT /api/batches/:id
+// @access  Private (Admin, Master Trainer, BOA)
+const updateBatch = async (req, res) => {
+  try {
+    const batch = isObjectId(req.params.id) ? await Batch.findById(req.params.id) : null;
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+
+    const { name, description, startDate, endDate, campus, track, leadTrainer } = req.body;
+
+    if (name && String(name).trim().toLowerCase() !== batch.name.toLowerCase()) {
+      const existingBatch = await Batch.findOne({
+        _id: { $ne: batch._id },
+        name: { $regex: new RegExp(`^${escapeRegex(String(name).trim())}$`, 'i') }
+      });
+      if (existingBatch) {
+        return res.status(400).json({ success: false, message: 'A batch with this name already exists' });
+      }
+    }
+
+    const references = await validateBatchReferences({ campus, track, leadTrainer }, batch.track);
+    if (references.error) {
+      return res.status(400).json({ success: false, message: references.error });
+    }
+
+    const before = batch.toObject();
+    if (name) batch.name = name;
+    if (description !== undefined) batch.description = description;
+    if (startDate) batch.startDate = startDate;
+    if (endDate !== undefined) batch.endDate = endDate || null;
+    if (campus !== undefined) batch.campus = campus || null;
+    if (track !== undefined) batch.track = references.track;
+    if (leadTrainer !== undefined) batch.leadTrainer = leadTrainer || null;
+    batch.updatedBy = req.user._id;
+    await batch.save();
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'batch',
+      entityId: batch._id,
+      entityLabel: batch.name,
+      before,
+      after: batch
+    });
+
+    const updatedBatch = await populateBatch(Batch.findById(batch._id)).lean();
+    res.json({
+      success: true,
+      message: 'Batch updated successfully',
+      batch: summarizeBatch(updatedBatch)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: 'Validation error', error: error.message });
+    }
+    console.error('Error updating batch:', error);
+    res.status(500).json({ success: false, message: 'Failed to update batch', error: error.message });
+  }
+};
+
+// @desc    Delete a batch (moves it to the trash; members are not touched)
+// @route   DELETE /api/batches/:id
+// @access  Private (Admin, Master Trainer, BOA)
+const deleteBatch = async (req, res) => {
+  try {
+    const batch = isObjectId(req.params.id) ? await Batch.findById(req.params.id) : null;
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+
+    await batch.softDelete(req.user._id);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'batch',
+      entityId: batch._id,
+      entityLabel: batch.name,
+      before: batch
+    });
+
+    res.json({ success: true, message: 'Batch moved to trash' });
+  } catch (error) {
+    console.error('Error deleting batch:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete batch', error: error.message });
+  }
+};
+
+// @desc    Roster of a batch: each member's joiner record, account and trainer
+// @route   GET /api/batches/:id/members
+// @access  Private (Admin, Master Trainer, BOA, Trainer)
+const getBatchMembers = async (req, res) => {
+  try {
+    const batch = isObjectId(req.params.id)
+      ? await Batch.findById(req.params.id).populate('members.addedBy', 'name email').lean()
+      : null;
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+
+    const authorIds = batch.members.map(member => member.author_id);
+    const joiners = await Joiner.find({ _id: { $in: batch.members.map(member => member.joiner) } })
+      .select('name email phone department role_assign status joining_status joiningDate author_id accountCreated')
+      .lean();
+    const users = await userService.find({ author_id: { $in: authorIds } })
+      .select('name email author_id isActive assignedTrainer')
+      .populate('assignedTrainer', 'name email author_id')
+      .lean();
+
+    const joinersById = new Map(joiners.map(joiner => [String(joiner._id), joiner]));
+    const usersByAuthorId = new Map(users.map(user => [user.author_id, user]));
+
+    const members = batch.members.map(member => {
+      const user = usersByAuthorId.get(member.author_id);
+      return {
+        author_id: member.author_id,
+        addedAt: member.addedAt,
+        addedBy: member.addedBy,
+        // Null when the joiner has been deleted since joining the batch
+        joiner: joinersById.get(String(member.joiner)) || null,
+        user: user ? { _id: user._id, name: user.name, email: user.email, isActive: user.isActive } : null,
+        assignedTrainer: user?.assignedTrainer || null
+      };
+    });
+
+    res.json({
+      success: true,
+      batch: { _id: batch._id, name: batch.name },
+      members,
+      total: members.length
+    });
+  } catch (error) {
+    console.error('Error fetching batch members:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch batch members', error: error.message });
+  }
+};
+
+// @desc    Add joiners to a batch ({ joinerIds: [_id or author_id], move }). A joiner
+//          belongs to one batch at a time; with move: true they leave their old batch.
+// @route   POST /api/batches/:id/members
+// @access  Private (Admin, Master Trainer, BOA)
+const addBatchMembers = async (req, res) => {
+  try {
+    const { joinerIds, move = false } = req.body;
+    if (!Array.isArray(joinerIds) || joinerIds.length === 0) {
+      return res.status(400).json({ success: false, message: 'joinerIds must be a non-empty array' });
+    }
+
+    const batch = isObjectId(req.params.id) ? await Batch.findById(req.params.id) : null;
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+
+    const { found, missing } = await findJoinersByIdentifiers(joinerIds);
+    if (missing.length) {
+      return res.status(404).json({ success: false, message: 'Some joiners were not found', missing });
+    }
+
+    const existingIds = new Set(batch.members.map(member => String(member.joiner)));
+    const newJoiners = found.filter(joiner => !existingIds.has(String(joiner._id)));
+
+    // Joiners already in another batch
+    const otherBatches = await Batch.find({
+      _id: { $ne: batch._id },
+      'members.joiner': { $in: newJoiners.map(joiner => joiner._id) }
+    }).select('name members.joiner');
+    const conflicts = [];
+    otherBatches.forEach(other => {
+      other.members.forEach(member => {
+        const joiner = newJoiners.find(j => String(j._id) === String(member.joiner));
+        if (joiner) conflicts.push({ joinerId: joiner._id, name: joiner.name, batch: { _id: other._id, name: other.name } });
+      });
+    });
+    if (conflicts.length && !move) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some joiners already belong to another batch; send move: true to move them',
+        conflicts
+      });
+    }
+
+    if (conflicts.length) {
+      await Batch.updateMany(
+        { _id: { $in: otherBatches.map(other => other._id) } },
+        { $pull: { members: { joiner: { $in: conflicts.map(conflict => conflict.joinerId) } } }, $set: { updatedBy: req.user._id } }
+      );
+    }
+
+    const before = batch.members.map(member => member.author_id);
+    newJoiners.forEach(joiner => {
+      batch.members.push({ joiner: joiner._id, author_id: joiner.author_id, addedAt: new Date(), addedBy: req.user._id });
+    });
+    batch.updatedBy = req.user._id;
+    await batch.save();
+
+    if (newJoiners.length) {
+      await recordAudit(req, {
+        action: 'add_members',
+        entityType: 'batch',
+        entityId: batch._id,
+        entityLabel: batch.name,
+        before: { members: before },
+        after: { members: batch.members.map(member => member.author_id) },
+        metadata: {
+          added: newJoiners.map(joiner => joiner.author_id),
+          movedFrom: conflicts.map(conflict => ({ joinerId: conflict.joinerId, batch: conflict.batch.name }))
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${newJoiners.length} joiner(s) added to ${batch.name}` + (conflicts.length ? `, ${conflicts.length} moved from another batch` : ''),
+      added: newJoiners.map(joiner => ({ _id: joiner._id, name: joiner.name, author_id: joiner.author_id })),
+      alreadyMembers: found.length - newJoiners.length,
+      moved: conflicts,
+      memberCount: batch.members.length
+    });
+  } catch (error) {
+    console.error('Error adding batch members:', error);
+    res.status(500).json({ success: false, message: 'Failed to add batch members', error: error.message });
+  }
+};
+
+// @desc    Remove a joiner (by _id or author_id) from a batch
+// @route   DELETE /api/batches/:id/members/:joinerId
+// @access  Private (Admin, Master Trainer, BOA)
+const removeBatchMember = async (req, res) => {
+  try {
+    const batch = isObjectId(req.params.id) ? await Batch.findById(req.params.id) : null;
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+
+    const { joinerId } = req.params;
+    const member = batch.members.find(m => String(m.joiner) === joinerId || m.author_id === joinerId);
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Joiner is not a member of this batch' });
+    }
+
+    batch.members = batch.members.filter(m => m !== member);
+    batch.updatedBy = req.user._id;
+    await batch.save();
+
+    await recordAudit(req, {
+      action: 'remove_members',
+      entityType: 'batch',
+      entityId: batch._id,
+      entityLabel: batch.name,
+      metadata: { removed: [member.author_id] }
+    });
+
+    res.json({ success: true, message: 'Joiner removed from the batch', memberCount: batch.members.length });
+  } catch (error) {
+    console.error('Error removing batch member:', error);
+    res.status(500).json({ success: false, message: 'Failed to remove batch member', error: error.message });
+  }
+};
+
+// @desc    Batch dashboard: roster breakdown, attendance, trainee day plans, observations
+//          and results of the batch's members (?startDate, ?endDate; default the batch's dates)
+// @route   GET /api/batches/:id/dashboard
+// @access  Private (Admin, Master Trainer, BOA, Trainer)
+const getBatchDashboard = async (req, res) => {
+  try {
+    const members = await findBatchMembers(req.params.id);
+    if (!members) {
+      return res.status(404).json({ success: false, message: 'Batch not found' });
+    }
+
+    const { batch, joinerIds, authorIds, userIds } = members;
+    const now = new Date();
+    const dateFilter = {
+      $gte: req.query.startDate ? new Date(req.query.startDate) : batch.startDate,
+      $lte: req.query.endDate ? new Date(req.query.endDate) : (batch.endDate && batch.endDate < now ? batch.endDate : now)
+    };
+
+    const countBy = (field) => Joiner.aggregate([
+      { $match: { _id: { $in: joinerIds } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } }
+    ]);
+    const [statusCounts, joiningStatusCounts] = await Promise.all([countBy('status'), countBy('joining_status')]);
+    const toObject = (counts) => counts.reduce((result, { _id, count }) => ({ ...result, [_id || 'unknown']: count }), {});
+
+    const attendance = await Attendance.aggregate([
+      { $match: { user: { $in: userIds }, date: dateFilter } },
+      {
+        $group: {
+          _id: null,
+          totalRecords: { $sum: 1 },
+          presentCount: { $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] } },
+          absentCount: { $sum: { $cond: [{ $eq: ['$status', 'absent'] }, 1, 0] } },
+          lateCount: { $sum: { $cond: [{ $eq: ['$status', 'late'] }, 1, 0] } },
+          halfDayCount: { $sum: { $cond: [{ $eq: ['$status', 'half_day'] }, 1, 0] } },
+          averageHours: { $avg: '$totalHours' }
+        }
+      }
+    ]);
+
+    const dayPlans = await TraineeDayPlan.aggregate([
+      { $match: { trainee: { $in: userIds }, date: dateFilter } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const observations = await Observation.aggregate([
+      { $match: { trainee: { $in: userIds }, date: dateFilter } },
+      {
+        $group: {
+          _id: null,
+          totalObservations: { $sum: 1 },
+          excellentCount: { $sum: { $cond: [{ $eq: ['$overallRating', 'excellent'] }, 1, 0] } },
+          goodCount: { $sum: { $cond: [{ $eq: ['$overallRating', 'good'] }, 1, 0] } },
+          averageCount: { $sum: { $cond: [{ $eq: ['$overallRating', 'average'] }, 1, 0] } },
+          needsImprovementCount: { $sum: { $cond: [{ $eq: ['$overallRating', 'needs_improvement'] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    const results = await Result.aggregate([
+      { $match: { author_id: { $in: authorIds } } },
+      {
+        $group: {
+          _id: '$exam_type',
+          count: { $sum: 1 },
+          averagePercentage: { $avg: '$percentage' },
+          passed: { $sum: { $cond: [{ $eq: ['$status', 'passed'] }, 1, 0] } },
+          failed: { $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({
+      success: true,
+      batch,
+      period: { startDate: dateFilter.$gte, endDate: dateFilter.$lte },
+      roster: {
+        memberCount: joinerIds.length,
+        withAccounts: userIds.length,
+        byStatus: toObject(statusCounts),
+        byJoiningStatus: toObject(joiningStatusCounts)
+      },
+      attendance: attendance[0] || {
+        totalRecords: 0,
+        presentCount: 0,
+        absentCount: 0,
+        lateCount: 0,
+        halfDayCount: 0,
+        averageHours: 0
+      },
+      traineeDayPlans: toObject(dayPlans),
+      observations: observations[0] || {
+        totalObservations: 0,
+        excellentCount: 0,
+        goodCount: 0,
+        averageCount: 0,
+        needsImprovementCount: 0
+      },
+      results: results.map(({ _id, ...stats }) => ({ exam_type: _id, ...stats }))
+    });
+  } catch (error) {
+    console.error('Error fetching batch dashboard:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch batch dashboard', error: error.message });
+  }
+};
+
+module.exports = {
+  createBatch,
+  getBatches,
+  getBatchById,
+  updateBatch,
+  deleteBatch,
+  getBatchMembers,
+  addBatchMembers,
+  removeBatchMember,
+  getBatchDashboard
+};
@@ -1,8 +1,12 @@
 const Joiner = require('../models/Joiner');
-const User = require('../models/User');
 const axios = require('axios');
 const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { recordAuditBatch } = require('../utils/auditLog');
+const { recordVersions } = require('../utils/versionHistory');
+const onboardingService = require('../services/onboardingService');
+const { isDryRun, diffRow, planRow, createPreview, findPreviewForCommit, claimPreview } = require('../utils/bulkPreview');
+const { resolveDepartment, resolveTrack, DEPARTMENT_FALLBACK, TRACK_FALLBACK } = require('../utils/referenceData');
 
 // Generate UUID v4 using crypto module
 const generateUUID = () => {
@@ -152,56 +156,128 @@ const validateGoogleSheets = async (req, res) => {
   }
 };
 
-// @desc    Process bulk joiner data
-// @route   POST /api/joiners/bulk-upload
-// @access  Private (BOA)
-const bulkUploadJoiners = async (req, res) => {
-  try {
-    // Validate authentication
-    if (!req.user || !req.user.id) {
-      return res.status(401).json({
-        message: 'Authentication required. Please log in again.'
-      });
+// Joiner fields a preview compares. Generated values (author_id unless provided,
+// the upload date standing in for a missing joining date) are left out so the
+// same upload always previews the same way.
+const JOINER_PREVIEW_FIELDS = [
+  'candidate_name', 'candidate_personal_mail_id', 'phone_number', 'department',
+  'top_department_name_as_per_darwinbox', 'department_name_as_per_darwinbox', 'date_of_joining',
+  'joining_status', 'role_type', 'role_assign', 'qualification', 'employeeId', 'genre'
+];
+
+const pickPreviewFields = (joiner) => JOINER_PREVIEW_FIELDS.reduce((picked, field) => ({
+  ...picked,
+  [field]: joiner[field] === undefined ? null : joiner[field]
+}), {});
+
+const previewJoiner = (mappedData, withAuthorId) => ({
+  ...(withAuthorId ? { author_id: mappedData.author_id } : {}),
+  ...pickPreviewFields(mappedData)
+});
+
+/**
+ * Validate and map uploaded joiner rows without writing anything.
+ *
+ * @returns {Promise<{ processedJoiners: Array, errors: string[], rows: Array }>}
+ *   joiners ready to insert, the per-row error messages of the upload response,
+ *   and one planned row (create, skip or error) per uploaded row for previews
+ */
+const planJoinerUpload = async (req, joiners_data) => {
+  const processedJoiners = [];
+  const errors = [];
+  const rows = [];
+  const seenEmails = new Map();
+  
+  // Batch check for existing joiners to improve performance
+  // Collect all emails and author_ids first
+  const emailsToCheck = [];
+  const authorIdsToCheck = [];
+  
+  // First pass: collect all emails and author_ids
+  for (let i = 0; i < joiners_data.length; i++) {
+    const joinerData = joiners_data[i];
+    const email = (joinerData.candidate_personal_mail_id || '').toString().trim().toLowerCase();
+    if (email) emailsToCheck.push(email);
+    
+    // Check for provided author_id
+    let providedAuthorId = null;
+    if (joinerData.author_id !== undefined && joinerData.author_id !== null && joinerData.author_id !== '') {
+      providedAuthorId = String(joinerData.author_id).trim();
+    } else if (joinerData.authorId !== undefined && joinerData.authorId !== null && joinerData.authorId !== '') {
+      providedAuthorId = String(joinerData.authorId).trim();
     }
-
-    const { 
-      spread_sheet_name, 
-      data_sets_to_be_loaded, 
-      google_sheet_url,
-      joiners_data 
-    } = req.body;
-
-    if (!joiners_data || !Array.isArray(joiners_data)) {
-      return res.status(400).json({ 
-        message: 'joiners_data is required and must be an array',
-        received: typeof joiners_data,
-        isArray: Array.isArray(joiners_data)
-      });
+    
+    if (providedAuthorId) {
+      const isValidUUID = (str) => {
+        if (!str || typeof str !== 'string') return false;
+        const trimmed = str.trim();
+        if (trimmed === '') return false;
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+        return uuidRegex.test(trimmed);
+      };
+      if (isValidUUID(providedAuthorId)) {
+        authorIdsToCheck.push(providedAuthorId);
+      }
     }
-
-    if (joiners_data.length === 0) {
-      return res.status(400).json({ 
-        message: 'joiners_data array is empty. Please provide at least one joiner record.' 
-      });
+  }
+  
+  // Batch query for existing joiners (only if we have values to check)
+  // Joiners in the trash still hold their author_id, so they count as existing.
+  // The previewed fields are loaded too, so skipped rows can show what differs.
+  const existingFields = ['author_id', 'email', 'deletedAt', 'updatedAt', ...JOINER_PREVIEW_FIELDS].join(' ');
+  const existingJoinersByEmail = emailsToCheck.length > 0 
+    ? await Joiner.find({
+        candidate_personal_mail_id: { $in: emailsToCheck }
+      }).setOptions({ withDeleted: true }).select(existingFields).lean()
+    : [];
+  
+  const existingJoinersByAuthorId = authorIdsToCheck.length > 0
+    ? await Joiner.find({
+        author_id: { $in: authorIdsToCheck }
+      }).setOptions({ withDeleted: true }).select(existingFields).lean()
+    : [];
+  
+  // Create lookup maps for O(1) access
+  const existingEmailsMap = new Map();
+  existingJoinersByEmail.forEach(j => {
+    if (j.candidate_personal_mail_id) {
+      existingEmailsMap.set(j.candidate_personal_mail_id.toLowerCase(), j);
     }
+  });
+  
+  const existingAuthorIdsMap = new Map();
+  existingJoinersByAuthorId.forEach(j => {
+    if (j.author_id) {
+      existingAuthorIdsMap.set(j.author_id, j);
+    }
+  });
 
-    // Skip Google Sheets validation in direct mode
-    // // Process each joiner data
-    const processedJoiners = [];
-    const errors = [];
-    
-    // Batch check for existing joiners to improve performance
-    // Collect all emails and author_ids first
-    const emailsToCheck = [];
-    const authorIdsToCheck = [];
-    
-    // First pass: collect all emails and author_ids
-    for (let i = 0; i < joiners_data.length; i++) {
+  // Second pass: process each joiner with batch-checked duplicates
+  for (let i = 0; i < joiners_data.length; i++) {
+    const rowError = (message) => {
+      errors.push(`Row ${i + 1}: ${message}`);
+      rows.push(planRow(i, 'error', { message }));
+    };
+
+    try {
       const joinerData = joiners_data[i];
-      const email = (joinerData.candidate_personal_mail_id || '').toString().trim().toLowerCase();
-      if (email) emailsToCheck.push(email);
       
-      // Check for provided author_id
+      // Helper function to convert empty strings to null
+      const nullIfEmpty = (value) => {
+        if (value === '' || value === null || value === undefined) return null;
+        return value;
+      };
+      
+      // Helper function to validate UUID format
+      const isValidUUID = (str) => {
+        if (!str || typeof str !== 'string') return false;
+        const trimmed = str.trim();
+        if (trimmed === '') return false;
+        const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+        return uuidRegex.test(trimmed);
+      };
+      
+      // Try to get author_id from multiple possible field names
       let providedAuthorId = null;
       if (joinerData.author_id !== undefined && joinerData.author_id !== null && joinerData.author_id !== '') {
         providedAuthorId = String(joinerData.author_id).trim();
@@ -209,270 +285,284 @@ const bulkUploadJoiners = async (req, res) => {
         providedAuthorId = String(joinerData.authorId).trim();
       }
       
+      // Use provided author_id if available and valid, otherwise generate a new one
+      let author_id;
+      let warning = null;
       if (providedAuthorId) {
-        const isValidUUID = (str) => {
-          if (!str || typeof str !== 'string') return false;
-          const trimmed = str.trim();
-          if (trimmed === '') return false;
-          const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-          return uuidRegex.test(trimmed);
-        };
         if (isValidUUID(providedAuthorId)) {
-          authorIdsToCheck.push(providedAuthorId);
+          author_id = providedAuthorId;
+        } else {
+          // Invalid UUID format - warn but still use it (user might have custom format)
+          // Or generate new one - let's generate new one to maintain UUID standard
+          errors.push(`Row ${i + 1}: Invalid author_id format "${providedAuthorId}". Expected UUID format (e.g., 8-4-4-4-12 hex). Generating new author_id.`);
+          warning = `Invalid author_id format "${providedAuthorId}"; a new author_id is generated`;
+          author_id = generateUUID();
         }
+      } else {
+        // Generate new author_id if not provided
+        author_id = generateUUID();
       }
-    }
-    
-    // Batch query for existing joiners (only if we have values to check)
-    const existingJoinersByEmail = emailsToCheck.length > 0 
-      ? await Joiner.find({
-          candidate_personal_mail_id: { $in: emailsToCheck }
-        }).select('candidate_personal_mail_id author_id').lean()
-      : [];
-    
-    const existingJoinersByAuthorId = authorIdsToCheck.length > 0
-      ? await Joiner.find({
-          author_id: { $in: authorIdsToCheck }
-        }).select('author_id candidate_personal_mail_id email').lean()
-      : [];
-    
-    // Create lookup maps for O(1) access
-    const existingEmailsMap = new Map();
-    existingJoinersByEmail.forEach(j => {
-      if (j.candidate_personal_mail_id) {
-        existingEmailsMap.set(j.candidate_personal_mail_id.toLowerCase(), j);
-      }
-    });
-    
-    const existingAuthorIdsMap = new Map();
-    existingJoinersByAuthorId.forEach(j => {
-      if (j.author_id) {
-        existingAuthorIdsMap.set(j.author_id, j);
-      }
-    });
 
-    // Second pass: process each joiner with batch-checked duplicates
-    for (let i = 0; i < joiners_data.length; i++) {
-      try {
-        const joinerData = joiners_data[i];
-        
-        // Helper function to convert empty strings to null
-        const nullIfEmpty = (value) => {
-          if (value === '' || value === null || value === undefined) return null;
-          return value;
-        };
-        
-        // Helper function to validate UUID format
-        const isValidUUID = (str) => {
-          if (!str || typeof str !== 'string') return false;
-          const trimmed = str.trim();
-          if (trimmed === '') return false;
-          const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-          return uuidRegex.test(trimmed);
-        };
+      // Clean and normalize email
+      const email = (joinerData.candidate_personal_mail_id || '').toString().trim().toLowerCase();
+      
+      // Map the data to our schema based on your exact data structure
+      const mappedData = {
+        // Required fields with proper fallbacks
+        name: (joinerData.candidate_name || 'Unknown').trim(),
+        email: email,
+        phone: null, // Will be set after phone validation
+        department: DEPARTMENT_FALLBACK, // Will be validated later
+        role: 'trainee', // Default role since role_type is "Full-time" which is not in our enum
+        joiningDate: joinerData.date_of_joining ? new Date(joinerData.date_of_joining) : new Date(),
         
-        // Try to get author_id from multiple possible field names
-        let providedAuthorId = null;
-        if (joinerData.author_id !== undefined && joinerData.author_id !== null && joinerData.author_id !== '') {
-          providedAuthorId = String(joinerData.author_id).trim();
-        } else if (joinerData.authorId !== undefined && joinerData.authorId !== null && joinerData.authorId !== '') {
-          providedAuthorId = String(joinerData.authorId).trim();
-        }
+        // Optional fields with proper null handling
+        candidate_name: nullIfEmpty(joinerData.candidate_name)?.trim(),
+        candidate_personal_mail_id: email,
+        phone_number: null, // Will be set after phone validation
+        top_department_name_as_per_darwinbox: nullIfEmpty(joinerData.top_department_name_as_per_darwinbox)?.trim(),
+        department_name_as_per_darwinbox: nullIfEmpty(joinerData.department_name_as_per_darwinbox)?.trim(),
+        date_of_joining: joinerData.date_of_joining ? new Date(joinerData.date_of_joining) : null,
+        joining_status: nullIfEmpty(joinerData.joining_status)?.toLowerCase().trim() || 'pending',
+        role_type: nullIfEmpty(joinerData.role_type)?.trim(),
+        role_assign: TRACK_FALLBACK, // Will be validated later
+        qualification: nullIfEmpty(joinerData.qualification)?.trim(),
+        author_id: author_id, // Generated UUID
+        employeeId: nullIfEmpty(joinerData.employee_id)?.trim(),
+        genre: nullIfEmpty(joinerData.genre) ? 
+          nullIfEmpty(joinerData.genre).trim().charAt(0).toUpperCase() + nullIfEmpty(joinerData.genre).trim().slice(1).toLowerCase() : 
+          null,
+        status: 'pending',
+        accountCreated: false,
+        accountCreatedAt: null,
+        createdBy: req.user?.id ? new mongoose.Types.ObjectId(req.user.id) : null,
+        apiKey: req.apiKey ? req.apiKey._id : null,
         
-        // Use provided author_id if available and valid, otherwise generate a new one
-        let author_id;
-        if (providedAuthorId) {
-          if (isValidUUID(providedAuthorId)) {
-            author_id = providedAuthorId;
-          } else {
-            // Invalid UUID format - warn but still use it (user might have custom format)
-            // Or generate new one - let's generate new one to maintain UUID standard
-            errors.push(`Row ${i + 1}: Invalid author_id format "${providedAuthorId}". Expected UUID format (e.g., 8-4-4-4-12 hex). Generating new author_id.`);
-            author_id = generateUUID();
-          }
-        } else {
-          // Generate new author_id if not provided
-          author_id = generateUUID();
+        // Onboarding checklist
+        onboardingChecklist: {
+          welcomeEmailSent: false,
+          credentialsGenerated: false,
+          accountActivated: false,
+          trainingAssigned: false,
+          documentsSubmitted: false
         }
+      };
+      
+      // Darwinbox department names resolve through the department aliases; names
+      // nobody has mapped yet (or inactive departments) fall back to OTHERS
+      const deptValue = nullIfEmpty(joinerData.top_department_name_as_per_darwinbox)?.trim();
+      const department = await resolveDepartment(deptValue);
+      if (department.error) {
+        warning = [warning, `${department.error}; imported as ${DEPARTMENT_FALLBACK}`].filter(Boolean).join('; ');
+      }
+      mappedData.department = department.code || DEPARTMENT_FALLBACK;
 
-        // Clean and normalize email
-        const email = (joinerData.candidate_personal_mail_id || '').toString().trim().toLowerCase();
-        
-        // Map the data to our schema based on your exact data structure
-        const mappedData = {
-          // Required fields with proper fallbacks
-          name: (joinerData.candidate_name || 'Unknown').trim(),
-          email: email,
-          phone: null, // Will be set after phone validation
-          department: 'OTHERS', // Will be validated later
-          role: 'trainee', // Default role since role_type is "Full-time" which is not in our enum
-          joiningDate: joinerData.date_of_joining ? new Date(joinerData.date_of_joining) : new Date(),
-          
-          // Optional fields with proper null handling
-          candidate_name: nullIfEmpty(joinerData.candidate_name)?.trim(),
-          candidate_personal_mail_id: email,
-          phone_number: null, // Will be set after phone validation
-          top_department_name_as_per_darwinbox: nullIfEmpty(joinerData.top_department_name_as_per_darwinbox)?.trim(),
-          department_name_as_per_darwinbox: nullIfEmpty(joinerData.department_name_as_per_darwinbox)?.trim(),
-          date_of_joining: joinerData.date_of_joining ? new Date(joinerData.date_of_joining) : null,
-          joining_status: nullIfEmpty(joinerData.joining_status)?.toLowerCase().trim() || 'pending',
-          role_type: nullIfEmpty(joinerData.role_type)?.trim(),
-          role_assign: (nullIfEmpty(joinerData.role_assign)?.trim() || 'OTHER').toUpperCase(),
-          qualification: nullIfEmpty(joinerData.qualification)?.trim(),
-          author_id: author_id, // Generated UUID
-          employeeId: nullIfEmpty(joinerData.employee_id)?.trim(),
-          genre: nullIfEmpty(joinerData.genre) ? 
-            nullIfEmpty(joinerData.genre).trim().charAt(0).toUpperCase() + nullIfEmpty(joinerData.genre).trim().slice(1).toLowerCase() : 
-            null,
-          status: 'pending',
-          accountCreated: false,
-          accountCreatedAt: null,
-          createdBy: req.user?.id ? new mongoose.Types.ObjectId(req.user.id) : null,
-          
-          // Onboarding checklist
-          onboardingChecklist: {
-            welcomeEmailSent: false,
-            credentialsGenerated: false,
-            accountActivated: false,
-            trainingAssigned: false,
-            documentsSubmitted: false
+          // Debug: Log the date being processed
+          // // Validate required fields based on your Google Sheet structure
+          if (!joinerData.candidate_name) {
+            rowError('candidate_name is required');
+            continue;
           }
-        };
+
+      if (!joinerData.candidate_personal_mail_id) {
+        rowError('candidate_personal_mail_id is required');
+        continue;
+      }
+
+      // Validate email format
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(joinerData.candidate_personal_mail_id)) {
+        rowError(`Invalid email format: ${joinerData.candidate_personal_mail_id}`);
+        continue;
+      }
+
+      // Try multiple variations of phone_number field name (case-insensitive)
+      // Check if phone_number exists in any form - be more lenient
+      let phoneNumber = null;
+      
+      // First, try the exact field name (case-sensitive) - but allow if it's a number (even 0)
+      if (joinerData.phone_number !== null && joinerData.phone_number !== undefined) {
+        // If it's a number (including 0), convert to string
+        if (typeof joinerData.phone_number === 'number') {
+          phoneNumber = joinerData.phone_number.toString();
+        } else if (typeof joinerData.phone_number === 'string' && joinerData.phone_number.trim() !== '') {
+          phoneNumber = joinerData.phone_number;
+        }
+      }
+      
+      // If not found, try case variations
+      if ((phoneNumber === null || phoneNumber === undefined || phoneNumber === '') && 
+          (joinerData.phone_number === null || joinerData.phone_number === undefined || joinerData.phone_number === '')) {
+        const phoneFields = [
+          'Phone_number', 'PhoneNumber', 'phoneNumber',
+          'Phone Number', 'Phone_Number', 'PHONE_NUMBER'
+        ];
         
-        // Set department - must be one of the enum values
-        const deptValue = nullIfEmpty(joinerData.top_department_name_as_per_darwinbox)?.trim();
-        if (deptValue) {
-          // Try to match department name to enum values
-          const deptUpper = deptValue.toUpperCase();
-          if (['IT', 'HR', 'FINANCE', 'SDM', 'SDI', 'OTHERS'].includes(deptUpper)) {
-            mappedData.department = deptUpper;
-          } else {
-            mappedData.department = 'OTHERS';
+        for (const field of phoneFields) {
+          if (joinerData.hasOwnProperty(field) && 
+              joinerData[field] !== null && 
+              joinerData[field] !== undefined && 
+              joinerData[field] !== '') {
+            phoneNumber = typeof joinerData[field] === 'number' 
+              ? joinerData[field].toString() 
+              : joinerData[field];
+            break;
           }
-        } else {
-          mappedData.department = 'OTHERS';
         }
+      }
 
-            // Debug: Log the date being processed
-            // // Validate required fields based on your Google Sheet structure
-            if (!joinerData.candidate_name) {
-              errors.push(`Row ${i + 1}: candidate_name is required`);
-              continue;
-            }
 
-        if (!joinerData.candidate_personal_mail_id) {
-          errors.push(`Row ${i + 1}: candidate_personal_mail_id is required`);
-          continue;
+      // Validate phone number exists and is not empty
+      // Handle number 0 as valid (though unlikely for phone)
+      // Make phone_number optional - if not provided, set to null
+      if (phoneNumber === null || 
+          phoneNumber === undefined || 
+          phoneNumber === '' ||
+          (typeof phoneNumber === 'string' && phoneNumber.trim() === '')) {
+        // Phone number is optional - set to null instead of erroring
+        mappedData.phone = null;
+        mappedData.phone_number = null;
+        // Continue processing without phone number
+      } else {
+        // Convert to string and validate phone format - more flexible regex
+        const phoneStr = phoneNumber.toString().trim();
+        
+        // Remove any non-digit characters except + at the start, then remove + if present
+        let cleanedPhone = phoneStr.replace(/[^\d+]/g, '');
+        if (cleanedPhone.startsWith('+')) {
+          cleanedPhone = cleanedPhone.substring(1);
         }
-
-        // Validate email format
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(joinerData.candidate_personal_mail_id)) {
-          errors.push(`Row ${i + 1}: Invalid email format: ${joinerData.candidate_personal_mail_id}`);
+        
+        // Validate phone format - must be 10-15 digits
+        const phoneRegex = /^[0-9]{10,15}$/;
+        if (!phoneRegex.test(cleanedPhone)) {
+          rowError(`Invalid phone format: ${phoneStr} (cleaned: ${cleanedPhone}). Phone must be 10-15 digits.`);
           continue;
         }
 
-        // Try multiple variations of phone_number field name (case-insensitive)
-        // Check if phone_number exists in any form - be more lenient
-        let phoneNumber = null;
+        // Update joinerData with the found phone number (use cleaned version if needed)
+        joinerData.phone_number = cleanedPhone || phoneStr;
         
-        // First, try the exact field name (case-sensitive) - but allow if it's a number (even 0)
-        if (joinerData.phone_number !== null && joinerData.phone_number !== undefined) {
-          // If it's a number (including 0), convert to string
-          if (typeof joinerData.phone_number === 'number') {
-            phoneNumber = joinerData.phone_number.toString();
-          } else if (typeof joinerData.phone_number === 'string' && joinerData.phone_number.trim() !== '') {
-            phoneNumber = joinerData.phone_number;
-          }
-        }
+        // Update mappedData with cleaned phone number
+        mappedData.phone = cleanedPhone || phoneStr;
+        mappedData.phone_number = cleanedPhone || phoneStr;
+      }
+
+      // Validate role_assign if provided: a track code, name or alias
+      const track = await resolveTrack(nullIfEmpty(joinerData.role_assign));
+      if (track.error) {
+        rowError(`Invalid role_assign value: ${track.error}`);
+        continue;
+      }
+      mappedData.role_assign = track.code || TRACK_FALLBACK;
+
+      // Check if joiner already exists (using pre-fetched data)
+      const existingJoinerByEmail = existingEmailsMap.get(mappedData.candidate_personal_mail_id);
+      
+      if (existingJoinerByEmail) {
+        const message = `Joiner with email ${mappedData.candidate_personal_mail_id} already exists${existingJoinerByEmail.deletedAt ? ' in the trash' : ''} (existing author_id: ${existingJoinerByEmail.author_id || 'N/A'})`;
+        errors.push(`Row ${i + 1}: ${message}`);
+        rows.push(planRow(i, 'skip', {
+          key: mappedData.candidate_personal_mail_id,
+          message,
+          diff: diffRow(pickPreviewFields(existingJoinerByEmail), previewJoiner(mappedData, false)),
+          existing: existingJoinerByEmail
+        }));
+        continue;
+      }
+      
+      // Then check by author_id (only if we're using a provided one, not a newly generated one)
+      if (providedAuthorId && isValidUUID(providedAuthorId)) {
+        const existingJoinerByAuthorId = existingAuthorIdsMap.get(mappedData.author_id);
         
-        // If not found, try case variations
-        if ((phoneNumber === null || phoneNumber === undefined || phoneNumber === '') && 
-            (joinerData.phone_number === null || joinerData.phone_number === undefined || joinerData.phone_number === '')) {
-          const phoneFields = [
-            'Phone_number', 'PhoneNumber', 'phoneNumber',
-            'Phone Number', 'Phone_Number', 'PHONE_NUMBER'
-          ];
-          
-          for (const field of phoneFields) {
-            if (joinerData.hasOwnProperty(field) && 
-                joinerData[field] !== null && 
-                joinerData[field] !== undefined && 
-                joinerData[field] !== '') {
-              phoneNumber = typeof joinerData[field] === 'number' 
-                ? joinerData[field].toString() 
-                : joinerData[field];
-              break;
-            }
-          }
+        if (existingJoinerByAuthorId) {
+          const message = `Joiner with author_id ${mappedData.author_id} already exists${existingJoinerByAuthorId.deletedAt ? ' in the trash' : ''} (email: ${existingJoinerByAuthorId.candidate_personal_mail_id || existingJoinerByAuthorId.email || 'N/A'})`;
+          errors.push(`Row ${i + 1}: ${message}`);
+          rows.push(planRow(i, 'skip', {
+            key: mappedData.author_id,
+            message,
+            diff: diffRow(pickPreviewFields(existingJoinerByAuthorId), previewJoiner(mappedData, true)),
+            existing: existingJoinerByAuthorId
+          }));
+          continue;
         }
+      }
 
+      // The same person twice in one upload would fail the unique email index on insert
+      if (seenEmails.has(mappedData.candidate_personal_mail_id)) {
+        rowError(`Duplicate of row ${seenEmails.get(mappedData.candidate_personal_mail_id)} (email ${mappedData.candidate_personal_mail_id})`);
+        continue;
+      }
+      seenEmails.set(mappedData.candidate_personal_mail_id, i + 1);
 
-        // Validate phone number exists and is not empty
-        // Handle number 0 as valid (though unlikely for phone)
-        // Make phone_number optional - if not provided, set to null
-        if (phoneNumber === null || 
-            phoneNumber === undefined || 
-            phoneNumber === '' ||
-            (typeof phoneNumber === 'string' && phoneNumber.trim() === '')) {
-          // Phone number is optional - set to null instead of erroring
-          mappedData.phone = null;
-          mappedData.phone_number = null;
-          // Continue processing without phone number
-        } else {
-          // Convert to string and validate phone format - more flexible regex
-          const phoneStr = phoneNumber.toString().trim();
-          
-          // Remove any non-digit characters except + at the start, then remove + if present
-          let cleanedPhone = phoneStr.replace(/[^\d+]/g, '');
-          if (cleanedPhone.startsWith('+')) {
-            cleanedPhone = cleanedPhone.substring(1);
-          }
-          
-          // Validate phone format - must be 10-15 digits
-          const phoneRegex = /^[0-9]{10,15}$/;
-          if (!phoneRegex.test(cleanedPhone)) {
-            errors.push(`Row ${i + 1}: Invalid phone format: ${phoneStr} (cleaned: ${cleanedPhone}). Phone must be 10-15 digits.`);
-            continue;
-          }
+      processedJoiners.push(mappedData);
+      rows.push(planRow(i, 'create', {
+        key: mappedData.candidate_personal_mail_id,
+        message: warning,
+        diff: diffRow(null, previewJoiner(mappedData, Boolean(providedAuthorId) && isValidUUID(providedAuthorId)))
+      }));
 
-          // Update joinerData with the found phone number (use cleaned version if needed)
-          joinerData.phone_number = cleanedPhone || phoneStr;
-          
-          // Update mappedData with cleaned phone number
-          mappedData.phone = cleanedPhone || phoneStr;
-          mappedData.phone_number = cleanedPhone || phoneStr;
-        }
+    } catch (error) {
+      rowError(error.message);
+    }
+  }
 
-        // Validate role_assign if provided
-        if (joinerData.role_assign && joinerData.role_assign.trim() !== '' && 
-            !['SDM', 'SDI', 'SDF', 'SDB', 'OTHER'].includes(joinerData.role_assign.trim())) {
-          errors.push(`Row ${i + 1}: Invalid role_assign value: ${joinerData.role_assign}. Must be one of: SDM, SDI, SDF, SDB, OTHER`);
-          continue;
-        }
+  return { processedJoiners, errors, rows };
+};
 
-        // Check if joiner already exists (using pre-fetched data)
-        const existingJoinerByEmail = existingEmailsMap.get(mappedData.candidate_personal_mail_id);
-        
-        if (existingJoinerByEmail) {
-          errors.push(`Row ${i + 1}: Joiner with email ${mappedData.candidate_personal_mail_id} already exists (existing author_id: ${existingJoinerByEmail.author_id || 'N/A'})`);
-          continue;
-        }
-        
-        // Then check by author_id (only if we're using a provided one, not a newly generated one)
-        if (providedAuthorId && isValidUUID(providedAuthorId)) {
-          const existingJoinerByAuthorId = existingAuthorIdsMap.get(mappedData.author_id);
-          
-          if (existingJoinerByAuthorId) {
-            errors.push(`Row ${i + 1}: Joiner with author_id ${mappedData.author_id} already exists (email: ${existingJoinerByAuthorId.candidate_personal_mail_id || existingJoinerByAuthorId.email || 'N/A'})`);
-            continue;
-          }
-        }
+// @desc    Process bulk joiner data. With dryRun, nothing is written and each row is
+//          reported as create, skip or error; { previewToken } then commits that preview.
+// @route   POST /api/joiners/bulk-upload
+// @access  Private (BOA)
+const bulkUploadJoiners = async (req, res) => {
+  try {
+    // Validate authentication
+    if (!req.user || !req.user.id) {
+      return res.status(401).json({
+        message: 'Authentication required. Please log in again.'
+      });
+    }
 
-        processedJoiners.push(mappedData);
+    const dryRun = isDryRun(req);
+    const { preview, status, message } = await findPreviewForCommit(req, 'joiners');
+    if (status) {
+      return res.status(status).json({ message });
+    }
+    // A commit imports exactly the data that was previewed
+    if (preview) {
+      req.body = preview.payload;
+    }
 
-      } catch (error) {
-        errors.push(`Row ${i + 1}: ${error.message}`);
+    const { 
+      spread_sheet_name, 
+      data_sets_to_be_loaded, 
+      google_sheet_url,
+      joiners_data 
+    } = req.body;
+
+    if (!joiners_data || !Array.isArray(joiners_data)) {
+      return res.status(400).json({ 
+        message: 'joiners_data is required and must be an array',
+        received: typeof joiners_data,
+        isArray: Array.isArray(joiners_data)
+      });
+    }
+
+    if (joiners_data.length === 0) {
+      return res.status(400).json({ 
+        message: 'joiners_data array is empty. Please provide at least one joiner record.' 
+      });
+    }
+
+    const { processedJoiners, errors, rows } = await planJoinerUpload(req, joiners_data);
+
+    if (dryRun) {
+      return res.json(await createPreview(req, 'joiners', { spread_sheet_name, data_sets_to_be_loaded, joiners_data }, rows));
+    }
+    if (preview) {
+      const claim = await claimPreview(req, preview, rows);
+      if (!claim.ok) {
+        return res.status(claim.status).json(claim.body);
       }
     }
 
@@ -537,6 +627,17 @@ const bulkUploadJoiners = async (req, res) => {
       });
     }
 
+    await recordAuditBatch(req, createdJoiners.map(joiner => ({
+      action: 'bulk_create',
+      entityType: 'joiner',
+      entityId: joiner._id,
+      entityLabel: joiner.name,
+      after: joiner,
+      metadata: { spreadSheetName: spread_sheet_name || null }
+    })));
+    await recordVersions(req, 'joiner', createdJoiners.map(joiner => ({ document: joiner, action: 'bulk_create' })));
+    await onboardingService.startOnboardingBatch(createdJoiners);
+
     // Return success even if there were some validation errors (partial success)
     const statusCode = hasErrors ? 200 : 201;
     res.status(statusCode).json({
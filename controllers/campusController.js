@@ -1,5 +1,5 @@
 const Campus = require('../models/Campus');
-const User = require('../models/User');
+const { recordAudit } = require('../utils/auditLog');
 
 // @desc    Create a new campus
 // @route   POST /api/campus
@@ -220,11 +220,19 @@ const deleteCampus = async (req, res) => {
     //   });
     // }
 
-    await Campus.findByIdAndDelete(req.params.id);
+    await campus.softDelete(req.user._id);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'campus',
+      entityId: campus._id,
+      entityLabel: `${campus.name} (${campus.location})`,
+      before: campus
+    });
 
     res.json({
       success: true,
-      message: 'Campus deleted successfully'
+      message: 'Campus moved to trash'
     });
 
   } catch (error) {
@@ -1,5 +1,3 @@
-const User = require('../models/User');
-const UserNew = require('../models/UserNew');
 const Joiner = require('../models/Joiner');
 const MCQDeployment = require('../models/MCQDeployment');
 const Result = require('../models/Result');
@@ -7,6 +5,7 @@ const Assignment = require('../models/Assignment');
 const DayPlan = require('../models/DayPlan');
 const Observation = require('../models/Observation');
 const moment = require('moment');
+const userService = require('../services/userService');
 
 // @desc    Get candidate dashboard data
 // @route   POST /api/admin/candidate-dashboard
@@ -43,13 +42,12 @@ const getCandidateDashboardData = async (req, res) => {
         // Check if search term is a valid MongoDB ObjectId
         const isObjectId = /^[0-9a-fA-F]{24}$/.test(searchTerm);
         
-        // Build search query - support employeeId, author_id, phone, phone_number, email, and _id
+        // Build search query - support employeeId, author_id, phone, email, and _id
         const searchQuery = {
           $or: [
             { employeeId: searchTerm },
             { author_id: searchTerm },
             { phone: searchTerm },
-            { phone_number: searchTerm },
             { email: searchTerm }
           ]
         };
@@ -59,15 +57,7 @@ const getCandidateDashboardData = async (req, res) => {
           searchQuery.$or.push({ _id: searchTerm });
         }
         
-        // Search in UserNew model first
-        let user = await UserNew.findOne(searchQuery);
-        let userModel = 'UserNew';
-
-        // If not found, search in User model
-        if (!user) {
-          user = await User.findOne(searchQuery);
-          userModel = 'User';
-        }
+        const user = await userService.findOne(searchQuery);
 
         if (!user) {
           continue;
@@ -306,7 +296,6 @@ const getCandidateDashboardDetail = async (req, res) => {
         { employeeId: searchTerm },
         { author_id: searchTerm },
         { phone: searchTerm },
-        { phone_number: searchTerm },
         { email: searchTerm }
       ]
     };
@@ -315,10 +304,7 @@ const getCandidateDashboardDetail = async (req, res) => {
       searchQuery.$or.push({ _id: searchTerm });
     }
     
-    let user = await UserNew.findOne(searchQuery);
-    if (!user) {
-      user = await User.findOne(searchQuery);
-    }
+    const user = await userService.findOne(searchQuery);
 
     if (!user) {
       return res.status(404).json({
@@ -346,11 +332,11 @@ const getCandidateDashboardDetail = async (req, res) => {
     const personalDetails = {
       uid: user.author_id || user._id.toString(),
       name: user.name || joiner?.candidate_name || 'Unknown',
-      phoneNumber: user.phone_number || user.phone || joiner?.phone_number || joiner?.phone || 'N/A',
-      email: user.email || user.candidate_personal_mail_id || joiner?.candidate_personal_mail_id || joiner?.email || 'N/A',
+      phoneNumber: user.phone || joiner?.phone_number || joiner?.phone || 'N/A',
+      email: user.email || joiner?.candidate_personal_mail_id || joiner?.email || 'N/A',
       employeeId: user.employeeId || joiner?.employeeId || 'N/A',
-      doj: user.date_of_joining || user.joiningDate || joiner?.date_of_joining || joiner?.joiningDate 
-        ? moment(user.date_of_joining || user.joiningDate || joiner?.date_of_joining || joiner?.joiningDate).format('DD-MMM-YYYY')
+      doj: user.joiningDate || joiner?.date_of_joining || joiner?.joiningDate 
+        ? moment(user.joiningDate || joiner?.date_of_joining || joiner?.joiningDate).format('DD-MMM-YYYY')
         : 'N/A',
       state: user.state || joiner?.state || 'N/A',
       highestQualification: user.qualification || joiner?.qualification || 'N/A',
@@ -1,11 +1,13 @@
-const User = require('../models/User');
-const UserNew = require('../models/UserNew');
 const LearningReport = require('../models/LearningReport');
 const AttendanceReport = require('../models/AttendanceReport');
 const GroomingReport = require('../models/GroomingReport');
 const InteractionsReport = require('../models/InteractionsReport');
 const Joiner = require('../models/Joiner');
 const axios = require('axios');
+const { recordAudit, recordAuditBatch } = require('../utils/auditLog');
+const { recordVersion, recordVersions } = require('../utils/versionHistory');
+const userService = require('../services/userService');
+const { isDryRun, diffRow, planRow, createPreview, findPreviewForCommit, claimPreview } = require('../utils/bulkPreview');
 
 // @desc    Validate author_id exists in users collection
 // @route   POST /api/candidate-reports/validate-author
@@ -21,13 +23,8 @@ const validateAuthorId = async (req, res) => {
       });
     }
 
-    // Check if author_id exists in User model
-    let user = await User.findOne({ author_id: author_id.trim() });
-    
-    if (!user) {
-      // Try UserNew model as well
-      user = await UserNew.findOne({ author_id: author_id.trim() });
-    }
+    // Check if author_id exists in the users collection
+    const user = await userService.findByAuthorId(author_id.trim());
 
     if (!user) {
       return res.status(404).json({
@@ -55,7 +52,27 @@ const validateAuthorId = async (req, res) => {
   }
 };
 
-// @desc    Bulk upload candidate reports to separate collections (from single sheet with sub-sheets)
+// One planned row of a candidate report upload from the report types it would write
+// ({ field, existing, diff }). A row whose reports would not change is skipped.
+const planCandidateRow = (index, authorId, planned) => {
+  if (planned.length === 0) {
+    return planRow(index, 'skip', { key: authorId, message: 'No changes to the selected reports' });
+  }
+  // Any edit to one of the matched reports moves the latest updatedAt
+  const existing = planned
+    .map(report => report.existing)
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))[0];
+  return planRow(index, existing ? 'update' : 'create', {
+    key: authorId,
+    diff: planned.flatMap(report => report.diff),
+    existing: existing ? { updatedAt: existing.updatedAt } : null
+  });
+};
+
+// @desc    Bulk upload candidate reports to separate collections (from single sheet with sub-sheets).
+//          With dryRun, nothing is written and each row is reported as create, update, skip
+//          or error with a per-metric diff; { previewToken } then commits that preview.
 // @route   POST /api/candidate-reports/bulk-upload
 // @access  Private (BOA)
 const bulkUploadCandidateReports = async (req, res) => {
@@ -68,6 +85,16 @@ const bulkUploadCandidateReports = async (req, res) => {
       });
     }
 
+    const dryRun = isDryRun(req);
+    const { preview, status: previewStatus, message: previewMessage } = await findPreviewForCommit(req, 'candidate_reports');
+    if (previewStatus) {
+      return res.status(previewStatus).json({ success: false, message: previewMessage });
+    }
+    // A commit imports exactly the data that was previewed, not a fresh fetch of the sheet
+    if (preview) {
+      req.body = preview.payload;
+    }
+
     const { 
       spread_sheet_name, 
       data_sets_to_be_loaded, 
@@ -262,23 +289,14 @@ const bulkUploadCandidateReports = async (req, res) => {
       }
     }
 
-    // Batch fetch all users from both collections
-    const usersFromUser = await User.find({ 
-      author_id: { $in: authorIds } 
-    }).select('author_id name email _id').lean();
-    
-    const usersFromUserNew = await UserNew.find({ 
+    // Batch fetch all users
+    const users = await userService.find({ 
       author_id: { $in: authorIds } 
     }).select('author_id name email _id').lean();
 
-    // Create user lookup map (combine both collections, UserNew takes precedence)
+    // Create user lookup map
     const userMap = new Map();
-    usersFromUser.forEach(u => {
-      if (u.author_id) {
-        userMap.set(u.author_id.trim(), u);
-      }
-    });
-    usersFromUserNew.forEach(u => {
+    users.forEach(u => {
       if (u.author_id) {
         userMap.set(u.author_id.trim(), u);
       }
@@ -287,29 +305,38 @@ const bulkUploadCandidateReports = async (req, res) => {
     // Batch fetch all existing reports for all author_ids
     const existingLearningReports = await LearningReport.find({
       author_id: { $in: authorIds }
-    }).select('author_id').lean();
+    }).select('author_id reportData updatedAt').lean();
     
     const existingAttendanceReports = await AttendanceReport.find({
       author_id: { $in: authorIds }
-    }).select('author_id').lean();
+    }).select('author_id reportData updatedAt').lean();
     
     const existingGroomingReports = await GroomingReport.find({
       author_id: { $in: authorIds }
-    }).select('author_id').lean();
+    }).select('author_id reportData updatedAt').lean();
     
     const existingInteractionsReports = await InteractionsReport.find({
       author_id: { $in: authorIds }
-    }).select('author_id').lean();
-
-    // Create lookup maps for existing reports
-    const existingLearningMap = new Set(existingLearningReports.map(r => r.author_id?.trim()).filter(Boolean));
-    const existingAttendanceMap = new Set(existingAttendanceReports.map(r => r.author_id?.trim()).filter(Boolean));
-    const existingGroomingMap = new Set(existingGroomingReports.map(r => r.author_id?.trim()).filter(Boolean));
-    const existingInteractionsMap = new Set(existingInteractionsReports.map(r => r.author_id?.trim()).filter(Boolean));
+    }).select('author_id reportData updatedAt').lean();
+
+    // Create lookup maps for existing reports (author_id -> current reportData, kept for the audit log)
+    const toReportMap = (reports) => new Map(reports.filter(r => r.author_id?.trim()).map(r => [r.author_id.trim(), r.reportData]));
+    const existingLearningMap = toReportMap(existingLearningReports);
+    const existingAttendanceMap = toReportMap(existingAttendanceReports);
+    const existingGroomingMap = toReportMap(existingGroomingReports);
+    const existingInteractionsMap = toReportMap(existingInteractionsReports);
+
+    // Full documents (with updatedAt) for previews
+    const toDocumentMap = (reports) => new Map(reports.filter(r => r.author_id?.trim()).map(r => [r.author_id.trim(), r]));
+    const existingLearningDocs = toDocumentMap(existingLearningReports);
+    const existingAttendanceDocs = toDocumentMap(existingAttendanceReports);
+    const existingGroomingDocs = toDocumentMap(existingGroomingReports);
+    const existingInteractionsDocs = toDocumentMap(existingInteractionsReports);
 
     // Process each candidate report
     const processedReports = [];
     const errors = [];
+    const rows = [];
     let createdCount = 0;
     let updatedCount = 0;
 
@@ -324,11 +351,16 @@ const bulkUploadCandidateReports = async (req, res) => {
     const interactionsReportsToUpdate = [];
 
     for (let i = 0; i < reportsData.length; i++) {
+      const rowError = (message) => {
+        errors.push(`Row ${i + 1}: ${message}`);
+        rows.push(planRow(i, 'error', { message }));
+      };
+
       try {
         const reportData = reportsData[i];
         
         if (!reportData.author_id) {
-          errors.push(`Row ${i + 1}: author_id is required`);
+          rowError('author_id is required');
           continue;
         }
 
@@ -338,10 +370,19 @@ const bulkUploadCandidateReports = async (req, res) => {
         const user = userMap.get(authorId);
 
         if (!user) {
-          errors.push(`Row ${i + 1}: User not found with author_id ${authorId}`);
+          rowError(`User not found with author_id ${authorId}`);
           continue;
         }
 
+        // What this row does to each report type; unchanged reports are not rewritten
+        const planned = [];
+        const planReport = (field, existing, newReportData) => {
+          const diff = diffRow(existing ? { [field]: existing.reportData } : null, { [field]: newReportData });
+          if (existing && diff.length === 0) return false;
+          planned.push({ field, existing, diff });
+          return true;
+        };
+
         // Extract reports based on data_sets_to_be_loaded filter
         let learningReport = null;
         let attendanceReport = null;
@@ -454,18 +495,20 @@ const bulkUploadCandidateReports = async (req, res) => {
             };
             
             const exists = existingLearningMap.has(authorId);
-            if (exists) {
+            const changed = planReport('learningReport', existingLearningDocs.get(authorId), reportDataWithSkills);
+            if (changed && exists) {
               learningReportsToUpdate.push({
                 author_id: authorId,
                 reportData: reportDataWithSkills,
                 user: user._id || null
               });
-            } else {
+            } else if (changed) {
               learningReportsToCreate.push({
                 author_id: authorId,
                 user: user._id || null,
                 reportData: reportDataWithSkills,
-                uploadedBy: req.user.id
+                uploadedBy: req.user.id,
+                apiKey: req.apiKey ? req.apiKey._id : null
               });
             }
           } catch (saveError) {
@@ -477,18 +520,20 @@ const bulkUploadCandidateReports = async (req, res) => {
         if (attendanceReport && Object.keys(attendanceReport).length > 0) {
           try {
             const exists = existingAttendanceMap.has(authorId);
-            if (exists) {
+            const changed = planReport('attendanceReport', existingAttendanceDocs.get(authorId), attendanceReport);
+            if (changed && exists) {
               attendanceReportsToUpdate.push({
                 author_id: authorId,
                 reportData: attendanceReport,
                 user: user._id || null
               });
-            } else {
+            } else if (changed) {
               attendanceReportsToCreate.push({
                 author_id: authorId,
                 user: user._id || null,
                 reportData: attendanceReport,
-                uploadedBy: req.user.id
+                uploadedBy: req.user.id,
+                apiKey: req.apiKey ? req.apiKey._id : null
               });
             }
           } catch (saveError) {
@@ -500,18 +545,20 @@ const bulkUploadCandidateReports = async (req, res) => {
         if (groomingReport && Object.keys(groomingReport).length > 0) {
           try {
             const exists = existingGroomingMap.has(authorId);
-            if (exists) {
+            const changed = planReport('groomingReport', existingGroomingDocs.get(authorId), groomingReport);
+            if (changed && exists) {
               groomingReportsToUpdate.push({
                 author_id: authorId,
                 reportData: groomingReport,
                 user: user._id || null
               });
-            } else {
+            } else if (changed) {
               groomingReportsToCreate.push({
                 author_id: authorId,
                 user: user._id || null,
                 reportData: groomingReport,
-                uploadedBy: req.user.id
+                uploadedBy: req.user.id,
+                apiKey: req.apiKey ? req.apiKey._id : null
               });
             }
           } catch (saveError) {
@@ -523,18 +570,20 @@ const bulkUploadCandidateReports = async (req, res) => {
         if (culturalReport && (Array.isArray(culturalReport) ? culturalReport.length > 0 : Object.keys(culturalReport).length > 0)) {
           try {
             const exists = existingInteractionsMap.has(authorId);
-            if (exists) {
+            const changed = planReport('interactionsReport', existingInteractionsDocs.get(authorId), culturalReport);
+            if (changed && exists) {
               interactionsReportsToUpdate.push({
                 author_id: authorId,
                 reportData: culturalReport,
                 user: user._id || null
               });
-            } else {
+            } else if (changed) {
               interactionsReportsToCreate.push({
                 author_id: authorId,
                 user: user._id || null,
                 reportData: culturalReport,
-                uploadedBy: req.user.id
+                uploadedBy: req.user.id,
+                apiKey: req.apiKey ? req.apiKey._id : null
               });
             }
           } catch (saveError) {
@@ -547,11 +596,27 @@ const bulkUploadCandidateReports = async (req, res) => {
           name: user.name,
           email: user.email
         });
+        rows.push(planCandidateRow(i, authorId, planned));
 
       } catch (error) {
         const errorMessage = error.message || error.toString();
         const errorDetails = error.stack ? error.stack.split('\n')[0] : '';
-        errors.push(`Row ${i + 1}: ${errorMessage}${errorDetails ? ' - ' + errorDetails : ''}`);
+        rowError(`${errorMessage}${errorDetails ? ' - ' + errorDetails : ''}`);
+      }
+    }
+
+    if (dryRun) {
+      const previewBody = await createPreview(req, 'candidate_reports', {
+        spread_sheet_name,
+        data_sets_to_be_loaded,
+        candidate_reports_data: reportsData
+      }, rows);
+      return res.json({ success: true, ...previewBody });
+    }
+    if (preview) {
+      const claim = await claimPreview(req, preview, rows);
+      if (!claim.ok) {
+        return res.status(claim.status).json({ success: false, ...claim.body });
       }
     }
 
@@ -572,6 +637,7 @@ const bulkUploadCandidateReports = async (req, res) => {
               $set: {
                 reportData: report.reportData,
                 uploadedBy: req.user.id,
+                apiKey: req.apiKey ? req.apiKey._id : null,
                 lastUpdatedAt: new Date()
               }
             }
@@ -596,6 +662,7 @@ const bulkUploadCandidateReports = async (req, res) => {
               $set: {
                 reportData: report.reportData,
                 uploadedBy: req.user.id,
+                apiKey: req.apiKey ? req.apiKey._id : null,
                 lastUpdatedAt: new Date()
               }
             }
@@ -620,6 +687,7 @@ const bulkUploadCandidateReports = async (req, res) => {
               $set: {
                 reportData: report.reportData,
                 uploadedBy: req.user.id,
+                apiKey: req.apiKey ? req.apiKey._id : null,
                 lastUpdatedAt: new Date()
               }
             }
@@ -644,6 +712,7 @@ const bulkUploadCandidateReports = async (req, res) => {
               $set: {
                 reportData: report.reportData,
                 uploadedBy: req.user.id,
+                apiKey: req.apiKey ? req.apiKey._id : null,
                 lastUpdatedAt: new Date()
               }
             }
@@ -656,6 +725,44 @@ const bulkUploadCandidateReports = async (req, res) => {
       errors.push(`Bulk operation error: ${bulkError.message}`);
     }
 
+    // One audit event per candidate and report type
+    const auditEvents = [];
+    const addAuditEvents = (reportField, toCreate, toUpdate, existingMap) => {
+      toCreate.forEach(report => auditEvents.push({
+        action: 'bulk_create',
+        entityType: 'candidate_report',
+        entityId: report.author_id,
+        after: { [reportField]: report.reportData }
+      }));
+      toUpdate.forEach(report => auditEvents.push({
+        action: 'bulk_update',
+        entityType: 'candidate_report',
+        entityId: report.author_id,
+        before: { [reportField]: existingMap.get(report.author_id) },
+        after: { [reportField]: report.reportData }
+      }));
+    };
+    addAuditEvents('learningReport', learningReportsToCreate, learningReportsToUpdate, existingLearningMap);
+    addAuditEvents('attendanceReport', attendanceReportsToCreate, attendanceReportsToUpdate, existingAttendanceMap);
+    addAuditEvents('groomingReport', groomingReportsToCreate, groomingReportsToUpdate, existingGroomingMap);
+    addAuditEvents('interactionsReport', interactionsReportsToCreate, interactionsReportsToUpdate, existingInteractionsMap);
+    await recordAuditBatch(req, auditEvents);
+
+    // Keep the replaced report data as a version before it is lost
+    const recordReportVersions = (documentType, toCreate, toUpdate, existingMap) => recordVersions(req, documentType, [
+      ...toCreate.map(report => ({ documentId: report.author_id, document: report, action: 'bulk_create' })),
+      ...toUpdate.map(report => ({
+        documentId: report.author_id,
+        document: report,
+        previous: { reportData: existingMap.get(report.author_id) },
+        action: 'bulk_update'
+      }))
+    ]);
+    await recordReportVersions('learning_report', learningReportsToCreate, learningReportsToUpdate, existingLearningMap);
+    await recordReportVersions('attendance_report', attendanceReportsToCreate, attendanceReportsToUpdate, existingAttendanceMap);
+    await recordReportVersions('grooming_report', groomingReportsToCreate, groomingReportsToUpdate, existingGroomingMap);
+    await recordReportVersions('interactions_report', interactionsReportsToCreate, interactionsReportsToUpdate, existingInteractionsMap);
+
     res.status(200).json({
       success: true,
       message: `Successfully processed ${processedReports.length} candidate reports`,
@@ -692,28 +799,14 @@ const getCandidatePerformance = async (req, res) => {
     }
 
     // Fetch Personal Details from users collection
-    // Try to find by author_id first, then by _id if author_id is a valid ObjectId
-    let user = await User.findOne({ author_id: authorId })
+    // authorId may also be a Mongo _id
+    const user = await userService.findByIdOrAuthorId(authorId)
       .select('-password -tempPassword')
       .lean();
     
-    // If not found by author_id, try by _id (in case authorId is actually an _id)
-    if (!user) {
-      try {
-        const mongoose = require('mongoose');
-        if (mongoose.Types.ObjectId.isValid(authorId)) {
-          user = await User.findById(authorId)
-            .select('-password -tempPassword')
-            .lean();
-        }
-      } catch (e) {
-        // Ignore error, continue with user as null
-      }
-    }
-    
     // If user is a trainer, verify they can access this trainee's data
     if (userRole === 'trainer') {
-      const trainer = await User.findById(userId);
+      const trainer = await userService.findById(userId);
       if (!trainer) {
         return res.status(404).json({
           success: false,
@@ -722,19 +815,7 @@ const getCandidatePerformance = async (req, res) => {
       }
 
       // Check if the trainee is assigned to this trainer
-      // Try to find trainee by author_id first, then by _id
-      let trainee = await User.findOne({ author_id: authorId, role: 'trainee' });
-      if (!trainee) {
-        try {
-          const mongoose = require('mongoose');
-          if (mongoose.Types.ObjectId.isValid(authorId)) {
-            trainee = await User.findOne({ _id: authorId, role: 'trainee' });
-          }
-        } catch (e) {
-          // Ignore error
-        }
-      }
-      
+      const trainee = user && user.role === 'trainee' ? user : null;
       if (!trainee) {
         return res.status(404).json({
           success: false,
@@ -754,16 +835,6 @@ const getCandidatePerformance = async (req, res) => {
       }
     }
     
-    let userModel = 'User';
-    
-    if (!user) {
-      // Try UserNew model as well
-      user = await UserNew.findOne({ author_id: authorId })
-        .select('-password -tempPassword')
-        .lean();
-      userModel = 'UserNew';
-    }
-
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -807,11 +878,11 @@ const getCandidatePerformance = async (req, res) => {
       uid: user.author_id,
       name: user.name,
       email: user.email,
-      phone: user.phone || user.phone_number || null,
-      phoneNumber: user.phone || user.phone_number || null,
+      phone: user.phone || null,
+      phoneNumber: user.phone || null,
       employeeId: finalEmployeeId || null,
-      dateOfJoining: user.joiningDate || user.date_of_joining || user.createdAt || null,
-      joiningDate: user.joiningDate || user.date_of_joining || user.createdAt || null,
+      dateOfJoining: user.joiningDate || user.createdAt || null,
+      joiningDate: user.joiningDate || user.createdAt || null,
       state: user.state || null,
       qualification: user.qualification || null,
       highestQualification: user.qualification || null,
@@ -1003,8 +1074,7 @@ const updateCandidateReport = async (req, res) => {
       }
 
       // Check if the trainee is assigned to this trainer
-      const User = require('../models/User');
-      const trainee = await User.findOne({ author_id: authorId, role: 'trainee' });
+      const trainee = await userService.findOne({ author_id: authorId, role: 'trainee' });
       
       if (!trainee) {
         return res.status(404).json({
@@ -1013,7 +1083,7 @@ const updateCandidateReport = async (req, res) => {
         });
       }
 
-      const trainer = await User.findById(userId);
+      const trainer = await userService.findById(userId);
       if (!trainer) {
         return res.status(404).json({
           success: false,
@@ -1049,6 +1119,8 @@ const updateCandidateReport = async (req, res) => {
       .sort({ uploadedAt: -1 })
       .limit(1);
 
+    const previousReportData = report ? report.reportData : null;
+
     if (report) {
       // Update existing report
       report.reportData = reportData;
@@ -1067,6 +1139,20 @@ const updateCandidateReport = async (req, res) => {
       });
     }
 
+    const reportField = `${reportType.toLowerCase()}Report`;
+    await recordAudit(req, {
+      action: previousReportData ? 'update' : 'create',
+      entityType: 'candidate_report',
+      entityId: authorId,
+      before: previousReportData ? { [reportField]: previousReportData } : null,
+      after: { [reportField]: report.reportData }
+    });
+    await recordVersion(req, `${reportType.toLowerCase()}_report`, {
+      document: report,
+      previous: previousReportData ? { reportData: previousReportData } : null,
+      action: previousReportData ? 'update' : 'create'
+    });
+
     res.status(200).json({
       success: true,
       message: `${reportType} report updated successfully`,
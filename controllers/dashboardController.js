@@ -1,21 +1,27 @@
 const mongoose = require("mongoose");
-const User = require("../models/User");
-const UserNew = require("../models/UserNew");
 const Attendance = require("../models/Attendance");
 const DayPlan = require("../models/DayPlan");
 const TraineeDayPlan = require("../models/TraineeDayPlan");
 const Assignment = require("../models/Assignment");
 const Observation = require("../models/Observation");
 const Notification = require("../models/Notification");
+const Batch = require("../models/Batch");
+const userService = require('../services/userService');
+const { resolveBatchFilter } = require("../utils/batches");
 
 // @desc    Get Master Trainer Dashboard
-// @route   GET /api/dashboard/master-trainer
+// @route   GET /api/dashboard/master-trainer (?batch narrows the trainee figures to one batch)
 // @access  Private (Master Trainer)
 const getMasterTrainerDashboard = async (req, res) => {
   try {
     const masterTrainerId = req.user.id;
     const { startDate, endDate } = req.query;
 
+    const batchMembers = await resolveBatchFilter(req, res);
+    if (batchMembers === false) return;
+    // Extra $match conditions limiting a collection to the batch's trainees
+    const batchMatch = (field, key) => (batchMembers ? { [field]: { $in: batchMembers[key] } } : {});
+
     // Set default date range (last 30 days)
     const defaultEndDate = new Date();
     const defaultStartDate = new Date();
@@ -26,39 +32,20 @@ const getMasterTrainerDashboard = async (req, res) => {
       $lte: endDate ? new Date(endDate) : defaultEndDate
     };
 
-    // Get all trainers from both schemas and merge/dedupe
-    const trainersUser = await User.find({ role: "trainer", isActive: true })
-      .populate('assignedTrainees', 'name email employeeId department lastClockIn lastClockOut')
-      .select('name email department assignedTrainees createdAt author_id');
-    const trainersUserNew = await UserNew.find({ role: "trainer", isActive: true })
+    // Get all active trainers and trainees
+    const trainers = await userService.find({ role: "trainer", isActive: true })
       .populate('assignedTrainees', 'name email employeeId department lastClockIn lastClockOut')
       .select('name email department assignedTrainees createdAt author_id');
-    const trainersMap = new Map();
-    [...trainersUser, ...trainersUserNew].forEach(t => {
-      const k = (t.email || t.author_id || t._id.toString()).toLowerCase();
-      if (!trainersMap.has(k)) trainersMap.set(k, t);
-    });
-    const trainers = Array.from(trainersMap.values());
-
-    // Get all trainees from both schemas and merge/dedupe
-    const traineesUser = await User.find({ role: "trainee", isActive: true })
-      .populate('assignedTrainer', 'name email author_id')
-      .select('name email employeeId department assignedTrainer lastClockIn lastClockOut joiningDate author_id');
-    const traineesUserNew = await UserNew.find({ role: "trainee", isActive: true })
+    const trainees = await userService.find({ role: "trainee", isActive: true, ...batchMatch('author_id', 'authorIds') })
       .populate('assignedTrainer', 'name email author_id')
       .select('name email employeeId department assignedTrainer lastClockIn lastClockOut joiningDate author_id');
-    const traineesMap = new Map();
-    [...traineesUser, ...traineesUserNew].forEach(t => {
-      const k = (t.email || t.author_id || t._id.toString()).toLowerCase();
-      if (!traineesMap.has(k)) traineesMap.set(k, t);
-    });
-    const trainees = Array.from(traineesMap.values());
 
     // Get attendance statistics
     const attendanceStats = await Attendance.aggregate([
       {
         $match: {
-          date: dateFilter
+          date: dateFilter,
+          ...batchMatch('user', 'userIds')
         }
       },
       {
@@ -86,7 +73,8 @@ const getMasterTrainerDashboard = async (req, res) => {
     const dayPlanStats = await DayPlan.aggregate([
       {
         $match: {
-          date: dateFilter
+          date: dateFilter,
+          ...batchMatch('assignedTrainees', 'userIds')
         }
       },
       {
@@ -110,7 +98,8 @@ const getMasterTrainerDashboard = async (req, res) => {
     const observationStats = await Observation.aggregate([
       {
         $match: {
-          date: dateFilter
+          date: dateFilter,
+          ...batchMatch('trainee', 'userIds')
         }
       },
       {
@@ -150,6 +139,7 @@ const getMasterTrainerDashboard = async (req, res) => {
 
     // Get assignment statistics
     const assignmentStats = await Assignment.aggregate([
+      { $match: batchMatch('trainees', 'authorIds') },
       {
         $group: {
           _id: null,
@@ -199,7 +189,15 @@ const getMasterTrainerDashboard = async (req, res) => {
       }
     ]);
 
+    // Batches running today and their sizes
+    const now = new Date();
+    const currentBatches = await Batch.find({ startDate: { $lte: now }, $or: [{ endDate: null }, { endDate: { $gte: now } }] })
+      .select('name startDate endDate track members.author_id')
+      .sort({ startDate: -1 })
+      .lean();
+
     res.json({
+      batch: batchMembers ? batchMembers.batch : null,
       overview: {
         totalTrainers: trainers.length,
         totalTrainees: trainees.length,
@@ -239,6 +237,7 @@ const getMasterTrainerDashboard = async (req, res) => {
         currentlyWriting: 0,
         totalWritten: 0
       },
+      batches: currentBatches.map(({ members, ...batch }) => ({ ...batch, memberCount: members.length })),
       trainers,
       trainees,
       recentActivities
@@ -258,7 +257,7 @@ const getTrainerDashboard = async (req, res) => {
     const { startDate, endDate } = req.query;
 
     // First, let's just try to find the trainer
-    const trainer = await User.findById(trainerId)
+    const trainer = await userService.findById(trainerId)
       .populate('assignedTrainees', 'name email employeeId department lastClockIn lastClockOut author_id')
       .select('name email assignedTrainees');
 
@@ -267,7 +266,7 @@ const getTrainerDashboard = async (req, res) => {
     }
 
     // Debug: Check all trainees in database and their assigned trainers
-    const allTrainees = await User.find({ role: 'trainee', isActive: true }).select('name email assignedTrainer author_id');
+    const allTrainees = await userService.find({ role: 'trainee', isActive: true }).select('name email assignedTrainer author_id');
     allTrainees.forEach(trainee => {
       });
     
@@ -283,7 +282,7 @@ const getTrainerDashboard = async (req, res) => {
       // Filter out deactivated trainees from assignedTrainees and get full trainee data
       const activeAssignedTrainees = [];
       for (const traineeId of trainer.assignedTrainees) {
-        const trainee = await User.findById(traineeId).select('isActive name email employeeId department lastClockIn lastClockOut author_id');
+        const trainee = await userService.findById(traineeId).select('isActive name email employeeId department lastClockIn lastClockOut author_id');
         if (trainee && trainee.isActive !== false) {
           activeAssignedTrainees.push(trainee);
         }
@@ -293,13 +292,13 @@ const getTrainerDashboard = async (req, res) => {
       // Update the trainer's assignedTrainees field to remove deactivated trainees
       const activeTraineeIds = activeAssignedTrainees.map(t => t._id);
       if (activeTraineeIds.length !== trainer.assignedTrainees.length) {
-        await User.findByIdAndUpdate(trainerId, { 
+        await userService.findByIdAndUpdate(trainerId, { 
           $set: { assignedTrainees: activeTraineeIds } 
         });
       }
     } else {
       // Initialize the field in the database
-      await User.findByIdAndUpdate(trainerId, { 
+      await userService.findByIdAndUpdate(trainerId, { 
         $set: { assignedTrainees: [] } 
       });
       assignedTrainees = [];
@@ -310,11 +309,11 @@ const getTrainerDashboard = async (req, res) => {
     if (assignedTrainees.length === 0 && traineesAssignedToThisTrainer.length > 0) {
       // Fetch full trainee data with author_id
       const traineeIds = traineesAssignedToThisTrainer.map(t => t._id);
-      const fullTraineeData = await User.find({ 
+      const fullTraineeData = await userService.find({ 
         _id: { $in: traineeIds }
       }).select('name email employeeId department lastClockIn lastClockOut author_id');
       
-      await User.findByIdAndUpdate(trainerId, { 
+      await userService.findByIdAndUpdate(trainerId, { 
         $set: { assignedTrainees: traineeIds } 
       });
       assignedTrainees = fullTraineeData;
@@ -576,7 +575,7 @@ const getTraineeDashboard = async (req, res) => {
     };
 
     // Get trainee info
-    const trainee = await User.findById(traineeId)
+    const trainee = await userService.findById(traineeId)
       .populate('assignedTrainer', 'name email')
       .select('name email employeeId department assignedTrainer lastClockIn lastClockOut');
 
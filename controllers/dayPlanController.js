@@ -1,6 +1,6 @@
 const DayPlan = require("../models/DayPlan");
-const User = require("../models/User");
 const Notification = require("../models/Notification");
+const userService = require("../services/userService");
 
 // @desc    Create a new day plan
 // @route   POST /api/dayplans
@@ -32,7 +32,7 @@ const createDayPlan = async (req, res) => {
     }
 
     // Get trainer's assigned trainees
-    const trainer = await User.findById(trainerId).populate('assignedTrainees');
+    const trainer = await userService.findById(trainerId).populate('assignedTrainees');
     if (!trainer) {
       return res.status(404).json({ message: "Trainer not found" });
     }
@@ -203,7 +203,7 @@ const getTraineeDayPlans = async (req, res) => {
       query = { assignedTrainees: userId };
     } else if (userRole === 'trainer') {
       // For trainers, get day plans of their assigned trainees
-      const trainer = await User.findById(userId).populate('assignedTrainees');
+      const trainer = await userService.findById(userId).populate('assignedTrainees');
       if (!trainer) {
         return res.status(404).json({ message: "Trainer not found" });
       }
@@ -300,7 +300,7 @@ const updateDayPlan = async (req, res) => {
 
     // If updating assigned trainees, send notifications
     if (updateData.assignedTrainees) {
-      const trainer = await User.findById(trainerId);
+      const trainer = await userService.findById(trainerId);
       const newTrainees = updateData.assignedTrainees.filter(traineeId => 
         !dayPlan.assignedTrainees.includes(traineeId)
       );
@@ -1,8 +1,8 @@
 const { cloudinary, upload } = require('../config/cloudinary');
-const User = require('../models/User');
-const UserNew = require('../models/UserNew');
 const { createDemoNotification } = require('./notificationController');
 const mongoose = require('mongoose');
+const { recordAudit } = require('../utils/auditLog');
+const userService = require('../services/userService');
 
 // Cloudinary configuration is now in config/cloudinary.js
 
@@ -50,7 +50,7 @@ const uploadDemo = async (req, res) => {
     // Save demo to user's demo_managements_details array
     if (traineeId) {
       try {
-        const user = await User.findOne({ author_id: traineeId });
+        const user = await userService.findOne({ author_id: traineeId });
         if (user) {
           user.demo_managements_details.push(demo);
           await user.save();
@@ -95,7 +95,7 @@ const getDemos = async (req, res) => {
     
     // If traineeId is provided, fetch demos for that specific trainee
     if (traineeId) {
-      const user = await User.findOne({ author_id: traineeId }).select('demo_managements_details name');
+      const user = await userService.findOne({ author_id: traineeId }).select('demo_managements_details name');
       
       if (!user) {
         return res.status(404).json({
@@ -125,7 +125,7 @@ const getDemos = async (req, res) => {
       const trainerIdToUse = trainerId || requestingUser.author_id;
       
       // Find trainer by author_id
-      const trainer = await User.findOne({ author_id: trainerIdToUse }).populate('assignedTrainees', 'author_id name email');
+      const trainer = await userService.findOne({ author_id: trainerIdToUse }).populate('assignedTrainees', 'author_id name email');
       
       if (!trainer) {
         return res.status(404).json({
@@ -143,7 +143,7 @@ const getDemos = async (req, res) => {
       
       const assignedTraineeIds = trainer.assignedTrainees.map(trainee => trainee.author_id);
       // Fetch demos from all assigned trainees
-      const trainees = await User.find({ 
+      const trainees = await userService.find({ 
         author_id: { $in: assignedTraineeIds } 
       }).select('author_id name email demo_managements_details');
       
@@ -191,7 +191,7 @@ const getDemos = async (req, res) => {
     // If user is a master trainer and no specific parameters, fetch all demos from all trainees
     if (requestingUser.role === 'master_trainer') {
       // Fetch all trainees with demos
-      const trainees = await User.find({ 
+      const trainees = await userService.find({ 
         role: 'trainee',
         isActive: true,
         'demo_managements_details.0': { $exists: true }
@@ -303,10 +303,10 @@ const updateDemo = async (req, res) => {
       try {
         let trainer = null;
         if (mongoose.Types.ObjectId.isValid(reviewedBy)) {
-          trainer = await User.findById(reviewedBy).select('name');
+          trainer = await userService.findById(reviewedBy).select('name');
         }
         if (!trainer) {
-          trainer = await User.findOne({ author_id: reviewedBy }).select('name');
+          trainer = await userService.findOne({ author_id: reviewedBy }).select('name');
         }
         if (trainer) {
           trainerName = trainer.name;
@@ -317,17 +317,10 @@ const updateDemo = async (req, res) => {
     }
     
     // Find the demo in the trainee's demo_managements_details array
-    // Check both User and UserNew models
-    let trainee = await User.findOne({ 
+    const trainee = await userService.findOne({ 
       'demo_managements_details.id': id 
     });
     
-    if (!trainee) {
-      trainee = await UserNew.findOne({ 
-        'demo_managements_details.id': id 
-      });
-    }
-    
     if (!trainee) {
       return res.status(404).json({
         success: false,
@@ -345,6 +338,8 @@ const updateDemo = async (req, res) => {
       });
     }
     
+    const previousDemo = { ...trainee.demo_managements_details[demoIndex] };
+    
     // Update the demo based on the action
     if (action === 'approve') {
       // Keep status as 'under_review' until master trainer approves
@@ -373,6 +368,16 @@ const updateDemo = async (req, res) => {
     
     // Save the updated trainee document
     await trainee.save();
+
+    await recordAudit(req, {
+      action: `trainer_${action}`,
+      entityType: 'demo',
+      entityId: id,
+      entityLabel: `${trainee.name} - ${previousDemo.title || 'Demo'}`,
+      before: previousDemo,
+      after: trainee.demo_managements_details[demoIndex],
+      metadata: { traineeId: trainee.author_id }
+    });
     
     res.status(200).json({
       success: true,
@@ -404,7 +409,7 @@ const deleteDemo = async (req, res) => {
     }
 
     // Find user and remove demo from their demo_managements_details array
-    const user = await User.findOne({ author_id: traineeId });
+    const user = await userService.findOne({ author_id: traineeId });
     
     if (!user) {
       return res.status(404).json({
@@ -439,7 +444,7 @@ const masterReviewDemo = async (req, res) => {
     const { action, rating, feedback, reviewedBy, reviewedAt } = req.body;
     
     // Find the demo in the trainee's demo_managements_details array
-    const trainee = await User.findOne({ 
+    const trainee = await userService.findOne({ 
       'demo_managements_details.id': id 
     });
     
@@ -460,6 +465,8 @@ const masterReviewDemo = async (req, res) => {
       });
     }
     
+    const previousDemo = { ...trainee.demo_managements_details[demoIndex] };
+    
     // Update the demo based on the action
     if (action === 'approve') {
       // Final approval - change main status to approved
@@ -482,6 +489,16 @@ const masterReviewDemo = async (req, res) => {
     
     // Save the updated trainee document
     await trainee.save();
+
+    await recordAudit(req, {
+      action: `master_${action}`,
+      entityType: 'demo',
+      entityId: id,
+      entityLabel: `${trainee.name} - ${previousDemo.title || 'Demo'}`,
+      before: previousDemo,
+      after: trainee.demo_managements_details[demoIndex],
+      metadata: { traineeId: trainee.author_id }
+    });
     
     res.status(200).json({
       success: true,
@@ -514,11 +531,7 @@ const createOfflineDemo = async (req, res) => {
       });
     }
 
-    // Find the trainee in both User and UserNew models
-    let trainee = await User.findOne({ author_id: traineeId });
-    if (!trainee) {
-      trainee = await UserNew.findOne({ author_id: traineeId });
-    }
+    const trainee = await userService.findByAuthorId(traineeId);
 
     if (!trainee) {
       return res.status(404).json({
@@ -540,7 +553,7 @@ const createOfflineDemo = async (req, res) => {
     };
 
     // Add to trainee's demo_managements_details array
-    const updateResult = await User.findOneAndUpdate(
+    const updateResult = await userService.findOneAndUpdate(
       { author_id: traineeId },
       { 
         $push: { 
@@ -552,19 +565,21 @@ const createOfflineDemo = async (req, res) => {
     );
 
     if (!updateResult) {
-      // Try UserNew model if not found in User
-      await UserNew.findOneAndUpdate(
-        { author_id: traineeId },
-        { 
-          $push: { 
-            demo_managements_details: offlineDemoData 
-          },
-          $set: { updatedAt: new Date() }
-        },
-        { new: true }
-      );
+      return res.status(404).json({
+        success: false,
+        message: 'Trainee not found'
+      });
     }
 
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'demo',
+      entityId: offlineDemoData.id,
+      entityLabel: `${trainee.name} - Offline demo`,
+      after: offlineDemoData,
+      metadata: { traineeId }
+    });
+
     res.status(201).json({
       success: true,
       message: 'Offline demo created successfully. Awaiting master trainer approval.',
@@ -598,11 +613,7 @@ const updateOfflineDemo = async (req, res) => {
       });
     }
 
-    // Find the trainee in both User and UserNew models
-    let trainee = await User.findOne({ author_id: traineeId });
-    if (!trainee) {
-      trainee = await UserNew.findOne({ author_id: traineeId });
-    }
+    const trainee = await userService.findByAuthorId(traineeId);
 
     if (!trainee) {
       return res.status(404).json({
@@ -620,16 +631,13 @@ const updateOfflineDemo = async (req, res) => {
     }
 
     // Update the specific demo object in place to preserve existing fields
-    const traineeDoc = await User.findOne({ author_id: traineeId }) || await UserNew.findOne({ author_id: traineeId });
-    if (!traineeDoc) {
-      return res.status(404).json({ success: false, message: 'Trainee not found' });
-    }
-
-    const demoObj = traineeDoc.demo_managements_details[demoIndexNum];
+    const demoObj = trainee.demo_managements_details[demoIndexNum];
     if (!demoObj) {
       return res.status(404).json({ success: false, message: 'Demo not found at the specified index' });
     }
 
+    const previousDemo = { ...demoObj };
+
     // Ensure type remains 'offline_demo' and keep other metadata
     demoObj.type = demoObj.type || 'offline_demo';
     demoObj.status = action === 'approve' ? 'approved' : 'rejected';
@@ -637,8 +645,18 @@ const updateOfflineDemo = async (req, res) => {
     demoObj.masterTrainerReviewedAt = reviewedAt || new Date();
     demoObj.updatedAt = new Date();
 
-    traineeDoc.markModified('demo_managements_details');
-    await traineeDoc.save();
+    trainee.markModified('demo_managements_details');
+    await trainee.save();
+
+    await recordAudit(req, {
+      action: `master_${action}`,
+      entityType: 'demo',
+      entityId: demoObj.id || `${traineeId}:${demoIndexNum}`,
+      entityLabel: `${trainee.name} - Offline demo`,
+      before: previousDemo,
+      after: demoObj,
+      metadata: { traineeId, demoIndex: demoIndexNum }
+    });
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const Joiner = require('../models/Joiner');
+const duplicateService = require('../services/duplicateService');
+const { recordAudit, recordAuditBatch } = require('../utils/auditLog');
+const { recordVersion } = require('../utils/versionHistory');
+const { autoSyncToGoogleSheets } = require('../utils/autoSyncGoogleSheets');
+
+// The API addresses joiners by _id or author_id
+const findJoiner = (identifier) => {
+  if (mongoose.Types.ObjectId.isValid(identifier) && String(identifier).length === 24) {
+    return Joiner.findOne({ $or: [{ _id: identifier }, { author_id: identifier }] });
+  }
+  return Joiner.findOne({ author_id: identifier });
+};
+
+// Rules from ?rules=, falling back to DUPLICATE_MATCH_RULES
+const resolveRules = (req, res) => {
+  if (!req.query.rules) return duplicateService.defaultRules;
+  const { rules, error } = duplicateService.parseMatchRules(req.query.rules);
+  if (error) {
+    res.status(400).json({ message: error });
+    return null;
+  }
+  return rules;
+};
+
+const withResultCounts = async (groups) => {
+  const authorIds = groups.flatMap(group => group.members.map(member => member.author_id));
+  const counts = await duplicateService.countResults(authorIds);
+  return groups.map(group => ({
+    ...group,
+    members: group.members.map(member => ({ ...member, resultCount: counts[member.author_id] || 0 }))
+  }));
+};
+
+// @desc    Find groups of joiners that look like the same person
+// @route   GET /api/joiners/duplicates?rules=email;phone;employeeId&page=&limit=
+// @access  Private (Admin, BOA)
+const getDuplicateGroups = async (req, res) => {
+  try {
+    const rules = resolveRules(req, res);
+    if (!rules) return;
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const groups = await duplicateService.findDuplicateGroups(rules);
+    const pageGroups = await withResultCounts(groups.slice((page - 1) * limit, page * limit));
+
+    res.json({
+      rules: duplicateService.formatRules(rules),
+      matchFields: duplicateService.matchFields,
+      groups: pageGroups,
+      pagination: {
+        page,
+        limit,
+        total: groups.length,
+        pages: Math.ceil(groups.length / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error finding duplicate joiners:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Find the joiners that look like the same person as one joiner
+// @route   GET /api/joiners/:id/duplicates?rules=
+// @access  Private (Admin, BOA)
+const getJoinerDuplicates = async (req, res) => {
+  try {
+    const rules = resolveRules(req, res);
+    if (!rules) return;
+
+    const joiner = await findJoiner(req.params.id);
+    if (!joiner) {
+      return res.status(404).json({ message: 'Joiner not found' });
+    }
+
+    const groups = await duplicateService.findDuplicateGroups(rules);
+    const group = groups.find(candidate => candidate.members.some(member => member._id.equals(joiner._id)));
+    const [withCounts] = group ? await withResultCounts([group]) : [null];
+
+    res.json({
+      rules: duplicateService.formatRules(rules),
+      joinerId: joiner._id,
+      group: withCounts
+    });
+  } catch (error) {
+    console.error('Error finding duplicates for joiner:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Merge duplicate joiners ({ survivorId, duplicateIds, survivingAuthorId }) into one.
+//          Results, candidate reports, allocations, MCQ results and notifications
+//          move to the surviving author_id and account.
+// @route   POST /api/joiners/merge
+// @access  Private (Admin, BOA)
+const mergeJoiners = async (req, res) => {
+  try {
+    const { survivorId, duplicateIds } = req.body;
+    if (!survivorId || !Array.isArray(duplicateIds) || duplicateIds.length === 0) {
+      return res.status(400).json({ message: 'survivorId and a non-empty duplicateIds array are required' });
+    }
+
+    const survivor = await findJoiner(survivorId);
+    if (!survivor) {
+      return res.status(404).json({ message: 'Surviving joiner not found' });
+    }
+
+    const duplicates = [];
+    for (const duplicateId of duplicateIds) {
+      const duplicate = await findJoiner(duplicateId);
+      if (!duplicate) {
+        return res.status(404).json({ message: `Joiner ${duplicateId} not found` });
+      }
+      if (duplicate._id.equals(survivor._id) || duplicates.some(existing => existing._id.equals(duplicate._id))) {
+        return res.status(400).json({ message: 'Each joiner can appear only once in a merge' });
+      }
+      duplicates.push(duplicate);
+    }
+
+    const survivingAuthorId = req.body.survivingAuthorId || survivor.author_id;
+    const candidateAuthorIds = [survivor, ...duplicates].map(joiner => joiner.author_id);
+    if (!candidateAuthorIds.includes(survivingAuthorId)) {
+      return res.status(400).json({
+        message: 'survivingAuthorId must be the author_id of one of the merged joiners',
+        authorIds: candidateAuthorIds
+      });
+    }
+
+    const merge = await duplicateService.mergeJoiners({ survivor, duplicates, survivingAuthorId, user: req.user });
+
+    await recordAudit(req, {
+      action: 'merge',
+      entityType: 'joiner',
+      entityId: survivor._id,
+      entityLabel: survivor.name,
+      before: merge.previous,
+      after: merge.survivor,
+      metadata: {
+        mergedJoiners: duplicates.map(duplicate => duplicate._id),
+        survivingAuthorId,
+        retiredAuthorIds: merge.retiredAuthorIds,
+        moved: merge.moved
+      }
+    });
+    await recordAuditBatch(req, [
+      ...duplicates.map(duplicate => ({
+        action: 'merge_delete',
+        entityType: 'joiner',
+        entityId: duplicate._id,
+        entityLabel: duplicate.name,
+        before: duplicate,
+        metadata: { mergedInto: survivor._id, survivingAuthorId }
+      })),
+      ...merge.removedUsers.map(account => ({
+        action: 'merge_delete',
+        entityType: 'user',
+        entityId: account._id,
+        entityLabel: account.email,
+        before: account,
+        metadata: { mergedInto: merge.survivingUser ? merge.survivingUser._id : null, joinerId: survivor._id }
+      }))
+    ]);
+    await recordVersion(req, 'joiner', { document: merge.survivor, previous: merge.previous, action: 'merge' });
+
+    // Automatically sync joiners and users to Google Sheets (non-blocking)
+    autoSyncToGoogleSheets('joiners');
+    autoSyncToGoogleSheets('users');
+
+    res.json({
+      message: `Merged ${duplicates.length} joiner(s) into ${survivor.name}`,
+      joiner: merge.survivor,
+      survivingAuthorId,
+      retiredAuthorIds: merge.retiredAuthorIds,
+      userId: merge.survivingUser ? merge.survivingUser._id : null,
+      removedUserIds: merge.removedUsers.map(account => account._id),
+      moved: merge.moved
+    });
+  } catch (error) {
+    console.error('Error merging joiners:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getDuplicateGroups,
+  getJoinerDuplicates,
+  mergeJoiners
+};
@@ -0,0 +1,168 @@
+const EmailTemplate = require('../models/EmailTemplate');
+const { DEFAULT_EMAIL_TEMPLATES } = require('../config/emailTemplates');
+const { getEmailTemplate, renderEmailTemplate } = require('../utils/emailTemplates');
+const { recordAudit } = require('../utils/auditLog');
+
+const TEMPLATE_FIELDS = ['subject', 'text', 'html'];
+
+// Sample values for previews: the placeholder descriptions in brackets
+const sampleValues = (key) => Object.keys(DEFAULT_EMAIL_TEMPLATES[key].placeholders).reduce((values, name) => ({
+  ...values,
+  [name]: name === 'setPasswordUrl' ? 'https://example.com/reset-password?token=sample' : `[${DEFAULT_EMAIL_TEMPLATES[key].placeholders[name]}]`
+}), {});
+
+const describeTemplate = async (key) => {
+  const { name, description, placeholders } = DEFAULT_EMAIL_TEMPLATES[key];
+  return { ...(await getEmailTemplate(key)), name, description, placeholders };
+};
+
+const checkKey = (req, res) => {
+  if (!DEFAULT_EMAIL_TEMPLATES[req.params.key]) {
+    res.status(404).json({ message: `Unknown email template. Available: ${Object.keys(DEFAULT_EMAIL_TEMPLATES).join(', ')}` });
+    return false;
+  }
+  return true;
+};
+
+// @desc    List editable email templates with their current content
+// @route   GET /api/admin/email-templates
+// @access  Private (Admin)
+const getEmailTemplates = async (req, res) => {
+  try {
+    const templates = [];
+    for (const key of Object.keys(DEFAULT_EMAIL_TEMPLATES)) {
+      templates.push(await describeTemplate(key));
+    }
+    res.json({ templates });
+  } catch (error) {
+    console.error('Error fetching email templates:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get an email template, its default and its placeholders
+// @route   GET /api/admin/email-templates/:key
+// @access  Private (Admin)
+const getEmailTemplateByKey = async (req, res) => {
+  try {
+    if (!checkKey(req, res)) return;
+    const { subject, text, html } = DEFAULT_EMAIL_TEMPLATES[req.params.key];
+    res.json({
+      template: await describeTemplate(req.params.key),
+      defaults: { subject, text, html }
+    });
+  } catch (error) {
+    console.error('Error fetching email template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Save an admin's version of an email template ({ subject, text, html })
+// @route   PUT /api/admin/email-templates/:key
+// @access  Private (Admin)
+const updateEmailTemplate = async (req, res) => {
+  try {
+    if (!checkKey(req, res)) return;
+    const { key } = req.params;
+
+    const before = await getEmailTemplate(key);
+    const updates = {};
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: `Provide at least one of: ${TEMPLATE_FIELDS.join(', ')}` });
+    }
+
+    // The set-password link is the point of the welcome email
+    const next = { ...before, ...updates };
+    if (key === 'welcome' && ![next.text, next.html].some(body => body && body.includes('{{setPasswordUrl}}'))) {
+      return res.status(400).json({ message: 'The welcome email must contain the {{setPasswordUrl}} placeholder' });
+    }
+
+    const template = await EmailTemplate.findOneAndUpdate(
+      { key },
+      {
+        $set: {
+          subject: next.subject,
+          text: next.text,
+          html: next.html || null,
+          updatedBy: req.user._id
+        }
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'email_template',
+      entityId: key,
+      entityLabel: DEFAULT_EMAIL_TEMPLATES[key].name,
+      before: { subject: before.subject, text: before.text, html: before.html },
+      after: { subject: template.subject, text: template.text, html: template.html }
+    });
+
+    res.json({ message: 'Email template updated', template: await describeTemplate(key) });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation error', error: error.message });
+    }
+    console.error('Error updating email template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Discard an admin's version and go back to the default template
+// @route   DELETE /api/admin/email-templates/:key
+// @access  Private (Admin)
+const resetEmailTemplate = async (req, res) => {
+  try {
+    if (!checkKey(req, res)) return;
+    const { key } = req.params;
+
+    const saved = await EmailTemplate.findOneAndDelete({ key });
+    if (saved) {
+      await recordAudit(req, {
+        action: 'reset',
+        entityType: 'email_template',
+        entityId: key,
+        entityLabel: DEFAULT_EMAIL_TEMPLATES[key].name,
+        before: { subject: saved.subject, text: saved.text, html: saved.html }
+      });
+    }
+
+    res.json({ message: 'Email template reset to the default', template: await describeTemplate(key) });
+  } catch (error) {
+    console.error('Error resetting email template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Render a template with sample values; unsaved { subject, text, html } in
+//          the body are previewed instead of the stored template
+// @route   POST /api/admin/email-templates/:key/preview
+// @access  Private (Admin)
+const previewEmailTemplate = async (req, res) => {
+  try {
+    if (!checkKey(req, res)) return;
+    const { key } = req.params;
+
+    const template = { ...(await getEmailTemplate(key)) };
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+
+    res.json({ preview: renderEmailTemplate(template, sampleValues(key)) });
+  } catch (error) {
+    console.error('Error previewing email template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getEmailTemplates,
+  getEmailTemplateByKey,
+  updateEmailTemplate,
+  resetEmailTemplate,
+  previewEmailTemplate
+};
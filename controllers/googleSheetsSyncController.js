@@ -1,11 +1,10 @@
 const googleSheetsSync = require('../services/googleSheetsSyncService');
-const User = require('../models/User');
-const UserNew = require('../models/UserNew');
 const Joiner = require('../models/Joiner');
 const LearningReport = require('../models/LearningReport');
 const AttendanceReport = require('../models/AttendanceReport');
 const GroomingReport = require('../models/GroomingReport');
 const InteractionsReport = require('../models/InteractionsReport');
+const userService = require('../services/userService');
 
 /**
  * @route   POST /api/sync/users
@@ -25,9 +24,8 @@ const syncUsers = async (req, res) => {
       });
     }
 
-    // Fetch all users from both collections
-    const users = await User.find({}).lean();
-    const usersNew = await UserNew.find({}).lean();
+    // Fetch all users
+    const users = await userService.find({}).lean();
 
     // Fetch all joiners to get proper employee IDs (NW format)
     const joiners = await Joiner.find({}).lean();
@@ -43,19 +41,6 @@ const syncUsers = async (req, res) => {
       }
     });
 
-    // Combine and deduplicate by email
-    const allUsers = [...users, ...usersNew];
-    const uniqueUsers = [];
-    const seenEmails = new Set();
-
-    allUsers.forEach(user => {
-      const email = user.email?.toLowerCase();
-      if (email && !seenEmails.has(email)) {
-        seenEmails.add(email);
-        uniqueUsers.push(user);
-      }
-    });
-
     // Prepare headers
     const headers = [
       'Name',
@@ -74,7 +59,7 @@ const syncUsers = async (req, res) => {
     ];
 
     // Prepare data rows with proper employee ID lookup
-    const data = uniqueUsers.map(user => {
+    const data = users.map(user => {
       // Get employee ID - prioritize joiner's employeeId (NW format)
       let employeeId = '';
       
@@ -106,7 +91,7 @@ const syncUsers = async (req, res) => {
         user.author_id || '',
         user.role || '',
         user.department || '',
-        user.phone || user.phone_number || '',
+        user.phone || '',
         user.status || '',
         user.isActive ? 'Yes' : 'No',
         user.accountStatus || '',
@@ -130,7 +115,7 @@ const syncUsers = async (req, res) => {
 
     res.json({
       success: true,
-      message: `Successfully synced ${uniqueUsers.length} users to Google Sheets`,
+      message: `Successfully synced ${users.length} users to Google Sheets`,
       ...result,
     });
   } catch (error) {
@@ -0,0 +1,203 @@
+const Session = require('../models/Session');
+const ImpersonationLog = require('../models/ImpersonationLog');
+const { createImpersonationSession, revokeSession } = require('../utils/sessionTokens');
+const { resolveDurationMinutes, IMPERSONATION_WRITE_MODE } = require('../utils/impersonation');
+const userService = require('../services/userService');
+
+// @desc    Start a time-boxed "view as user" session
+// @route   POST /api/admin/impersonation
+// @access  Private (Admin)
+const startImpersonation = async (req, res) => {
+  try {
+    const { userId, reason, durationMinutes } = req.body;
+
+    if (!userId || !reason) {
+      return res.status(400).json({ message: 'User ID and reason are required' });
+    }
+    if (req.impersonation) {
+      return res.status(400).json({ message: 'End the current impersonation session first' });
+    }
+
+    const user = await userService.findByIdOrAuthorId(userId).select('name email role isActive');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot impersonate yourself' });
+    }
+    if (user.role === 'admin') {
+      return res.status(403).json({ message: 'Admin accounts cannot be impersonated' });
+    }
+    if (user.isActive === false) {
+      return res.status(400).json({ message: 'Cannot impersonate a deactivated user' });
+    }
+
+    const minutes = resolveDurationMinutes(durationMinutes);
+    const { session, accessToken } = await createImpersonationSession(user._id, req.user._id, req, {
+      minutes,
+      reason: reason.toString().trim()
+    });
+
+    res.status(201).json({
+      message: `Viewing as ${user.name} for ${minutes} minutes`,
+      token: accessToken,
+      impersonation: {
+        sessionId: session._id,
+        user: { _id: user._id, name: user.name, email: user.email, role: user.role },
+        impersonatedBy: { _id: req.user._id, name: req.user.name, email: req.user.email },
+        reason: session.impersonationReason,
+        expiresAt: session.expiresAt,
+        writeMode: IMPERSONATION_WRITE_MODE
+      }
+    });
+  } catch (error) {
+    console.error('Error starting impersonation:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List impersonation sessions
+// @route   GET /api/admin/impersonation
+// @access  Private (Admin)
+const getImpersonationSessions = async (req, res) => {
+  try {
+    const { status, userId, impersonatedBy, page = 1, limit = 20 } = req.query;
+    const now = new Date();
+
+    const query = { impersonatedBy: { $ne: null } };
+    if (impersonatedBy) query.impersonatedBy = impersonatedBy;
+    if (userId) query.userId = userId;
+    if (status === 'active') {
+      Object.assign(query, { revokedAt: null, expiresAt: { $gt: now } });
+    } else if (status === 'ended') {
+      query.$or = [{ revokedAt: { $ne: null } }, { expiresAt: { $lte: now } }];
+    }
+
+    const sessions = await Session.find(query)
+      .select('-refreshTokenHash -previousRefreshTokenHash')
+      .populate('userId', 'name email role')
+      .populate('impersonatedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await Session.countDocuments(query);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        active: !session.revokedAt && session.expiresAt > now
+      })),
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching impersonation sessions:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    End an impersonation session from the admin side
+// @route   PUT /api/admin/impersonation/:id/end
+// @access  Private (Admin)
+const endImpersonation = async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, impersonatedBy: { $ne: null } });
+    if (!session) {
+      return res.status(404).json({ message: 'Impersonation session not found' });
+    }
+    if (!session.isValid()) {
+      return res.status(400).json({ message: 'Impersonation session has already ended' });
+    }
+
+    await revokeSession(session._id, 'impersonation_ended');
+
+    res.json({ message: 'Impersonation session ended' });
+  } catch (error) {
+    console.error('Error ending impersonation:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    End the impersonation session the request was made with
+// @route   POST /api/auth/impersonation/end
+// @access  Private (impersonation token)
+const endCurrentImpersonation = async (req, res) => {
+  try {
+    if (!req.impersonation) {
+      return res.status(400).json({ message: 'This request is not part of an impersonation session' });
+    }
+
+    await revokeSession(req.impersonation.sessionId, 'impersonation_ended');
+
+    res.json({ message: 'Impersonation session ended' });
+  } catch (error) {
+    console.error('Error ending impersonation:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Requests made while impersonating
+// @route   GET /api/admin/impersonation/logs
+// @access  Private (Admin)
+const getImpersonationLogs = async (req, res) => {
+  try {
+    const { sessionId, userId, impersonatedBy, blocked, flagged, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+    if (sessionId) query.sessionId = sessionId;
+    if (userId) query.user = userId;
+    if (impersonatedBy) query.impersonatedBy = impersonatedBy;
+    if (blocked !== undefined) query.blocked = blocked === 'true';
+    if (flagged !== undefined) query.flagged = flagged === 'true';
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const logs = await ImpersonationLog.find(query)
+      .populate('user', 'name email role')
+      .populate('impersonatedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ImpersonationLog.countDocuments(query);
+
+    res.json({
+      logs,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Error fetching impersonation logs:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  startImpersonation,
+  getImpersonationSessions,
+  endImpersonation,
+  endCurrentImpersonation,
+  getImpersonationLogs
+};
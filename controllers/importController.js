@@ -0,0 +1,652 @@
+const mongoose = require('mongoose');
+const ImportMapping = require('../models/ImportMapping');
+const ImportSource = require('../models/ImportSource');
+const ImportRun = require('../models/ImportRun');
+const importScheduler = require('../services/importScheduler');
+const { IMPORT_TYPES, CANDIDATE_REPORT_SHEETS } = require('../config/imports');
+const { parseJsonField, selectSheets } = require('../middlewares/importFileMiddleware');
+const {
+  IMPORT_EXTENSIONS,
+  IMPORT_MAX_ROWS,
+  headerSignature,
+  readImportFile,
+  resolveMapping,
+  applyMapping,
+  missingFields,
+  invalidMappingFields
+} = require('../utils/importFile');
+const { validateSchedule, normalizeSchedule, computeNextRunAt } = require('../utils/importSchedule');
+
+const SAMPLE_ROWS = 5;
+
+// The routes admit anyone who can bulk upload something; each import type still
+// needs its own bulk upload permission
+const canImport = (req, importType) =>
+  Boolean(IMPORT_TYPES[importType]) && req.permissions.includes(IMPORT_TYPES[importType].permission);
+
+const checkImportType = (req, res, importType) => {
+  if (!IMPORT_TYPES[importType]) {
+    res.status(400).json({ success: false, message: `Invalid import type. Must be one of: ${Object.keys(IMPORT_TYPES).join(', ')}` });
+    return false;
+  }
+  if (!canImport(req, importType)) {
+    res.status(403).json({ success: false, message: `Access denied, required permission: ${IMPORT_TYPES[importType].permission}` });
+    return false;
+  }
+  return true;
+};
+
+// Accepts { header: field } or [{ header, field }]
+const normalizeMapping = (value) => {
+  const parsed = parseJsonField(value);
+  if (!parsed) return null;
+  if (Array.isArray(parsed)) {
+    if (!parsed.every(entry => entry && typeof entry.header === 'string')) return null;
+    return parsed.reduce((acc, entry) => ({ ...acc, [entry.header]: entry.field || '' }), {});
+  }
+  return typeof parsed === 'object' ? parsed : null;
+};
+
+// @desc    List the import types the user can upload files for, with their fields
+// @route   GET /api/imports/types
+// @access  Private (bulk upload permission)
+const getImportTypes = async (req, res) => {
+  try {
+    const types = Object.entries(IMPORT_TYPES)
+      .filter(([importType]) => canImport(req, importType))
+      .map(([importType, config]) => ({
+        importType,
+        label: config.label,
+        requiredFields: config.requiredFields,
+        fields: config.fields,
+        allowOtherFields: Boolean(config.allowOtherFields)
+      }));
+
+    res.json({
+      success: true,
+      types,
+      extensions: IMPORT_EXTENSIONS,
+      maxRows: IMPORT_MAX_ROWS
+    });
+  } catch (error) {
+    console.error('Error fetching import types:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Read an uploaded file without importing it: worksheets, headers, the
+//          mapping that would be applied and a few mapped sample rows
+// @route   POST /api/imports/:importType/inspect (multipart: file, sheet, data_set, mappingId, mapping)
+// @access  Private (bulk upload permission for the import type)
+const inspectImportFile = async (req, res) => {
+  try {
+    const { importType } = req.params;
+    if (!checkImportType(req, res, importType)) return;
+
+    const explicit = parseJsonField(req.body.mapping);
+    if (explicit === undefined || Array.isArray(explicit)) {
+      return res.status(400).json({ success: false, message: 'mapping must be a JSON object of header -> field' });
+    }
+    if (req.body.mappingId && !mongoose.Types.ObjectId.isValid(req.body.mappingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid mappingId' });
+    }
+
+    const { sheets: fileSheets, error: readError } = await readImportFile(req.file);
+    if (readError) {
+      return res.status(400).json({ success: false, message: readError });
+    }
+
+    const { sheets, error: sheetError } = selectSheets(importType, fileSheets, req.body);
+    if (sheetError) {
+      return res.status(400).json({
+        success: false,
+        message: sheetError,
+        worksheets: fileSheets.map(sheet => sheet.name)
+      });
+    }
+
+    const inspected = [];
+    for (const sheet of sheets) {
+      const saved = await ImportMapping.findForSheet(importType, headerSignature(sheet.headers), req.body.mappingId);
+      if (req.body.mappingId && !saved) {
+        return res.status(404).json({ success: false, message: 'Saved mapping not found for this import type' });
+      }
+
+      const mapping = resolveMapping(importType, sheet.headers, { saved: saved ? saved.toMappingObject() : null, explicit });
+      inspected.push({
+        name: sheet.name,
+        dataSet: sheet.dataSet,
+        headers: sheet.headers,
+        rowCount: sheet.rows.length,
+        mapping,
+        savedMapping: saved ? { _id: saved._id, name: saved.name } : null,
+        unmappedHeaders: sheet.headers.filter(header => !mapping[header]),
+        missingFields: missingFields(importType, mapping),
+        invalidFields: invalidMappingFields(importType, mapping),
+        sampleRows: applyMapping(sheet.rows.slice(0, SAMPLE_ROWS), mapping)
+      });
+    }
+
+    res.json({
+      success: true,
+      importType,
+      fileName: req.file.originalname,
+      worksheets: fileSheets.map(sheet => sheet.name),
+      sheets: inspected,
+      fields: Object.keys(IMPORT_TYPES[importType].fields),
+      requiredFields: IMPORT_TYPES[importType].requiredFields
+    });
+  } catch (error) {
+    console.error('Error inspecting import file:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    List saved header mappings
+// @route   GET /api/imports/mappings?importType=
+// @access  Private (bulk upload permission)
+const getImportMappings = async (req, res) => {
+  try {
+    const { importType } = req.query;
+    if (importType && !checkImportType(req, res, importType)) return;
+
+    const importTypes = importType
+      ? [importType]
+      : Object.keys(IMPORT_TYPES).filter(type => canImport(req, type));
+
+    const mappings = await ImportMapping.find({ importType: { $in: importTypes } })
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .sort({ importType: 1, name: 1 })
+      .lean();
+
+    res.json({ success: true, mappings });
+  } catch (error) {
+    console.error('Error fetching import mappings:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Save a header mapping ({ name, importType, mapping, headers })
+// @route   POST /api/imports/mappings
+// @access  Private (bulk upload permission for the import type)
+const createImportMapping = async (req, res) => {
+  try {
+    const { name, importType, headers } = req.body;
+    if (!checkImportType(req, res, importType)) return;
+
+    const mapping = normalizeMapping(req.body.mapping);
+    if (!name || !String(name).trim() || !mapping || Object.keys(mapping).length === 0) {
+      return res.status(400).json({ success: false, message: 'name and a non-empty mapping are required' });
+    }
+    const invalid = invalidMappingFields(importType, mapping);
+    if (invalid.length) {
+      return res.status(400).json({ success: false, message: `Unknown import fields: ${invalid.join(', ')}` });
+    }
+
+    const existing = await ImportMapping.findOne({ importType, name: String(name).trim() });
+    if (existing) {
+      return res.status(400).json({ success: false, message: 'A mapping with this name already exists for this import type' });
+    }
+
+    // Without the file's headers, the mapped headers identify the layout
+    const signatureHeaders = Array.isArray(headers) && headers.length ? headers : Object.keys(mapping);
+    const saved = await ImportMapping.create({
+      name,
+      importType,
+      mapping: Object.entries(mapping).map(([header, field]) => ({ header, field })),
+      headerSignature: headerSignature(signatureHeaders),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({ success: true, message: 'Mapping saved', mapping: saved });
+  } catch (error) {
+    console.error('Error saving import mapping:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update a saved header mapping ({ name, mapping, headers })
+// @route   PUT /api/imports/mappings/:id
+// @access  Private (bulk upload permission for the import type)
+const updateImportMapping = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid mapping ID' });
+    }
+
+    const saved = await ImportMapping.findById(req.params.id);
+    if (!saved) {
+      return res.status(404).json({ success: false, message: 'Mapping not found' });
+    }
+    if (!checkImportType(req, res, saved.importType)) return;
+
+    if (req.body.name !== undefined) {
+      const name = String(req.body.name).trim();
+      const clash = await ImportMapping.findOne({ importType: saved.importType, name, _id: { $ne: saved._id } });
+      if (!name || clash) {
+        return res.status(400).json({ success: false, message: name ? 'A mapping with this name already exists for this import type' : 'name cannot be empty' });
+      }
+      saved.name = name;
+    }
+
+    if (req.body.mapping !== undefined) {
+      const mapping = normalizeMapping(req.body.mapping);
+      if (!mapping || Object.keys(mapping).length === 0) {
+        return res.status(400).json({ success: false, message: 'mapping must be a non-empty object of header -> field' });
+      }
+      const invalid = invalidMappingFields(saved.importType, mapping);
+      if (invalid.length) {
+        return res.status(400).json({ success: false, message: `Unknown import fields: ${invalid.join(', ')}` });
+      }
+      saved.mapping = Object.entries(mapping).map(([header, field]) => ({ header, field }));
+    }
+
+    if (Array.isArray(req.body.headers) && req.body.headers.length) {
+      saved.headerSignature = headerSignature(req.body.headers);
+    }
+
+    saved.updatedBy = req.user._id;
+    await saved.save();
+
+    res.json({ success: true, message: 'Mapping updated', mapping: saved });
+  } catch (error) {
+    console.error('Error updating import mapping:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete a saved header mapping
+// @route   DELETE /api/imports/mappings/:id
+// @access  Private (bulk upload permission for the import type)
+const deleteImportMapping = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid mapping ID' });
+    }
+
+    const saved = await ImportMapping.findById(req.params.id);
+    if (!saved) {
+      return res.status(404).json({ success: false, message: 'Mapping not found' });
+    }
+    if (!checkImportType(req, res, saved.importType)) return;
+
+    await saved.deleteOne();
+    res.json({ success: true, message: 'Mapping deleted' });
+  } catch (error) {
+    console.error('Error deleting import mapping:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// Data set names arrive as an array or a comma-separated string
+const normalizeDataSets = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(name => String(name).trim()).filter(Boolean))];
+};
+
+/**
+ * Validate and normalize the editable fields of an import source. Only the fields
+ * present in the body are returned, so it serves both create and update.
+ *
+ * @returns {{ fields?: Object, error?: string }}
+ */
+const readSourceFields = async (body, importType) => {
+  const fields = {};
+
+  if (body.name !== undefined) {
+    fields.name = String(body.name).trim();
+    if (!fields.name) return { error: 'name cannot be empty' };
+  }
+  if (body.url !== undefined) {
+    fields.url = String(body.url).trim();
+    if (!/^https?:\/\/\S+$/i.test(fields.url)) return { error: 'url must be an http(s) address' };
+  }
+  if (body.spreadSheetName !== undefined) {
+    fields.spreadSheetName = String(body.spreadSheetName || '').trim();
+  }
+  if (body.dataSets !== undefined) {
+    fields.dataSets = normalizeDataSets(body.dataSets);
+    if (!fields.dataSets.length) return { error: 'dataSets must name at least one data set' };
+    if (importType === 'candidate_reports') {
+      const unknown = fields.dataSets.filter(name => !CANDIDATE_REPORT_SHEETS.includes(name));
+      if (unknown.length) {
+        return { error: `Unknown report data sets: ${unknown.join(', ')}. Must be any of: ${CANDIDATE_REPORT_SHEETS.join(', ')}` };
+      }
+    }
+  }
+  if (body.examType !== undefined) {
+    fields.examType = body.examType ? String(body.examType).trim() : null;
+  }
+  if (body.mappingId !== undefined) {
+    fields.mappingId = body.mappingId || null;
+    if (fields.mappingId) {
+      if (!mongoose.Types.ObjectId.isValid(fields.mappingId)) return { error: 'Invalid mappingId' };
+      const mapping = await ImportMapping.findOne({ _id: fields.mappingId, importType }).select('_id');
+      if (!mapping) return { error: 'Saved mapping not found for this import type' };
+    }
+  }
+  if (body.schedule !== undefined) {
+    const scheduleError = validateSchedule(body.schedule);
+    if (scheduleError) return { error: scheduleError };
+    fields.schedule = normalizeSchedule(body.schedule);
+  }
+  if (body.enabled !== undefined) {
+    fields.enabled = body.enabled === true || body.enabled === 'true';
+  }
+  return { fields };
+};
+
+const findSource = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid source ID' });
+    return null;
+  }
+  const source = await ImportSource.findById(req.params.id);
+  if (!source) {
+    res.status(404).json({ success: false, message: 'Import source not found' });
+    return null;
+  }
+  if (!checkImportType(req, res, source.importType)) return null;
+  return source;
+};
+
+// Manual runs wait for the import to finish, so the response carries the outcome
+const sendRunOutcome = (res, { run, alreadyRunning, error }) => {
+  if (alreadyRunning) {
+    return res.status(409).json({ success: false, message: 'This source is already running' });
+  }
+  if (error) {
+    return res.status(500).json({ success: false, message: 'Server error', error });
+  }
+  res.status(201).json({
+    success: run.status !== 'failed',
+    message: run.status === 'failed' ? `Import failed: ${run.error}` : `Import ${run.status}`,
+    run
+  });
+};
+
+// @desc    List sheet sources imported on a schedule, with their last run
+// @route   GET /api/imports/sources?importType=&enabled=
+// @access  Private (Admin: imports:manage, plus bulk upload permission for the import type)
+const getImportSources = async (req, res) => {
+  try {
+    const { importType, enabled } = req.query;
+    if (importType && !checkImportType(req, res, importType)) return;
+
+    const query = {
+      importType: { $in: importType ? [importType] : Object.keys(IMPORT_TYPES).filter(type => canImport(req, type)) }
+    };
+    if (enabled !== undefined) query.enabled = enabled === 'true';
+
+    const sources = await ImportSource.find(query)
+      .populate('runAs', 'name email')
+      .populate('mappingId', 'name')
+      .sort({ importType: 1, name: 1 })
+      .lean();
+
+    res.json({ success: true, sources });
+  } catch (error) {
+    console.error('Error fetching import sources:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get an import source with its latest runs
+// @route   GET /api/imports/sources/:id
+// @access  Private (Admin: imports:manage, plus bulk upload permission for the import type)
+const getImportSourceById = async (req, res) => {
+  try {
+    const source = await findSource(req, res);
+    if (!source) return;
+
+    await source.populate([
+      { path: 'runAs', select: 'name email' },
+      { path: 'mappingId', select: 'name' },
+      { path: 'createdBy', select: 'name email' },
+      { path: 'updatedBy', select: 'name email' }
+    ]);
+    const runs = await ImportRun.find({ source: source._id })
+      .select('-rowErrors')
+      .sort({ startedAt: -1 })
+      .limit(10)
+      .lean();
+
+    res.json({ success: true, source, runs });
+  } catch (error) {
+    console.error('Error fetching import source:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Register a sheet source ({ name, importType, url, spreadSheetName, dataSets,
+//          examType, mappingId, schedule, enabled }). Imports run as the saving user.
+// @route   POST /api/imports/sources
+// @access  Private (Admin: imports:manage, plus bulk upload permission for the import type)
+const createImportSource = async (req, res) => {
+  try {
+    const { importType } = req.body;
+    if (!checkImportType(req, res, importType)) return;
+
+    if (!req.body.name || !req.body.url || req.body.dataSets === undefined || !req.body.schedule) {
+      return res.status(400).json({ success: false, message: 'name, url, dataSets and schedule are required' });
+    }
+    const { fields, error } = await readSourceFields(req.body, importType);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (importType === 'results' && !fields.examType) {
+      return res.status(400).json({ success: false, message: 'examType is required for results sources' });
+    }
+    if (await ImportSource.findOne({ name: fields.name })) {
+      return res.status(400).json({ success: false, message: 'An import source with this name already exists' });
+    }
+
+    const source = await ImportSource.create({
+      ...fields,
+      importType,
+      nextRunAt: fields.enabled === false ? null : computeNextRunAt(fields.schedule),
+      runAs: req.user._id,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({ success: true, message: 'Import source saved', source });
+  } catch (error) {
+    console.error('Error saving import source:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update an import source; the schedule restarts from now when it changes
+// @route   PUT /api/imports/sources/:id
+// @access  Private (Admin: imports:manage, plus bulk upload permission for the import type)
+const updateImportSource = async (req, res) => {
+  try {
+    const source = await findSource(req, res);
+    if (!source) return;
+
+    if (req.body.importType !== undefined && req.body.importType !== source.importType) {
+      return res.status(400).json({ success: false, message: 'importType cannot be changed; create a new source instead' });
+    }
+    const { fields, error } = await readSourceFields(req.body, source.importType);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (fields.name && await ImportSource.findOne({ name: fields.name, _id: { $ne: source._id } })) {
+      return res.status(400).json({ success: false, message: 'An import source with this name already exists' });
+    }
+
+    const wasEnabled = source.enabled;
+    source.set(fields);
+    if (source.importType === 'results' && !source.examType) {
+      return res.status(400).json({ success: false, message: 'examType is required for results sources' });
+    }
+    if (!source.enabled) {
+      source.nextRunAt = null;
+    } else if (fields.schedule || !wasEnabled || !source.nextRunAt) {
+      source.nextRunAt = computeNextRunAt(source.schedule);
+    }
+    source.runAs = req.user._id;
+    source.updatedBy = req.user._id;
+    await source.save();
+
+    res.json({ success: true, message: 'Import source updated', source });
+  } catch (error) {
+    console.error('Error updating import source:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete an import source; its run history is kept
+// @route   DELETE /api/imports/sources/:id
+// @access  Private (Admin: imports:manage, plus bulk upload permission for the import type)
+const deleteImportSource = async (req, res) => {
+  try {
+    const source = await findSource(req, res);
+    if (!source) return;
+
+    if (source.runningSince) {
+      return res.status(409).json({ success: false, message: 'This source is running; delete it once the run has finished' });
+    }
+    await source.deleteOne();
+    res.json({ success: true, message: 'Import source deleted' });
+  } catch (error) {
+    console.error('Error deleting import source:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Run an import source now, outside its schedule
+// @route   POST /api/imports/sources/:id/run
+// @access  Private (Admin: imports:manage, plus bulk upload permission for the import type)
+const runImportSource = async (req, res) => {
+  try {
+    const source = await findSource(req, res);
+    if (!source) return;
+
+    sendRunOutcome(res, await importScheduler.runSource(source, { trigger: 'manual', actor: req.user }));
+  } catch (error) {
+    console.error('Error running import source:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Run history, newest first
+// @route   GET /api/imports/runs?source=&status=&importType=&page=&limit=
+// @access  Private (Admin: imports:manage, plus bulk upload permission for the import type)
+const getImportRuns = async (req, res) => {
+  try {
+    const { source, status, importType, page = 1, limit = 20 } = req.query;
+    if (importType && !checkImportType(req, res, importType)) return;
+
+    const query = {
+      importType: { $in: importType ? [importType] : Object.keys(IMPORT_TYPES).filter(type => canImport(req, type)) }
+    };
+    if (source) {
+      if (!mongoose.Types.ObjectId.isValid(source)) {
+        return res.status(400).json({ success: false, message: 'Invalid source ID' });
+      }
+      query.source = source;
+    }
+    if (status) query.status = status;
+
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+    const skip = (pageNumber - 1) * pageSize;
+    const [runs, total] = await Promise.all([
+      ImportRun.find(query)
+        .select('-rowErrors')
+        .populate('triggeredBy', 'name email')
+        .sort({ startedAt: -1 })
+        .skip(skip)
+        .limit(pageSize)
+        .lean(),
+      ImportRun.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      runs,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching import runs:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a run with its row errors
+// @route   GET /api/imports/runs/:id
+// @access  Private (Admin: imports:manage, plus bulk upload permission for the import type)
+const getImportRunById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid run ID' });
+    }
+    const run = await ImportRun.findById(req.params.id)
+      .populate('triggeredBy', 'name email')
+      .lean();
+    if (!run) {
+      return res.status(404).json({ success: false, message: 'Import run not found' });
+    }
+    if (!checkImportType(req, res, run.importType)) return;
+
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('Error fetching import run:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Re-run a failed run with the source's current settings
+// @route   POST /api/imports/runs/:id/rerun
+// @access  Private (Admin: imports:manage, plus bulk upload permission for the import type)
+const rerunImportRun = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid run ID' });
+    }
+    const run = await ImportRun.findById(req.params.id).select('source importType status');
+    if (!run) {
+      return res.status(404).json({ success: false, message: 'Import run not found' });
+    }
+    if (!checkImportType(req, res, run.importType)) return;
+    if (run.status !== 'failed') {
+      return res.status(400).json({ success: false, message: 'Only failed runs can be re-run' });
+    }
+    const source = await ImportSource.findById(run.source);
+    if (!source) {
+      return res.status(404).json({ success: false, message: 'The source of this run has been deleted' });
+    }
+
+    sendRunOutcome(res, await importScheduler.runSource(source, { trigger: 'rerun', actor: req.user, rerunOf: run._id }));
+  } catch (error) {
+    console.error('Error re-running import:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getImportTypes,
+  inspectImportFile,
+  getImportMappings,
+  createImportMapping,
+  updateImportMapping,
+  deleteImportMapping,
+  getImportSources,
+  getImportSourceById,
+  createImportSource,
+  updateImportSource,
+  deleteImportSource,
+  runImportSource,
+  getImportRuns,
+  getImportRunById,
+  rerunImportRun
+};
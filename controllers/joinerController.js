@@ -1,7 +1,15 @@
 const Joiner = require('../models/Joiner');
-const User = require('../models/User');
 const bcrypt = require('bcryptjs');
 const { autoSyncToGoogleSheets } = require('../utils/autoSyncGoogleSheets');
+const { recordAudit, recordAuditBatch } = require('../utils/auditLog');
+const { recordVersion, recordVersions } = require('../utils/versionHistory');
+const { suspendJoinerAccount } = require('../utils/trash');
+const { revokeUserSessions } = require('../utils/sessionTokens');
+const userService = require('../services/userService');
+const onboardingService = require('../services/onboardingService');
+const welcomeEmailService = require('../services/welcomeEmailService');
+const { planJoinerTransitions, recordJoinerTransitions, lifecycleError } = require('../utils/joinerLifecycle');
+const { resolveDepartment, resolveTrack, resolveChangedReference, TRACK_FALLBACK } = require('../utils/referenceData');
 
 // Create a new joiner
 const createJoiner = async (req, res) => {
@@ -12,6 +20,7 @@ const createJoiner = async (req, res) => {
       phone,
       department,
       role = 'trainee',
+      role_assign,
       employeeId,
       genre,
       joiningDate,
@@ -19,11 +28,20 @@ const createJoiner = async (req, res) => {
       notes = ''
     } = req.body;
 
-    // Check if joiner already exists
-    const existingJoiner = await Joiner.findOne({ email });
+    // Department and track are given by code, display name or alias
+    const resolvedDepartment = await resolveDepartment(department);
+    const resolvedTrack = await resolveTrack(role_assign);
+    if (resolvedDepartment.error || resolvedTrack.error) {
+      return res.status(400).json({ message: resolvedDepartment.error || resolvedTrack.error });
+    }
+
+    // Check if joiner already exists (a joiner in the trash still holds its email)
+    const existingJoiner = await Joiner.findOne({ email }).setOptions({ withDeleted: true });
     if (existingJoiner) {
       return res.status(400).json({
-        message: 'Joiner with this email already exists'
+        message: existingJoiner.deletedAt
+          ? 'A deleted joiner with this email is in the trash; restore or purge it first'
+          : 'Joiner with this email already exists'
       });
     }
 
@@ -32,8 +50,9 @@ const createJoiner = async (req, res) => {
       name,
       email,
       phone,
-      department,
+      department: resolvedDepartment.code || undefined,
       role,
+      role_assign: resolvedTrack.code || TRACK_FALLBACK,
       employeeId: employeeId || null,
       genre: genre || null,
       joiningDate: joiningDate ? new Date(joiningDate) : new Date(),
@@ -42,6 +61,16 @@ const createJoiner = async (req, res) => {
       createdBy: req.user.id
     });
 
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'joiner',
+      entityId: joiner._id,
+      entityLabel: joiner.name,
+      after: joiner
+    });
+    await recordVersion(req, 'joiner', { document: joiner, action: 'create' });
+    await onboardingService.startOnboardingBatch([joiner]);
+
     // Automatically sync to Google Sheets (non-blocking)
     autoSyncToGoogleSheets('joiners');
 
@@ -54,6 +83,7 @@ const createJoiner = async (req, res) => {
         phone: joiner.phone,
         department: joiner.department,
         role: joiner.role,
+        role_assign: joiner.role_assign,
         employeeId: joiner.employeeId,
         genre: joiner.genre,
         joiningDate: joiner.joiningDate,
@@ -91,7 +121,8 @@ const getJoiners = async (req, res) => {
     const query = {};
     
     if (department) {
-      query.department = department;
+      const resolved = await resolveDepartment(department, { allowInactive: true });
+      query.department = resolved.code || department;
     }
     
     if (status) {
@@ -191,13 +222,16 @@ const updateJoiner = async (req, res) => {
       phone,
       department,
       role,
+      role_assign,
       employeeId,
       genre,
       joiningDate,
       qualification,
       status,
+      joining_status,
       notes,
-      notJoinedReason
+      notJoinedReason,
+      reason
     } = req.body;
 
     // Check if the ID is a valid MongoDB ObjectId (24 hex characters)
@@ -229,6 +263,21 @@ const updateJoiner = async (req, res) => {
       }
     }
 
+    // A joiner keeps a department or track that has since been deactivated, but
+    // cannot be moved to one
+    const resolvedDepartment = department ? await resolveChangedReference('departments', department, joiner.department) : {};
+    const resolvedTrack = role_assign ? await resolveChangedReference('tracks', role_assign, joiner.role_assign) : {};
+    if (resolvedDepartment.error || resolvedTrack.error) {
+      return res.status(400).json({ message: resolvedDepartment.error || resolvedTrack.error });
+    }
+
+    // Status changes must follow the joiner lifecycle
+    const lifecycle = planJoinerTransitions(joiner, { status, joining_status, notJoinedReason, joiningDate, reason });
+    if (lifecycle.error) {
+      return res.status(400).json(lifecycleError(lifecycle.error));
+    }
+    const lifecycleUpdates = lifecycle.updates;
+
     // Update joiner
     const updatedJoiner = await Joiner.findByIdAndUpdate(
       joiner._id,
@@ -236,20 +285,40 @@ const updateJoiner = async (req, res) => {
         name: name || joiner.name,
         email: email || joiner.email,
         phone: phone || joiner.phone,
-        department: department || joiner.department,
+        department: resolvedDepartment.code || joiner.department,
         role: role || joiner.role,
+        role_assign: resolvedTrack.code || joiner.role_assign,
         employeeId: employeeId !== undefined ? employeeId : joiner.employeeId,
         genre: genre !== undefined ? genre : joiner.genre,
-        joiningDate: joiningDate ? new Date(joiningDate) : joiner.joiningDate,
+        joiningDate: lifecycleUpdates.joiningDate || (joiningDate ? new Date(joiningDate) : joiner.joiningDate),
         qualification: qualification !== undefined ? qualification : joiner.qualification,
-        status: status || joiner.status,
+        status: lifecycleUpdates.status || joiner.status,
+        joining_status: lifecycleUpdates.joining_status || joiner.joining_status,
         notes: notes !== undefined ? notes : joiner.notes,
-        notJoinedReason: notJoinedReason !== undefined ? notJoinedReason : joiner.notJoinedReason
+        notJoinedReason: lifecycleUpdates.notJoinedReason !== undefined
+          ? lifecycleUpdates.notJoinedReason
+          : (notJoinedReason !== undefined ? notJoinedReason : joiner.notJoinedReason)
       },
       { new: true, runValidators: true }
     ).populate('createdBy', 'name email')
      .populate('userId', 'name email role');
 
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'joiner',
+      entityId: joiner._id,
+      entityLabel: updatedJoiner.name,
+      before: joiner,
+      after: updatedJoiner
+    });
+    await recordVersion(req, 'joiner', { document: updatedJoiner, previous: joiner, action: 'update' });
+    await recordJoinerTransitions(updatedJoiner, lifecycle.transitions, { actor: req.user });
+
+    // Onboarding due dates follow the joining date
+    if (String(updatedJoiner.joiningDate) !== String(joiner.joiningDate)) {
+      await onboardingService.rescheduleJoiner(updatedJoiner);
+    }
+
     res.json({
       message: 'Joiner updated successfully',
       joiner: updatedJoiner
@@ -285,15 +354,32 @@ const deleteJoiner = async (req, res) => {
       });
     }
 
-    // If account is created, also delete the user account
-    if (joiner.accountCreated && joiner.userId) {
-      await User.findByIdAndDelete(joiner.userId);
+    // If account is created, lock it while the joiner is in the trash;
+    // it is deleted together with the joiner when the trash is purged
+    const suspendedUser = await suspendJoinerAccount(joiner, req.user._id);
+    if (suspendedUser) {
+      await revokeUserSessions(suspendedUser._id, 'deactivated');
+      await recordAudit(req, {
+        action: 'deactivate',
+        entityType: 'user',
+        entityId: suspendedUser._id,
+        entityLabel: suspendedUser.email,
+        metadata: { reason: 'Joiner deleted', joinerId: joiner._id }
+      });
     }
 
-    await Joiner.findByIdAndDelete(joiner._id);
+    await joiner.softDelete(req.user._id);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'joiner',
+      entityId: joiner._id,
+      entityLabel: joiner.name,
+      before: joiner
+    });
 
     res.json({
-      message: 'Joiner deleted successfully'
+      message: 'Joiner moved to trash'
     });
   } catch (error) {
     res.status(500).json({
@@ -320,7 +406,7 @@ const createUserAccount = async (req, res) => {
     }
 
     // Check if user with this email already exists
-    const existingUser = await User.findOne({ email: joiner.email });
+    const existingUser = await userService.findOne({ email: joiner.email });
     if (existingUser) {
       return res.status(400).json({
         message: 'User with this email already exists'
@@ -333,7 +419,7 @@ const createUserAccount = async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, salt);
 
     // Create user account with the same author_id as joiner
-    const user = await User.create({
+    const user = await userService.create({
       name: joiner.name,
       email: joiner.email,
       password: hashedPassword,
@@ -343,16 +429,36 @@ const createUserAccount = async (req, res) => {
       employeeId: joiner.employeeId,
       genre: joiner.genre,
       joiningDate: joiner.joiningDate,
+      qualification: joiner.qualification,
+      roleAssign: joiner.role_assign,
+      joinerId: joiner._id,
       isActive: true,
+      createdBy: req.user ? req.user._id : null,
       author_id: joiner.author_id // Use the same author_id from joiner
     });
 
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: user.email,
+      after: user,
+      metadata: { joinerId: joiner._id }
+    });
+
     // Update joiner record
     joiner.accountCreated = true;
     joiner.accountCreatedAt = new Date();
     joiner.userId = user._id;
-    joiner.status = 'active';
+    // A joiner whose lifecycle does not allow becoming active keeps their status
+    const activation = planJoinerTransitions(joiner, { status: 'active' });
+    if (!activation.error) Object.assign(joiner, activation.updates);
     await joiner.save();
+    await recordJoinerTransitions(joiner, activation.transitions, { actor: req.user, source: 'account_created' });
+    await onboardingService.handleEvent('account_created', { joinerIds: [joiner._id] }, req.user);
+
+    // The joiner gets a set-password link by email, never the password itself
+    const welcomeEmail = await welcomeEmailService.sendForNewAccount(joiner, req.user);
 
     // Automatically sync joiners and users to Google Sheets (non-blocking)
     autoSyncToGoogleSheets('joiners');
@@ -366,7 +472,8 @@ const createUserAccount = async (req, res) => {
         email: user.email,
         role: user.role,
         password: password // Return plain password for display
-      }
+      },
+      welcomeEmail
     });
   } catch (error) {
     res.status(500).json({
@@ -527,13 +634,7 @@ const getCandidateDetailsByAuthorId = async (req, res) => {
     }
 
     // Fetch Personal Details from database
-    let user = await User.findOne({ author_id: authorId }).select('-password -tempPassword');
-    
-    if (!user) {
-      // Try UserNew model as well
-      const UserNew = require('../models/UserNew');
-      user = await UserNew.findOne({ author_id: authorId }).select('-password -tempPassword');
-    }
+    const user = await userService.findByAuthorId(authorId).select('-password -tempPassword');
 
     if (!user) {
       return res.status(404).json({
@@ -613,11 +714,7 @@ const uploadCandidateReports = async (req, res) => {
     }
 
     // Verify user exists
-    let user = await User.findOne({ author_id: authorId });
-    if (!user) {
-      const UserNew = require('../models/UserNew');
-      user = await UserNew.findOne({ author_id: authorId });
-    }
+    const user = await userService.findByAuthorId(authorId);
 
     if (!user) {
       return res.status(404).json({
@@ -666,6 +763,7 @@ const uploadCandidateReports = async (req, res) => {
 
       // Find existing report or create new one
       let candidateReport = await CandidateReport.findOne({ author_id: authorId });
+      const previousReport = candidateReport ? candidateReport.toObject() : null;
 
       if (candidateReport) {
         // Update existing report
@@ -692,6 +790,20 @@ const uploadCandidateReports = async (req, res) => {
         });
       }
 
+      await recordAudit(req, {
+        action: previousReport ? 'update' : 'create',
+        entityType: 'candidate_report',
+        entityId: authorId,
+        entityLabel: user.name,
+        before: previousReport,
+        after: candidateReport
+      });
+      await recordVersion(req, 'candidate_report', {
+        document: candidateReport,
+        previous: previousReport,
+        action: previousReport ? 'update' : 'create'
+      });
+
       res.status(200).json({
         success: true,
         message: 'Candidate reports uploaded successfully',
@@ -916,8 +1028,6 @@ const bulkUploadCandidateReports = async (req, res) => {
 
     const axios = require('axios');
     const CandidateReport = require('../models/CandidateReport');
-    const User = require('../models/User');
-    const UserNew = require('../models/UserNew');
 
     let reportsData = [];
 
@@ -980,6 +1090,8 @@ const bulkUploadCandidateReports = async (req, res) => {
     // Process each candidate report
     const processedReports = [];
     const errors = [];
+    const auditEvents = [];
+    const versionEntries = [];
     let createdCount = 0;
     let updatedCount = 0;
 
@@ -993,10 +1105,7 @@ const bulkUploadCandidateReports = async (req, res) => {
         }
 
         // Find user by author_id
-        let user = await User.findOne({ author_id: reportData.author_id });
-        if (!user) {
-          user = await UserNew.findOne({ author_id: reportData.author_id });
-        }
+        const user = await userService.findByAuthorId(reportData.author_id);
 
         if (!user) {
           errors.push(`Row ${i + 1}: User not found with author_id ${reportData.author_id}`);
@@ -1017,6 +1126,7 @@ const bulkUploadCandidateReports = async (req, res) => {
 
         // Find existing report or create new one
         let candidateReport = await CandidateReport.findOne({ author_id: reportData.author_id });
+        const previousReport = candidateReport ? candidateReport.toObject() : null;
 
         if (candidateReport) {
           // Update existing report
@@ -1026,6 +1136,7 @@ const bulkUploadCandidateReports = async (req, res) => {
           candidateReport.interactionsReport = interactionsReport || candidateReport.interactionsReport;
           candidateReport.googleSheetUrl = google_sheet_url || candidateReport.googleSheetUrl;
           candidateReport.uploadedBy = req.user.id;
+          candidateReport.apiKey = req.apiKey ? req.apiKey._id : null;
           candidateReport.uploadedAt = new Date();
           candidateReport.lastUpdatedAt = new Date();
           await candidateReport.save();
@@ -1040,11 +1151,26 @@ const bulkUploadCandidateReports = async (req, res) => {
             groomingReport,
             interactionsReport,
             uploadedBy: req.user.id,
+            apiKey: req.apiKey ? req.apiKey._id : null,
             googleSheetUrl: google_sheet_url
           });
           createdCount++;
         }
 
+        auditEvents.push({
+          action: previousReport ? 'bulk_update' : 'bulk_create',
+          entityType: 'candidate_report',
+          entityId: reportData.author_id,
+          entityLabel: user.name,
+          before: previousReport,
+          after: candidateReport
+        });
+        versionEntries.push({
+          document: candidateReport,
+          previous: previousReport,
+          action: previousReport ? 'bulk_update' : 'bulk_create'
+        });
+
         processedReports.push({
           author_id: reportData.author_id,
           name: user.name,
@@ -1056,6 +1182,9 @@ const bulkUploadCandidateReports = async (req, res) => {
       }
     }
 
+    await recordAuditBatch(req, auditEvents);
+    await recordVersions(req, 'candidate_report', versionEntries);
+
     res.status(200).json({
       success: true,
       message: `Successfully processed ${processedReports.length} candidate reports`,
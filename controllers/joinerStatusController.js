@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Joiner = require('../models/Joiner');
+const JoinerStatusTransition = require('../models/JoinerStatusTransition');
+const onboardingService = require('../services/onboardingService');
+const { JOINER_STATUS_TRANSITIONS, JOINER_TRANSITION_REQUIREMENTS } = require('../config/joinerLifecycle');
+const { allowedTransitions, planJoinerTransitions, recordJoinerTransitions, lifecycleError } = require('../utils/joinerLifecycle');
+const { recordAudit } = require('../utils/auditLog');
+const { recordVersion } = require('../utils/versionHistory');
+
+// The API addresses joiners by _id or author_id
+const findJoiner = (identifier) => {
+  if (mongoose.Types.ObjectId.isValid(identifier) && String(identifier).length === 24) {
+    return Joiner.findOne({ $or: [{ _id: identifier }, { author_id: identifier }] });
+  }
+  return Joiner.findOne({ author_id: identifier });
+};
+
+const nextStatuses = (joiner) => ({
+  status: allowedTransitions('status', joiner.status || 'pending'),
+  joining_status: allowedTransitions('joining_status', joiner.joining_status || 'pending')
+});
+
+// @desc    The joiner status lifecycle: allowed transitions and the data each one needs
+// @route   GET /api/joiners/status-lifecycle
+// @access  Private (Admin, BOA, Master Trainer)
+const getStatusLifecycle = async (req, res) => {
+  res.json({
+    transitions: JOINER_STATUS_TRANSITIONS,
+    requirements: JOINER_TRANSITION_REQUIREMENTS
+  });
+};
+
+// @desc    Change a joiner's status and/or joining_status
+//          ({ status, joining_status, notJoinedReason, joiningDate, reason })
+// @route   PUT /api/joiners/:id/status
+// @access  Private (Admin, BOA, Master Trainer)
+const changeJoinerStatus = async (req, res) => {
+  try {
+    const { status, joining_status } = req.body;
+    if (!status && !joining_status) {
+      return res.status(400).json({ message: 'Provide status and/or joining_status' });
+    }
+
+    const joiner = await findJoiner(req.params.id);
+    if (!joiner) {
+      return res.status(404).json({ message: 'Joiner not found' });
+    }
+
+    const lifecycle = planJoinerTransitions(joiner, req.body);
+    if (lifecycle.error) {
+      return res.status(400).json(lifecycleError(lifecycle.error));
+    }
+    if (lifecycle.transitions.length === 0) {
+      return res.json({ message: 'Joiner status unchanged', joiner, transitions: [], next: nextStatuses(joiner) });
+    }
+
+    const previous = joiner.toObject();
+    joiner.set(lifecycle.updates);
+    await joiner.save();
+
+    await recordAudit(req, {
+      action: 'status_change',
+      entityType: 'joiner',
+      entityId: joiner._id,
+      entityLabel: joiner.name,
+      before: previous,
+      after: joiner,
+      metadata: { transitions: lifecycle.transitions.map(({ field, from, to }) => ({ field, from, to })) }
+    });
+    await recordVersion(req, 'joiner', { document: joiner, previous, action: 'update' });
+    await recordJoinerTransitions(joiner, lifecycle.transitions, { actor: req.user });
+
+    // Onboarding due dates follow the joining date
+    if (lifecycle.updates.joiningDate) {
+      await onboardingService.rescheduleJoiner(joiner);
+    }
+
+    res.json({
+      message: 'Joiner status updated',
+      joiner,
+      transitions: lifecycle.transitions,
+      next: nextStatuses(joiner)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Validation error', error: error.message });
+    }
+    console.error('Error changing joiner status:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Status timeline of a joiner: creation, then every transition in order
+// @route   GET /api/joiners/:id/timeline
+// @access  Private (Admin, BOA, Master Trainer)
+const getJoinerTimeline = async (req, res) => {
+  try {
+    const joiner = await findJoiner(req.params.id);
+    if (!joiner) {
+      return res.status(404).json({ message: 'Joiner not found' });
+    }
+
+    const transitions = await JoinerStatusTransition.find({ joinerId: joiner._id })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    // The joiner started out in the statuses the first recorded transition left
+    const firstValue = (field) => {
+      const first = transitions.find(transition => transition.field === field);
+      return first ? first.from : joiner[field];
+    };
+
+    const timeline = [
+      {
+        type: 'created',
+        at: joiner.createdAt,
+        status: firstValue('status'),
+        joining_status: firstValue('joining_status'),
+        by: joiner.createdBy || null
+      },
+      ...transitions.map(transition => ({
+        type: 'transition',
+        at: transition.createdAt,
+        field: transition.field,
+        from: transition.from,
+        to: transition.to,
+        reason: transition.reason,
+        data: transition.data,
+        source: transition.source,
+        by: transition.changedBy ? { _id: transition.changedBy, name: transition.changedByName } : null
+      }))
+    ];
+
+    res.json({
+      joinerId: joiner._id,
+      current: {
+        status: joiner.status,
+        joining_status: joiner.joining_status,
+        joiningDate: joiner.joiningDate,
+        notJoinedReason: joiner.notJoinedReason
+      },
+      next: nextStatuses(joiner),
+      timeline
+    });
+  } catch (error) {
+    console.error('Error fetching joiner timeline:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getStatusLifecycle,
+  changeJoinerStatus,
+  getJoinerTimeline
+};
@@ -1,6 +1,7 @@
 const MCQDeployment = require('../models/MCQDeployment');
-const User = require('../models/User');
 const { createExamNotification, createResultNotification } = require('./notificationController');
+const { recordAudit } = require('../utils/auditLog');
+const userService = require('../services/userService');
 
 // Get all MCQ deployments
 const getMCQDeployments = async (req, res) => {
@@ -100,7 +101,7 @@ const createMCQDeployment = async (req, res) => {
     }
     
     // Verify trainees exist
-    const trainees = await User.find({ 
+    const trainees = await userService.find({ 
       author_id: { $in: targetTrainees },
       role: 'trainee',
       isActive: true
@@ -128,6 +129,14 @@ const createMCQDeployment = async (req, res) => {
     
     // Populate the created deployment
     await deployment.populate('createdBy', 'name email author_id');
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'mcq_deployment',
+      entityId: deployment._id,
+      entityLabel: deployment.name,
+      after: deployment
+    });
     
     // Send notifications to all target trainees
     try {
@@ -165,6 +174,8 @@ const updateMCQDeployment = async (req, res) => {
     delete updates.results;
     delete updates.statistics;
     
+    const previousDeployment = await MCQDeployment.findById(id).select('-results').lean();
+    
     const deployment = await MCQDeployment.findByIdAndUpdate(
       id,
       updates,
@@ -177,6 +188,16 @@ const updateMCQDeployment = async (req, res) => {
         message: 'MCQ deployment not found'
       });
     }
+
+    const { results, ...updatedDeployment } = deployment.toObject({ depopulate: true });
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'mcq_deployment',
+      entityId: deployment._id,
+      entityLabel: deployment.name,
+      before: previousDeployment,
+      after: updatedDeployment
+    });
     
     res.status(200).json({
       success: true,
@@ -198,7 +219,7 @@ const deleteMCQDeployment = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const deployment = await MCQDeployment.findByIdAndDelete(id);
+    const deployment = await MCQDeployment.findById(id);
     
     if (!deployment) {
       return res.status(404).json({
@@ -206,10 +227,20 @@ const deleteMCQDeployment = async (req, res) => {
         message: 'MCQ deployment not found'
       });
     }
+
+    await deployment.softDelete(req.user._id);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'mcq_deployment',
+      entityId: deployment._id,
+      entityLabel: deployment.name,
+      before: deployment
+    });
     
     res.status(200).json({
       success: true,
-      message: 'MCQ deployment deleted successfully'
+      message: 'MCQ deployment moved to trash'
     });
   } catch (error) {
     console.error('Error deleting MCQ deployment:', error);
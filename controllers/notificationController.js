@@ -1,6 +1,5 @@
 const Notification = require('../models/Notification');
 const MCQDeployment = require('../models/MCQDeployment');
-const User = require('../models/User');
 
 // Get notifications for current user
 const getNotifications = async (req, res) => {
@@ -1,6 +1,6 @@
 const Observation = require("../models/Observation");
-const User = require("../models/User");
 const Notification = require("../models/Notification");
+const userService = require("../services/userService");
 
 // @desc    Create observation report
 // @route   POST /api/observations
@@ -20,7 +20,7 @@ const createObservation = async (req, res) => {
     } = req.body;
 
     // Validate trainee exists and is assigned to trainer
-    const trainer = await User.findById(trainerId).populate('assignedTrainees');
+    const trainer = await userService.findById(trainerId).populate('assignedTrainees');
     if (!trainer) {
       return res.status(404).json({ message: "Trainer not found" });
     }
@@ -63,7 +63,7 @@ const createObservation = async (req, res) => {
 
     // Send notification to Master Trainer(s) using unified helper
     try {
-      const masterTrainers = await User.find({ role: "master_trainer", isActive: true });
+      const masterTrainers = await userService.find({ role: "master_trainer", isActive: true });
       for (const masterTrainer of masterTrainers) {
         if (typeof Notification.createNotification === 'function') {
           await Notification.createNotification({
@@ -322,7 +322,7 @@ const submitObservation = async (req, res) => {
 
     // Send notification to Master Trainer(s) using unified helper
     try {
-      const masterTrainers = await User.find({ role: "master_trainer", isActive: true });
+      const masterTrainers = await userService.find({ role: "master_trainer", isActive: true });
       for (const masterTrainer of masterTrainers) {
         if (typeof Notification.createNotification === 'function') {
           await Notification.createNotification({
@@ -0,0 +1,330 @@
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OidcLoginState = require('../models/OidcLoginState');
+const {
+  getOidcConfig,
+  isOidcConfigured,
+  createAuthorizationParams,
+  buildAuthorizationUrl,
+  exchangeCode,
+  mapClaimsToRole,
+  getIdentity,
+  hasProviderMfa
+} = require('../utils/oidc');
+const { hashToken, generateTwoFactorToken, createSession, setRefreshCookie } = require('../utils/sessionTokens');
+const { buildFrontendUrl } = require('../utils/mailer');
+const { recordLogin } = require('../utils/loginHistory');
+const { recordAudit } = require('../utils/auditLog');
+const { TWO_FACTOR_ROLES } = require('../utils/twoFactorPolicy');
+const userService = require('../services/userService');
+const onboardingService = require('../services/onboardingService');
+
+// Frontend page that finishes the login by calling POST /api/auth/refresh
+const FRONTEND_CALLBACK_PATH = process.env.OIDC_FRONTEND_CALLBACK_PATH || '/oidc/callback';
+
+// Only same-site paths are accepted so the login cannot be used as an open redirect
+const safeReturnTo = (value) => {
+  if (typeof value !== 'string' || !value.startsWith('/') || value.startsWith('//')) return null;
+  return value;
+};
+
+// Short-lived proof that a signed-in user asked to link a provider identity; only
+// accepted by /oidc/login?link=
+const LINK_TOKEN_PURPOSE = 'oidc_link';
+
+// Ties a login to the browser that started it, so a callback URL handed to someone
+// else cannot sign them into the account that started the login
+const STATE_COOKIE_NAME = 'oidcState';
+const stateCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  // Lax still sends it on the provider's top-level redirect back to the callback
+  sameSite: 'lax',
+  path: '/api/auth/oidc',
+});
+
+const redirectWithError = (res, error) => {
+  res.redirect(buildFrontendUrl(FRONTEND_CALLBACK_PATH, { error }));
+};
+
+// Find the account for an OIDC identity, linking or creating it when allowed.
+// Returns { user } or { error } with a short error code for the frontend.
+const resolveOidcUser = async (identity, claims, issuer) => {
+  const config = getOidcConfig();
+
+  let user = await userService.findOne({ oidcIssuer: issuer, oidcSubject: identity.subject });
+  const updates = {};
+
+  if (!user) {
+    if (!identity.email || !identity.emailVerified) {
+      return { error: 'email_not_verified' };
+    }
+
+    user = await userService.findByEmail(identity.email);
+    if (user) {
+      // An account can only ever be linked to one provider identity
+      if (user.oidcSubject && (user.oidcSubject !== identity.subject || user.oidcIssuer !== issuer)) {
+        return { error: 'account_linked_elsewhere', user };
+      }
+      // Privileged accounts are only linked by their owner through POST /oidc/link
+      if (TWO_FACTOR_ROLES.includes(user.role)) {
+        return { error: 'link_required', user };
+      }
+      updates.$set = { oidcIssuer: issuer, oidcSubject: identity.subject };
+    }
+  }
+
+  const mappedRole = mapClaimsToRole(claims);
+
+  if (!user) {
+    if (!config.autoCreateUsers) {
+      return { error: 'account_not_found' };
+    }
+    if (!mappedRole) {
+      return { error: 'no_role' };
+    }
+
+    // Just-in-time account; the random password is never shown and SSO is the way in
+    const createdUser = await userService.create({
+      name: identity.name,
+      email: identity.email,
+      password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+      role: mappedRole,
+      accountStatus: 'active',
+      isActive: true,
+      passwordChanged: true,
+      accountCreatedAt: new Date(),
+      oidcIssuer: issuer,
+      oidcSubject: identity.subject
+    });
+    return { user: createdUser, created: true };
+  }
+
+  if (config.syncRoles && mappedRole && mappedRole !== user.role) {
+    updates.$set = { ...updates.$set, role: mappedRole };
+    updates.$push = {
+      roleHistory: {
+        role: mappedRole,
+        assignedAt: new Date(),
+        assignedBy: user._id,
+        reason: `Synced from ${config.providerName}`
+      }
+    };
+  }
+
+  if (Object.keys(updates).length) {
+    user = await userService.findByIdAndUpdate(user._id, updates, { new: true });
+  }
+  return { user };
+};
+
+// Link the provider identity to the account that asked for it in POST /oidc/link.
+// Returns { user } or { error } like resolveOidcUser.
+const linkOidcIdentity = async (userId, identity, issuer, req) => {
+  const user = await userService.findById(userId);
+  if (!user || user.isActive === false) {
+    return { error: 'account_not_found' };
+  }
+  if (user.oidcSubject && (user.oidcSubject !== identity.subject || user.oidcIssuer !== issuer)) {
+    return { error: 'account_linked_elsewhere', user };
+  }
+  const holder = await userService.findOne({ oidcIssuer: issuer, oidcSubject: identity.subject }).select('_id');
+  if (holder && String(holder._id) !== String(user._id)) {
+    return { error: 'identity_linked_elsewhere', user };
+  }
+
+  const linked = await userService.findByIdAndUpdate(
+    user._id,
+    { $set: { oidcIssuer: issuer, oidcSubject: identity.subject } },
+    { new: true }
+  );
+  await recordAudit(req, {
+    actor: linked,
+    action: 'update',
+    entityType: 'user',
+    entityId: linked._id,
+    entityLabel: linked.email,
+    before: { oidcSubject: user.oidcSubject || null },
+    after: { oidcSubject: identity.subject },
+    metadata: { oidcLinked: true, issuer }
+  });
+  return { user: linked };
+};
+
+// @desc    Start linking the signed-in account to a provider identity. Needs the
+//          current password; returns a token to open /oidc/login?link= with
+//          within two minutes.
+// @route   POST /api/auth/oidc/link
+// @access  Private
+const createOidcLinkToken = async (req, res) => {
+  try {
+    if (!isOidcConfigured()) {
+      return res.status(404).json({ message: 'Single sign-on is not enabled' });
+    }
+    if (req.impersonation) {
+      return res.status(403).json({ message: 'Accounts cannot be linked while viewing as another user' });
+    }
+
+    const user = await userService.findById(req.user._id).select('+password');
+    const isPasswordValid = user && req.body.password ? await bcrypt.compare(req.body.password.toString(), user.password) : false;
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    const linkToken = jwt.sign({ id: user._id, purpose: LINK_TOKEN_PURPOSE }, process.env.JWT_SECRET, { expiresIn: '2m' });
+    res.json({ linkToken, loginPath: `/api/auth/oidc/login?link=${encodeURIComponent(linkToken)}` });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Whether single sign-on is available
+// @route   GET /api/auth/oidc
+// @access  Public
+const getOidcStatus = (req, res) => {
+  const { providerName } = getOidcConfig();
+  res.json({ enabled: isOidcConfigured(), providerName });
+};
+
+// @desc    Start the authorization-code flow, tie it to this browser with the
+//          oidcState cookie and redirect to the provider
+// @route   GET /api/auth/oidc/login
+// @access  Public
+const startOidcLogin = async (req, res) => {
+  try {
+    if (!isOidcConfigured()) {
+      return res.status(404).json({ message: 'Single sign-on is not enabled' });
+    }
+
+    let linkUserId = null;
+    if (req.query.link) {
+      try {
+        const decoded = jwt.verify(req.query.link.toString(), process.env.JWT_SECRET);
+        if (decoded.purpose !== LINK_TOKEN_PURPOSE) throw new Error('Wrong token purpose');
+        linkUserId = decoded.id;
+      } catch (linkError) {
+        return res.status(400).json({ message: 'Link request is invalid or has expired; start again from your profile' });
+      }
+    }
+
+    const config = getOidcConfig();
+    const params = createAuthorizationParams();
+
+    await OidcLoginState.create({
+      stateHash: hashToken(params.state),
+      nonce: params.nonce,
+      codeVerifier: params.codeVerifier,
+      returnTo: safeReturnTo(req.query.returnTo),
+      linkUserId,
+      expiresAt: new Date(Date.now() + config.stateTtlMinutes * 60 * 1000)
+    });
+
+    res.cookie(STATE_COOKIE_NAME, hashToken(params.state), {
+      ...stateCookieOptions(),
+      maxAge: config.stateTtlMinutes * 60 * 1000
+    });
+
+    const authorizationUrl = await buildAuthorizationUrl({ ...params, loginHint: req.query.loginHint });
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error('Error starting OIDC login:', error.message);
+    res.status(502).json({ message: 'Could not reach the identity provider', error: error.message });
+  }
+};
+
+// @desc    Handle the provider redirect, sign the user in and send them to the frontend
+// @route   GET /api/auth/oidc/callback
+// @access  Public
+const oidcCallback = async (req, res) => {
+  try {
+    if (!isOidcConfigured()) {
+      return res.status(404).json({ message: 'Single sign-on is not enabled' });
+    }
+
+    const { code, state, error } = req.query;
+    const browserStateHash = req.cookies?.[STATE_COOKIE_NAME];
+    res.clearCookie(STATE_COOKIE_NAME, stateCookieOptions());
+    if (error) {
+      return redirectWithError(res, 'provider_error');
+    }
+    if (!code || !state) {
+      return redirectWithError(res, 'invalid_request');
+    }
+
+    // The state must belong to a login this browser started
+    const stateHash = hashToken(state.toString());
+    if (!browserStateHash || browserStateHash !== stateHash) {
+      return redirectWithError(res, 'login_expired');
+    }
+
+    // Each state can be used once
+    const loginState = await OidcLoginState.findOneAndDelete({ stateHash });
+    if (!loginState || loginState.expiresAt <= new Date()) {
+      return redirectWithError(res, 'login_expired');
+    }
+
+    let claims;
+    try {
+      claims = await exchangeCode({ code: code.toString(), codeVerifier: loginState.codeVerifier, nonce: loginState.nonce });
+    } catch (exchangeError) {
+      console.error('OIDC code exchange failed:', exchangeError.message);
+      return redirectWithError(res, 'token_exchange_failed');
+    }
+
+    const identity = getIdentity(claims);
+
+    // The user is already signed in on this browser; nothing more than the link happens
+    if (loginState.linkUserId) {
+      const { error: linkError } = await linkOidcIdentity(loginState.linkUserId, identity, getOidcConfig().issuer, req);
+      if (linkError) {
+        return redirectWithError(res, linkError);
+      }
+      const params = { linked: 'true' };
+      if (loginState.returnTo) params.returnTo = loginState.returnTo;
+      return res.redirect(buildFrontendUrl(FRONTEND_CALLBACK_PATH, params));
+    }
+
+    const { user, error: resolveError, created } = await resolveOidcUser(identity, claims, getOidcConfig().issuer);
+    if (resolveError) {
+      await recordLogin({ user, email: identity.email || identity.subject, success: false, method: 'oidc', failureReason: 'sso_rejected', req });
+      return redirectWithError(res, resolveError);
+    }
+
+    if (user.isActive === false) {
+      await recordLogin({ user, success: false, method: 'oidc', failureReason: 'deactivated', req });
+      return redirectWithError(res, 'account_deactivated');
+    }
+
+    // Enrolled users still owe a TOTP or recovery code: the frontend finishes the
+    // login through POST /api/auth/2fa/verify, as after a password login
+    const mfaByProvider = hasProviderMfa(claims);
+    if (user.twoFactorEnabled && !mfaByProvider) {
+      const params = { twoFactorToken: generateTwoFactorToken(user._id) };
+      if (loginState.returnTo) params.returnTo = loginState.returnTo;
+      return res.redirect(buildFrontendUrl(FRONTEND_CALLBACK_PATH, params));
+    }
+
+    const { session, refreshToken } = await createSession(user._id, req, { authMethod: 'oidc', mfaByProvider });
+    setRefreshCookie(res, refreshToken);
+    await recordLogin({ user, success: true, method: 'oidc', sessionId: session._id, req });
+    if (user.joinerId) {
+      await onboardingService.handleEvent('account_activated', { joinerIds: [user.joinerId] }, user);
+    }
+
+    const params = {};
+    if (loginState.returnTo) params.returnTo = loginState.returnTo;
+    if (created) params.created = 'true';
+    res.redirect(buildFrontendUrl(FRONTEND_CALLBACK_PATH, params));
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectWithError(res, 'server_error');
+  }
+};
+
+module.exports = {
+  getOidcStatus,
+  createOidcLinkToken,
+  startOidcLogin,
+  oidcCallback
+};
@@ -0,0 +1,344 @@
+const mongoose = require('mongoose');
+const Joiner = require('../models/Joiner');
+const OnboardingTemplate = require('../models/OnboardingTemplate');
+const OnboardingProgress = require('../models/OnboardingProgress');
+const onboardingService = require('../services/onboardingService');
+const { ROLES } = require('../config/permissions');
+const { ONBOARDING_EVENTS, CHECKLIST_FLAGS, DEFAULT_ONBOARDING_TEMPLATE } = require('../config/onboarding');
+const { recordAudit } = require('../utils/auditLog');
+
+const TEMPLATE_FIELDS = ['name', 'description', 'departments', 'isDefault', 'isActive', 'steps'];
+const STEP_STATUSES = ['pending', 'completed', 'skipped'];
+
+// The API addresses joiners by _id or author_id
+const findJoiner = (identifier) => {
+  if (mongoose.Types.ObjectId.isValid(identifier) && String(identifier).length === 24) {
+    return Joiner.findOne({ $or: [{ _id: identifier }, { author_id: identifier }] });
+  }
+  return Joiner.findOne({ author_id: identifier });
+};
+
+const joinerLabel = (joiner) => joiner.name || joiner.candidate_name || joiner.email;
+
+// Only one template may be the default
+const clearOtherDefaults = async (template) => {
+  if (template.isDefault) {
+    await OnboardingTemplate.updateMany({ _id: { $ne: template._id }, isDefault: true }, { $set: { isDefault: false } });
+  }
+};
+
+// @desc    List onboarding templates, plus the built-in template used when none is configured
+// @route   GET /api/onboarding/templates
+// @access  Private (Admin, Master Trainer, BOA)
+const getTemplates = async (req, res) => {
+  try {
+    const templates = await OnboardingTemplate.find({})
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .sort({ isDefault: -1, name: 1 })
+      .lean();
+
+    res.json({
+      templates,
+      builtInTemplate: DEFAULT_ONBOARDING_TEMPLATE,
+      events: ONBOARDING_EVENTS,
+      checklistFlags: CHECKLIST_FLAGS,
+      roles: ROLES
+    });
+  } catch (error) {
+    console.error('Error fetching onboarding templates:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get an onboarding template
+// @route   GET /api/onboarding/templates/:id
+// @access  Private (Admin, Master Trainer, BOA)
+const getTemplateById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid template ID' });
+    }
+
+    const template = await OnboardingTemplate.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email')
+      .lean();
+    if (!template) {
+      return res.status(404).json({ message: 'Onboarding template not found' });
+    }
+
+    const inUse = await OnboardingProgress.countDocuments({ template: template._id });
+    res.json({ template, inUse });
+  } catch (error) {
+    console.error('Error fetching onboarding template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create an onboarding template
+// @route   POST /api/onboarding/templates
+// @access  Private (Admin)
+const createTemplate = async (req, res) => {
+  try {
+    const data = {};
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const template = await OnboardingTemplate.create({ ...data, createdBy: req.user._id, updatedBy: req.user._id });
+    await clearOtherDefaults(template);
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'onboarding_template',
+      entityId: template._id,
+      entityLabel: template.name,
+      after: template
+    });
+
+    res.status(201).json({ message: 'Onboarding template created successfully', template });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid onboarding template', errors: Object.values(error.errors).map(e => e.message) });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'An onboarding template with this name already exists' });
+    }
+    console.error('Error creating onboarding template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update an onboarding template. Joiners already onboarding keep their copied steps.
+// @route   PUT /api/onboarding/templates/:id
+// @access  Private (Admin)
+const updateTemplate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid template ID' });
+    }
+
+    const template = await OnboardingTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Onboarding template not found' });
+    }
+
+    const previous = template.toObject();
+    TEMPLATE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    });
+    template.updatedBy = req.user._id;
+    await template.save();
+    await clearOtherDefaults(template);
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'onboarding_template',
+      entityId: template._id,
+      entityLabel: template.name,
+      before: previous,
+      after: template
+    });
+
+    res.json({ message: 'Onboarding template updated successfully', template });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid onboarding template', errors: Object.values(error.errors).map(e => e.message) });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'An onboarding template with this name already exists' });
+    }
+    console.error('Error updating onboarding template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Delete an onboarding template. Started onboarding runs keep their steps.
+// @route   DELETE /api/onboarding/templates/:id
+// @access  Private (Admin)
+const deleteTemplate = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid template ID' });
+    }
+
+    const template = await OnboardingTemplate.findByIdAndDelete(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Onboarding template not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'onboarding_template',
+      entityId: template._id,
+      entityLabel: template.name,
+      before: template
+    });
+
+    res.json({ message: 'Onboarding template deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting onboarding template:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a joiner's onboarding progress (starts onboarding on first access)
+// @route   GET /api/onboarding/joiners/:joinerId
+// @access  Private (Admin, Master Trainer, BOA)
+const getJoinerProgress = async (req, res) => {
+  try {
+    const joiner = await findJoiner(req.params.joinerId);
+    if (!joiner) {
+      return res.status(404).json({ message: 'Joiner not found' });
+    }
+
+    const progress = await onboardingService.getProgress(joiner);
+    res.json({
+      joiner: {
+        _id: joiner._id,
+        name: joinerLabel(joiner),
+        author_id: joiner.author_id,
+        department: joiner.department,
+        joiningDate: joiner.joiningDate,
+        onboardingChecklist: joiner.onboardingChecklist
+      },
+      progress: onboardingService.describeProgress(progress)
+    });
+  } catch (error) {
+    console.error('Error fetching onboarding progress:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Start (or restart with another template) a joiner's onboarding
+// @route   POST /api/onboarding/joiners/:joinerId/start
+// @access  Private (Admin)
+const startJoinerOnboarding = async (req, res) => {
+  try {
+    const joiner = await findJoiner(req.params.joinerId);
+    if (!joiner) {
+      return res.status(404).json({ message: 'Joiner not found' });
+    }
+
+    let template = null;
+    if (req.body.templateId) {
+      if (!mongoose.Types.ObjectId.isValid(req.body.templateId)) {
+        return res.status(400).json({ message: 'Invalid template ID' });
+      }
+      template = await OnboardingTemplate.findById(req.body.templateId).lean();
+      if (!template) {
+        return res.status(404).json({ message: 'Onboarding template not found' });
+      }
+    }
+
+    // Restarting replaces the steps; completed checklist flags carry over
+    const removed = await OnboardingProgress.findOneAndDelete({ joiner: joiner._id });
+    const progress = await onboardingService.startOnboarding(joiner, { template });
+
+    await recordAudit(req, {
+      action: removed ? 'onboarding_restart' : 'onboarding_start',
+      entityType: 'joiner',
+      entityId: joiner._id,
+      entityLabel: joinerLabel(joiner),
+      metadata: { template: progress.templateName, previousTemplate: removed ? removed.templateName : null }
+    });
+
+    res.status(removed ? 200 : 201).json({
+      message: removed ? 'Onboarding restarted' : 'Onboarding started',
+      progress: onboardingService.describeProgress(progress)
+    });
+  } catch (error) {
+    console.error('Error starting onboarding:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Complete, skip or reopen an onboarding step. Only the step's owner role
+//          (or someone with onboarding:manage) may change it.
+// @route   PUT /api/onboarding/joiners/:joinerId/steps/:stepKey
+// @access  Private (Admin, Master Trainer, BOA)
+const updateJoinerStep = async (req, res) => {
+  try {
+    const { status = 'completed', notes } = req.body;
+    if (!STEP_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Invalid status. Must be one of: ${STEP_STATUSES.join(', ')}` });
+    }
+
+    const joiner = await findJoiner(req.params.joinerId);
+    if (!joiner) {
+      return res.status(404).json({ message: 'Joiner not found' });
+    }
+
+    const existing = await onboardingService.getProgress(joiner);
+    const current = existing.steps.find(step => step.key === req.params.stepKey);
+    if (current && current.ownerRole !== req.user.role && !(req.permissions || []).includes('onboarding:manage')) {
+      return res.status(403).json({ message: `This step is owned by the ${current.ownerRole} role` });
+    }
+
+    const previousStatus = current ? current.status : null;
+    const result = await onboardingService.completeStep(joiner, req.params.stepKey, { user: req.user, status, notes });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error, blockedBy: result.blockedBy });
+    }
+
+    await recordAudit(req, {
+      action: 'onboarding_step',
+      entityType: 'joiner',
+      entityId: joiner._id,
+      entityLabel: joinerLabel(joiner),
+      metadata: { step: result.step.key, from: previousStatus, to: result.step.status }
+    });
+
+    res.json({
+      message: 'Onboarding step updated',
+      progress: onboardingService.describeProgress(result.progress)
+    });
+  } catch (error) {
+    console.error('Error updating onboarding step:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Onboarding steps past their due date across all joiners
+// @route   GET /api/onboarding/overdue?ownerRole=&department=&page=&limit=
+// @access  Private (Admin, Master Trainer, BOA)
+const getOverdueSteps = async (req, res) => {
+  try {
+    const { ownerRole, department } = req.query;
+    if (ownerRole && !ROLES.includes(ownerRole)) {
+      return res.status(400).json({ message: `Invalid ownerRole. Must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { items, total, byOwnerRole } = await onboardingService.getOverdueSteps({ ownerRole, department, page, limit });
+
+    res.json({
+      items,
+      byOwnerRole,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching overdue onboarding steps:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getJoinerProgress,
+  startJoinerOnboarding,
+  updateJoinerStep,
+  getOverdueSteps
+};
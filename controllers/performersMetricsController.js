@@ -1,22 +1,28 @@
 const LearningReport = require('../models/LearningReport');
 const AttendanceReport = require('../models/AttendanceReport');
 const GroomingReport = require('../models/GroomingReport');
-const User = require('../models/User');
-const UserNew = require('../models/UserNew');
+const { resolveBatchFilter, getBatchIndex } = require('../utils/batches');
+
+// Report filter for the ?batch= query: only the batch members' reports
+const reportFilter = (batchMembers) => (batchMembers ? { author_id: { $in: batchMembers.authorIds } } : {});
 
 /**
- * Get all candidates with their performance metrics
+ * Get all candidates with their performance metrics (?batch for one batch)
  */
 const getAllCandidatesPerformance = async (req, res) => {
   try {
+    const batchMembers = await resolveBatchFilter(req, res);
+    if (batchMembers === false) return;
+    const filter = reportFilter(batchMembers);
+
     // Get all learning reports
-    const learningReports = await LearningReport.find({}).populate('user', 'name email author_id employeeId').lean();
+    const learningReports = await LearningReport.find(filter).populate('user', 'name email author_id employeeId').lean();
     
     // Get all attendance reports
-    const attendanceReports = await AttendanceReport.find({}).populate('user', 'name email author_id employeeId').lean();
+    const attendanceReports = await AttendanceReport.find(filter).populate('user', 'name email author_id employeeId').lean();
     
     // Get all grooming reports
-    const groomingReports = await GroomingReport.find({}).populate('user', 'name email author_id employeeId').lean();
+    const groomingReports = await GroomingReport.find(filter).populate('user', 'name email author_id employeeId').lean();
 
     // Combine all reports by author_id
     const candidatesMap = new Map();
@@ -288,13 +294,16 @@ const calculateOverallScore = (examAverages, attendanceReport, groomingReport) =
 };
 
 /**
- * Get top and low performers
+ * Get top and low performers (?batch for one batch)
  */
 const getPerformersByCategory = async (req, res) => {
   try {
     const { category, limit = 10 } = req.query; // category: 'top' or 'low'
 
-    const candidates = await getAllCandidatesPerformanceData();
+    const batchMembers = await resolveBatchFilter(req, res);
+    if (batchMembers === false) return;
+
+    const candidates = await getAllCandidatesPerformanceData(reportFilter(batchMembers));
     
     // Sort by overall score
     candidates.sort((a, b) => b.overallScore - a.overallScore);
@@ -322,7 +331,7 @@ const getPerformersByCategory = async (req, res) => {
 };
 
 /**
- * Get candidates by exam average threshold
+ * Get candidates by exam average threshold (?batch for one batch)
  */
 const getCandidatesByExamThreshold = async (req, res) => {
   try {
@@ -343,7 +352,10 @@ const getCandidatesByExamThreshold = async (req, res) => {
       });
     }
 
-    const candidates = await getAllCandidatesPerformanceData();
+    const batchMembers = await resolveBatchFilter(req, res);
+    if (batchMembers === false) return;
+
+    const candidates = await getAllCandidatesPerformanceData(reportFilter(batchMembers));
     
     const filtered = candidates.filter(candidate => {
       const examAvg = candidate.examAverages[examType] || 0;
@@ -372,7 +384,7 @@ const getCandidatesByExamThreshold = async (req, res) => {
 };
 
 /**
- * Get candidates by learning phase
+ * Get candidates by learning phase (?batch for one batch)
  */
 const getCandidatesByLearningPhase = async (req, res) => {
   try {
@@ -385,7 +397,10 @@ const getCandidatesByLearningPhase = async (req, res) => {
       });
     }
 
-    const candidates = await getAllCandidatesPerformanceData();
+    const batchMembers = await resolveBatchFilter(req, res);
+    if (batchMembers === false) return;
+
+    const candidates = await getAllCandidatesPerformanceData(reportFilter(batchMembers));
     
     const filtered = candidates.filter(candidate => candidate.learningPhase === phase);
 
@@ -409,10 +424,10 @@ const getCandidatesByLearningPhase = async (req, res) => {
 /**
  * Helper function to get all candidates performance data
  */
-const getAllCandidatesPerformanceData = async () => {
-  const learningReports = await LearningReport.find({}).populate('user', 'name email author_id employeeId').lean();
-  const attendanceReports = await AttendanceReport.find({}).populate('user', 'name email author_id employeeId').lean();
-  const groomingReports = await GroomingReport.find({}).populate('user', 'name email author_id employeeId').lean();
+const getAllCandidatesPerformanceData = async (filter = {}) => {
+  const learningReports = await LearningReport.find(filter).populate('user', 'name email author_id employeeId').lean();
+  const attendanceReports = await AttendanceReport.find(filter).populate('user', 'name email author_id employeeId').lean();
+  const groomingReports = await GroomingReport.find(filter).populate('user', 'name email author_id employeeId').lean();
 
   const candidatesMap = new Map();
 
@@ -467,10 +482,70 @@ const getAllCandidatesPerformanceData = async () => {
   });
 };
 
+/**
+ * Performance aggregated per batch: averages, learning phases and top performer.
+ * Candidates outside any batch are grouped under "unbatched".
+ */
+const getBatchPerformance = async (req, res) => {
+  try {
+    const { batches, index } = await getBatchIndex();
+    const candidates = await getAllCandidatesPerformanceData();
+
+    const average = (values) => (values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 100) / 100 : 0);
+
+    const groups = new Map(batches.map(batch => [String(batch._id), {
+      batch: { _id: batch._id, name: batch.name },
+      memberCount: batch.members.length,
+      candidates: []
+    }]));
+    const unbatched = { batch: null, memberCount: null, candidates: [] };
+
+    candidates.forEach(candidate => {
+      const batch = index.get(candidate.author_id);
+      (batch ? groups.get(String(batch._id)) : unbatched).candidates.push(candidate);
+    });
+
+    const summarize = ({ batch, memberCount, candidates: members }) => {
+      const top = members.reduce((best, candidate) => (!best || candidate.overallScore > best.overallScore ? candidate : best), null);
+      return {
+        batch,
+        memberCount,
+        candidatesWithReports: members.length,
+        averageOverallScore: average(members.map(candidate => candidate.overallScore)),
+        examAverages: ['dailyQuiz', 'fortnightExam', 'courseExam', 'overall'].reduce((averages, examType) => ({
+          ...averages,
+          [examType]: average(members.map(candidate => candidate.examAverages[examType] || 0))
+        }), {}),
+        learningPhases: ['fast', 'average', 'slow'].reduce((phases, phase) => ({
+          ...phases,
+          [phase]: members.filter(candidate => candidate.learningPhase === phase).length
+        }), {}),
+        topPerformer: top ? { author_id: top.author_id, name: top.name, overallScore: top.overallScore } : null
+      };
+    };
+
+    const data = Array.from(groups.values()).map(summarize);
+    data.sort((a, b) => b.averageOverallScore - a.averageOverallScore);
+
+    res.json({
+      success: true,
+      data,
+      unbatched: summarize(unbatched)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching batch performance',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getAllCandidatesPerformance,
   getPerformersByCategory,
   getCandidatesByExamThreshold,
-  getCandidatesByLearningPhase
+  getCandidatesByLearningPhase,
+  getBatchPerformance
 };
 
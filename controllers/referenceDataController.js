@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Joiner = require('../models/Joiner');
+const { REFERENCE_DATA_KINDS } = require('../config/referenceData');
+const {
+  REFERENCE_MODELS,
+  normalizeKey,
+  loadReferenceData,
+  clearReferenceDataCache
+} = require('../utils/referenceData');
+const { recordAudit } = require('../utils/auditLog');
+
+// departments -> department, tracks -> track
+const AUDIT_ENTITY_TYPES = { departments: 'department', tracks: 'track' };
+
+const checkKind = (req, res) => {
+  if (!REFERENCE_DATA_KINDS[req.params.kind]) {
+    res.status(400).json({ message: `Invalid reference data. Must be one of: ${Object.keys(REFERENCE_DATA_KINDS).join(', ')}` });
+    return false;
+  }
+  return true;
+};
+
+const normalizeAliases = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(alias => String(alias).trim()).filter(Boolean))];
+};
+
+// Every code, display name and alias must resolve to exactly one record
+const findClash = async (kind, { code, name, aliases }, id = null) => {
+  clearReferenceDataCache(kind);
+  const { index } = await loadReferenceData(kind);
+  const clash = [code, name, ...aliases]
+    .filter(Boolean)
+    .map(value => ({ value, record: index.get(normalizeKey(value)) }))
+    .find(({ record }) => record && String(record._id) !== String(id));
+  return clash ? `"${clash.value}" already belongs to ${clash.record.code}` : null;
+};
+
+const countJoiners = async (kind) => {
+  const field = REFERENCE_DATA_KINDS[kind].joinerField;
+  const counts = await Joiner.aggregate([{ $group: { _id: `$${field}`, count: { $sum: 1 } } }]);
+  return new Map(counts.map(entry => [entry._id, entry.count]));
+};
+
+// @desc    List departments or tracks (?active=true for the ones that can be given to joiners)
+// @route   GET /api/reference-data/:kind
+// @access  Private
+const getReferenceData = async (req, res) => {
+  try {
+    if (!checkKind(req, res)) return;
+    const { kind } = req.params;
+
+    const { records } = await loadReferenceData(kind);
+    const joinerCounts = await countJoiners(kind);
+    const list = records
+      .filter(record => req.query.active !== 'true' || record.active)
+      .map(record => ({ ...record, joinerCount: joinerCounts.get(record.code) || 0 }));
+
+    res.json({
+      kind,
+      fallbackCode: REFERENCE_DATA_KINDS[kind].fallbackCode,
+      [kind]: list
+    });
+  } catch (error) {
+    console.error('Error fetching reference data:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Add a department or track ({ code, name, aliases, active })
+// @route   POST /api/reference-data/:kind
+// @access  Private (Admin)
+const createReferenceData = async (req, res) => {
+  try {
+    if (!checkKind(req, res)) return;
+    const { kind } = req.params;
+    const { label } = REFERENCE_DATA_KINDS[kind];
+
+    const code = String(req.body.code || '').trim().toUpperCase();
+    const name = String(req.body.name || '').trim();
+    const aliases = normalizeAliases(req.body.aliases);
+    if (!code || !name) {
+      return res.status(400).json({ message: 'code and name are required' });
+    }
+    const clash = await findClash(kind, { code, name, aliases });
+    if (clash) {
+      return res.status(400).json({ message: clash });
+    }
+
+    const record = await REFERENCE_MODELS[kind].create({
+      code,
+      name,
+      aliases,
+      active: req.body.active !== false,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    clearReferenceDataCache(kind);
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: AUDIT_ENTITY_TYPES[kind],
+      entityId: record._id,
+      entityLabel: record.code,
+      after: record
+    });
+
+    res.status(201).json({ message: `${label} created successfully`, record });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid reference data', errors: Object.values(error.errors).map(e => e.message) });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'This code already exists' });
+    }
+    console.error('Error creating reference data:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Update the display name, aliases or active flag of a department or track.
+//          Codes are stored on joiners, so they cannot change.
+// @route   PUT /api/reference-data/:kind/:id
+// @access  Private (Admin)
+const updateReferenceData = async (req, res) => {
+  try {
+    if (!checkKind(req, res)) return;
+    const { kind, id } = req.params;
+    const { label, fallbackCode } = REFERENCE_DATA_KINDS[kind];
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: `Invalid ${label.toLowerCase()} ID` });
+    }
+    const record = await REFERENCE_MODELS[kind].findById(id);
+    if (!record) {
+      return res.status(404).json({ message: `${label} not found` });
+    }
+    if (req.body.code !== undefined && String(req.body.code).trim().toUpperCase() !== record.code) {
+      return res.status(400).json({ message: 'code cannot be changed; add a new one and deactivate this one instead' });
+    }
+    if (req.body.active === false && record.code === fallbackCode) {
+      return res.status(400).json({ message: `${fallbackCode} is given to joiners without a known ${label.toLowerCase()} and cannot be deactivated` });
+    }
+
+    const previous = record.toObject();
+    if (req.body.name !== undefined) record.name = String(req.body.name).trim();
+    if (req.body.aliases !== undefined) record.aliases = normalizeAliases(req.body.aliases);
+    if (req.body.active !== undefined) record.active = req.body.active === true || req.body.active === 'true';
+
+    const clash = await findClash(kind, { name: record.name, aliases: record.aliases }, record._id);
+    if (clash) {
+      return res.status(400).json({ message: clash });
+    }
+
+    record.updatedBy = req.user._id;
+    await record.save();
+    clearReferenceDataCache(kind);
+
+    await recordAudit(req, {
+      action: 'update',
+      entityType: AUDIT_ENTITY_TYPES[kind],
+      entityId: record._id,
+      entityLabel: record.code,
+      before: previous,
+      after: record
+    });
+
+    res.json({ message: `${label} updated successfully`, record });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid reference data', errors: Object.values(error.errors).map(e => e.message) });
+    }
+    console.error('Error updating reference data:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getReferenceData,
+  createReferenceData,
+  updateReferenceData
+};
@@ -1,12 +1,14 @@
-const User = require("../models/User");
+const mongoose = require("mongoose");
 const Attendance = require("../models/Attendance");
 const DayPlan = require("../models/DayPlan");
 const Assignment = require("../models/Assignment");
 const Observation = require("../models/Observation");
-const Notification = require("../models/Notification");
+const AuditEvent = require("../models/AuditEvent");
+const userService = require("../services/userService");
+const { resolveBatchFilter } = require("../utils/batches");
 
 // @desc    Generate attendance report
-// @route   GET /api/reports/attendance
+// @route   GET /api/reports/attendance (?batch narrows it to one batch's trainees)
 // @access  Private (Master Trainer, Trainer)
 const generateAttendanceReport = async (req, res) => {
   try {
@@ -30,10 +32,16 @@ const generateAttendanceReport = async (req, res) => {
       matchQuery.user = userId;
     } else if (requesterRole === "trainer") {
       // Trainers can only see their assigned trainees
-      const trainer = await User.findById(requesterId).populate('assignedTrainees');
+      const trainer = await userService.findById(requesterId).populate('assignedTrainees');
       matchQuery.user = { $in: trainer.assignedTrainees.map(t => t._id) };
     }
 
+    const batchMembers = await resolveBatchFilter(req, res);
+    if (batchMembers === false) return;
+    if (batchMembers) {
+      matchQuery.$and = [{ user: { $in: batchMembers.userIds } }];
+    }
+
     const attendanceData = await Attendance.find(matchQuery)
       .populate('user', 'name email employeeId department role')
       .sort({ date: -1, user: 1 });
@@ -71,6 +79,7 @@ const generateAttendanceReport = async (req, res) => {
         startDate: new Date(startDate),
         endDate: new Date(endDate)
       },
+      batch: batchMembers ? batchMembers.batch : null,
       summary: summary[0] || {
         totalRecords: 0,
         presentCount: 0,
@@ -100,7 +109,7 @@ const generateAttendanceReport = async (req, res) => {
 };
 
 // @desc    Generate day plan compliance report
-// @route   GET /api/reports/day-plan-compliance
+// @route   GET /api/reports/day-plan-compliance (?batch keeps plans assigned to the batch's trainees)
 // @access  Private (Master Trainer, Trainer)
 const generateDayPlanComplianceReport = async (req, res) => {
   try {
@@ -125,6 +134,12 @@ const generateDayPlanComplianceReport = async (req, res) => {
       matchQuery.trainer = requesterId;
     }
 
+    const batchMembers = await resolveBatchFilter(req, res);
+    if (batchMembers === false) return;
+    if (batchMembers) {
+      matchQuery.assignedTrainees = { $in: batchMembers.userIds };
+    }
+
     const dayPlans = await DayPlan.find(matchQuery)
       .populate('trainer', 'name email')
       .populate('assignedTrainees', 'name email employeeId')
@@ -164,6 +179,7 @@ const generateDayPlanComplianceReport = async (req, res) => {
         startDate: new Date(startDate),
         endDate: new Date(endDate)
       },
+      batch: batchMembers ? batchMembers.batch : null,
       summary: complianceStats[0] || {
         totalPlans: 0,
         publishedPlans: 0,
@@ -190,7 +206,7 @@ const generateDayPlanComplianceReport = async (req, res) => {
 };
 
 // @desc    Generate observation report
-// @route   GET /api/reports/observations
+// @route   GET /api/reports/observations (?batch narrows it to one batch's trainees)
 // @access  Private (Master Trainer, Trainer)
 const generateObservationReport = async (req, res) => {
   try {
@@ -219,6 +235,12 @@ const generateObservationReport = async (req, res) => {
       matchQuery.trainee = traineeId;
     }
 
+    const batchMembers = await resolveBatchFilter(req, res);
+    if (batchMembers === false) return;
+    if (batchMembers) {
+      matchQuery.$and = [{ trainee: { $in: batchMembers.userIds } }];
+    }
+
     const observations = await Observation.find(matchQuery)
       .populate('trainer', 'name email')
       .populate('trainee', 'name email employeeId department')
@@ -258,6 +280,7 @@ const generateObservationReport = async (req, res) => {
         startDate: new Date(startDate),
         endDate: new Date(endDate)
       },
+      batch: batchMembers ? batchMembers.batch : null,
       summary: observationStats[0] || {
         totalObservations: 0,
         submittedObservations: 0,
@@ -285,7 +308,7 @@ const generateObservationReport = async (req, res) => {
 };
 
 // @desc    Generate assignment report
-// @route   GET /api/reports/assignments
+// @route   GET /api/reports/assignments (?batch keeps assignments with the batch's trainees)
 // @access  Private (Master Trainer)
 const generateAssignmentReport = async (req, res) => {
   try {
@@ -305,6 +328,12 @@ const generateAssignmentReport = async (req, res) => {
       matchQuery.status = status;
     }
 
+    const batchMembers = await resolveBatchFilter(req, res);
+    if (batchMembers === false) return;
+    if (batchMembers) {
+      matchQuery.trainees = { $in: batchMembers.authorIds };
+    }
+
     const assignments = await Assignment.find(matchQuery)
       .populate('trainer', 'name email')
       .populate('trainees', 'name email employeeId department')
@@ -335,6 +364,7 @@ const generateAssignmentReport = async (req, res) => {
         startDate: new Date(startDate),
         endDate: new Date(endDate)
       } : null,
+      batch: batchMembers ? batchMembers.batch : null,
       summary: assignmentStats[0] || {
         totalAssignments: 0,
         activeAssignments: 0,
@@ -364,49 +394,86 @@ const generateAssignmentReport = async (req, res) => {
 // @access  Private (Master Trainer)
 const generateAuditLog = async (req, res) => {
   try {
-    const { startDate, endDate, action, userId, format = 'json' } = req.query;
-    const requesterId = req.user.id;
+    const {
+      startDate,
+      endDate,
+      action,
+      entityType,
+      entityId,
+      actorId,
+      userId,
+      page = 1,
+      limit = 100,
+      format = 'json'
+    } = req.query;
 
     let matchQuery = {};
 
-    if (startDate && endDate) {
-      matchQuery.createdAt = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
+    if (startDate || endDate) {
+      matchQuery.createdAt = {};
+      if (startDate) matchQuery.createdAt.$gte = new Date(startDate);
+      if (endDate) matchQuery.createdAt.$lte = new Date(endDate);
     }
 
     if (action) {
-      matchQuery.type = action;
+      matchQuery.action = { $in: action.split(',') };
     }
 
-    if (userId) {
-      matchQuery.sender = userId;
+    if (entityType) {
+      matchQuery.entityType = { $in: entityType.split(',') };
     }
 
-    // Get notifications as audit trail
-    const auditLog = await Notification.find(matchQuery)
-      .populate('sender', 'name email role')
-      .populate('recipient', 'name email role')
-      .sort({ createdAt: -1 })
-      .limit(1000); // Limit to prevent large responses
+    if (entityId) {
+      matchQuery.entityId = entityId;
+    }
 
-    const report = {
-      period: startDate && endDate ? {
-        startDate: new Date(startDate),
-        endDate: new Date(endDate)
-      } : null,
-      totalRecords: auditLog.length,
-      data: auditLog
-    };
+    // userId is kept as an alias for older clients
+    const actor = actorId || userId;
+    if (actor) {
+      if (!mongoose.Types.ObjectId.isValid(actor)) {
+        return res.status(400).json({ message: "Invalid actor id" });
+      }
+      matchQuery.actor = actor;
+    }
 
     if (format === 'csv') {
+      const auditLog = await AuditEvent.find(matchQuery)
+        .sort({ createdAt: -1 })
+        .limit(10000) // Limit to prevent large exports
+        .lean();
+
       const csvData = convertAuditLogToCSV(auditLog);
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', `attachment; filename="audit-log-${startDate || 'all'}-to-${endDate || 'all'}.csv"`);
       return res.send(csvData);
     }
 
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+
+    const [auditLog, totalRecords] = await Promise.all([
+      AuditEvent.find(matchQuery)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      AuditEvent.countDocuments(matchQuery)
+    ]);
+
+    const report = {
+      period: startDate || endDate ? {
+        startDate: startDate ? new Date(startDate) : null,
+        endDate: endDate ? new Date(endDate) : null
+      } : null,
+      totalRecords,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        pages: Math.ceil(totalRecords / pageSize)
+      },
+      data: auditLog
+    };
+
     res.json(report);
 
   } catch (error) {
@@ -483,20 +550,31 @@ const convertAssignmentsToCSV = (assignments) => {
   return [headers, ...rows].map(row => row.join(',')).join('\n');
 };
 
+// Audit values can contain commas, quotes and newlines
+const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
 const convertAuditLogToCSV = (auditLog) => {
-  const headers = ['Date', 'Time', 'Sender', 'Recipient', 'Action', 'Title', 'Message', 'Priority'];
+  const headers = ['Date', 'Actor', 'Actor Email', 'Role', 'Action', 'Entity Type', 'Entity ID', 'Entity Label', 'Changes', 'IP Address', 'API Key', 'Impersonated By'];
   const rows = auditLog.map(log => [
-    log.createdAt.toISOString().split('T')[0],
-    log.createdAt.toISOString().split('T')[1].split('.')[0],
-    log.sender.name,
-    log.recipient.name,
-    log.type,
-    log.title,
-    log.message,
-    log.priority
+    log.createdAt.toISOString(),
+    log.actorName,
+    log.actorEmail,
+    log.actorRole,
+    log.action,
+    log.entityType,
+    log.entityId,
+    log.entityLabel,
+    log.changes?.length ? JSON.stringify(log.changes) : '',
+    log.ipAddress,
+    log.apiKey,
+    log.impersonatedBy
   ]);
 
-  return [headers, ...rows].map(row => row.join(',')).join('\n');
+  return [headers, ...rows].map(row => row.map(escapeCSVValue).join(',')).join('\n');
 };
 
 module.exports = {
@@ -1,6 +1,9 @@
 const Result = require("../models/Result");
-const User = require("../models/User");
 const axios = require("axios");
+const { recordAudit, recordAuditBatch } = require('../utils/auditLog');
+const { recordVersion, recordVersions } = require('../utils/versionHistory');
+const userService = require('../services/userService');
+const { isDryRun, diffRow, planRow, createPreview, findPreviewForCommit, claimPreview } = require('../utils/bulkPreview');
 
 // @desc    Get all results
 // @route   GET /api/results
@@ -13,20 +16,13 @@ const getResults = async (req, res) => {
     
     // If user is a trainee, automatically filter by their author_id
     if (req.user.role === 'trainee') {
-      // Get the trainee's author_id - check both User and UserNew models
+      // Get the trainee's author_id
       let traineeAuthorId = req.user.author_id;
       
       // Always verify author_id from database to ensure accuracy
-      const traineeUser = await User.findById(req.user.id).select('author_id');
+      const traineeUser = await userService.findById(req.user.id).select('author_id');
       if (traineeUser && traineeUser.author_id) {
         traineeAuthorId = traineeUser.author_id;
-      } else {
-        // Try UserNew model
-        const UserNew = require('../models/UserNew');
-        const traineeUserNew = await UserNew.findById(req.user.id).select('author_id');
-        if (traineeUserNew && traineeUserNew.author_id) {
-          traineeAuthorId = traineeUserNew.author_id;
-        }
       }
       
       if (traineeAuthorId) {
@@ -34,9 +30,7 @@ const getResults = async (req, res) => {
         query.author_id = traineeAuthorId;
       } else {
         // If no author_id found, try to find by email or name as fallback
-        const traineeUser = await User.findById(req.user.id).select('email name');
-        const traineeUserNew = traineeUser ? null : await (require('../models/UserNew')).findById(req.user.id).select('email name');
-        const traineeData = traineeUser || traineeUserNew;
+        const traineeData = await userService.findById(req.user.id).select('email name');
         
         if (traineeData && traineeData.email) {
           // Try to find results by email as fallback
@@ -94,20 +88,16 @@ const getResults = async (req, res) => {
 
     // Manually populate uploaded_by and trainer information using author_id
     const populatedResults = await Promise.all(results.map(async (result) => {
-      const uploadedBy = await User.findOne({ author_id: result.uploaded_by }).select('name email author_id');
+      const uploadedBy = await userService.findOne({ author_id: result.uploaded_by }).select('name email author_id');
       
-      // Get trainee information to find their assigned trainer - check both User and UserNew models
-      let trainee = await User.findOne({ author_id: result.author_id }).select('assignedTrainer name email');
-      if (!trainee) {
-        const UserNew = require('../models/UserNew');
-        trainee = await UserNew.findOne({ author_id: result.author_id }).select('assignedTrainer name email');
-      }
+      // Get trainee information to find their assigned trainer
+      const trainee = await userService.findByAuthorId(result.author_id).select('assignedTrainer name email');
       
       let trainerName = result.trainer_name || 'N/A';
       
       // If no trainer_name is set and trainee has an assigned trainer, get trainer name
       if ((!result.trainer_name || result.trainer_name === '') && trainee && trainee.assignedTrainer) {
-        const trainer = await User.findById(trainee.assignedTrainer).select('name');
+        const trainer = await userService.findById(trainee.assignedTrainer).select('name');
         if (trainer) {
           trainerName = trainer.name;
         }
@@ -184,9 +174,9 @@ const createResult = async (req, res) => {
     // Get trainer name if trainee has an assigned trainer
     let finalTrainerName = trainer_name || '';
     if ((!finalTrainerName || finalTrainerName === '') && author_id) {
-      const trainee = await User.findOne({ author_id }).select('assignedTrainer');
+      const trainee = await userService.findOne({ author_id }).select('assignedTrainer');
       if (trainee && trainee.assignedTrainer) {
-        const trainer = await User.findOne({ author_id: trainee.assignedTrainer }).select('name');
+        const trainer = await userService.findOne({ author_id: trainee.assignedTrainer }).select('name');
         if (trainer) {
           finalTrainerName = trainer.name;
         }
@@ -215,6 +205,15 @@ const createResult = async (req, res) => {
       batch_name
     });
 
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'result',
+      entityId: result._id,
+      entityLabel: `${result.result_name} - ${result.trainee_name}`,
+      after: result
+    });
+    await recordVersion(req, 'result', { document: result, action: 'create' });
+
     res.status(201).json({ success: true, result });
   } catch (error) {
     
@@ -222,11 +221,189 @@ const createResult = async (req, res) => {
   }
 };
 
-// @desc    Bulk upload results from Google Sheets
+// Result fields a preview compares; the upload date standing in for a missing
+// exam date and the generated result_name are left out
+const RESULT_PREVIEW_FIELDS = [
+  'author_id', 'trainee_name', 'email', 'exam_type', 'score', 'total_marks', 'percentage',
+  'status', 'exam_date', 'remarks', 'department', 'trainer_name', 'batch_name'
+];
+
+const pickResultPreviewFields = (result) => RESULT_PREVIEW_FIELDS.reduce((picked, field) => ({
+  ...picked,
+  [field]: result[field] === undefined ? null : result[field]
+}), {});
+
+// Normalize the exam type to proper format (e.g., Fornight1 -> fortnight1)
+const normalizeExamType = (rawExamType, examType) => {
+  if (rawExamType.toLowerCase().includes('fortnight') || rawExamType.toLowerCase().includes('fornight')) {
+    // Extract number if present, otherwise default to 1
+    const numberMatch = rawExamType.match(/\d+/);
+    const number = numberMatch ? numberMatch[0] : '1';
+    return `fortnight${number}`;
+  } else if (rawExamType.toLowerCase().includes('daily') || rawExamType.toLowerCase().includes('dailyquiz') || examType === 'dailyquizzes' || examType === 'dailyquiz' || examType === 'adddataforjoiners') {
+    const numberMatch = rawExamType.match(/\d+/);
+    const number = numberMatch ? numberMatch[0] : '1';
+    return `daily${number}`;
+  } else if (rawExamType.toLowerCase().includes('course')) {
+    const numberMatch = rawExamType.match(/\d+/);
+    const number = numberMatch ? numberMatch[0] : '1';
+    return `course${number}`;
+  }
+  // Fallback to the request examType with number 1
+  return `${examType}1`;
+};
+
+/**
+ * Validate uploaded result rows without writing anything.
+ *
+ * @returns {Promise<{ entries: Array, errors: string[], rows: Array }>}
+ *   results ready to create ({ index, user, record }), the per-row error messages
+ *   of the upload response, and one planned row (create, skip or error) per
+ *   uploaded row for previews
+ */
+const planResultUpload = async (examType, resultsToProcess) => {
+  const entries = [];
+  const errors = [];
+  const rows = [];
+  const plannedKeys = new Map();
+
+  for (let i = 0; i < resultsToProcess.length; i++) {
+    const rowError = (message) => {
+      errors.push(`Row ${i + 1}: ${message}`);
+      rows.push(planRow(i, 'error', { message }));
+    };
+
+    try {
+      const resultData = resultsToProcess[i];
+
+      // Validate required fields
+      if (!resultData.author_id) {
+        rowError('author_id is required');
+        continue;
+      }
+
+      // Find user by author_id and validate role
+      let user = await userService.findByAuthorId(resultData.author_id);
+
+      // If not found and author_id looks truncated, try partial match
+      if (!user && resultData.author_id && resultData.author_id.length < 36) {
+        user = await userService.findOne({
+          author_id: { $regex: `^${resultData.author_id}`, $options: 'i' }
+        });
+      }
+
+      if (!user) {
+        rowError(`User with author_id ${resultData.author_id} not found`);
+        continue;
+      }
+
+      // Check if user has trainee role
+      if (user.role !== 'trainee') {
+        rowError(`author_id ${resultData.author_id} did not match with trainee role (current role: ${user.role})`);
+        continue;
+      }
+
+      // Calculate percentage - handle 0 as a valid score
+      let score = 0;
+      if (resultData.score !== null && resultData.score !== undefined && resultData.score !== '') {
+        score = parseFloat(resultData.score);
+        if (isNaN(score)) {
+          score = 0;
+        }
+      }
+      const total_marks = parseFloat(resultData.total_marks) || 100;
+      const percentage = Math.round((score / total_marks) * 100);
+
+      // Determine status
+      let status = 'failed';
+      if (percentage >= 60) {
+        status = 'passed';
+      }
+
+      // Use exam_type from data or fallback to request examType
+      const rawExamType = (resultData.exam_type || examType).toString().trim();
+      const finalExamType = normalizeExamType(rawExamType, examType);
+      const key = `${resultData.author_id}/${finalExamType}`;
+
+      // Get trainer name if trainee has an assigned trainer
+      let trainerName = resultData.trainer_name || '';
+      if ((!trainerName || trainerName === '') && user.assignedTrainer) {
+        const trainer = await userService.findOne({ author_id: user.assignedTrainer }).select('name');
+        if (trainer) {
+          trainerName = trainer.name;
+        }
+      }
+
+      const record = {
+        author_id: resultData.author_id,
+        trainee_name: resultData.trainee_name || user.name,
+        email: resultData.email || user.email,
+        exam_type: finalExamType,
+        score,
+        total_marks,
+        percentage,
+        exam_date: resultData.exam_date ? new Date(resultData.exam_date) : null,
+        status,
+        remarks: resultData.remarks || '',
+        department: resultData.department || user.department || '',
+        trainer_name: trainerName,
+        batch_name: resultData.batch_name || ''
+      };
+
+      // Check for duplicate exam type for this author_id
+      // A result in the trash still holds its author_id + exam_type slot
+      const existingResult = await Result.findOne({
+        author_id: resultData.author_id,
+        exam_type: finalExamType
+      }).setOptions({ withDeleted: true }).lean();
+
+      if (existingResult) {
+        const message = `For author_id ${resultData.author_id}, ${finalExamType} is already added${existingResult.deletedAt ? ' (in the trash)' : ''}`;
+        errors.push(`Row ${i + 1}: ${message}`);
+        rows.push(planRow(i, 'skip', {
+          key,
+          message,
+          diff: diffRow(pickResultPreviewFields(existingResult), pickResultPreviewFields(record)),
+          existing: existingResult
+        }));
+        continue;
+      }
+
+      // An earlier row of this upload takes the slot first
+      if (plannedKeys.has(key)) {
+        const message = `For author_id ${resultData.author_id}, ${finalExamType} is already added (row ${plannedKeys.get(key)} of this upload)`;
+        errors.push(`Row ${i + 1}: ${message}`);
+        rows.push(planRow(i, 'skip', { key, message }));
+        continue;
+      }
+      plannedKeys.set(key, i + 1);
+
+      entries.push({ index: i, user, record });
+      rows.push(planRow(i, 'create', { key, diff: diffRow(null, pickResultPreviewFields(record)) }));
+    } catch (error) {
+      rowError(error.message);
+    }
+  }
+
+  return { entries, errors, rows };
+};
+
+// @desc    Bulk upload results from Google Sheets. With dryRun, nothing is written and
+//          each row is reported as create, skip or error; { previewToken } then commits it.
 // @route   POST /api/results/bulk-upload
 // @access  Private
 const bulkUploadResults = async (req, res) => {
   try {
+    const dryRun = isDryRun(req);
+    const { preview, status: previewStatus, message: previewMessage } = await findPreviewForCommit(req, 'results');
+    if (previewStatus) {
+      return res.status(previewStatus).json({ success: false, message: previewMessage });
+    }
+    // A commit imports exactly the data that was previewed
+    if (preview) {
+      req.body = preview.payload;
+    }
+
     const { examType, results, config, googleSheetUrl, jsonData } = req.body;
 
     if (!examType) {
@@ -250,301 +427,129 @@ const bulkUploadResults = async (req, res) => {
       });
     }
 
+    const { entries, errors, rows } = await planResultUpload(examType, resultsToProcess);
+
+    if (dryRun) {
+      const previewBody = await createPreview(req, 'results', { examType, results: resultsToProcess }, rows);
+      return res.json({ success: true, ...previewBody });
+    }
+    if (preview) {
+      const claim = await claimPreview(req, preview, rows);
+      if (!claim.ok) {
+        return res.status(claim.status).json({ success: false, ...claim.body });
+      }
+    }
+
     const uploadedResults = [];
-    const errors = [];
 
-    for (let i = 0; i < resultsToProcess.length; i++) {
+    for (const { index: i, user, record } of entries) {
       try {
         const resultData = resultsToProcess[i];
-        
-        // Log the result data for debugging
-        // // Validate required fields
-        if (!resultData.author_id) {
-          errors.push(`Row ${i + 1}: author_id is required`);
+        const { score, total_marks, percentage, status, exam_type: finalExamType } = record;
+
+        // Generate result name
+        const count = await Result.countDocuments({ exam_type: finalExamType });
+        const result_name = `${finalExamType.charAt(0).toUpperCase() + finalExamType.slice(1)}Results${count + 1}`;
+
+        // Create result
+        let result;
+        try {
+          result = await Result.create({
+            ...record,
+            result_name,
+            exam_date: record.exam_date || new Date(),
+            uploaded_by: req.user.id,
+            apiKey: req.apiKey ? req.apiKey._id : null
+          });
+        } catch (createError) {
+          errors.push(`Row ${i + 1}: Failed to create result - ${createError.message}`);
           continue;
         }
 
-         // Find user by author_id and validate role - check both User and UserNew models
-         let user = await User.findOne({ author_id: resultData.author_id });
-         
-         // If not found in User model, try UserNew model
-         if (!user) {
-           const UserNew = require('../models/UserNew');
-           user = await UserNew.findOne({ author_id: resultData.author_id });
-         }
-         
-         // If not found and author_id looks truncated, try partial match in both models
-         if (!user && resultData.author_id && resultData.author_id.length < 36) {
-           user = await User.findOne({ 
-             author_id: { $regex: `^${resultData.author_id}`, $options: 'i' } 
-           });
-           if (!user) {
-             const UserNew = require('../models/UserNew');
-             user = await UserNew.findOne({ 
-               author_id: { $regex: `^${resultData.author_id}`, $options: 'i' } 
-             });
-           }
-         }
-         
-         if (!user) {
-           errors.push(`Row ${i + 1}: User with author_id ${resultData.author_id} not found`);
-           continue;
-         }
-
-         // Check if user has trainee role
-         if (user.role !== 'trainee') {
-           errors.push(`Row ${i + 1}: author_id ${resultData.author_id} did not match with trainee role (current role: ${user.role})`);
-           continue;
-         }
-
-         // // Calculate percentage - handle 0 as a valid score
-         // // // // // // let score = 0;
-         if (resultData.score !== null && resultData.score !== undefined && resultData.score !== '') {
-           score = parseFloat(resultData.score);
-           if (isNaN(score)) {
-             score = 0;
-           }
-         }
-         const total_marks = parseFloat(resultData.total_marks) || 100;
-         const percentage = Math.round((score / total_marks) * 100);
-         
-         // // // // // Determine status
-        let status = 'failed';
-        if (percentage >= 60) {
-          status = 'passed';
-        }
+        // Add to user's appropriate exam array based on exam type
+        const isFortnightExam = finalExamType.startsWith('fortnight');
+        const isDailyExam = finalExamType.startsWith('daily');
+        const isCourseExam = finalExamType.startsWith('course');
+
+        const examData = {
+          resultId: result._id,
+          result_name: result_name,
+          score: score,
+          total_marks: total_marks,
+          percentage: percentage,
+          exam_date: result.exam_date,
+          status: status,
+          uploaded_at: new Date(),
+          uploaded_by: req.user.id
+        };
 
-         // Use exam_type from data or fallback to request examType
-         let rawExamType = (resultData.exam_type || examType).toString().trim();
-         
-         // Normalize the exam type to proper format (e.g., Fornight1 -> fortnight1)
-         let finalExamType;
-         if (rawExamType.toLowerCase().includes('fortnight') || rawExamType.toLowerCase().includes('fornight')) {
-           // Extract number if present, otherwise default to 1
-           const numberMatch = rawExamType.match(/\d+/);
-           const number = numberMatch ? numberMatch[0] : '1';
-           finalExamType = `fortnight${number}`;
-         } else if (rawExamType.toLowerCase().includes('daily') || rawExamType.toLowerCase().includes('dailyquiz') || examType === 'dailyquizzes' || examType === 'dailyquiz' || examType === 'adddataforjoiners') {
-           const numberMatch = rawExamType.match(/\d+/);
-           const number = numberMatch ? numberMatch[0] : '1';
-           finalExamType = `daily${number}`;
-         } else if (rawExamType.toLowerCase().includes('course')) {
-           const numberMatch = rawExamType.match(/\d+/);
-           const number = numberMatch ? numberMatch[0] : '1';
-           finalExamType = `course${number}`;
-         } else {
-           // Fallback to the request examType with number 1
-           finalExamType = `${examType}1`;
-         }
-         
-         // Check for duplicate exam type for this author_id
-         const existingResult = await Result.findOne({ 
-           author_id: resultData.author_id, 
-           exam_type: finalExamType 
-         });
-         
-         if (existingResult) {
-           errors.push(`Row ${i + 1}: For author_id ${resultData.author_id}, ${finalExamType} is already added`);
-           continue;
-         }
-         
-         // // Generate result name
-         const count = await Result.countDocuments({ exam_type: finalExamType });
-         const result_name = `${finalExamType.charAt(0).toUpperCase() + finalExamType.slice(1)}Results${count + 1}`;
-
-         // Get trainer name if trainee has an assigned trainer
-         let trainerName = resultData.trainer_name || '';
-         if ((!trainerName || trainerName === '') && user.assignedTrainer) {
-           const trainer = await User.findOne({ author_id: user.assignedTrainer }).select('name');
-           if (trainer) {
-             trainerName = trainer.name;
-           }
-         }
-         
-         // Create result
-         // let result;
-         try {
-           result = await Result.create({
-             author_id: resultData.author_id,
-             trainee_name: resultData.trainee_name || user.name,
-             email: resultData.email || user.email,
-             exam_type: finalExamType,
-             result_name,
-             score,
-             total_marks,
-             percentage,
-             exam_date: new Date(resultData.exam_date || new Date()),
-             uploaded_by: req.user.id,
-             status,
-             remarks: resultData.remarks || '',
-             department: resultData.department || user.department || '',
-             trainer_name: trainerName,
-             batch_name: resultData.batch_name || ''
-           });
-           
-         } catch (createError) {
+        if (isFortnightExam) {
+          try {
+            await userService.findByIdAndUpdate(
+              user._id,
+              { $push: { fortnightExams: examData } },
+              { new: true }
+            );
+          } catch (updateError) {
+            // Error updating fortnightExams - continue
+          }
+        } else if (isDailyExam) {
+          // Add to dailyQuizzes array
+          await userService.findByIdAndUpdate(
+            user._id,
+            { $push: { dailyQuizzes: examData } },
+            { new: true }
+          );
+        } else if (isCourseExam) {
+          // Add to courseLevelExams array
+          await userService.findByIdAndUpdate(
+            user._id,
+            { $push: { courseLevelExams: examData } },
+            { new: true }
+          );
+        } else {
+          // Fallback: Add to appropriate array based on request examType
+          // Re-detect column types for array assignment
+          const hasDailyQuizColumn = resultData.DailyQuizzesResults !== undefined || resultData.dailyquizzesresults !== undefined;
+          const hasCourseLevelColumn = resultData.CourseLevelExamResults !== undefined || resultData.courselevelexamresults !== undefined;
+          const hasFortnightColumn = resultData.FortnightEaxmResults !== undefined || resultData.FortnightExamResults !== undefined || resultData.FornightEaxmResults !== undefined;
           
-           errors.push(`Row ${i + 1}: Failed to create result - ${createError.message}`);
-           continue;
-         }
-
-         // // Add to user's appropriate exam array based on exam type
-         // // Determine which exam array to add to based on the final exam type
-         const isFortnightExam = finalExamType.startsWith('fortnight');
-         const isDailyExam = finalExamType.startsWith('daily');
-         const isCourseExam = finalExamType.startsWith('course');
-             
-         if (isFortnightExam) {
-           const examData = {
-             resultId: result._id,
-             result_name: result_name,
-             score: score,
-             total_marks: total_marks,
-             percentage: percentage,
-             exam_date: result.exam_date,
-             status: status,
-             uploaded_at: new Date(),
-             uploaded_by: req.user.id
-           };
-
-           try {
-             // Try to update in User model first
-             let updatedUser = await User.findByIdAndUpdate(
-               user._id,
-               { $push: { fortnightExams: examData } },
-               { new: true }
-             );
-             
-             // If not found in User model, try UserNew model
-             if (!updatedUser) {
-               const UserNew = require('../models/UserNew');
-               updatedUser = await UserNew.findByIdAndUpdate(
-                 user._id,
-                 { $push: { fortnightExams: examData } },
-                 { new: true }
-               );
-             }
-             
-             if (updatedUser) {
-               // Success - user updated
-             }
-           } catch (updateError) {
-             // Error updating fortnightExams - continue
-           }
-         } else if (isDailyExam) {
-           // Add to dailyQuizzes array
-           const examData = {
-             resultId: result._id,
-             result_name: result_name,
-             score: score,
-             total_marks: total_marks,
-             percentage: percentage,
-             exam_date: result.exam_date,
-             status: status,
-             uploaded_at: new Date(),
-             uploaded_by: req.user.id
-           };
-
-           // Try to update in User model first
-           let updatedUser = await User.findByIdAndUpdate(
-             user._id,
-             { $push: { dailyQuizzes: examData } },
-             { new: true }
-           );
-           
-           // If not found in User model, try UserNew model
-           if (!updatedUser) {
-             const UserNew = require('../models/UserNew');
-             await UserNew.findByIdAndUpdate(
-               user._id,
-               { $push: { dailyQuizzes: examData } },
-               { new: true }
-             );
-           }
-
-         } else if (isCourseExam) {
-           // Add to courseLevelExams array
-           const examData = {
-             resultId: result._id,
-             result_name: result_name,
-             score: score,
-             total_marks: total_marks,
-             percentage: percentage,
-             exam_date: result.exam_date,
-             status: status,
-             uploaded_at: new Date(),
-             uploaded_by: req.user.id
-           };
-
-           // Try to update in User model first
-           let updatedUser = await User.findByIdAndUpdate(
-             user._id,
-             { $push: { courseLevelExams: examData } },
-             { new: true }
-           );
-           
-           // If not found in User model, try UserNew model
-           if (!updatedUser) {
-             const UserNew = require('../models/UserNew');
-             await UserNew.findByIdAndUpdate(
-               user._id,
-               { $push: { courseLevelExams: examData } },
-               { new: true }
-             );
-           }
-
-         } else {
-           // Fallback: Add to appropriate array based on request examType
-           // Re-detect column types for array assignment
-           const hasDailyQuizColumn = row.DailyQuizzesResults !== undefined || row.dailyquizzesresults !== undefined;
-           const hasCourseLevelColumn = row.CourseLevelExamResults !== undefined || row.courselevelexamresults !== undefined;
-           const hasFortnightColumn = row.FortnightEaxmResults !== undefined || row.FortnightExamResults !== undefined || row.FornightEaxmResults !== undefined;
-           
-           let targetArray = 'fortnightExams'; // Default to fortnight
-           if (hasDailyQuizColumn || examType === 'daily' || examType === 'dailyquizzes' || examType === 'dailyquiz') {
-             targetArray = 'dailyQuizzes';
-           } else if (hasCourseLevelColumn || examType === 'course') {
-             targetArray = 'courseLevelExams';
-           } else if (hasFortnightColumn || examType === 'fortnight' || examType === 'fornight') {
-             targetArray = 'fortnightExams';
-           }
-           
-           const examData = {
-             resultId: result._id,
-             result_name: result_name,
-             score: score,
-             total_marks: total_marks,
-             percentage: percentage,
-             exam_date: result.exam_date,
-             status: status,
-             uploaded_at: new Date(),
-             uploaded_by: req.user.id
-           };
-
-           try {
-             const updatedUser = await User.findByIdAndUpdate(
-               user._id,
-               { $push: { [targetArray]: examData } },
-               { new: true }
-             );
-             
-             if (updatedUser) {
-               // Success - user updated
-             } else {
-              
-             }
-           } catch (updateError) {
-            
-            
-           }
-         }
+          let targetArray = 'fortnightExams'; // Default to fortnight
+          if (hasDailyQuizColumn || examType === 'daily' || examType === 'dailyquizzes' || examType === 'dailyquiz') {
+            targetArray = 'dailyQuizzes';
+          } else if (hasCourseLevelColumn || examType === 'course') {
+            targetArray = 'courseLevelExams';
+          } else if (hasFortnightColumn || examType === 'fortnight' || examType === 'fornight') {
+            targetArray = 'fortnightExams';
+          }
 
-         uploadedResults.push(result);
+          try {
+            await userService.findByIdAndUpdate(
+              user._id,
+              { $push: { [targetArray]: examData } },
+              { new: true }
+            );
+          } catch (updateError) {
+            // Error updating the exam array - continue
+          }
+        }
+
+        uploadedResults.push(result);
       } catch (error) {
         errors.push(`Row ${i + 1}: ${error.message}`);
       }
     }
 
+    await recordAuditBatch(req, uploadedResults.map(result => ({
+      action: 'bulk_create',
+      entityType: 'result',
+      entityId: result._id,
+      entityLabel: `${result.result_name} - ${result.trainee_name}`,
+      after: result,
+      metadata: { examType }
+    })));
+    await recordVersions(req, 'result', uploadedResults.map(result => ({ document: result, action: 'bulk_create' })));
+
     // Determine the appropriate response message
     let message;
     if (uploadedResults.length > 0 && errors.length > 0) {
@@ -583,6 +588,8 @@ const updateResult = async (req, res) => {
       return res.status(404).json({ success: false, message: "Result not found" });
     }
 
+    const previousResult = result.toObject();
+
     // Update fields
     if (score !== undefined) result.score = score;
     if (total_marks !== undefined) result.total_marks = total_marks;
@@ -603,6 +610,16 @@ const updateResult = async (req, res) => {
 
     await result.save();
 
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'result',
+      entityId: result._id,
+      entityLabel: `${result.result_name} - ${result.trainee_name}`,
+      before: previousResult,
+      after: result
+    });
+    await recordVersion(req, 'result', { document: result, previous: previousResult, action: 'update' });
+
     res.json({ success: true, result });
   } catch (error) {
     
@@ -620,9 +637,17 @@ const deleteResult = async (req, res) => {
       return res.status(404).json({ success: false, message: "Result not found" });
     }
 
-    await Result.findByIdAndDelete(req.params.id);
+    await result.softDelete(req.user._id);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entityType: 'result',
+      entityId: result._id,
+      entityLabel: `${result.result_name} - ${result.trainee_name}`,
+      before: result
+    });
 
-    res.json({ success: true, message: "Result deleted successfully" });
+    res.json({ success: true, message: "Result moved to trash" });
   } catch (error) {
     
     res.status(500).json({ success: false, message: "Server error", error: error.message });
@@ -820,11 +845,11 @@ const validateSheets = async (req, res) => {
              if (authorId) {
                try {
                  // First try exact match
-                 let user = await User.findOne({ author_id: authorId });
+                 let user = await userService.findOne({ author_id: authorId });
                  
                  // If not found and author_id looks truncated, try partial match
                  if (!user && authorId.length < 36) {
-                   user = await User.findOne({ 
+                   user = await userService.findOne({ 
                      author_id: { $regex: `^${authorId}`, $options: 'i' } 
                    });
                  }
@@ -834,7 +859,7 @@ const validateSheets = async (req, res) => {
                    email = user.email;
                  } else {
                    // Let's also search for any user with similar author_id for debugging
-                   const similarUsers = await User.find({ 
+                   const similarUsers = await userService.find({ 
                      author_id: { $regex: authorId.substring(0, 8), $options: 'i' } 
                    }).limit(3);
                  }
@@ -967,7 +992,7 @@ const debugUserExams = async (req, res) => {
   try {
     const { authorId } = req.params;
     
-    const user = await User.findOne({ author_id: authorId });
+    const user = await userService.findOne({ author_id: authorId });
     if (!user) {
       return res.status(404).json({ success: false, message: "User not found" });
     }
@@ -1,7 +1,7 @@
 const TraineeDayPlan = require("../models/TraineeDayPlan");
-const User = require("../models/User");
 const Joiner = require("../models/Joiner");
 const Notification = require("../models/Notification");
+const userService = require("../services/userService");
 
 // @desc    Create a new trainee day plan submission
 // @route   POST /api/trainee-dayplans
@@ -64,7 +64,7 @@ const createTraineeDayPlan = async (req, res) => {
     if (status === "submitted") {
       try {
         // Get trainee's assigned trainer
-        const trainee = await User.findById(actualTraineeId).select('assignedTrainer name');
+        const trainee = await userService.findById(actualTraineeId).select('assignedTrainer name');
         if (trainee && trainee.assignedTrainer) {
           // Send notification to trainer
           await Notification.create({
@@ -228,7 +228,7 @@ const getTraineeDayPlans = async (req, res) => {
     // If user is a trainer, show day plans of their assigned trainees
     else if (req.user.role === 'trainer') {
       // Get trainer's assigned trainees
-      const trainer = await User.findById(req.user.id).populate('assignedTrainees', '_id');
+      const trainer = await userService.findById(req.user.id).populate('assignedTrainees', '_id');
       if (trainer && trainer.assignedTrainees && trainer.assignedTrainees.length > 0) {
         const traineeIds = trainer.assignedTrainees.map(t => t._id);
         query.trainee = { $in: traineeIds };
@@ -308,7 +308,7 @@ const getTraineeDayPlan = async (req, res) => {
       }
     } else if (userRole === "trainer") {
       // Check if this trainer is assigned to the trainee
-      const trainee = await User.findById(dayPlan.trainee._id).select('assignedTrainer');
+      const trainee = await userService.findById(dayPlan.trainee._id).select('assignedTrainer');
       if (!trainee || trainee.assignedTrainer.toString() !== userId) {
         return res.status(403).json({ message: "Access denied" });
       }
@@ -406,7 +406,7 @@ const submitTraineeDayPlan = async (req, res) => {
     await dayPlan.save();
 
     // Get trainee's assigned trainer
-    const trainee = await User.findById(traineeId).select('assignedTrainer name');
+    const trainee = await userService.findById(traineeId).select('assignedTrainer name');
     if (trainee && trainee.assignedTrainer) {
       // Send notification to trainer
       await Notification.create({
@@ -646,7 +646,7 @@ const submitEodUpdate = async (req, res) => {
     const savedDayPlan = await dayPlan.save();
     // Send notification to trainer
     try {
-      const trainee = await User.findById(traineeId).select('assignedTrainer name');
+      const trainee = await userService.findById(traineeId).select('assignedTrainer name');
       if (trainee && trainee.assignedTrainer) {
         await Notification.create({
           recipient: trainee.assignedTrainer,
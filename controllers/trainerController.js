@@ -1,5 +1,5 @@
-const User = require('../models/User');
 const MCQDeployment = require('../models/MCQDeployment');
+const userService = require('../services/userService');
 
 // @desc    Get trainees assigned to the trainer
 // @route   GET /api/trainer/assigned-trainees
@@ -9,7 +9,7 @@ const getAssignedTrainees = async (req, res) => {
     const trainerId = req.user.id;
 
     // Find the trainer and populate assigned trainees
-    const trainer = await User.findById(trainerId)
+    const trainer = await userService.findById(trainerId)
       .populate('assignedTrainees', 'name email employeeId department author_id')
       .select('name email assignedTrainees');
 
@@ -24,7 +24,7 @@ const getAssignedTrainees = async (req, res) => {
     if (assignedTrainees.length > 0) {
       const activeAssignedTrainees = [];
       for (const traineeId of assignedTrainees) {
-        const trainee = await User.findById(traineeId).select('isActive name email employeeId department author_id');
+        const trainee = await userService.findById(traineeId).select('isActive name email employeeId department author_id');
         if (trainee && trainee.isActive !== false) {
           activeAssignedTrainees.push(trainee);
         }
@@ -34,7 +34,7 @@ const getAssignedTrainees = async (req, res) => {
       // Update the trainer's assignedTrainees field to remove deactivated trainees
       const activeTraineeIds = activeAssignedTrainees.map(t => t._id);
       if (activeTraineeIds.length !== trainer.assignedTrainees.length) {
-        await User.findByIdAndUpdate(trainerId, { 
+        await userService.findByIdAndUpdate(trainerId, { 
           $set: { assignedTrainees: activeTraineeIds } 
         });
       }
@@ -42,7 +42,7 @@ const getAssignedTrainees = async (req, res) => {
     
     if (assignedTrainees.length === 0) {
       // Find trainees assigned to this trainer
-      const traineesAssignedToThisTrainer = await User.find({ 
+      const traineesAssignedToThisTrainer = await userService.find({ 
         role: 'trainee', 
         assignedTrainer: trainerId,
         isActive: true
@@ -51,7 +51,7 @@ const getAssignedTrainees = async (req, res) => {
       if (traineesAssignedToThisTrainer.length > 0) {
         // Update the trainer's assignedTrainees field
         const traineeIds = traineesAssignedToThisTrainer.map(t => t._id);
-        await User.findByIdAndUpdate(trainerId, { 
+        await userService.findByIdAndUpdate(trainerId, { 
           $set: { assignedTrainees: traineeIds } 
         });
         assignedTrainees = traineesAssignedToThisTrainer;
@@ -82,7 +82,7 @@ const getTraineeResults = async (req, res) => {
     const trainerId = req.user.id;
 
     // First get the trainer's assigned trainees
-    const trainer = await User.findById(trainerId)
+    const trainer = await userService.findById(trainerId)
       .populate('assignedTrainees', 'name email employeeId department author_id')
       .select('assignedTrainees');
 
@@ -94,7 +94,7 @@ const getTraineeResults = async (req, res) => {
     
     // If no assigned trainees in the trainer's field, check trainees assigned to this trainer
     if (assignedTrainees.length === 0) {
-      const traineesAssignedToThisTrainer = await User.find({ 
+      const traineesAssignedToThisTrainer = await userService.find({ 
         role: 'trainee', 
         assignedTrainer: trainerId,
         isActive: true
@@ -102,7 +102,7 @@ const getTraineeResults = async (req, res) => {
       
       if (traineesAssignedToThisTrainer.length > 0) {
         const traineeIds = traineesAssignedToThisTrainer.map(t => t._id);
-        await User.findByIdAndUpdate(trainerId, { 
+        await userService.findByIdAndUpdate(trainerId, { 
           $set: { assignedTrainees: traineeIds } 
         });
         assignedTrainees = traineesAssignedToThisTrainer;
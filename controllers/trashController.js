@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const {
+  TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  getTrashType,
+  restoreTrashedItem,
+  purgeTrashedItem,
+  purgeExpiredTrash
+} = require('../utils/trash');
+
+const validateTrashItem = (req, res) => {
+  const { type, id } = req.params;
+  if (!getTrashType(type)) {
+    res.status(400).json({ message: `Invalid type. Must be one of: ${Object.keys(TRASH_TYPES).join(', ')}` });
+    return false;
+  }
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: 'Invalid item ID' });
+    return false;
+  }
+  return true;
+};
+
+// @desc    Browse deleted joiners, results, campuses, MCQ deployments and allocations
+// @route   GET /api/admin/trash?type=&page=&limit=
+// @access  Private (Admin)
+const getTrash = async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !getTrashType(type)) {
+      return res.status(400).json({ message: `Invalid type. Must be one of: ${Object.keys(TRASH_TYPES).join(', ')}` });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const query = { deletedAt: { $ne: null } };
+    const types = type ? [type] : Object.keys(TRASH_TYPES);
+
+    const counts = {};
+    const items = [];
+    for (const trashType of types) {
+      const config = TRASH_TYPES[trashType];
+      counts[trashType] = await config.model.countDocuments(query);
+
+      // Without a type filter only the most recent page of every type is listed
+      const trashed = await config.model.find(query)
+        .select(config.select)
+        .populate('deletedBy', 'name email role')
+        .sort({ deletedAt: -1 })
+        .skip(type ? (page - 1) * limit : 0)
+        .limit(limit)
+        .lean();
+
+      trashed.forEach(item => items.push({
+        type: trashType,
+        _id: item._id,
+        label: config.getLabel(item),
+        deletedAt: item.deletedAt,
+        deletedBy: item.deletedBy,
+        purgeAt: TRASH_RETENTION_DAYS > 0
+          ? new Date(item.deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+          : null,
+        item
+      }));
+    }
+
+    items.sort((a, b) => b.deletedAt - a.deletedAt);
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      counts,
+      items,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: type ? Math.ceil(total / limit) : 1
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Restore an item from the trash
+// @route   PUT /api/admin/trash/:type/:id/restore
+// @access  Private (Admin)
+const restoreTrashItem = async (req, res) => {
+  try {
+    if (!validateTrashItem(req, res)) return;
+
+    const item = await restoreTrashedItem(req, req.params.type, req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found in trash' });
+    }
+
+    res.json({ message: 'Item restored successfully', type: req.params.type, item });
+  } catch (error) {
+    console.error('Error restoring trash item:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Permanently delete an item from the trash
+// @route   DELETE /api/admin/trash/:type/:id
+// @access  Private (Admin)
+const purgeTrashItem = async (req, res) => {
+  try {
+    if (!validateTrashItem(req, res)) return;
+
+    const item = await purgeTrashedItem(req, req.params.type, req.params.id);
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found in trash' });
+    }
+
+    res.json({ message: 'Item permanently deleted', type: req.params.type, id: item._id });
+  } catch (error) {
+    console.error('Error purging trash item:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Purge everything past the retention period now instead of waiting for the job
+// @route   DELETE /api/admin/trash/expired
+// @access  Private (Admin)
+const purgeExpiredTrashItems = async (req, res) => {
+  try {
+    if (TRASH_RETENTION_DAYS <= 0) {
+      return res.status(400).json({ message: 'Automatic purging is disabled (TRASH_RETENTION_DAYS=0)' });
+    }
+
+    const purged = await purgeExpiredTrash(req);
+    res.json({ message: 'Expired trash purged', retentionDays: TRASH_RETENTION_DAYS, purged });
+  } catch (error) {
+    console.error('Error purging expired trash:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getTrash,
+  restoreTrashItem,
+  purgeTrashItem,
+  purgeExpiredTrashItems
+};
@@ -0,0 +1,203 @@
+const bcrypt = require('bcryptjs');
+const { generateSecret, buildOtpauthUrl, verifyTotp, generateRecoveryCodes } = require('../utils/totp');
+const { TWO_FACTOR_ROLES, isTwoFactorRequired } = require('../utils/twoFactorPolicy');
+const { hashToken, revokeUserSessions } = require('../utils/sessionTokens');
+const userService = require('../services/userService');
+
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+// Create a fresh set of recovery codes; only hashes are stored
+const issueRecoveryCodes = (user) => {
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = recoveryCodes.map(code => hashToken(code));
+  return recoveryCodes;
+};
+
+// Accept a code from the active secret only once, like login does: the time step it
+// matched must be newer than the last one used, and is recorded atomically
+const useTotpCode = async (user, code) => {
+  const step = verifyTotp(user.twoFactorSecret, code);
+  if (step === null || (user.twoFactorLastUsedStep !== null && step <= user.twoFactorLastUsedStep)) {
+    return false;
+  }
+  const updated = await userService.updateOne(
+    { _id: user._id, $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }] },
+    { twoFactorLastUsedStep: step }
+  );
+  if (updated.modifiedCount !== 1) {
+    return false;
+  }
+  user.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// @desc    Get two-factor status for the current user
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await userService.findById(req.user._id).select('role twoFactorEnabled twoFactorEnabledAt +twoFactorRecoveryCodes');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      available: TWO_FACTOR_ROLES.includes(user.role),
+      required: await isTwoFactorRequired(user.role),
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      remainingRecoveryCodes: user.twoFactorRecoveryCodes.length
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Start enrollment: generate a secret and otpauth URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private (Admin, Master Trainer, BOA)
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await userService.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!TWO_FACTOR_ROLES.includes(user.role)) {
+      return res.status(403).json({ success: false, message: 'Two-factor authentication is not available for your role' });
+    }
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+
+    // The secret only becomes active once a code from it is confirmed
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email),
+      message: 'Scan the QR code in your authenticator app, then confirm with a code'
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Confirm enrollment with a code and receive recovery codes
+// @route   POST /api/auth/2fa/enable
+// @access  Private (Admin, Master Trainer, BOA)
+const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await userService.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ success: false, message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorLastUsedStep = step;
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    // Sessions opened with the password alone end here
+    await revokeUserSessions(user._id, 'two_factor_changed', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe - they are shown only once.',
+      recoveryCodes
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Turn off two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await userService.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRET_FIELDS}`);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+    if (await isTwoFactorRequired(user.role)) {
+      return res.status(403).json({ success: false, message: 'Two-factor authentication is required for your role and cannot be disabled' });
+    }
+
+    const isPasswordValid = password ? await bcrypt.compare(password, user.password) : false;
+    if (!isPasswordValid || !(await useTotpCode(user, code))) {
+      return res.status(400).json({ success: false, message: 'Password or authentication code is incorrect' });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorEnabledAt = null;
+    user.twoFactorSecret = null;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = null;
+    await user.save();
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Replace all recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await userService.findById(req.user._id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await useTotpCode(user, code))) {
+      return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
@@ -1,7 +1,7 @@
 const Task = require("../models/Task");
-const User = require("../models/User");
-const UserNew = require("../models/UserNew");
 const bcrypt = require("bcryptjs");
+const { recordAudit } = require("../utils/auditLog");
+const userService = require("../services/userService");
 
 // @desc    Get all users (Admin only)
 // @route   GET /api/users/
@@ -30,33 +30,9 @@ const getUsers = async (req, res) => {
       ];
       }
 
-    // Search in both User and UserNew models
-    let users = [];
-    try {
-      // Search in UserNew model first (newer users)
-      let userNewResults = [];
-      userNewResults = await UserNew.find(query)
-        .populate('assignedTrainer', 'name email author_id')
-        .select("-password");
-      
-      // Search in User model (older users)
-      let userResults = [];
-      userResults = await User.find(query)
-        .populate('assignedTrainer', 'name email author_id')
-        .select("-password");
-      
-      // Combine results
-      users = [...userNewResults, ...userResults];
-      
-      // Debug: Check what we found
-      if (users.length > 0) {
-        users.slice(0, 3).forEach((user, index) => {
-          });
-      }
-    } catch (queryError) {
-      console.error('Database query error:', queryError);
-      throw queryError;
-    }
+    const users = await userService.find(query)
+      .populate('assignedTrainer', 'name email author_id')
+      .select("-password");
 
     // Log trainees with assigned trainers (only when not looking for unassigned)
     if (!(unassigned === 'true' && role === 'trainee')) {
@@ -74,41 +50,12 @@ const getUsers = async (req, res) => {
     // Convert to plain objects for consistency
     const usersWithPopulatedTrainers = users.map(user => user.toObject());
 
-    // Deduplicate across User and UserNew (prefer UserNew when duplicate by email/author_id)
-    const uniqueUsersMap = new Map();
-    for (const u of usersWithPopulatedTrainers) {
-      const key = (u.email || u.author_id || u._id?.toString() || '').toLowerCase();
-      // Prefer newer model document if both exist (UserNew has author_id by schema)
-      if (!uniqueUsersMap.has(key)) {
-        uniqueUsersMap.set(key, u);
-      } else {
-        const existing = uniqueUsersMap.get(key);
-        const preferNew = (u.author_id && !existing.author_id);
-        uniqueUsersMap.set(key, preferNew ? u : existing);
-      }
-    }
-    let uniqueUsers = Array.from(uniqueUsersMap.values());
-
-    // Ensure assignedTrainer is fully populated even when stored from either model
-    uniqueUsers = await Promise.all(uniqueUsers.map(async (u) => {
+    const uniqueUsers = await Promise.all(usersWithPopulatedTrainers.map(async (u) => {
       if (u.role === 'trainee' && u.assignedTrainer) {
-        const isPopulatedObject = typeof u.assignedTrainer === 'object' && u.assignedTrainer._id;
-        if (!isPopulatedObject) {
-          const trainerId = u.assignedTrainer.toString();
-          // Try in User, then UserNew
-          let trainerDoc = await User.findById(trainerId).select('name email author_id isActive');
-          if (!trainerDoc) {
-            trainerDoc = await UserNew.findById(trainerId).select('name email author_id isActive');
-          }
-          if (trainerDoc) {
-            u.assignedTrainer = trainerDoc.toObject();
-          }
-        }
-        
         // Check if the assigned trainer is still active
         if (u.assignedTrainer && u.assignedTrainer._id) {
           const trainerId = u.assignedTrainer._id;
-          const activeTrainer = await User.findOne({ _id: trainerId, isActive: true });
+          const activeTrainer = await userService.findOne({ _id: trainerId, isActive: true });
           
           if (!activeTrainer) {
             // Trainer is deactivated, clear the assignment and update status
@@ -116,7 +63,7 @@ const getUsers = async (req, res) => {
             u.status = 'pending_assignment';
             
             // Update in database
-            await User.findByIdAndUpdate(u._id, { 
+            await userService.findByIdAndUpdate(u._id, { 
               assignedTrainer: null, 
               status: 'pending_assignment' 
             });
@@ -170,13 +117,7 @@ const getUsers = async (req, res) => {
 // @access  Private
 const getUserById = async (req, res) => {
   try {
-    // Try User model first
-    let user = await User.findById(req.params.id).select("-password");
-    
-    // If not found, try UserNew model
-    if (!user) {
-      user = await UserNew.findById(req.params.id).select("-password");
-    }
+    const user = await userService.findById(req.params.id).select("-password");
     
     if (!user) {
       return res.status(404).json({ message: "User not found" });
@@ -201,12 +142,10 @@ const createUser = async (req, res) => {
   try {
     const { 
       name, email, password, role, phone, department, employeeId, genre, joiningDate, qualification,
-      // Fields from joiners table
-      date_of_joining, candidate_name, phone_number, candidate_personal_mail_id,
-      top_department_name_as_per_darwinbox, department_name_as_per_darwinbox,
-      joining_status, role_type, role_assign, status, accountCreated, accountCreatedAt,
-      createdBy, onboardingChecklist, company_allocated_details, dayPlanTasks,
+      roleAssign, status, accountCreatedAt, company_allocated_details, dayPlanTasks,
       fortnightExams, dailyQuizzes, courseLevelExams,
+      // Joiner-style names are still accepted for the same fields
+      date_of_joining, candidate_name, phone_number, department_name_as_per_darwinbox, role_assign,
       // Password management
       tempPassword, passwordChanged,
       // author_id from joiner
@@ -214,7 +153,7 @@ const createUser = async (req, res) => {
     } = req.body;
 
     // // Check if user already exists
-    const userExists = await User.findOne({ email });
+    const userExists = await userService.findOne({ email });
     if (userExists) {
       return res.status(400).json({ message: "User already exists" });
     }
@@ -223,48 +162,32 @@ const createUser = async (req, res) => {
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
 
+    const joinedOn = joiningDate || date_of_joining;
+
     // Create new user with all fields
     const userData = {
-      name,
+      name: name || candidate_name,
       email,
       password: hashedPassword,
       role: role || 'trainee',
-      phone: phone || null,
-      department: department || null,
+      phone: phone || phone_number || null,
+      department: department || department_name_as_per_darwinbox || null,
       genre: genre || null,
-      joiningDate: joiningDate ? new Date(joiningDate) : new Date(),
+      joiningDate: joinedOn ? new Date(joinedOn) : new Date(),
+      qualification: qualification || null,
+      roleAssign: roleAssign || role_assign || null,
       isActive: true,
+      status: status || 'active',
       lastClockIn: null,
       lastClockOut: null,
-      
-      // Fields from joiners table
-      date_of_joining: date_of_joining ? new Date(date_of_joining) : null,
-      candidate_name: candidate_name || null,
-      phone_number: phone_number || null,
-      candidate_personal_mail_id: candidate_personal_mail_id || null,
-      top_department_name_as_per_darwinbox: top_department_name_as_per_darwinbox || null,
-      department_name_as_per_darwinbox: department_name_as_per_darwinbox || null,
-      joining_status: joining_status || null,
-      role_type: role_type || null,
-      role_assign: role_assign || null,
-      qualification: qualification || null,
-      status: status || 'active',
-      accountCreated: accountCreated !== undefined ? accountCreated : false,
       accountCreatedAt: accountCreatedAt ? new Date(accountCreatedAt) : new Date(),
-      createdBy: createdBy || null,
+      createdBy: req.user ? req.user._id : null,
       
       // Password management
       tempPassword: tempPassword || null,
       passwordChanged: passwordChanged || false,
       
       // Array fields
-      onboardingChecklist: onboardingChecklist || [{
-        welcomeEmailSent: false,
-        credentialsGenerated: false,
-        accountActivated: false,
-        trainingAssigned: false,
-        documentsSubmitted: false
-      }],
       company_allocated_details: company_allocated_details || [],
       dayPlanTasks: dayPlanTasks || [],
       fortnightExams: fortnightExams || [],
@@ -282,7 +205,16 @@ const createUser = async (req, res) => {
       userData.author_id = author_id.trim();
     }
 
-    const user = await User.create(userData);
+    const user = await userService.create(userData);
+
+    await recordAudit(req, {
+      action: 'create',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: user.email,
+      after: user
+    });
+
     // Return user data without password
     res.status(201).json({
       message: "User created successfully",
@@ -297,27 +229,15 @@ const createUser = async (req, res) => {
         employeeId: user.employeeId,
         genre: user.genre,
         joiningDate: user.joiningDate,
-        isActive: user.isActive,
-        createdAt: user.createdAt,
-        
-        // Fields from joiners table
-        date_of_joining: user.date_of_joining,
-        candidate_name: user.candidate_name,
-        phone_number: user.phone_number,
-        candidate_personal_mail_id: user.candidate_personal_mail_id,
-        top_department_name_as_per_darwinbox: user.top_department_name_as_per_darwinbox,
-        department_name_as_per_darwinbox: user.department_name_as_per_darwinbox,
-        joining_status: user.joining_status,
-        role_type: user.role_type,
-        role_assign: user.role_assign,
         qualification: user.qualification,
+        roleAssign: user.roleAssign,
+        isActive: user.isActive,
         status: user.status,
-        accountCreated: user.accountCreated,
         accountCreatedAt: user.accountCreatedAt,
         createdBy: user.createdBy,
+        createdAt: user.createdAt,
         
         // Array fields
-        onboardingChecklist: user.onboardingChecklist,
         company_allocated_details: user.company_allocated_details,
         dayPlanTasks: user.dayPlanTasks,
         fortnightExams: user.fortnightExams,
@@ -355,14 +275,7 @@ const updateUserByAuthorId = async (req, res) => {
       return res.status(400).json({ message: 'Author ID is required' });
     }
 
-    // Find user in UserNew first, then User
-    let user = await UserNew.findOne({ author_id: authorId });
-    let userModel = 'UserNew';
-    
-    if (!user) {
-      user = await User.findOne({ author_id: authorId });
-      userModel = 'User';
-    }
+    const user = await userService.findByAuthorId(authorId);
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -370,9 +283,8 @@ const updateUserByAuthorId = async (req, res) => {
 
     // Prepare update data (only include allowed fields)
     const allowedFields = [
-      'name', 'email', 'phone', 'department', 'state', 
-      'qualification', 'specialization', 'yearOfPassing', 'yearOfPassout',
-      'joiningDate', 'dateOfJoining', 'isActive'
+      'name', 'email', 'phone', 'department', 'qualification', 'genre',
+      'joiningDate', 'isActive'
     ];
     
     const filteredUpdateData = {};
@@ -382,34 +294,32 @@ const updateUserByAuthorId = async (req, res) => {
       }
     });
 
-    // Handle date fields
-    if (filteredUpdateData.joiningDate) {
-      filteredUpdateData.joiningDate = new Date(filteredUpdateData.joiningDate);
-    }
-    if (filteredUpdateData.dateOfJoining) {
-      filteredUpdateData.dateOfJoining = new Date(filteredUpdateData.dateOfJoining);
+    // Handle date fields (dateOfJoining is accepted as an alias)
+    const joinedOn = updateData.joiningDate || updateData.dateOfJoining;
+    if (joinedOn) {
+      filteredUpdateData.joiningDate = new Date(joinedOn);
     }
 
     // Update user
-    let updatedUser;
-    if (userModel === 'UserNew') {
-      updatedUser = await UserNew.findByIdAndUpdate(
-        user._id,
-        filteredUpdateData,
-        { new: true, runValidators: false }
-      ).select('-password');
-    } else {
-      updatedUser = await User.findByIdAndUpdate(
-        user._id,
-        filteredUpdateData,
-        { new: true, runValidators: false }
-      ).select('-password');
-    }
+    const updatedUser = await userService.findByIdAndUpdate(
+      user._id,
+      filteredUpdateData,
+      { new: true, runValidators: true }
+    ).select('-password');
 
     if (!updatedUser) {
       return res.status(500).json({ message: 'Failed to update user' });
     }
 
+    await recordAudit(req, {
+      action: 'update',
+      entityType: 'user',
+      entityId: user._id,
+      entityLabel: updatedUser.email,
+      before: user,
+      after: updatedUser
+    });
+
     res.json({
       success: true,
       message: 'User updated successfully',
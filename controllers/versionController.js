@@ -0,0 +1,248 @@
+const DocumentVersion = require('../models/DocumentVersion');
+const {
+  getVersionedDocumentConfig,
+  buildSnapshot,
+  recordVersion,
+  applySnapshot
+} = require('../utils/versionHistory');
+const { diffSnapshots, recordAudit } = require('../utils/auditLog');
+const { transitionsBetween, recordJoinerTransitions } = require('../utils/joinerLifecycle');
+
+// The handlers below are shared by the joiner, result and candidate report routes.
+// Each route passes the document type, or a function that reads it from the request.
+
+const resolveDocument = async (documentType, req) => {
+  const type = typeof documentType === 'function' ? documentType(req) : documentType;
+  const config = getVersionedDocumentConfig(type);
+  if (!config) {
+    return { status: 400, message: 'Unknown document type' };
+  }
+
+  const document = await config.findDocument(req.params.id || req.params.authorId);
+  if (!document) {
+    return { status: 404, message: 'Document not found' };
+  }
+
+  return { type, config, document, documentId: config.getDocumentId(document) };
+};
+
+const parseVersion = (value) => {
+  const version = parseInt(value, 10);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+const summarizeVersion = (version) => ({
+  version: version.version,
+  action: version.action,
+  changedBy: version.changedBy,
+  changedByName: version.changedByName,
+  createdAt: version.createdAt
+});
+
+// @desc    List stored versions of a document, newest first
+// @route   GET /api/joiners/:id/versions, /api/results/:id/versions,
+//          /api/joiners/candidate-details/:authorId/reports/versions,
+//          /api/candidate-reports/:authorId/:reportType/versions
+// @access  Private (read permission of the document)
+const getVersions = (documentType) => async (req, res) => {
+  try {
+    const target = await resolveDocument(documentType, req);
+    if (!target.document) {
+      return res.status(target.status).json({ success: false, message: target.message });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const query = { documentType: target.type, documentId: target.documentId };
+
+    const [versions, totalVersions, latest] = await Promise.all([
+      DocumentVersion.find(query)
+        .select('-snapshot')
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      DocumentVersion.countDocuments(query),
+      DocumentVersion.findOne(query).sort({ version: -1 }).select('version').lean()
+    ]);
+
+    res.json({
+      success: true,
+      documentType: target.type,
+      documentId: target.documentId,
+      currentVersion: latest ? latest.version : null,
+      totalVersions,
+      pagination: {
+        page,
+        limit,
+        pages: Math.ceil(totalVersions / limit)
+      },
+      versions
+    });
+  } catch (error) {
+    console.error('Error fetching versions:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get one stored version with its full snapshot
+// @route   GET .../versions/:version
+// @access  Private (read permission of the document)
+const getVersion = (documentType) => async (req, res) => {
+  try {
+    const target = await resolveDocument(documentType, req);
+    if (!target.document) {
+      return res.status(target.status).json({ success: false, message: target.message });
+    }
+
+    const versionNumber = parseVersion(req.params.version);
+    if (!versionNumber) {
+      return res.status(400).json({ success: false, message: 'Version must be a positive number' });
+    }
+
+    const version = await DocumentVersion.findOne({
+      documentType: target.type,
+      documentId: target.documentId,
+      version: versionNumber
+    }).lean();
+
+    if (!version) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    res.json({ success: true, version });
+  } catch (error) {
+    console.error('Error fetching version:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Field-level diff between two versions (defaults: latest against the one before it)
+// @route   GET .../versions/diff?from=&to=
+// @access  Private (read permission of the document)
+const getVersionDiff = (documentType) => async (req, res) => {
+  try {
+    const target = await resolveDocument(documentType, req);
+    if (!target.document) {
+      return res.status(target.status).json({ success: false, message: target.message });
+    }
+
+    const query = { documentType: target.type, documentId: target.documentId };
+
+    let to = req.query.to !== undefined ? parseVersion(req.query.to) : null;
+    if (req.query.to === undefined) {
+      const latest = await DocumentVersion.findOne(query).sort({ version: -1 }).select('version').lean();
+      to = latest ? latest.version : null;
+    }
+    const from = req.query.from !== undefined ? parseVersion(req.query.from) : (to ? to - 1 : null);
+
+    if (!from || !to) {
+      return res.status(400).json({ success: false, message: 'Two existing versions are needed to compare' });
+    }
+
+    const versions = await DocumentVersion.find({ ...query, version: { $in: [from, to] } }).lean();
+    const fromVersion = versions.find(version => version.version === from);
+    const toVersion = versions.find(version => version.version === to);
+
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    res.json({
+      success: true,
+      documentType: target.type,
+      documentId: target.documentId,
+      from: summarizeVersion(fromVersion),
+      to: summarizeVersion(toVersion),
+      changes: diffSnapshots(fromVersion.snapshot, toVersion.snapshot, { truncate: false })
+    });
+  } catch (error) {
+    console.error('Error comparing versions:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Restore a document to an older version; the restore is stored as a new version
+// @route   POST .../versions/:version/restore
+// @access  Private (history:restore)
+const restoreVersion = (documentType) => async (req, res) => {
+  try {
+    const target = await resolveDocument(documentType, req);
+    if (!target.document) {
+      return res.status(target.status).json({ success: false, message: target.message });
+    }
+
+    const versionNumber = parseVersion(req.params.version);
+    if (!versionNumber) {
+      return res.status(400).json({ success: false, message: 'Version must be a positive number' });
+    }
+
+    const version = await DocumentVersion.findOne({
+      documentType: target.type,
+      documentId: target.documentId,
+      version: versionNumber
+    }).lean();
+
+    if (!version) {
+      return res.status(404).json({ success: false, message: 'Version not found' });
+    }
+
+    const { document, config } = target;
+    const previous = buildSnapshot(target.type, document);
+
+    applySnapshot(target.type, document, version.snapshot);
+    if (document.schema.path('lastUpdatedAt')) document.lastUpdatedAt = new Date();
+    if (document.schema.path('updatedBy')) document.updatedBy = req.user.id;
+
+    try {
+      await document.save();
+    } catch (saveError) {
+      if (saveError.name === 'ValidationError' || saveError.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: 'This version can no longer be restored',
+          error: saveError.message
+        });
+      }
+      throw saveError;
+    }
+
+    // A restore can move a joiner anywhere in the lifecycle; the timeline shows it
+    if (target.type === 'joiner') {
+      await recordJoinerTransitions(document, transitionsBetween(previous, document), { actor: req.user, source: 'version_restore' });
+    }
+
+    await recordVersion(req, target.type, {
+      document,
+      previous,
+      action: 'restore',
+      restoredFrom: versionNumber
+    });
+
+    await recordAudit(req, {
+      action: 'restore',
+      entityType: config.auditType,
+      entityId: target.documentId,
+      entityLabel: config.getLabel ? config.getLabel(document) : null,
+      before: previous,
+      after: buildSnapshot(target.type, document),
+      metadata: { documentType: target.type, restoredFrom: versionNumber }
+    });
+
+    res.json({
+      success: true,
+      message: `Restored version ${versionNumber}`,
+      document
+    });
+  } catch (error) {
+    console.error('Error restoring version:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getVersions,
+  getVersion,
+  getVersionDiff,
+  restoreVersion
+};
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const Joiner = require('../models/Joiner');
+const EmailDelivery = require('../models/EmailDelivery');
+const welcomeEmailService = require('../services/welcomeEmailService');
+const { recordAudit, recordAuditBatch } = require('../utils/auditLog');
+
+const BULK_SEND_LIMIT = 200;
+const BULK_STATUSES = ['not_sent', 'failed', 'sent'];
+
+// The API addresses joiners by _id or author_id
+const findJoiner = (identifier) => {
+  if (mongoose.Types.ObjectId.isValid(identifier) && String(identifier).length === 24) {
+    return Joiner.findOne({ $or: [{ _id: identifier }, { author_id: identifier }] });
+  }
+  return Joiner.findOne({ author_id: identifier });
+};
+
+const auditEvent = (joiner, result, trigger) => ({
+  action: 'welcome_email',
+  entityType: 'joiner',
+  entityId: joiner._id,
+  entityLabel: joiner.name,
+  metadata: { status: result.status, to: result.to || null, error: result.error || null, trigger }
+});
+
+// @desc    Welcome email status and delivery history of a joiner
+// @route   GET /api/joiners/:id/welcome-email
+// @access  Private (Admin, BOA, Master Trainer)
+const getJoinerWelcomeEmail = async (req, res) => {
+  try {
+    const joiner = await findJoiner(req.params.id);
+    if (!joiner) {
+      return res.status(404).json({ message: 'Joiner not found' });
+    }
+
+    const deliveries = await EmailDelivery.find({ joinerId: joiner._id, template: 'welcome' })
+      .populate('sentBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    res.json({
+      joinerId: joiner._id,
+      welcomeEmail: joiner.welcomeEmail,
+      welcomeEmailSent: joiner.onboardingChecklist?.welcomeEmailSent || false,
+      deliveries
+    });
+  } catch (error) {
+    console.error('Error fetching welcome email status:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Send (or resend) the welcome email with a fresh set-password link
+// @route   POST /api/joiners/:id/welcome-email
+// @access  Private (Admin, BOA, Master Trainer)
+const sendJoinerWelcomeEmail = async (req, res) => {
+  try {
+    const joiner = await findJoiner(req.params.id);
+    if (!joiner) {
+      return res.status(404).json({ message: 'Joiner not found' });
+    }
+
+    const result = await welcomeEmailService.send(joiner, { actor: req.user, trigger: 'resend' });
+    if (result.status === 'skipped') {
+      return res.status(400).json({ message: result.error, result });
+    }
+    await recordAudit(req, auditEvent(joiner, result, 'resend'));
+
+    if (result.status === 'failed') {
+      return res.status(502).json({ message: `Welcome email could not be sent: ${result.error}`, result });
+    }
+    res.json({ message: `Welcome email sent to ${result.to}`, result });
+  } catch (error) {
+    console.error('Error sending welcome email:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Send the welcome email to many joiners: the given joinerIds, or every
+//          joiner with an account whose welcome email has the given statuses
+//          (default not_sent and failed)
+// @route   POST /api/joiners/welcome-email/bulk
+// @access  Private (Admin, BOA, Master Trainer)
+const sendBulkWelcomeEmails = async (req, res) => {
+  try {
+    const { joinerIds } = req.body;
+    const statuses = req.body.statuses || ['not_sent', 'failed'];
+
+    let query;
+    if (joinerIds !== undefined) {
+      if (!Array.isArray(joinerIds) || joinerIds.length === 0) {
+        return res.status(400).json({ message: 'joinerIds must be a non-empty array' });
+      }
+      const ids = joinerIds.filter(id => mongoose.Types.ObjectId.isValid(id) && String(id).length === 24);
+      query = { $or: [{ _id: { $in: ids } }, { author_id: { $in: joinerIds.map(String) } }] };
+    } else {
+      if (!Array.isArray(statuses) || statuses.length === 0 || statuses.some(status => !BULK_STATUSES.includes(status))) {
+        return res.status(400).json({ message: `statuses must be a list of: ${BULK_STATUSES.join(', ')}` });
+      }
+      // Joiners created before delivery tracking have no welcomeEmail.status yet
+      const statusConditions = [{ 'welcomeEmail.status': { $in: statuses } }];
+      if (statuses.includes('not_sent')) {
+        statusConditions.push({ 'welcomeEmail.status': { $exists: false }, 'onboardingChecklist.welcomeEmailSent': { $ne: true } });
+      }
+      query = { accountCreated: true, $or: statusConditions };
+    }
+
+    const total = await Joiner.countDocuments(query);
+    const joiners = await Joiner.find(query).sort({ joiningDate: 1 }).limit(BULK_SEND_LIMIT);
+    if (joiners.length === 0) {
+      return res.json({ message: 'No joiners to send the welcome email to', sent: 0, failed: 0, skipped: 0, results: [] });
+    }
+
+    const batch = await welcomeEmailService.sendBatch(joiners, { actor: req.user, trigger: 'bulk' });
+    const resultsById = new Map(batch.results.map(result => [String(result.joinerId), result]));
+    await recordAuditBatch(req, joiners
+      .filter(joiner => resultsById.get(String(joiner._id)).status !== 'skipped')
+      .map(joiner => auditEvent(joiner, resultsById.get(String(joiner._id)), 'bulk')));
+
+    res.json({
+      message: `Welcome email sent to ${batch.sent} joiner(s), ${batch.failed} failed, ${batch.skipped} skipped`,
+      ...batch,
+      remaining: Math.max(total - joiners.length, 0)
+    });
+  } catch (error) {
+    console.error('Error sending welcome emails:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+module.exports = {
+  getJoinerWelcomeEmail,
+  sendJoinerWelcomeEmail,
+  sendBulkWelcomeEmails
+};
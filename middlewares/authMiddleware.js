@@ -1,9 +1,61 @@
 const jwt = require("jsonwebtoken");
-const UserNew = require("../models/UserNew");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const { hashToken, REFRESH_COOKIE_NAME } = require("../utils/sessionTokens");
+const { isAllowedOrigin } = require("../config/allowedOrigins");
+const { isTwoFactorRequired } = require("../utils/twoFactorPolicy");
+const { getRolePermissions } = require("../utils/rolePermissions");
+const { guardImpersonatedRequest } = require("../utils/impersonation");
+const { touchLastActivity } = require("../utils/loginHistory");
+const userService = require("../services/userService");
+
+// Routes a user may reach while their role requires 2FA they have not set up yet
+const TWO_FACTOR_SETUP_PATHS = ["/api/auth/2fa", "/api/auth/logout", "/api/auth/profile"];
+
+const isTwoFactorSetupPath = (req) => {
+    const path = req.originalUrl.split("?")[0];
+    return TWO_FACTOR_SETUP_PATHS.some(allowed => path === allowed || path.startsWith(`${allowed}/`) || path.startsWith(`${allowed}-`));
+};
+
+// Machine clients send their key in this header instead of Authorization
+const API_KEY_HEADER = "x-api-key";
+
+// Authenticate a request made with an API key. The request acts as the user who
+// created the key, but requirePermission() limits it to the key's scopes.
+const authenticateApiKey = async (req, res, next, rawKey) => {
+    if (req.originalUrl.startsWith("/api/auth")) {
+        return res.status(401).json({ message: "API keys cannot be used for this route" });
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey) });
+    if (!apiKey || !apiKey.isValid()) {
+        return res.status(401).json({ message: "API key is invalid, expired or revoked" });
+    }
+
+    const user = await userService.findById(apiKey.createdBy).select("-password");
+    if (!user || user.isActive === false) {
+        return res.status(401).json({ message: "API key owner is no longer active" });
+    }
+
+    // Usage tracking must not slow down or fail the request
+    ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip || null }, $inc: { usageCount: 1 } }
+    ).catch(error => console.error("Failed to record API key usage:", error.message));
+
+    req.user = user;
+    req.apiKey = apiKey;
+    next();
+};
 
 // Middleware to protect routes
 const protect = async (req, res, next) => {
     try {
+        const rawApiKey = req.headers[API_KEY_HEADER];
+        if (rawApiKey) {
+            return await authenticateApiKey(req, res, next, rawApiKey);
+        }
+
         let token = req.headers.authorization;
 
         // Check for token in Authorization header first
@@ -17,16 +69,25 @@ const protect = async (req, res, next) => {
 
         if (token) {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            
-            // Try UserNew model first
-            let user = await UserNew.findById(decoded.id).select("-password");
-            
-            // If not found, try old User model
-            if (!user) {
-                const User = require("../models/User");
-                user = await User.findById(decoded.id).select("-password");
+
+            // Access tokens are bound to a server-side session so they can be revoked
+            const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+            if (!session || !session.isValid() || session.userId.toString() !== decoded.id) {
+                return res.status(401).json({ message: "Session expired or revoked, please log in again" });
+            }
+
+            // "View as user" sessions stay valid only while the admin may still impersonate
+            if (session.impersonatedBy) {
+                const impersonator = await userService.findById(session.impersonatedBy).select("role isActive").lean();
+                const allowed = impersonator && impersonator.isActive !== false && decoded.imp === session.impersonatedBy.toString()
+                    && (await getRolePermissions(impersonator.role)).includes("users:impersonate");
+                if (!allowed) {
+                    return res.status(401).json({ message: "Impersonation session is no longer valid" });
+                }
             }
             
+            const user = await userService.findById(decoded.id).select("-password");
+            
             if (user) {
                 // Check if user account is active
                 if (user.isActive === false) {
@@ -35,7 +96,29 @@ const protect = async (req, res, next) => {
                     });
                 }
                 
+                // Roles with mandatory 2FA can only finish enrollment until it is enabled
+                // (the admin behind an impersonation session already passed their own checks,
+                // and a trusted identity provider may have done MFA when explicitly enabled)
+                if (!session.impersonatedBy && !session.mfaByProvider && !user.twoFactorEnabled && !isTwoFactorSetupPath(req) && await isTwoFactorRequired(user.role)) {
+                    return res.status(403).json({
+                        message: "Two-factor authentication is required for your role. Please set it up to continue.",
+                        code: "TWO_FACTOR_SETUP_REQUIRED"
+                    });
+                }
+                
                 req.user = user;
+                req.sessionId = session._id;
+
+                if (session.impersonatedBy) {
+                    req.impersonation = {
+                        sessionId: session._id,
+                        impersonatedBy: session.impersonatedBy,
+                        expiresAt: session.expiresAt
+                    };
+                    return guardImpersonatedRequest(req, res, next);
+                }
+
+                touchLastActivity(user);
                 next();
             } else {
                 res.status(401).json({ message: "User not found" });
@@ -48,60 +131,62 @@ const protect = async (req, res, next) => {
     }
 };
 
-// Middleware for Admin access
-const adminOnly = (req, res, next) => {
-    if (req.user && req.user.role === "admin") {
-        next();
-    } else {
-        res.status(403).json({ message: "Access denied, admin access required" });
-    }
-};
+// Middleware for permission-based access
+// Passes when the user's role grants at least one of the listed permissions
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                return res.status(401).json({ message: "Not authorized" });
+            }
 
-// Middleware for Master Trainer access
-const masterTrainerOnly = (req, res, next) => {
-    if (req.user && (req.user.role === "master_trainer" || req.user.role === "admin")) {
-        next();
-    } else {
-        res.status(403).json({ message: "Access denied, master trainer access required" });
-    }
-};
+            let granted = await getRolePermissions(req.user.role);
 
-// Middleware for Trainer access
-const trainerOnly = (req, res, next) => {
-    if (req.user && (req.user.role === "trainer" || req.user.role === "master_trainer" || req.user.role === "admin")) {
-        next();
-    } else {
-        res.status(403).json({ message: "Access denied, trainer access required" });
-    }
-};
+            // API keys only get the scopes they were issued with, and never more
+            // than their owner's role currently allows
+            if (req.apiKey) {
+                granted = req.apiKey.scopes.filter(scope => granted.includes(scope));
+            }
 
-// Middleware for Trainee access
-const traineeOnly = (req, res, next) => {
-    if (req.user && (req.user.role === "trainee" || req.user.role === "admin")) {
-        next();
-    } else {
-        res.status(403).json({ message: "Access denied, trainee access required" });
-    }
+            if (permissions.some(permission => granted.includes(permission))) {
+                req.permissions = granted;
+                return next();
+            }
+
+            res.status(403).json({ message: `Access denied, required permission: ${permissions.join(" or ")}` });
+        } catch (error) {
+            res.status(500).json({ message: "Failed to check permissions", error: error.message });
+        }
+    };
 };
 
-// Middleware for BOA access
-const boaOnly = (req, res, next) => {
-    if (req.user && (req.user.role === "boa" || req.user.role === "admin")) {
-        next();
-    } else {
-        res.status(403).json({ message: "Access denied, BOA access required" });
+// Middleware for routes only a signed-in user may reach, whatever the key's scopes
+const rejectApiKeys = (req, res, next) => {
+    if (req.apiKey) {
+        return res.status(403).json({ message: "API keys cannot be used for this route" });
     }
+    next();
 };
 
-// Middleware for multiple role access
-const requireRoles = (roles) => {
-    return (req, res, next) => {
-        if (req.user && roles.includes(req.user.role)) {
-            next();
-        } else {
-            res.status(403).json({ message: `Access denied, required roles: ${roles.join(", ")}` });
-        }
-    };
+// Header a cross-site page cannot set without passing the CORS preflight
+const CSRF_HEADER = "x-requested-with";
+
+// Middleware for routes the refresh cookie authenticates on its own. The browser
+// attaches the cookie to requests any site makes, so a request carrying it must
+// also carry X-Requested-With: XMLHttpRequest and, when the browser names its
+// origin, come from an allow-listed one.
+const requireTrustedOrigin = (req, res, next) => {
+    if (!req.cookies?.[REFRESH_COOKIE_NAME]) {
+        return next();
+    }
+    if (req.get(CSRF_HEADER) !== "XMLHttpRequest") {
+        return res.status(403).json({ message: "Missing X-Requested-With header" });
+    }
+    const origin = req.get("origin");
+    if (origin && !isAllowedOrigin(origin)) {
+        return res.status(403).json({ message: "Origin not allowed" });
+    }
+    next();
 };
 
-module.exports = { protect, adminOnly, masterTrainerOnly, trainerOnly, traineeOnly, boaOnly, requireRoles };
+module.exports = { protect, requirePermission, rejectApiKeys, requireTrustedOrigin };
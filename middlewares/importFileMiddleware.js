@@ -0,0 +1,254 @@
+const multer = require('multer');
+const mongoose = require('mongoose');
+const ImportMapping = require('../models/ImportMapping');
+const { IMPORT_TYPES, LEARNING_REPORT_SHEETS, CANDIDATE_REPORT_SHEETS } = require('../config/imports');
+const {
+  IMPORT_EXTENSIONS,
+  headerSignature,
+  readImportFile,
+  resolveMapping,
+  applyMapping,
+  missingFields,
+  invalidMappingFields
+} = require('../utils/importFile');
+
+const IMPORT_MAX_FILE_MB = parseInt(process.env.IMPORT_MAX_FILE_MB, 10) || 10;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_FILE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const lower = (file.originalname || '').toLowerCase();
+    if (IMPORT_EXTENSIONS.some(extension => lower.endsWith(extension))) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Only ${IMPORT_EXTENSIONS.join(', ')} files are allowed`), false);
+    }
+  }
+});
+
+// Accept one file in the "file" field; upload errors become 400s instead of 500s
+const uploadImportFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File is larger than ${IMPORT_MAX_FILE_MB} MB`
+        : error.message;
+      return res.status(400).json({ success: false, message });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'A .csv or .xlsx file is required in the "file" field' });
+    }
+    next();
+  });
+};
+
+const parseJsonField = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * Mapping for one sheet: the mappingId field picks a saved mapping, otherwise a
+ * saved mapping with the same headers is used automatically; "mapping" (JSON
+ * object of header -> field) overrides either one.
+ */
+const mapSheet = async (importType, sheet, { mappingId, explicit }) => {
+  const saved = await ImportMapping.findForSheet(importType, headerSignature(sheet.headers), mappingId);
+  if (mappingId && !saved) {
+    return { error: 'Saved mapping not found for this import type' };
+  }
+
+  const mapping = resolveMapping(importType, sheet.headers, { saved: saved ? saved.toMappingObject() : null, explicit });
+  if (saved) {
+    await ImportMapping.updateOne({ _id: saved._id }, { $set: { lastUsedAt: new Date() } });
+  }
+  return { mapping };
+};
+
+const saveMapping = async (req, importType, name, sheet, mapping) => {
+  await ImportMapping.findOneAndUpdate(
+    { importType, name },
+    {
+      $set: {
+        mapping: Object.entries(mapping).map(([header, field]) => ({ header, field })),
+        headerSignature: headerSignature(sheet.headers),
+        updatedBy: req.user._id,
+        lastUsedAt: new Date()
+      },
+      $setOnInsert: { createdBy: req.user._id }
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+};
+
+// Spreadsheet cells arrive as numbers and dates; the joiner import expects text
+const toText = (row) => Object.fromEntries(Object.entries(row).map(([key, value]) => [
+  key,
+  value === null || value instanceof Date || typeof value === 'string' ? value : String(value)
+]));
+
+// Report metrics are numbers in the Apps Script feed; CSV cells are text
+const toNumbers = (row) => Object.fromEntries(Object.entries(row).map(([key, value]) => [
+  key,
+  typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value
+]));
+
+// Shape the mapped rows into the JSON body the existing bulk handler expects
+const BODY_BUILDERS = {
+  joiners: (req, [sheet]) => ({
+    spread_sheet_name: req.body.spread_sheet_name || req.file.originalname,
+    data_sets_to_be_loaded: [sheet.name],
+    joiners_data: sheet.records.map(toText)
+  }),
+
+  results: (req, [sheet]) => ({
+    examType: req.body.examType,
+    results: sheet.records
+  }),
+
+  // Rows are combined per author_id the same way the Apps Script sub-sheets are
+  candidate_reports: (req, sheets) => {
+    const combined = new Map();
+    const entryFor = (authorId) => {
+      if (!combined.has(authorId)) combined.set(authorId, { author_id: authorId });
+      return combined.get(authorId);
+    };
+
+    sheets.forEach(sheet => {
+      sheet.records.forEach(record => {
+        const authorId = record.author_id ? String(record.author_id).trim() : null;
+        if (!authorId) return;
+        const entry = entryFor(authorId);
+        const { author_id, topic, ...values } = toNumbers(record);
+
+        if (LEARNING_REPORT_SHEETS.includes(sheet.dataSet)) {
+          const topicName = topic ? String(topic).trim() : 'Overall';
+          entry.learningReport = entry.learningReport || {};
+          entry.learningReport[sheet.dataSet] = entry.learningReport[sheet.dataSet] || {};
+          entry.learningReport[sheet.dataSet][topicName] = values;
+        } else if (sheet.dataSet === 'AttendanceReport') {
+          entry.attendanceReport = { ...values, ...(topic ? { topic } : {}) };
+        } else if (sheet.dataSet === 'GroomingReport') {
+          entry.groomingReport = { ...values, ...(topic ? { topic } : {}) };
+        }
+      });
+    });
+
+    // The handler reads learningReport.CourseCompletion even when there is no learning data
+    const reports = [...combined.values()].map(entry => ({ learningReport: {}, ...entry }));
+    return {
+      spread_sheet_name: req.body.spread_sheet_name || req.file.originalname,
+      data_sets_to_be_loaded: [...new Set(sheets.map(sheet => sheet.dataSet))],
+      candidate_reports_data: reports
+    };
+  }
+};
+
+// Which worksheets an upload imports. Candidate reports take every worksheet named
+// after a report sheet (or the one given as data_set); other imports take one sheet.
+const selectSheets = (importType, sheets, body) => {
+  if (importType === 'candidate_reports') {
+    if (body.data_set) {
+      if (!CANDIDATE_REPORT_SHEETS.includes(body.data_set)) {
+        return { error: `Invalid data_set. Must be one of: ${CANDIDATE_REPORT_SHEETS.join(', ')}` };
+      }
+      return { sheets: [{ ...sheets[0], dataSet: body.data_set }] };
+    }
+    const matched = sheets
+      .map(sheet => ({ ...sheet, dataSet: CANDIDATE_REPORT_SHEETS.find(name => name.toLowerCase() === sheet.name.trim().toLowerCase()) }))
+      .filter(sheet => sheet.dataSet);
+    if (!matched.length) {
+      return { error: `Name the worksheets after the report sheets (${CANDIDATE_REPORT_SHEETS.join(', ')}) or pass data_set` };
+    }
+    return { sheets: matched };
+  }
+
+  if (body.sheet) {
+    const sheet = sheets.find(candidate => candidate.name === body.sheet);
+    if (!sheet) return { error: `Worksheet "${body.sheet}" not found. Available: ${sheets.map(s => s.name).join(', ')}` };
+    return { sheets: [sheet] };
+  }
+  return { sheets: [sheets[0]] };
+};
+
+/**
+ * Turn an uploaded CSV/XLSX file into the JSON body of an existing bulk import
+ * handler, so file uploads go through the same per-row validation and inserts
+ * as Google Sheets imports.
+ *
+ * Multipart fields: file, sheet (worksheet name), data_set (candidate reports),
+ * mappingId, mapping (JSON header -> field), saveMappingAs, dryRun, plus whatever
+ * the handler itself needs (examType for results).
+ */
+const prepareFileImport = (importType) => async (req, res, next) => {
+  try {
+    const explicit = parseJsonField(req.body.mapping);
+    if (explicit === undefined || Array.isArray(explicit)) {
+      return res.status(400).json({ success: false, message: 'mapping must be a JSON object of header -> field' });
+    }
+    const invalid = explicit ? invalidMappingFields(importType, explicit) : [];
+    if (invalid.length) {
+      return res.status(400).json({ success: false, message: `Unknown import fields: ${invalid.join(', ')}` });
+    }
+    if (req.body.mappingId && !mongoose.Types.ObjectId.isValid(req.body.mappingId)) {
+      return res.status(400).json({ success: false, message: 'Invalid mappingId' });
+    }
+
+    const { sheets: fileSheets, error: readError } = await readImportFile(req.file);
+    if (readError) {
+      return res.status(400).json({ success: false, message: readError });
+    }
+
+    const { sheets, error: sheetError } = selectSheets(importType, fileSheets, req.body);
+    if (sheetError) {
+      return res.status(400).json({ success: false, message: sheetError });
+    }
+
+    const mapped = [];
+    for (const sheet of sheets) {
+      const { mapping, error } = await mapSheet(importType, sheet, { mappingId: req.body.mappingId, explicit });
+      if (error) {
+        return res.status(404).json({ success: false, message: error });
+      }
+
+      const missing = missingFields(importType, mapping);
+      if (missing.length) {
+        return res.status(400).json({
+          success: false,
+          message: `Sheet "${sheet.name}" has no column for: ${missing.join(', ')}`,
+          headers: sheet.headers,
+          mapping,
+          fields: Object.keys(IMPORT_TYPES[importType].fields)
+        });
+      }
+
+      if (req.body.saveMappingAs) {
+        const name = String(req.body.saveMappingAs).trim();
+        await saveMapping(req, importType, sheets.length > 1 ? `${name} (${sheet.name})` : name, sheet, mapping);
+      }
+      mapped.push({ ...sheet, records: applyMapping(sheet.rows, mapping) });
+    }
+
+    // dryRun previews the import; the preview is committed through the JSON endpoint
+    req.body = { ...BODY_BUILDERS[importType](req, mapped), dryRun: req.body.dryRun };
+    next();
+  } catch (error) {
+    console.error('Error preparing file import:', error);
+    res.status(500).json({ success: false, message: 'Failed to read the uploaded file', error: error.message });
+  }
+};
+
+module.exports = {
+  uploadImportFile,
+  prepareFileImport,
+  parseJsonField,
+  selectSheets,
+  mapSheet,
+  BODY_BUILDERS,
+};
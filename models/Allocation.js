@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const allocationSchema = new mongoose.Schema({
   traineeId: {
@@ -50,4 +51,7 @@ allocationSchema.index({ campusId: 1 });
 allocationSchema.index({ status: 1 });
 allocationSchema.index({ allocatedDate: 1 });
 
+// Deleted records go to the trash (deletedAt/deletedBy) and are hidden from queries
+allocationSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Allocation', allocationSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // First characters of the key, shown in listings so admins can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the key - the raw key is only returned once, at creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Permission names this key may use (subset of API_KEY_SCOPES)
+  scopes: {
+    type: [String],
+    default: []
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Requests made with the key act as this user
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 });
+
+apiKeySchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Whether the key can still authenticate requests
+apiKeySchema.methods.isValid = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Never expose the key hash in API responses
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
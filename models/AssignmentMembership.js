@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+// One period a trainee spent with a trainer. Assignment.trainees only holds who is
+// assigned now; these records keep the history, so a transfer ends one period and
+// starts the next at the same effective date. A transfer with a future effective
+// date waits as a "scheduled" record until the activation job carries it out.
+const AssignmentMembershipSchema = new mongoose.Schema(
+  {
+    // author_ids, like Assignment.trainer / Assignment.trainees
+    trainee: { type: String, ref: "User", required: true },
+    trainer: { type: String, ref: "User", required: true },
+    // Copied so the timeline stays readable after the trainer is gone
+    trainerName: { type: String, default: null },
+    // Set once the trainee is with the trainer; null while a transfer is scheduled
+    assignment: { type: mongoose.Schema.Types.ObjectId, ref: "Assignment", default: null },
+    // Trainer the trainee was transferred from
+    fromTrainer: { type: String, ref: "User", default: null },
+
+    status: {
+      type: String,
+      enum: ["scheduled", "active", "ended", "cancelled"],
+      default: "active"
+    },
+    // Why a scheduled transfer did not happen
+    cancelReason: { type: String, default: null },
+    // A scheduled transfer that went over the trainer's capacity on purpose; its
+    // activation skips the capacity re-check
+    overrideCapacity: { type: Boolean, default: false },
+
+    startDate: { type: Date, required: true },
+    // null while the trainee is still with the trainer
+    endDate: { type: Date, default: null },
+    startReason: {
+      type: String,
+      enum: ["assigned", "transfer"],
+      default: "assigned"
+    },
+    endReason: {
+      type: String,
+      enum: ["transfer", "completed", null],
+      default: null
+    },
+    reason: { type: String, trim: true, maxlength: 500, default: "" },
+
+    // Day plans and demos awaiting review that followed the trainee in a transfer
+    movedItems: {
+      dayPlans: [{ type: mongoose.Schema.Types.ObjectId, ref: "TraineeDayPlan" }],
+      demos: [{ type: String }]
+    },
+
+    startedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    endedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }
+  },
+  { timestamps: true }
+);
+
+AssignmentMembershipSchema.index({ trainee: 1, startDate: 1 });
+AssignmentMembershipSchema.index({ trainee: 1, endDate: 1 });
+AssignmentMembershipSchema.index({ assignment: 1, endDate: 1 });
+AssignmentMembershipSchema.index({ status: 1, startDate: 1 });
+
+module.exports = mongoose.model("AssignmentMembership", AssignmentMembershipSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ENTITY_TYPES = ['joiner', 'user', 'result', 'candidate_report', 'allocation', 'campus', 'mcq_deployment', 'demo', 'onboarding_template', 'email_template', 'batch', 'department', 'track'];
+
+// Append-only record of a change made through the API
+const auditEventSchema = new mongoose.Schema({
+  // Who made the change; null for system jobs
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Copied at write time so the entry stays readable after the user is gone
+  actorName: { type: String, default: null },
+  actorEmail: { type: String, default: null },
+  actorRole: { type: String, default: null },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // e.g. create, update, delete, bulk_create, role_change, deactivate, review
+  action: {
+    type: String,
+    required: true
+  },
+  entityType: {
+    type: String,
+    enum: AUDIT_ENTITY_TYPES,
+    required: true
+  },
+  // _id or author_id of the changed record
+  entityId: {
+    type: String,
+    required: true
+  },
+  entityLabel: {
+    type: String,
+    default: null
+  },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null }
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+// Events can be added but never changed or removed through the application
+const rejectMutation = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']
+  .forEach(operation => auditEventSchema.pre(operation, rejectMutation));
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+AuditEvent.AUDIT_ENTITY_TYPES = AUDIT_ENTITY_TYPES;
+
+module.exports = AuditEvent;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
+
+// A joiner in the batch; author_id is copied so reports keyed by author_id can be matched
+const batchMemberSchema = new mongoose.Schema({
+  joiner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Joiner',
+    required: true
+  },
+  author_id: {
+    type: String,
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { _id: false });
+
+// A training batch (cohort): trainees who go through training together
+const batchSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Batch name is required'],
+    trim: true,
+    maxlength: [100, 'Batch name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function (value) {
+        return !value || !this.startDate || value >= this.startDate;
+      },
+      message: 'End date cannot be before the start date'
+    }
+  },
+  campus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Campus',
+    default: null
+  },
+  // Code of the track (Track collection) the batch trains for
+  track: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  leadTrainer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  members: {
+    type: [batchMemberSchema],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+batchSchema.index({ name: 1 });
+batchSchema.index({ startDate: -1 });
+batchSchema.index({ campus: 1, track: 1 });
+batchSchema.index({ 'members.joiner': 1 });
+batchSchema.index({ 'members.author_id': 1 });
+
+// Deleted records go to the trash (deletedAt/deletedBy) and are hidden from queries
+batchSchema.plugin(softDeletePlugin);
+
+module.exports = mongoose.model('Batch', batchSchema);
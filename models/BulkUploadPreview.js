@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A dry-run of a bulk upload. The previewed payload is kept so the BOA can commit
+// exactly what they reviewed, by token, as long as nothing changed in between.
+const bulkUploadPreviewSchema = new mongoose.Schema({
+  // SHA-256 of the preview token returned to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  importType: {
+    type: String,
+    // assignments: auto-assignment of trainees to trainers
+    enum: ['joiners', 'results', 'candidate_reports', 'assignments'],
+    required: true
+  },
+  // The request body the rows were planned from (with sheet data already fetched)
+  // is stored as this many BulkUploadPreviewChunk documents
+  payloadChunks: {
+    type: Number,
+    required: true
+  },
+  // Hash of the planned rows; a commit re-plans and must arrive at the same hash
+  planHash: {
+    type: String,
+    required: true
+  },
+  summary: {
+    total: { type: Number, default: 0 },
+    create: { type: Number, default: 0 },
+    update: { type: Number, default: 0 },
+    skip: { type: Number, default: 0 },
+    error: { type: Number, default: 0 }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  committedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Previews that were never committed are removed by MongoDB automatically
+bulkUploadPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('BulkUploadPreview', bulkUploadPreviewSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// A slice of a bulk upload preview's payload. Payloads can be as large as the
+// request body limit (50 MB) and a MongoDB document cannot exceed 16 MB, so the
+// serialized payload is stored in chunks beside the preview.
+const bulkUploadPreviewChunkSchema = new mongoose.Schema({
+  preview: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'BulkUploadPreview',
+    required: true
+  },
+  index: {
+    type: Number,
+    required: true
+  },
+  data: {
+    type: Buffer,
+    required: true
+  },
+  // Same as the preview's, so both expire together
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+bulkUploadPreviewChunkSchema.index({ preview: 1, index: 1 }, { unique: true });
+bulkUploadPreviewChunkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('BulkUploadPreviewChunk', bulkUploadPreviewChunkSchema);
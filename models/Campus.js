@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const campusSchema = new mongoose.Schema({
   name: {
@@ -61,4 +62,7 @@ campusSchema.index({ name: 1 });
 campusSchema.index({ location: 1 });
 campusSchema.index({ status: 1 });
 
+// Deleted records go to the trash (deletedAt/deletedBy) and are hidden from queries
+campusSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Campus', campusSchema);
@@ -43,9 +43,16 @@ const CandidateReportSchema = new mongoose.Schema(
     // Metadata
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'UserNew',
+      ref: 'User',
       required: true
     },
+
+    // Set when the report was uploaded by a machine client
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: null
+    },
     
     uploadedAt: {
       type: Date,
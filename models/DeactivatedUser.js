@@ -8,11 +8,6 @@ const DeactivatedUserSchema = new mongoose.Schema(
       ref: 'User',
       default: null
     },
-    originalUserNewId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'UserNew',
-      default: null
-    },
     
     // User information at time of deactivation
     userInfo: {
@@ -35,7 +30,7 @@ const DeactivatedUserSchema = new mongoose.Schema(
       deactivatedAt: { type: Date, default: Date.now },
       deactivatedBy: { 
         type: mongoose.Schema.Types.ObjectId, 
-        ref: 'UserNew', 
+        ref: 'User', 
         required: true 
       },
       deactivatedByName: { type: String, required: true },
@@ -105,7 +100,7 @@ const DeactivatedUserSchema = new mongoose.Schema(
       reinstatedAt: { type: Date, default: null },
       reinstatedBy: { 
         type: mongoose.Schema.Types.ObjectId, 
-        ref: 'UserNew', 
+        ref: 'User', 
         default: null 
       },
       reinstatedByName: { type: String, default: null },
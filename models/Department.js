@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A department joiners belong to (Joiner.department holds the code)
+const departmentSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{1,20}$/, 'Code may only contain letters, digits, "_" and "-" (up to 20)']
+  },
+  name: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true,
+    maxlength: [100, 'Display name cannot exceed 100 characters']
+  },
+  // Other spellings that resolve to this department, such as Darwinbox department names
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Alias cannot exceed 100 characters']
+  }],
+  // Inactive departments stay on existing joiners but cannot be given to new ones
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+departmentSchema.index({ code: 1 }, { unique: true });
+
+module.exports = mongoose.model('Department', departmentSchema);
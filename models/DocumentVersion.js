@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const VERSIONED_DOCUMENT_TYPES = [
+  'joiner',
+  'result',
+  'candidate_report',
+  'learning_report',
+  'attendance_report',
+  'grooming_report',
+  'interactions_report'
+];
+
+// One stored state of a versioned document, numbered from 1 per document
+const documentVersionSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    enum: VERSIONED_DOCUMENT_TYPES,
+    required: true
+  },
+  // _id for joiners and results, author_id for candidate reports
+  documentId: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // baseline is the state a document already had before history was kept
+  action: {
+    type: String,
+    enum: ['create', 'update', 'bulk_create', 'bulk_update', 'restore', 'baseline', 'merge'],
+    required: true
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Fields that differ from the previous version
+  changedFields: [{
+    type: String
+  }],
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedByName: {
+    type: String,
+    default: null
+  },
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false
+});
+
+// Index for better query performance
+documentVersionSchema.index({ documentType: 1, documentId: 1, version: -1 }, { unique: true });
+
+const DocumentVersion = mongoose.model('DocumentVersion', documentVersionSchema);
+
+DocumentVersion.VERSIONED_DOCUMENT_TYPES = VERSIONED_DOCUMENT_TYPES;
+
+module.exports = DocumentVersion;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One attempt to send a templated email to a joiner
+const emailDeliverySchema = new mongoose.Schema({
+  template: {
+    type: String,
+    required: true
+  },
+  joinerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Joiner',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  // What caused the send: account creation, a resend or a bulk send
+  trigger: {
+    type: String,
+    enum: ['account_created', 'resend', 'bulk'],
+    required: true
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+emailDeliverySchema.index({ joinerId: 1, createdAt: -1 });
+emailDeliverySchema.index({ template: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmailDelivery', emailDeliverySchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { EMAIL_TEMPLATE_KEYS } = require('../config/emailTemplates');
+
+// An admin's version of one of the built-in emails (config/emailTemplates.js)
+const emailTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    enum: EMAIL_TEMPLATE_KEYS,
+    required: true,
+    unique: true
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+  text: {
+    type: String,
+    required: [true, 'Plain text body is required']
+  },
+  html: {
+    type: String,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('EmailTemplate', emailTemplateSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One entry per request made with an impersonation session
+const impersonationLogSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  statusCode: {
+    type: Number,
+    default: null
+  },
+  // Write rejected because the session is read-only
+  blocked: {
+    type: Boolean,
+    default: false
+  },
+  // Write let through (IMPERSONATION_WRITE_MODE=flag) and marked for review
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+impersonationLogSchema.index({ sessionId: 1, createdAt: 1 });
+impersonationLogSchema.index({ user: 1, createdAt: -1 });
+impersonationLogSchema.index({ impersonatedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ImpersonationLog', impersonationLogSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { IMPORT_TYPES } = require('../config/imports');
+
+// A saved header -> field mapping for CSV/XLSX imports. When an uploaded sheet
+// has exactly the headers a mapping was saved with, the mapping is applied
+// automatically.
+const importMappingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  importType: {
+    type: String,
+    enum: Object.keys(IMPORT_TYPES),
+    required: true
+  },
+  // File header -> import field; an empty field means the column is ignored.
+  // Stored as a list because headers may contain characters Map keys cannot.
+  mapping: [{
+    header: { type: String, required: true },
+    field: { type: String, default: '' },
+    _id: false
+  }],
+  // Normalized, sorted headers of the file the mapping was saved from
+  headerSignature: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+importMappingSchema.index({ importType: 1, name: 1 }, { unique: true });
+importMappingSchema.index({ importType: 1, headerSignature: 1 });
+
+// Static method to find the mapping for a sheet: the given one, else the most
+// recently used mapping saved from a sheet with the same headers
+importMappingSchema.statics.findForSheet = function(importType, signature, mappingId = null) {
+  if (mappingId) {
+    return this.findOne({ _id: mappingId, importType });
+  }
+  return this.findOne({ importType, headerSignature: signature }).sort({ lastUsedAt: -1 });
+};
+
+// Header -> field object as used by the import helpers
+importMappingSchema.methods.toMappingObject = function() {
+  return this.mapping.reduce((acc, entry) => ({ ...acc, [entry.header]: entry.field }), {});
+};
+
+module.exports = mongoose.model('ImportMapping', importMappingSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { IMPORT_TYPES } = require('../config/imports');
+
+// One run of an import source: what was fetched, what was imported and what failed
+const importRunSchema = new mongoose.Schema({
+  source: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportSource',
+    required: true
+  },
+  // Copied so the history stays readable after the source is deleted
+  sourceName: {
+    type: String,
+    required: true
+  },
+  importType: {
+    type: String,
+    enum: Object.keys(IMPORT_TYPES),
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual', 'rerun'],
+    required: true
+  },
+  // The failed run a rerun repeats
+  rerunOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportRun',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'partial', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  counts: {
+    fetched: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 }
+  },
+  // Row-level errors reported by the import (the first IMPORT_RUN_MAX_ERRORS of them)
+  rowErrors: [{
+    _id: false,
+    row: { type: mongoose.Schema.Types.Mixed, default: null },
+    message: { type: String, required: true }
+  }],
+  // Why the run as a whole failed (fetch error, bad response, rejected import)
+  error: {
+    type: String,
+    default: null
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+importRunSchema.index({ source: 1, startedAt: -1 });
+importRunSchema.index({ status: 1, startedAt: -1 });
+
+module.exports = mongoose.model('ImportRun', importRunSchema);
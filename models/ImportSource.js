@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { IMPORT_TYPES } = require('../config/imports');
+const { SCHEDULE_TYPES } = require('../utils/importSchedule');
+
+// A sheet endpoint (Google Apps Script web app) that is imported on a schedule
+const importSourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  importType: {
+    type: String,
+    enum: Object.keys(IMPORT_TYPES),
+    required: true
+  },
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    match: [/^https?:\/\/\S+$/i, 'URL must be an http(s) address']
+  },
+  // Sent to the endpoint and checked against the spread_sheet_name it answers with
+  spreadSheetName: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  dataSets: {
+    type: [String],
+    validate: {
+      validator: value => Array.isArray(value) && value.length > 0,
+      message: 'At least one data set is required'
+    }
+  },
+  // Results only: the exam type the rows are imported as
+  examType: {
+    type: String,
+    default: null
+  },
+  // Saved header mapping; without one, a mapping saved for the same headers or the
+  // field aliases are used, as for file uploads
+  mappingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportMapping',
+    default: null
+  },
+  schedule: {
+    type: {
+      type: String,
+      enum: SCHEDULE_TYPES,
+      required: true
+    },
+    intervalMinutes: { type: Number, default: null },
+    // HH:MM, UTC
+    time: { type: String, default: null },
+    // 0 = Sunday
+    dayOfWeek: { type: Number, min: 0, max: 6, default: null }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Imports are made on behalf of this user (whoever last saved the source)
+  runAs: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+  lastRunStatus: {
+    type: String,
+    enum: ['succeeded', 'partial', 'failed', null],
+    default: null
+  },
+  // Set while a run is in progress so the same source never runs twice at once
+  runningSince: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+importSourceSchema.index({ name: 1 }, { unique: true });
+importSourceSchema.index({ enabled: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('ImportSource', importSourceSchema);
@@ -25,9 +25,16 @@ const InteractionsReportSchema = new mongoose.Schema(
     // Metadata
     uploadedBy: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'UserNew',
+      ref: 'User',
       required: true
     },
+
+    // Set when the report was uploaded by a machine client
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: null
+    },
     
     uploadedAt: {
       type: Date,
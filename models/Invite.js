@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const inviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'master_trainer', 'trainer', 'trainee', 'boa'],
+    required: true
+  },
+  // SHA-256 of the emailed token - the raw token is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toObject: { virtuals: true }
+});
+
+// Index for better query performance
+inviteSchema.index({ email: 1, usedAt: 1, revokedAt: 1 });
+inviteSchema.index({ createdAt: -1 });
+
+// Derived status so callers do not have to compare dates themselves
+inviteSchema.virtual('status').get(function() {
+  if (this.usedAt) return 'used';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Never expose the token hash in API responses
+inviteSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Invite', inviteSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const joinerSchema = new mongoose.Schema({
   // Basic Information
@@ -63,10 +64,12 @@ const joinerSchema = new mongoose.Schema({
   },
   
   // Department and Role Information
+  // Department code (Department collection); controllers resolve names and aliases to it
   department: {
     type: String,
     required: [true, 'Department is required'],
-    enum: ['IT', 'HR', 'Finance', 'SDM', 'SDI', 'OTHERS'],
+    trim: true,
+    uppercase: true,
     default: 'OTHERS'
   },
   
@@ -83,9 +86,11 @@ const joinerSchema = new mongoose.Schema({
     default: 'trainee'
   },
   
+  // Track code (Track collection)
   role_assign: {
     type: String,
-    enum: ['SDM', 'SDI', 'SDF', 'SDB', 'OTHER'],
+    trim: true,
+    uppercase: true,
     default: 'OTHER'
   },
   
@@ -172,6 +177,12 @@ const joinerSchema = new mongoose.Schema({
     required: false,
     default: null
   },
+  // Set when the record was written by a machine client
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
   
   // Additional Notes
   notes: {
@@ -188,6 +199,29 @@ const joinerSchema = new mongoose.Schema({
     trainingAssigned: { type: Boolean, default: false },
     documentsSubmitted: { type: Boolean, default: false }
   },
+
+  // Delivery of the welcome email (set-password link); each attempt is logged in EmailDelivery
+  welcomeEmail: {
+    status: {
+      type: String,
+      enum: ['not_sent', 'sent', 'failed'],
+      default: 'not_sent'
+    },
+    attempts: { type: Number, default: 0 },
+    lastAttemptAt: { type: Date, default: null },
+    sentAt: { type: Date, default: null },
+    lastError: { type: String, default: null }
+  },
+  
+  // Duplicate joiners that were merged into this one
+  mergedFrom: [{
+    joinerId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    author_id: { type: String, default: null },
+    name: { type: String, default: null },
+    email: { type: String, default: null },
+    mergedAt: { type: Date, default: Date.now },
+    mergedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  }],
   
   // Timestamps
   createdAt: {
@@ -209,6 +243,9 @@ joinerSchema.index({ department: 1 });
 joinerSchema.index({ status: 1 });
 joinerSchema.index({ createdBy: 1 });
 
+// Deleted records go to the trash (deletedAt/deletedBy) and are hidden from queries
+joinerSchema.plugin(softDeletePlugin);
+
 // Pre-save middleware to update updatedAt and normalize genre
 joinerSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
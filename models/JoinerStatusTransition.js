@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const { JOINER_TRANSITION_SOURCES } = require('../config/joinerLifecycle');
+
+// One change of a joiner's status or joining_status
+const joinerStatusTransitionSchema = new mongoose.Schema({
+  joinerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Joiner',
+    required: true
+  },
+  field: {
+    type: String,
+    enum: ['status', 'joining_status'],
+    required: true
+  },
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+  // Data the transition came with, e.g. the old and new joining date of a postponement
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: JOINER_TRANSITION_SOURCES,
+    default: 'manual'
+  },
+  // Null for system jobs; the name is copied so the timeline stays readable after the user is gone
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedByName: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+joinerStatusTransitionSchema.index({ joinerId: 1, createdAt: 1 });
+joinerStatusTransitionSchema.index({ field: 1, to: 1, createdAt: -1 });
+
+module.exports = mongoose.model('JoinerStatusTransition', joinerStatusTransitionSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One entry per sign-in attempt, successful or not
+const loginEventSchema = new mongoose.Schema({
+  // Null when the email did not match any account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['password', 'two_factor', 'registration', 'oidc'],
+    default: 'password'
+  },
+  failureReason: {
+    type: String,
+    enum: ['invalid_credentials', 'locked', 'deactivated', 'invalid_two_factor', 'sso_rejected', null],
+    default: null
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+loginEventSchema.index({ user: 1, createdAt: -1 });
+loginEventSchema.index({ email: 1, createdAt: -1 });
+
+module.exports = mongoose.model('LoginEvent', loginEventSchema);
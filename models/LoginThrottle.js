@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Failed login counters, kept in MongoDB so every server instance sees the same state
+const loginThrottleSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['email', 'ip'],
+    required: true
+  },
+  // Lowercased email or client IP address
+  key: {
+    type: String,
+    required: true
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  firstFailedAt: {
+    type: Date,
+    default: null
+  },
+  lastFailedAt: {
+    type: Date,
+    default: null
+  },
+  // Progressive delay: no attempt is evaluated before this time
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lastIp: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ type: 1, key: 1 }, { unique: true });
+loginThrottleSchema.index({ lockedUntil: 1 });
+// Counters disappear once their window and any lockout have passed
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../utils/softDelete');
 
 const MCQDeploymentSchema = new mongoose.Schema({
   name: {
@@ -164,6 +165,9 @@ MCQDeploymentSchema.index({ status: 1 });
 MCQDeploymentSchema.index({ createdBy: 1 });
 MCQDeploymentSchema.index({ 'targetTrainees': 1 });
 
+// Deleted records go to the trash (deletedAt/deletedBy) and are hidden from queries
+MCQDeploymentSchema.plugin(softDeletePlugin);
+
 // Virtual for checking if deployment is currently active
 MCQDeploymentSchema.virtual('isActive').get(function() {
   const now = new Date();
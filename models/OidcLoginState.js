@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Pending OIDC authorization request, consumed once by the callback
+const oidcLoginStateSchema = new mongoose.Schema({
+  // SHA-256 of the `state` parameter sent to the provider
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // PKCE verifier; only its S256 challenge leaves the server
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  // Frontend path to land on after a successful login
+  returnTo: {
+    type: String,
+    default: null
+  },
+  // Signed-in user who asked to link the provider identity to their account;
+  // the callback then links instead of logging in
+  linkUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Abandoned logins are removed by MongoDB automatically
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcLoginState', oidcLoginStateSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A template step copied onto the joiner, with its due date and status
+const progressStepSchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  title: { type: String, required: true },
+  description: { type: String, default: '' },
+  ownerRole: { type: String, required: true },
+  dueOffsetDays: { type: Number, default: 0 },
+  dueDate: { type: Date, default: null },
+  dependsOn: [{ type: String }],
+  autoCompleteOn: { type: String, default: null },
+  checklistFlag: { type: String, default: null },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'skipped'],
+    default: 'pending'
+  },
+  completedAt: { type: Date, default: null },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // manual: marked by a user, auto: completed by an event, checklist: taken over from Joiner.onboardingChecklist
+  completedVia: {
+    type: String,
+    enum: ['manual', 'auto', 'checklist', null],
+    default: null
+  },
+  notes: { type: String, default: '' }
+}, { _id: false });
+
+// One onboarding run per joiner. Steps are copied from the template when the
+// run starts, so later template edits do not rewrite a joiner's history.
+const onboardingProgressSchema = new mongoose.Schema({
+  joiner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Joiner',
+    required: true,
+    unique: true
+  },
+  // Null when the built-in template was used
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OnboardingTemplate',
+    default: null
+  },
+  templateName: {
+    type: String,
+    required: true
+  },
+  joiningDate: {
+    type: Date,
+    default: null
+  },
+  steps: {
+    type: [progressStepSchema],
+    default: []
+  },
+  // Set once every step is completed or skipped
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+onboardingProgressSchema.index({ 'steps.status': 1, 'steps.dueDate': 1 });
+onboardingProgressSchema.index({ 'steps.autoCompleteOn': 1, 'steps.status': 1 });
+
+module.exports = mongoose.model('OnboardingProgress', onboardingProgressSchema);
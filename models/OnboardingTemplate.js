@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../config/permissions');
+const { ONBOARDING_EVENTS, CHECKLIST_FLAGS } = require('../config/onboarding');
+
+const onboardingStepSchema = new mongoose.Schema({
+  // Stable identifier used by dependencies and the progress endpoints
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[a-z0-9_]+$/, 'Step key may only contain lowercase letters, digits and underscores']
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  ownerRole: {
+    type: String,
+    enum: ROLES,
+    required: true
+  },
+  // Days from the joining date; negative values fall before the joining date
+  dueOffsetDays: {
+    type: Number,
+    default: 0
+  },
+  // Keys of steps that must be completed or skipped first
+  dependsOn: [{
+    type: String
+  }],
+  autoCompleteOn: {
+    type: String,
+    enum: [...Object.keys(ONBOARDING_EVENTS), null],
+    default: null
+  },
+  checklistFlag: {
+    type: String,
+    enum: [...CHECKLIST_FLAGS, null],
+    default: null
+  }
+}, { _id: false });
+
+const onboardingTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Joiner departments this template is used for; empty means any department
+  departments: [{
+    type: String,
+    trim: true
+  }],
+  // Used for joiners whose department matches no other template
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  steps: {
+    type: [onboardingStepSchema],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Step keys must be unique and dependencies must point at earlier-resolvable steps (no cycles)
+onboardingTemplateSchema.pre('validate', function(next) {
+  const keys = this.steps.map(step => step.key);
+
+  if (!keys.length) {
+    this.invalidate('steps', 'A template needs at least one step');
+    return next();
+  }
+
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    this.invalidate('steps', `Duplicate step key "${duplicate}"`);
+    return next();
+  }
+
+  for (const step of this.steps) {
+    const unknown = step.dependsOn.find(key => !keys.includes(key));
+    if (unknown) {
+      this.invalidate('steps', `Step "${step.key}" depends on unknown step "${unknown}"`);
+      return next();
+    }
+  }
+
+  // Repeatedly resolve steps whose dependencies are resolved; anything left over is a cycle
+  const resolved = new Set();
+  let progressed = true;
+  while (progressed) {
+    progressed = false;
+    this.steps.forEach(step => {
+      if (!resolved.has(step.key) && step.dependsOn.every(key => resolved.has(key))) {
+        resolved.add(step.key);
+        progressed = true;
+      }
+    });
+  }
+  if (resolved.size !== keys.length) {
+    this.invalidate('steps', 'Step dependencies contain a cycle');
+  }
+
+  next();
+});
+
+// Index for better query performance
+onboardingTemplateSchema.index({ isActive: 1, isDefault: 1 });
+
+module.exports = mongoose.model('OnboardingTemplate', onboardingTemplateSchema);
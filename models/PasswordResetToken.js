@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the emailed token - the raw token is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // welcome: the set-password link in a new joiner's welcome email
+  purpose: {
+    type: String,
+    enum: ['reset', 'welcome'],
+    default: 'reset'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  requestedIp: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+passwordResetTokenSchema.index({ userId: 1, usedAt: 1 });
+// Expired tokens are removed by MongoDB automatically
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
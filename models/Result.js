@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { softDeletePlugin } = require("../utils/softDelete");
 
 const ResultSchema = new mongoose.Schema(
   {
@@ -55,6 +56,12 @@ const ResultSchema = new mongoose.Schema(
       ref: "User",
       required: true
     },
+    // Set when the result was uploaded by a machine client
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      default: null
+    },
     status: {
       type: String,
       enum: ['passed', 'failed', 'pending'],
@@ -86,4 +93,7 @@ ResultSchema.index({ author_id: 1, exam_type: 1 }, { unique: true }); // Ensure
 ResultSchema.index({ exam_type: 1, exam_date: -1 });
 ResultSchema.index({ uploaded_at: -1 });
 
+// Deleted records go to the trash (deletedAt/deletedBy) and are hidden from queries
+ResultSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model("Result", ResultSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Admin-edited permission set for a role; roles without a document use the defaults in config/permissions.js
+const rolePermissionSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['admin', 'master_trainer', 'trainer', 'trainee', 'boa'],
+    required: true,
+    unique: true
+  },
+  permissions: [{
+    type: String,
+    trim: true
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RolePermission', rolePermissionSchema);
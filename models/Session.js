@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token - the raw token is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the token that was rotated out, kept to detect refresh token reuse
+  previousRefreshTokenHash: {
+    type: String,
+    default: null
+  },
+  // When the refresh token was last rotated; the previous token stays usable for a
+  // few seconds after it (REFRESH_REUSE_GRACE_SECONDS) so concurrent refreshes agree
+  rotatedAt: {
+    type: Date,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // How the user signed in
+  authMethod: {
+    type: String,
+    enum: ['password', 'oidc'],
+    default: 'password'
+  },
+  // Single sign-on session whose ID token proved MFA at a trusted provider
+  // (OIDC_TRUST_PROVIDER_MFA); it stands in for the app's own mandatory 2FA
+  mfaByProvider: {
+    type: Boolean,
+    default: false
+  },
+  // Set on "view as user" sessions started by an admin; userId is the impersonated user
+  impersonatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  impersonationReason: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'deactivated', 'role_changed', 'password_changed', 'two_factor_changed', 'token_reuse', 'impersonation_ended', 'merged', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+sessionSchema.index({ impersonatedBy: 1, createdAt: -1 });
+// Expired sessions are removed by MongoDB automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used to authorize requests
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
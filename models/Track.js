@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A role track joiners train for (Joiner.role_assign holds the code)
+const trackSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{1,20}$/, 'Code may only contain letters, digits, "_" and "-" (up to 20)']
+  },
+  name: {
+    type: String,
+    required: [true, 'Display name is required'],
+    trim: true,
+    maxlength: [100, 'Display name cannot exceed 100 characters']
+  },
+  // Other spellings that resolve to this track, such as the role names used in Darwinbox
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: [100, 'Alias cannot exceed 100 characters']
+  }],
+  // Inactive tracks stay on existing joiners and batches but cannot be given to new ones
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+trackSchema.index({ code: 1 }, { unique: true });
+
+module.exports = mongoose.model('Track', trackSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Per-role switch that makes two-factor authentication mandatory
+const twoFactorPolicySchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ['admin', 'master_trainer', 'boa'],
+    required: true,
+    unique: true
+  },
+  required: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TwoFactorPolicy', twoFactorPolicySchema);
@@ -1,52 +1,90 @@
 const mongoose = require("mongoose");
 const crypto = require("crypto");
 
+const USER_STATUSES = ['active', 'pending_assignment', 'inactive'];
+const ACCOUNT_STATUSES = ["active", "inactive", "suspended", "deactivated"];
+const GENRES = ["male", "female", "other"];
+
+// Older records stored genre as free text ("Male", "F", ""), keep them readable
+const normalizeGenre = (value) => {
+  if (value === undefined || value === null) return null;
+  const genre = value.toString().trim().toLowerCase();
+  if (!genre) return null;
+  if (genre === 'm' || genre === 'male') return 'male';
+  if (genre === 'f' || genre === 'female') return 'female';
+  return 'other';
+};
+
+// Single user model for the `users` collection. Joiner-specific data (Darwinbox
+// departments, joining status, onboarding checklist) lives on the Joiner record
+// referenced by joinerId and is not duplicated here.
 const UserSchema = new mongoose.Schema(
   {
-    author_id: { 
-      type: String, 
-      required: true, 
-      unique: true, 
-      default: () => crypto.randomUUID() 
+    author_id: {
+      type: String,
+      required: true,
+      unique: true,
+      default: () => crypto.randomUUID()
     },
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
     profileImageUrl: { type: String, default: null },
-    role: { 
-      type: String, 
-      enum: ["admin", "master_trainer", "trainer", "trainee", "boa"], 
-      required: true 
+    role: {
+      type: String,
+      enum: ["admin", "master_trainer", "trainer", "trainee", "boa"],
+      required: true
     },
-    // For trainers and trainees
-    assignedTrainer: { 
-      type: mongoose.Schema.Types.ObjectId, 
-      ref: "User", 
-      default: null 
+
+    // Reference to Joiner record for role-specific data
+    joinerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Joiner",
+      default: null
+    },
+
+    // For trainers and trainees - assignment relationships
+    assignedTrainer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
     },
-    // For master trainers and trainers
-    assignedTrainees: { 
-      type: [{ 
-        type: mongoose.Schema.Types.ObjectId, 
-        ref: "User" 
+    assignedTrainees: {
+      type: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
       }],
       default: []
     },
-    // User status
+
+    // Trainers: how many trainees they take (null = TRAINER_DEFAULT_CAPACITY) and
+    // what auto-assignment matches them on; no tracks or campus means any
+    traineeCapacity: { type: Number, min: 0, default: null },
+    trainerTracks: { type: [String], default: [] },
+    trainerCampus: { type: mongoose.Schema.Types.ObjectId, ref: "Campus", default: null },
+
+    // User status and activity
     isActive: { type: Boolean, default: true },
+    status: {
+      type: String,
+      enum: USER_STATUSES,
+      default: 'active'
+    },
     lastClockIn: { type: Date, default: null },
     lastClockOut: { type: Date, default: null },
-    
+    lastLoginAt: { type: Date, default: null },
+    lastActivityAt: { type: Date, default: null }, // updated by protect(), throttled
+
     // Account management
-    accountStatus: { 
-      type: String, 
-      enum: ["active", "inactive", "suspended", "deactivated"], 
-      default: "active" 
+    accountStatus: {
+      type: String,
+      enum: ACCOUNT_STATUSES,
+      default: "active"
     },
     deactivatedAt: { type: Date, default: null },
     deactivatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
     deactivationReason: { type: String, default: null },
-    
+
     // Role management
     roleHistory: [{
       role: { type: String, required: true },
@@ -54,54 +92,93 @@ const UserSchema = new mongoose.Schema(
       assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
       reason: { type: String, default: null }
     }],
-    
-    // Admin invite system
+
+    // Account creation info
+    accountCreatedAt: { type: Date, default: Date.now },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
     invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
-    inviteToken: { type: String, default: null },
-    inviteExpiresAt: { type: Date, default: null },
-    // Additional fields for trainees
+
+    // Additional fields for comprehensive user data
     employeeId: { type: String, unique: true, sparse: true },
-    department: { type: String, default: null },
-    joiningDate: { type: Date, default: Date.now },
     phone: { type: String, default: null },
-    genre: { type: String, default: null },
-    
-    // Fields from joiners table
-    date_of_joining: { type: Date, default: null },
-    candidate_name: { type: String, default: null },
-    phone_number: { type: String, default: null },
-    candidate_personal_mail_id: { type: String, default: null },
-    top_department_name_as_per_darwinbox: { type: String, default: null },
-    department_name_as_per_darwinbox: { type: String, default: null },
-    joining_status: { type: String, default: null },
-    role_type: { type: String, default: null },
-    role_assign: { type: String, default: null },
+    joiningDate: { type: Date, default: Date.now },
+    genre: {
+      type: String,
+      enum: [...GENRES, null],
+      default: null,
+      set: normalizeGenre
+    },
     qualification: { type: String, default: null },
-    status: { type: String, default: 'active' },
-    accountCreated: { type: Boolean, default: false },
-    accountCreatedAt: { type: Date, default: null },
-    createdBy: { type: String, ref: "User", default: null },
-    
-    // Password management
-    tempPassword: { type: String, default: null }, // Temporary password for new accounts
-    passwordChanged: { type: Boolean, default: false }, // Track if user changed their password
-    
-    // Array fields
-    onboardingChecklist: [{
-      welcomeEmailSent: { type: Boolean, default: false },
-      credentialsGenerated: { type: Boolean, default: false },
-      accountActivated: { type: Boolean, default: false },
-      trainingAssigned: { type: Boolean, default: false },
-      documentsSubmitted: { type: Boolean, default: false }
-    }],
+    roleAssign: { type: String, default: null },
+    department: { type: String, default: null },
+
+    // Learning and demo records kept on the user document
     company_allocated_details: { type: [mongoose.Schema.Types.Mixed], default: [] },
     dayPlanTasks: { type: [mongoose.Schema.Types.Mixed], default: [] },
     fortnightExams: { type: [mongoose.Schema.Types.Mixed], default: [] },
     dailyQuizzes: { type: [mongoose.Schema.Types.Mixed], default: [] },
     courseLevelExams: { type: [mongoose.Schema.Types.Mixed], default: [] },
     demo_managements_details: { type: [mongoose.Schema.Types.Mixed], default: [] },
+
+    // Password management
+    passwordChanged: { type: Boolean, default: false },
+    tempPassword: { type: String, default: null }, // Temporary password for new accounts
+
+    // Single sign-on identity linked on first OIDC login
+    oidcIssuer: { type: String, default: null },
+    oidcSubject: { type: String, default: null },
+
+    // Two-factor authentication (TOTP) - secrets are never returned unless explicitly selected
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorEnabledAt: { type: Date, default: null },
+    twoFactorSecret: { type: String, default: null, select: false },
+    twoFactorPendingSecret: { type: String, default: null, select: false },
+    twoFactorRecoveryCodes: { type: [String], default: [], select: false }, // SHA-256 hashes
+    twoFactorLastUsedStep: { type: Number, default: null, select: false }, // blocks code replay
   },
-  { timestamps: true }
+  { timestamps: true, collection: 'users' }
 );
 
-module.exports = mongoose.model("User", UserSchema);
+// Index for better query performance
+UserSchema.index({ oidcIssuer: 1, oidcSubject: 1 }, { sparse: true });
+
+// Virtual to get joiner data
+UserSchema.virtual('joinerData', {
+  ref: 'Joiner',
+  localField: 'joinerId',
+  foreignField: '_id',
+  justOne: true
+});
+
+// Method to get full user data with joiner information
+UserSchema.methods.getFullData = async function() {
+  await this.populate('joinerId');
+  return {
+    ...this.toObject(),
+    joinerData: this.joinerId
+  };
+};
+
+// Method to update role and handle joiner reference
+UserSchema.methods.updateRole = async function(newRole, joinerId = null) {
+  this.role = newRole;
+  if (joinerId) {
+    this.joinerId = joinerId;
+  }
+  return this.save();
+};
+
+// Static method to create user with joiner reference
+UserSchema.statics.createWithJoiner = async function(userData, joinerId) {
+  const user = new this(userData);
+  user.joinerId = joinerId;
+  return user.save();
+};
+
+const User = mongoose.model("User", UserSchema);
+
+User.USER_STATUSES = USER_STATUSES;
+User.ACCOUNT_STATUSES = ACCOUNT_STATUSES;
+User.normalizeGenre = normalizeGenre;
+
+module.exports = User;
@@ -1,5 +1,5 @@
 const express = require('express');
-const { protect, adminOnly } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
 const {
   createAdmin,
   promoteUser,
@@ -7,6 +7,7 @@ const {
   reactivateUser,
   getAllUsers,
   getUserRoleHistory,
+  getUserLoginHistory,
   getSystemStats,
   createTraineeAccount,
   getPendingUsers,
@@ -14,39 +15,117 @@ const {
   checkStatus,
   getDeactivatedUsers,
   getDeactivatedUserDetails,
-  reinstateUser
+  reinstateUser,
+  createInvite,
+  getInvites,
+  resendInvite,
+  revokeInvite,
+  getLockedAccounts,
+  unlockAccount,
+  getTwoFactorPolicySettings,
+  updateTwoFactorPolicy,
+  resetUserTwoFactor,
+  getPermissionSettings,
+  updateRolePermissions,
+  resetRolePermissions,
+  createApiKey,
+  getApiKeys,
+  revokeApiKey
 } = require('../controllers/adminController');
+const {
+  startImpersonation,
+  getImpersonationSessions,
+  endImpersonation,
+  getImpersonationLogs
+} = require('../controllers/impersonationController');
+const {
+  getTrash,
+  restoreTrashItem,
+  purgeTrashItem,
+  purgeExpiredTrashItems
+} = require('../controllers/trashController');
+const {
+  getEmailTemplates,
+  getEmailTemplateByKey,
+  updateEmailTemplate,
+  resetEmailTemplate,
+  previewEmailTemplate
+} = require('../controllers/emailTemplateController');
 
 const router = express.Router();
 
 // Create admin account (public route with invite token)
 router.post('/create', createAdmin);
 
-// All other routes require authentication and admin role
+// All other routes require authentication; each route checks its own permission
 router.use(protect);
-router.use(adminOnly);
 
 // User management
-router.get('/users', getAllUsers);
-router.get('/pending-users', getPendingUsers);
-router.get('/users/:userId/role-history', getUserRoleHistory);
-router.put('/users/promote', promoteUser);
-router.put('/users/deactivate', deactivateUser);
-router.put('/users/reactivate', reactivateUser);
-router.post('/users/create-trainee', createTraineeAccount);
+router.get('/users', requirePermission('users:manage'), getAllUsers);
+router.get('/pending-users', requirePermission('users:manage'), getPendingUsers);
+router.get('/users/:userId/role-history', requirePermission('users:manage'), getUserRoleHistory);
+router.get('/users/:userId/logins', requirePermission('users:manage'), getUserLoginHistory);
+router.put('/users/promote', requirePermission('users:manage'), promoteUser);
+router.put('/users/deactivate', requirePermission('users:manage'), deactivateUser);
+router.put('/users/reactivate', requirePermission('users:manage'), reactivateUser);
+router.post('/users/create-trainee', requirePermission('users:manage'), createTraineeAccount);
 
 // System statistics
-router.get('/stats', getSystemStats);
+router.get('/stats', requirePermission('system:stats'), getSystemStats);
 
 // Fix joiner statuses
-router.post('/fix-joiner-statuses', fixJoinerStatuses);
+router.post('/fix-joiner-statuses', requirePermission('system:maintenance'), fixJoinerStatuses);
 
 // Check current status
-router.get('/check-status', checkStatus);
+router.get('/check-status', requirePermission('system:stats'), checkStatus);
 
 // Deactivated users management
-router.get('/deactivated-users', getDeactivatedUsers);
-router.get('/deactivated-users/:id', getDeactivatedUserDetails);
-router.put('/deactivated-users/:id/reinstate', reinstateUser);
+router.get('/deactivated-users', requirePermission('users:manage'), getDeactivatedUsers);
+router.get('/deactivated-users/:id', requirePermission('users:manage'), getDeactivatedUserDetails);
+router.put('/deactivated-users/:id/reinstate', requirePermission('users:manage'), reinstateUser);
+
+// Invites
+router.post('/invites', requirePermission('invites:manage'), createInvite);
+router.get('/invites', requirePermission('invites:manage'), getInvites);
+router.post('/invites/:id/resend', requirePermission('invites:manage'), resendInvite);
+router.put('/invites/:id/revoke', requirePermission('invites:manage'), revokeInvite);
+
+// Email templates (welcome email)
+router.get('/email-templates', requirePermission('email_templates:manage'), getEmailTemplates);
+router.get('/email-templates/:key', requirePermission('email_templates:manage'), getEmailTemplateByKey);
+router.put('/email-templates/:key', requirePermission('email_templates:manage'), updateEmailTemplate);
+router.delete('/email-templates/:key', requirePermission('email_templates:manage'), resetEmailTemplate);
+router.post('/email-templates/:key/preview', requirePermission('email_templates:manage'), previewEmailTemplate);
+
+// Login lockouts
+router.get('/locked-accounts', requirePermission('security:manage'), getLockedAccounts);
+router.put('/locked-accounts/:id/unlock', requirePermission('security:manage'), unlockAccount);
+
+// Two-factor authentication
+router.get('/two-factor/policies', requirePermission('security:manage'), getTwoFactorPolicySettings);
+router.put('/two-factor/policies/:role', requirePermission('security:manage'), updateTwoFactorPolicy);
+router.put('/users/:userId/two-factor/reset', requirePermission('security:manage'), resetUserTwoFactor);
+
+// Role permissions
+router.get('/permissions', requirePermission('permissions:manage'), getPermissionSettings);
+router.put('/permissions/:role', requirePermission('permissions:manage'), updateRolePermissions);
+router.delete('/permissions/:role', requirePermission('permissions:manage'), resetRolePermissions);
+
+// API keys for machine clients
+router.post('/api-keys', requirePermission('api_keys:manage'), createApiKey);
+router.get('/api-keys', requirePermission('api_keys:manage'), getApiKeys);
+router.put('/api-keys/:id/revoke', requirePermission('api_keys:manage'), revokeApiKey);
+
+// "View as user" impersonation
+router.post('/impersonation', requirePermission('users:impersonate'), startImpersonation);
+router.get('/impersonation', requirePermission('users:impersonate'), getImpersonationSessions);
+router.get('/impersonation/logs', requirePermission('users:impersonate'), getImpersonationLogs);
+router.put('/impersonation/:id/end', requirePermission('users:impersonate'), endImpersonation);
+
+// Trash (soft-deleted joiners, results, campuses, MCQ deployments and allocations)
+router.get('/trash', requirePermission('trash:manage'), getTrash);
+router.delete('/trash/expired', requirePermission('trash:manage'), purgeExpiredTrashItems);
+router.put('/trash/:type/:id/restore', requirePermission('trash:manage'), restoreTrashItem);
+router.delete('/trash/:type/:id', requirePermission('trash:manage'), purgeTrashItem);
 
 module.exports = router;
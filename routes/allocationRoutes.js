@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, requireRoles } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
 const {
   createAllocation,
   getAllocations,
@@ -11,11 +11,11 @@ const {
 } = require('../controllers/allocationController');
 
 // Master Trainer and BOA routes
-router.post('/', protect, requireRoles(['master_trainer', 'boa']), createAllocation);
-router.get('/debug', protect, requireRoles(['master_trainer', 'boa']), debugAllocations);
-router.get('/', protect, requireRoles(['master_trainer', 'boa', 'trainer', 'trainee']), getAllocations);
-router.get('/:id', protect, requireRoles(['master_trainer', 'boa', 'trainer', 'trainee']), getAllocationById);
-router.put('/:id', protect, requireRoles(['master_trainer', 'boa']), updateAllocation);
-router.delete('/:id', protect, requireRoles(['master_trainer', 'boa']), deleteAllocation);
+router.post('/', protect, requirePermission('allocations:write'), createAllocation);
+router.get('/debug', protect, requirePermission('allocations:write'), debugAllocations);
+router.get('/', protect, requirePermission('allocations:read'), getAllocations);
+router.get('/:id', protect, requirePermission('allocations:read'), getAllocationById);
+router.put('/:id', protect, requirePermission('allocations:write'), updateAllocation);
+router.delete('/:id', protect, requirePermission('allocations:write'), deleteAllocation);
 
 module.exports = router;
@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect, masterTrainerOnly, trainerOnly, traineeOnly, requireRoles } = require("../middlewares/authMiddleware");
+const { protect, requirePermission } = require("../middlewares/authMiddleware");
 const {
   createAssignment,
   getAssignments,
@@ -10,24 +10,36 @@ const {
   acknowledgeAssignment,
   completeAssignment,
   getAvailableTrainers,
+  getTrainerCapacity,
+  updateTrainerCapacity,
+  autoAssignTrainees,
   getUnassignedTrainees,
+  transferTrainee,
+  cancelScheduledTransfer,
+  getTraineeAssignmentTimeline,
   syncAssignmentsToUsers
 } = require("../controllers/assignmentController");
 
 // Admin, Master Trainer and BOA routes
-router.post("/", protect, requireRoles(["admin", "master_trainer", "boa"]), createAssignment);
-router.get("/", protect, requireRoles(["admin", "master_trainer", "boa"]), getAssignments);
-router.get("/trainers/available", protect, requireRoles(["admin", "master_trainer", "boa"]), getAvailableTrainers);
-router.get("/trainees/unassigned", protect, requireRoles(["admin", "master_trainer", "boa"]), getUnassignedTrainees);
-router.post("/sync", protect, requireRoles(["admin", "master_trainer", "boa"]), syncAssignmentsToUsers);
-router.put("/:id", protect, requireRoles(["admin", "master_trainer", "boa"]), updateAssignment);
-router.put("/:id/complete", protect, requireRoles(["admin", "master_trainer", "boa"]), completeAssignment);
+router.post("/", protect, requirePermission("assignments:manage"), createAssignment);
+router.get("/", protect, requirePermission("assignments:manage"), getAssignments);
+router.get("/trainers/available", protect, requirePermission("assignments:manage"), getAvailableTrainers);
+router.get("/trainers/capacity", protect, requirePermission("assignments:manage"), getTrainerCapacity);
+router.put("/trainers/:trainerId/capacity", protect, requirePermission("assignments:manage"), updateTrainerCapacity);
+router.post("/auto-assign", protect, requirePermission("assignments:manage"), autoAssignTrainees);
+router.get("/trainees/unassigned", protect, requirePermission("assignments:manage"), getUnassignedTrainees);
+router.get("/trainees/:traineeId/timeline", protect, requirePermission("assignments:manage"), getTraineeAssignmentTimeline);
+router.post("/transfer", protect, requirePermission("assignments:manage"), transferTrainee);
+router.delete("/transfers/:id", protect, requirePermission("assignments:manage"), cancelScheduledTransfer);
+router.post("/sync", protect, requirePermission("assignments:manage"), syncAssignmentsToUsers);
+router.put("/:id", protect, requirePermission("assignments:manage"), updateAssignment);
+router.put("/:id/complete", protect, requirePermission("assignments:manage"), completeAssignment);
 
 // Trainer routes
-router.get("/trainer", protect, trainerOnly, getTrainerAssignment);
-router.put("/:id/acknowledge", protect, trainerOnly, acknowledgeAssignment);
+router.get("/trainer", protect, requirePermission("assignments:read_own"), getTrainerAssignment);
+router.put("/:id/acknowledge", protect, requirePermission("assignments:acknowledge"), acknowledgeAssignment);
 
 // Trainee routes
-router.get("/trainee", protect, traineeOnly, getTraineeAssignment);
+router.get("/trainee", protect, requirePermission("assignments:read_own"), getTraineeAssignment);
 
 module.exports = router;
@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect, trainerOnly, requireRoles } = require("../middlewares/authMiddleware");
+const { protect, requirePermission } = require("../middlewares/authMiddleware");
 const {
   clockIn,
   clockOut,
@@ -11,13 +11,13 @@ const {
 } = require("../controllers/attendanceController");
 
 // Clock in/out routes (Trainers and Trainees)
-router.post("/clock-in", protect, requireRoles(["trainer", "trainee"]), clockIn);
-router.post("/clock-out", protect, requireRoles(["trainer", "trainee"]), clockOut);
-router.get("/today", protect, requireRoles(["trainer", "trainee"]), getTodayAttendance);
-router.get("/history", protect, requireRoles(["trainer", "trainee"]), getAttendanceHistory);
+router.post("/clock-in", protect, requirePermission("attendance:clock"), clockIn);
+router.post("/clock-out", protect, requirePermission("attendance:clock"), clockOut);
+router.get("/today", protect, requirePermission("attendance:clock"), getTodayAttendance);
+router.get("/history", protect, requirePermission("attendance:clock"), getAttendanceHistory);
 
 // Trainer-specific routes
-router.get("/trainees", protect, trainerOnly, getTraineeAttendance);
-router.put("/validate/:id", protect, trainerOnly, validateAttendance);
+router.get("/trainees", protect, requirePermission("attendance:validate"), getTraineeAttendance);
+router.put("/validate/:id", protect, requirePermission("attendance:validate"), validateAttendance);
 
 module.exports = router;
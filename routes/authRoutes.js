@@ -1,6 +1,28 @@
 const express = require("express");
-const { registerUser, loginUser, getUserProfile, updateUserProfile, changePassword } = require("../controllers/authControllerNew");
-const { protect } = require("../middlewares/authMiddleware");
+const {
+  registerUser,
+  loginUser,
+  refreshAccessToken,
+  logoutUser,
+  logoutAllSessions,
+  verifyTwoFactorLogin,
+  requestPasswordReset,
+  resetPassword,
+  getUserProfile,
+  getMyPermissions,
+  updateUserProfile,
+  changePassword
+} = require("../controllers/authControllerNew");
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require("../controllers/twoFactorController");
+const { endCurrentImpersonation } = require("../controllers/impersonationController");
+const { getOidcStatus, createOidcLinkToken, startOidcLogin, oidcCallback } = require("../controllers/oidcController");
+const { protect, requireTrustedOrigin } = require("../middlewares/authMiddleware");
 const upload = require("../middlewares/uploadMiddleware");
 
 const router = express.Router();
@@ -8,7 +30,28 @@ const router = express.Router();
 // Auth Routes
 router.post("/register", registerUser);   // Register User
 router.post("/login", loginUser);         // Login User
+router.post("/refresh", requireTrustedOrigin, refreshAccessToken); // Rotate refresh token, issue new access token
+router.post("/logout", protect, logoutUser); // Log out current session
+router.post("/logout-all", protect, logoutAllSessions); // Log out everywhere
+router.post("/impersonation/end", protect, endCurrentImpersonation); // Leave "view as user" mode
+router.post("/forgot-password", requestPasswordReset); // Email a one-time reset link
+router.post("/reset-password", resetPassword); // Set a new password with the reset token
+
+// OpenID Connect single sign-on (authorization-code flow with PKCE)
+router.get("/oidc", getOidcStatus); // Whether SSO is enabled and the provider name
+router.post("/oidc/link", protect, createOidcLinkToken); // Password-confirmed token to link the signed-in account
+router.get("/oidc/login", startOidcLogin); // Redirects to the identity provider; ?link= links instead of logging in
+router.get("/oidc/callback", oidcCallback); // Provider redirects back here; sets the refresh cookie
+
+// Two-factor authentication
+router.post("/2fa/verify", verifyTwoFactorLogin); // Second login step (TOTP or recovery code)
+router.get("/2fa", protect, getTwoFactorStatus);
+router.post("/2fa/setup", protect, setupTwoFactor); // Admin, Master Trainer and BOA only (checked in controller)
+router.post("/2fa/enable", protect, enableTwoFactor);
+router.post("/2fa/disable", protect, disableTwoFactor);
+router.post("/2fa/recovery-codes", protect, regenerateRecoveryCodes);
 router.get("/profile", protect, getUserProfile);  // Get User Profile
+router.get("/permissions", protect, getMyPermissions); // Effective permissions of the current user
 router.put("/profile", protect, updateUserProfile); // Update Profile
 router.put("/change-password", protect, changePassword); // Change Password
 
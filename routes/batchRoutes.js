@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
+const {
+  createBatch,
+  getBatches,
+  getBatchById,
+  updateBatch,
+  deleteBatch,
+  getBatchMembers,
+  addBatchMembers,
+  removeBatchMember,
+  getBatchDashboard
+} = require('../controllers/batchController');
+
+router.use(protect);
+
+// Batches
+router.post('/', requirePermission('batches:write'), createBatch);
+router.get('/', requirePermission('batches:read'), getBatches);
+router.get('/:id', requirePermission('batches:read'), getBatchById);
+router.put('/:id', requirePermission('batches:write'), updateBatch);
+router.delete('/:id', requirePermission('batches:write'), deleteBatch);
+
+// Membership
+router.get('/:id/members', requirePermission('batches:read'), getBatchMembers);
+router.post('/:id/members', requirePermission('batches:write'), addBatchMembers);
+router.delete('/:id/members/:joinerId', requirePermission('batches:write'), removeBatchMember);
+
+// Batch dashboard
+router.get('/:id/dashboard', requirePermission('batches:read'), getBatchDashboard);
+
+module.exports = router;
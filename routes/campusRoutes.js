@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, requireRoles } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
 const {
   createCampus,
   getCampuses,
@@ -10,10 +10,10 @@ const {
 } = require('../controllers/campusController');
 
 // Master Trainer and BOA routes
-router.post('/', protect, requireRoles(['master_trainer', 'boa']), createCampus);
-router.get('/', protect, requireRoles(['master_trainer', 'boa', 'trainer']), getCampuses);
-router.get('/:id', protect, requireRoles(['master_trainer', 'boa', 'trainer']), getCampusById);
-router.put('/:id', protect, requireRoles(['master_trainer', 'boa']), updateCampus);
-router.delete('/:id', protect, requireRoles(['master_trainer', 'boa']), deleteCampus);
+router.post('/', protect, requirePermission('campuses:write'), createCampus);
+router.get('/', protect, requirePermission('campuses:read'), getCampuses);
+router.get('/:id', protect, requirePermission('campuses:read'), getCampusById);
+router.put('/:id', protect, requirePermission('campuses:write'), updateCampus);
+router.delete('/:id', protect, requirePermission('campuses:write'), deleteCampus);
 
 module.exports = router;
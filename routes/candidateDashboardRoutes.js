@@ -1,17 +1,17 @@
 const express = require('express');
-const { protect, adminOnly } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
 const { getCandidateDashboardData, getCandidateDashboardDetail } = require('../controllers/candidateDashboardController');
 
 const router = express.Router();
 
 // @route   POST /api/admin/candidate-dashboard
 // @desc    Get candidate dashboard data
-// @access  Private (Admin)
-router.post('/', protect, adminOnly, getCandidateDashboardData);
+// @access  Private (candidates:dashboard)
+router.post('/', protect, requirePermission('candidates:dashboard'), getCandidateDashboardData);
 
 // @route   POST /api/admin/candidate-dashboard/detail
 // @desc    Get detailed candidate dashboard data
-// @access  Private (Admin)
-router.post('/detail', protect, adminOnly, getCandidateDashboardDetail);
+// @access  Private (candidates:dashboard)
+router.post('/detail', protect, requirePermission('candidates:dashboard'), getCandidateDashboardDetail);
 
 module.exports = router;
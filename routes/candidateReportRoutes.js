@@ -1,28 +1,45 @@
 const express = require('express');
-const { protect, requireRoles } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
 const {
   validateAuthorId,
   bulkUploadCandidateReports,
   getCandidatePerformance,
   updateCandidateReport
 } = require('../controllers/candidateReportController');
+const {
+  getVersions,
+  getVersion,
+  getVersionDiff,
+  restoreVersion
+} = require('../controllers/versionController');
+const { uploadImportFile, prepareFileImport } = require('../middlewares/importFileMiddleware');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(protect);
 
-// Validate author_id exists in users collection (BOA only)
-router.post('/validate-author', requireRoles(['boa']), validateAuthorId);
+// Validate author_id exists in users collection
+router.post('/validate-author', requirePermission('candidate_reports:bulk_upload'), validateAuthorId);
+
+// Bulk upload candidate reports to separate collections
+router.post('/bulk-upload', requirePermission('candidate_reports:bulk_upload'), bulkUploadCandidateReports);
+
+// Bulk upload candidate reports from a CSV/XLSX file (one worksheet per report sheet)
+router.post('/bulk-upload/file', requirePermission('candidate_reports:bulk_upload'), uploadImportFile, prepareFileImport('candidate_reports'), bulkUploadCandidateReports);
 
-// Bulk upload candidate reports to separate collections (BOA only)
-router.post('/bulk-upload', requireRoles(['boa']), bulkUploadCandidateReports);
+// Get candidate performance data
+router.get('/performance/:authorId', requirePermission('candidate_reports:read'), getCandidatePerformance);
 
-// Get candidate performance data (Admin and Trainer)
-router.get('/performance/:authorId', requireRoles(['admin', 'trainer']), getCandidatePerformance);
+// Update candidate report (trainers can only update attendance and grooming for assigned trainees)
+router.put('/:authorId/:reportType', requirePermission('candidate_reports:write'), updateCandidateReport);
 
-// Update candidate report (Admin and Trainer - trainers can only update attendance and grooming for assigned trainees)
-router.put('/:authorId/:reportType', requireRoles(['admin', 'trainer']), updateCandidateReport);
+// Version history of a single report type (learning, attendance, grooming, interactions)
+const reportDocumentType = (req) => `${req.params.reportType.toLowerCase()}_report`;
+router.get('/:authorId/:reportType/versions', requirePermission('candidate_reports:read'), getVersions(reportDocumentType));
+router.get('/:authorId/:reportType/versions/diff', requirePermission('candidate_reports:read'), getVersionDiff(reportDocumentType));
+router.get('/:authorId/:reportType/versions/:version', requirePermission('candidate_reports:read'), getVersion(reportDocumentType));
+router.post('/:authorId/:reportType/versions/:version/restore', requirePermission('history:restore'), restoreVersion(reportDocumentType));
 
 module.exports = router;
 
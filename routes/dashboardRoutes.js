@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect, masterTrainerOnly, trainerOnly, traineeOnly } = require("../middlewares/authMiddleware");
+const { protect, requirePermission } = require("../middlewares/authMiddleware");
 const {
   getMasterTrainerDashboard,
   getTrainerDashboard,
@@ -8,8 +8,8 @@ const {
 } = require("../controllers/dashboardController");
 
 // Dashboard routes
-router.get("/master-trainer", protect, masterTrainerOnly, getMasterTrainerDashboard);
-router.get("/trainer", protect, trainerOnly, getTrainerDashboard);
-router.get("/trainee", protect, traineeOnly, getTraineeDashboard);
+router.get("/master-trainer", protect, requirePermission("dashboard:master_trainer"), getMasterTrainerDashboard);
+router.get("/trainer", protect, requirePermission("dashboard:trainer"), getTrainerDashboard);
+router.get("/trainee", protect, requirePermission("dashboard:trainee"), getTraineeDashboard);
 
 module.exports = router;
@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect, trainerOnly, traineeOnly, requireRoles } = require("../middlewares/authMiddleware");
+const { protect, requirePermission } = require("../middlewares/authMiddleware");
 const {
   createDayPlan,
   getDayPlans,
@@ -13,16 +13,16 @@ const {
 } = require("../controllers/dayPlanController");
 
 // Trainer and Master Trainer routes
-router.post("/", protect, trainerOnly, createDayPlan);
-router.get("/", protect, requireRoles(['trainer', 'master_trainer']), getDayPlans);
-router.get("/:id", protect, requireRoles(["trainer", "trainee"]), getDayPlan);
-router.put("/:id", protect, trainerOnly, updateDayPlan);
-router.put("/:id/publish", protect, trainerOnly, publishDayPlan);
-router.delete("/:id", protect, trainerOnly, deleteDayPlan);
+router.post("/", protect, requirePermission("day_plans:write"), createDayPlan);
+router.get("/", protect, requirePermission("day_plans:read"), getDayPlans);
+router.get("/:id", protect, requirePermission("day_plans:read", "day_plans:read_own"), getDayPlan);
+router.put("/:id", protect, requirePermission("day_plans:write"), updateDayPlan);
+router.put("/:id/publish", protect, requirePermission("day_plans:write"), publishDayPlan);
+router.delete("/:id", protect, requirePermission("day_plans:write"), deleteDayPlan);
 
 // Trainee routes
-router.get("/trainee/list", protect, traineeOnly, getTraineeDayPlans);
-router.get("/trainee/assigned", protect, trainerOnly, getTraineeDayPlans);
-router.put("/:id/tasks/:taskIndex", protect, traineeOnly, updateTaskStatus);
+router.get("/trainee/list", protect, requirePermission("day_plans:read_own"), getTraineeDayPlans);
+router.get("/trainee/assigned", protect, requirePermission("day_plans:read"), getTraineeDayPlans);
+router.put("/:id/tasks/:taskIndex", protect, requirePermission("day_plans:update_progress"), updateTaskStatus);
 
 module.exports = router;
@@ -1,36 +1,36 @@
 const express = require('express');
 const router = express.Router();
 const { upload, uploadDemo, getDemos, getDemoById, updateDemo, deleteDemo, masterReviewDemo, createOfflineDemo, updateOfflineDemo } = require('../controllers/demoControllerSimple');
-const { protect } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
 
 // Apply authentication middleware to all routes
 router.use(protect);
 
 // Upload demo
-router.post('/upload', upload.single('file'), uploadDemo);
+router.post('/upload', requirePermission('demos:submit'), upload.single('file'), uploadDemo);
 
 // Create offline demo
-router.post('/offline', createOfflineDemo);
+router.post('/offline', requirePermission('demos:review'), createOfflineDemo);
 
 // Update offline demo (for master trainer approval)
-router.put('/offline/:traineeId/:demoIndex', updateOfflineDemo);
+router.put('/offline/:traineeId/:demoIndex', requirePermission('demos:master_review'), updateOfflineDemo);
 
 // Get all demos
-router.get('/', getDemos);
+router.get('/', requirePermission('demos:read'), getDemos);
 
 // Get demo by ID
-router.get('/:id', getDemoById);
+router.get('/:id', requirePermission('demos:read'), getDemoById);
 
 // Update demo (for reviews)
-router.put('/:id', updateDemo);
+router.put('/:id', requirePermission('demos:review'), updateDemo);
 
 // Review demo (specific endpoint for trainer reviews)
-router.put('/:id/review', updateDemo);
+router.put('/:id/review', requirePermission('demos:review'), updateDemo);
 
 // Master trainer final review
-router.put('/:id/master-review', masterReviewDemo);
+router.put('/:id/master-review', requirePermission('demos:master_review'), masterReviewDemo);
 
 // Delete demo
-router.delete('/:id', deleteDemo);
+router.delete('/:id', requirePermission('demos:submit'), deleteDemo);
 
 module.exports = router;
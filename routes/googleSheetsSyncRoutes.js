@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { protect, requireRoles } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
 const {
   syncUsers,
   syncJoiners,
@@ -12,20 +12,20 @@ const {
 // All routes require authentication
 router.use(protect);
 
-// Get sync configuration status (Admin only)
-router.get('/config', requireRoles(['admin']), getSyncConfig);
+// Get sync configuration status
+router.get('/config', requirePermission('sheets_sync:manage'), getSyncConfig);
 
-// Sync Users (Admin only)
-router.post('/users', requireRoles(['admin']), syncUsers);
+// Sync Users
+router.post('/users', requirePermission('sheets_sync:manage'), syncUsers);
 
-// Sync Joiners (Admin/BOA)
-router.post('/joiners', requireRoles(['admin', 'boa']), syncJoiners);
+// Sync Joiners
+router.post('/joiners', requirePermission('sheets_sync:data'), syncJoiners);
 
-// Sync Candidate Reports (Admin/BOA)
-router.post('/candidate-reports', requireRoles(['admin', 'boa']), syncCandidateReports);
+// Sync Candidate Reports
+router.post('/candidate-reports', requirePermission('sheets_sync:data'), syncCandidateReports);
 
-// Sync All Data (Admin only)
-router.post('/all', requireRoles(['admin']), syncAll);
+// Sync All Data
+router.post('/all', requirePermission('sheets_sync:manage'), syncAll);
 
 module.exports = router;
 
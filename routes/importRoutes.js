@@ -0,0 +1,57 @@
+const express = require('express');
+const { protect, requirePermission, rejectApiKeys } = require('../middlewares/authMiddleware');
+const { uploadImportFile } = require('../middlewares/importFileMiddleware');
+const {
+  getImportTypes,
+  inspectImportFile,
+  getImportMappings,
+  createImportMapping,
+  updateImportMapping,
+  deleteImportMapping,
+  getImportSources,
+  getImportSourceById,
+  createImportSource,
+  updateImportSource,
+  deleteImportSource,
+  runImportSource,
+  getImportRuns,
+  getImportRunById,
+  rerunImportRun
+} = require('../controllers/importController');
+
+const router = express.Router();
+
+// All routes are protected; each handler also checks the permission of its import type
+router.use(protect);
+const canBulkUpload = requirePermission('joiners:bulk_upload', 'results:bulk_upload', 'candidate_reports:bulk_upload');
+
+// The server fetches source URLs on a schedule and imports them as the saving user,
+// so sources and their runs are for signed-in admins only, never API keys
+const canManageImports = [rejectApiKeys, requirePermission('imports:manage')];
+
+// Import types and their fields
+router.get('/types', canBulkUpload, getImportTypes);
+
+// Saved header mappings
+router.get('/mappings', canBulkUpload, getImportMappings);
+router.post('/mappings', canBulkUpload, createImportMapping);
+router.put('/mappings/:id', canBulkUpload, updateImportMapping);
+router.delete('/mappings/:id', canBulkUpload, deleteImportMapping);
+
+// Sheet sources imported on a schedule
+router.get('/sources', canManageImports, getImportSources);
+router.post('/sources', canManageImports, createImportSource);
+router.get('/sources/:id', canManageImports, getImportSourceById);
+router.put('/sources/:id', canManageImports, updateImportSource);
+router.delete('/sources/:id', canManageImports, deleteImportSource);
+router.post('/sources/:id/run', canManageImports, runImportSource);
+
+// Run history of the sources
+router.get('/runs', canManageImports, getImportRuns);
+router.get('/runs/:id', canManageImports, getImportRunById);
+router.post('/runs/:id/rerun', canManageImports, rerunImportRun);
+
+// Preview how an uploaded CSV/XLSX file would be mapped
+router.post('/:importType/inspect', canBulkUpload, uploadImportFile, inspectImportFile);
+
+module.exports = router;
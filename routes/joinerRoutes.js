@@ -1,5 +1,5 @@
 const express = require('express');
-const { protect, requireRoles } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
 const {
   createJoiner,
   getJoiners,
@@ -18,48 +18,98 @@ const {
   bulkUploadJoiners,
   testGoogleSheets
 } = require('../controllers/bulkJoinerController');
+const {
+  getVersions,
+  getVersion,
+  getVersionDiff,
+  restoreVersion
+} = require('../controllers/versionController');
+const {
+  getDuplicateGroups,
+  getJoinerDuplicates,
+  mergeJoiners
+} = require('../controllers/duplicateController');
+const {
+  getJoinerWelcomeEmail,
+  sendJoinerWelcomeEmail,
+  sendBulkWelcomeEmails
+} = require('../controllers/welcomeEmailController');
+const {
+  getStatusLifecycle,
+  changeJoinerStatus,
+  getJoinerTimeline
+} = require('../controllers/joinerStatusController');
+const { uploadImportFile, prepareFileImport } = require('../middlewares/importFileMiddleware');
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
 
-// Create a new joiner (BOA and Master Trainer only)
-router.post('/', requireRoles(['boa', 'master_trainer']), createJoiner);
+// Create a new joiner
+router.post('/', requirePermission('joiners:write'), createJoiner);
+
+// Get all joiners with filtering and pagination
+router.get('/', requirePermission('joiners:read'), getJoiners);
+
+// Get joiner statistics
+router.get('/stats', requirePermission('joiners:read'), getJoinerStats);
+
+// Duplicate detection and merge
+router.get('/duplicates', requirePermission('joiners:merge'), getDuplicateGroups);
+router.post('/merge', requirePermission('joiners:merge'), mergeJoiners);
+router.get('/:id/duplicates', requirePermission('joiners:merge'), getJoinerDuplicates);
+
+// Welcome emails
+router.post('/welcome-email/bulk', requirePermission('joiners:create_account'), sendBulkWelcomeEmails);
+router.get('/:id/welcome-email', requirePermission('joiners:read'), getJoinerWelcomeEmail);
+router.post('/:id/welcome-email', requirePermission('joiners:create_account'), sendJoinerWelcomeEmail);
+
+// Status lifecycle and timeline
+router.get('/status-lifecycle', requirePermission('joiners:read'), getStatusLifecycle);
+router.put('/:id/status', requirePermission('joiners:write'), changeJoinerStatus);
+router.get('/:id/timeline', requirePermission('joiners:read'), getJoinerTimeline);
 
-// Get all joiners with filtering and pagination (BOA and Master Trainer only)
-router.get('/', requireRoles(['boa', 'master_trainer']), getJoiners);
+// Get joiner by ID
+router.get('/:id', requirePermission('joiners:read'), getJoinerById);
 
-// Get joiner statistics (BOA and Master Trainer only)
-router.get('/stats', requireRoles(['boa', 'master_trainer']), getJoinerStats);
+// Update joiner
+router.put('/:id', requirePermission('joiners:write'), updateJoiner);
 
-// Get joiner by ID (BOA and Master Trainer only)
-router.get('/:id', requireRoles(['boa', 'master_trainer']), getJoinerById);
+// Delete joiner
+router.delete('/:id', requirePermission('joiners:delete'), deleteJoiner);
 
-// Update joiner (Admin, BOA and Master Trainer only)
-router.put('/:id', requireRoles(['admin', 'boa', 'master_trainer']), updateJoiner);
+// Joiner version history
+router.get('/:id/versions', requirePermission('joiners:read'), getVersions('joiner'));
+router.get('/:id/versions/diff', requirePermission('joiners:read'), getVersionDiff('joiner'));
+router.get('/:id/versions/:version', requirePermission('joiners:read'), getVersion('joiner'));
+router.post('/:id/versions/:version/restore', requirePermission('history:restore'), restoreVersion('joiner'));
 
-// Delete joiner (BOA and Master Trainer only)
-router.delete('/:id', requireRoles(['boa', 'master_trainer']), deleteJoiner);
+// Create user account for joiner
+router.post('/:id/create-account', requirePermission('joiners:create_account'), createUserAccount);
 
-// Create user account for joiner (BOA and Master Trainer only)
-router.post('/:id/create-account', requireRoles(['boa', 'master_trainer']), createUserAccount);
+// Bulk operations
+router.get('/test-sheets', requirePermission('joiners:bulk_upload'), testGoogleSheets);
+router.post('/validate-sheets', requirePermission('joiners:bulk_upload'), validateGoogleSheets);
+router.post('/bulk-upload', requirePermission('joiners:bulk_upload'), bulkUploadJoiners);
+router.post('/bulk-upload/file', requirePermission('joiners:bulk_upload'), uploadImportFile, prepareFileImport('joiners'), bulkUploadJoiners);
 
-// Bulk operations (BOA only)
-router.get('/test-sheets', requireRoles(['boa']), testGoogleSheets);
-router.post('/validate-sheets', requireRoles(['boa']), validateGoogleSheets);
-router.post('/bulk-upload', requireRoles(['boa']), bulkUploadJoiners);
+// Get candidate details by author_id
+router.get('/candidate-details/:authorId', requirePermission('joiners:read'), getCandidateDetailsByAuthorId);
 
-// Get candidate details by author_id (BOA only)
-router.get('/candidate-details/:authorId', requireRoles(['boa']), getCandidateDetailsByAuthorId);
+// Upload candidate reports from Google Sheets
+router.post('/candidate-details/:authorId/upload-reports', requirePermission('candidate_reports:bulk_upload'), uploadCandidateReports);
 
-// Upload candidate reports from Google Sheets (BOA only)
-router.post('/candidate-details/:authorId/upload-reports', requireRoles(['boa']), uploadCandidateReports);
+// Version history of a candidate's combined report
+router.get('/candidate-details/:authorId/reports/versions', requirePermission('joiners:read'), getVersions('candidate_report'));
+router.get('/candidate-details/:authorId/reports/versions/diff', requirePermission('joiners:read'), getVersionDiff('candidate_report'));
+router.get('/candidate-details/:authorId/reports/versions/:version', requirePermission('joiners:read'), getVersion('candidate_report'));
+router.post('/candidate-details/:authorId/reports/versions/:version/restore', requirePermission('history:restore'), restoreVersion('candidate_report'));
 
-// Validate Google Sheets for candidate reports (BOA only)
-router.post('/candidate-reports/validate-sheets', requireRoles(['boa']), validateCandidateReportsSheets);
+// Validate Google Sheets for candidate reports
+router.post('/candidate-reports/validate-sheets', requirePermission('candidate_reports:bulk_upload'), validateCandidateReportsSheets);
 
-// Bulk upload candidate reports from Google Sheets (BOA only)
-router.post('/candidate-reports/bulk-upload', requireRoles(['boa']), bulkUploadCandidateReports);
+// Bulk upload candidate reports from Google Sheets
+router.post('/candidate-reports/bulk-upload', requirePermission('candidate_reports:bulk_upload'), bulkUploadCandidateReports);
 
 module.exports = router;
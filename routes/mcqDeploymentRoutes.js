@@ -1,27 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const mcqController = require('../controllers/mcqDeploymentController');
-const { protect, adminOnly, traineeOnly, masterTrainerOnly, boaOnly } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
 
-// Admin routes (require admin role)
-router.get('/admin', protect, adminOnly, mcqController.getMCQDeployments);
-router.get('/admin/:id', protect, adminOnly, mcqController.getMCQDeploymentById);
-router.post('/admin', protect, adminOnly, mcqController.createMCQDeployment);
-router.put('/admin/:id', protect, adminOnly, mcqController.updateMCQDeployment);
-router.delete('/admin/:id', protect, adminOnly, mcqController.deleteMCQDeployment);
-router.get('/admin/:id/results', protect, adminOnly, mcqController.getDeploymentResults);
+// Deployment management routes
+router.get('/admin', protect, requirePermission('mcq:manage'), mcqController.getMCQDeployments);
+router.get('/admin/:id', protect, requirePermission('mcq:manage'), mcqController.getMCQDeploymentById);
+router.post('/admin', protect, requirePermission('mcq:manage'), mcqController.createMCQDeployment);
+router.put('/admin/:id', protect, requirePermission('mcq:manage'), mcqController.updateMCQDeployment);
+router.delete('/admin/:id', protect, requirePermission('mcq:manage'), mcqController.deleteMCQDeployment);
+router.get('/admin/:id/results', protect, requirePermission('mcq:manage'), mcqController.getDeploymentResults);
 
 // Master Trainer routes
-router.get('/master-trainer', protect, masterTrainerOnly, mcqController.getMCQDeployments);
+router.get('/master-trainer', protect, requirePermission('mcq:read'), mcqController.getMCQDeployments);
 
-// BOA routes (read-only access to deployments and results)
-router.get('/boa', protect, boaOnly, mcqController.getMCQDeployments);
-router.post('/boa/upload-results', protect, boaOnly, mcqController.uploadResults);
+// BOA routes (read-only access to deployments, results upload)
+router.get('/boa', protect, requirePermission('mcq:read'), mcqController.getMCQDeployments);
+router.post('/boa/upload-results', protect, requirePermission('mcq:upload_results'), mcqController.uploadResults);
 
 // Trainee routes
-router.get('/trainee', protect, traineeOnly, mcqController.getTraineeDeployments);
-router.get('/trainee/results', protect, traineeOnly, mcqController.getTraineeResults);
-router.post('/trainee/:deploymentId/start', protect, traineeOnly, mcqController.startMCQAssignment);
-router.post('/trainee/:deploymentId/submit', protect, traineeOnly, mcqController.submitMCQAnswers);
+router.get('/trainee', protect, requirePermission('mcq:take'), mcqController.getTraineeDeployments);
+router.get('/trainee/results', protect, requirePermission('mcq:take'), mcqController.getTraineeResults);
+router.post('/trainee/:deploymentId/start', protect, requirePermission('mcq:take'), mcqController.startMCQAssignment);
+router.post('/trainee/:deploymentId/submit', protect, requirePermission('mcq:take'), mcqController.submitMCQAnswers);
 
 module.exports = router;
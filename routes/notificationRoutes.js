@@ -7,21 +7,21 @@ const {
   markAllAsRead,
   deleteNotification
 } = require('../controllers/notificationController');
-const { protect, trainerOnly, masterTrainerOnly, traineeOnly, boaOnly } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
 
 // Get notifications for current user
-router.get('/', protect, getNotifications);
+router.get('/', protect, requirePermission('notifications:read'), getNotifications);
 
 // Get unread count only
-router.get('/unread-count', protect, getUnreadCount);
+router.get('/unread-count', protect, requirePermission('notifications:read'), getUnreadCount);
 
 // Mark specific notification as read
-router.patch('/:notificationId/read', protect, markAsRead);
+router.patch('/:notificationId/read', protect, requirePermission('notifications:read'), markAsRead);
 
 // Mark all notifications as read
-router.patch('/mark-all-read', protect, markAllAsRead);
+router.patch('/mark-all-read', protect, requirePermission('notifications:read'), markAllAsRead);
 
 // Delete notification
-router.delete('/:notificationId', protect, deleteNotification);
+router.delete('/:notificationId', protect, requirePermission('notifications:read'), deleteNotification);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect, masterTrainerOnly, trainerOnly, traineeOnly, requireRoles } = require("../middlewares/authMiddleware");
+const { protect, requirePermission } = require("../middlewares/authMiddleware");
 const {
   createObservation,
   getObservations,
@@ -14,18 +14,18 @@ const {
 } = require("../controllers/observationController");
 
 // Trainer routes
-router.post("/", protect, trainerOnly, createObservation);
-router.get("/", protect, trainerOnly, getObservations);
-router.get("/stats", protect, trainerOnly, getObservationStats);
-router.get("/:id", protect, requireRoles(["trainer", "trainee", "master_trainer"]), getObservation);
-router.put("/:id", protect, trainerOnly, updateObservation);
-router.put("/:id/submit", protect, trainerOnly, submitObservation);
+router.post("/", protect, requirePermission("observations:manage"), createObservation);
+router.get("/", protect, requirePermission("observations:manage"), getObservations);
+router.get("/stats", protect, requirePermission("observations:manage"), getObservationStats);
+router.get("/:id", protect, requirePermission("observations:read"), getObservation);
+router.put("/:id", protect, requirePermission("observations:manage"), updateObservation);
+router.put("/:id/submit", protect, requirePermission("observations:manage"), submitObservation);
 
 // Master Trainer routes
-router.get("/master-trainer/list", protect, masterTrainerOnly, getMasterTrainerObservations);
-router.put("/:id/review", protect, masterTrainerOnly, reviewObservation);
+router.get("/master-trainer/list", protect, requirePermission("observations:review"), getMasterTrainerObservations);
+router.put("/:id/review", protect, requirePermission("observations:review"), reviewObservation);
 
 // Trainee routes
-router.get("/trainee/list", protect, traineeOnly, getTraineeObservations);
+router.get("/trainee/list", protect, requirePermission("observations:read_own"), getTraineeObservations);
 
 module.exports = router;
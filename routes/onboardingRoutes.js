@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
+const {
+  getTemplates,
+  getTemplateById,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  getJoinerProgress,
+  startJoinerOnboarding,
+  updateJoinerStep,
+  getOverdueSteps
+} = require('../controllers/onboardingController');
+
+// Templates
+router.get('/templates', protect, requirePermission('onboarding:read', 'onboarding:manage'), getTemplates);
+router.get('/templates/:id', protect, requirePermission('onboarding:read', 'onboarding:manage'), getTemplateById);
+router.post('/templates', protect, requirePermission('onboarding:manage'), createTemplate);
+router.put('/templates/:id', protect, requirePermission('onboarding:manage'), updateTemplate);
+router.delete('/templates/:id', protect, requirePermission('onboarding:manage'), deleteTemplate);
+
+// Overdue steps across joiners
+router.get('/overdue', protect, requirePermission('onboarding:read', 'onboarding:manage'), getOverdueSteps);
+
+// Per-joiner progress (joinerId is the joiner _id or author_id)
+router.get('/joiners/:joinerId', protect, requirePermission('onboarding:read', 'onboarding:manage'), getJoinerProgress);
+router.post('/joiners/:joinerId/start', protect, requirePermission('onboarding:manage'), startJoinerOnboarding);
+router.put('/joiners/:joinerId/steps/:stepKey', protect, requirePermission('onboarding:update', 'onboarding:manage'), updateJoinerStep);
+
+module.exports = router;
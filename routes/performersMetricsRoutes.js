@@ -1,16 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { protect, requireRoles } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
 const {
   getAllCandidatesPerformance,
   getPerformersByCategory,
   getCandidatesByExamThreshold,
-  getCandidatesByLearningPhase
+  getCandidatesByLearningPhase,
+  getBatchPerformance
 } = require('../controllers/performersMetricsController');
 
-// All routes require authentication and admin role
+// All routes require authentication and performance metrics access
 router.use(protect);
-router.use(requireRoles(['admin']));
+router.use(requirePermission('performance_metrics:read'));
 
 // Get all candidates with performance metrics
 router.get('/candidates', getAllCandidatesPerformance);
@@ -24,5 +25,8 @@ router.get('/exam-threshold', getCandidatesByExamThreshold);
 // Get candidates by learning phase
 router.get('/learning-phase', getCandidatesByLearningPhase);
 
+// Get performance aggregated per batch
+router.get('/batches', getBatchPerformance);
+
 module.exports = router;
 
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
+const {
+  getReferenceData,
+  createReferenceData,
+  updateReferenceData
+} = require('../controllers/referenceDataController');
+
+// Departments and tracks (:kind = departments | tracks); everyone can read them for forms
+router.get('/:kind', protect, getReferenceData);
+router.post('/:kind', protect, requirePermission('reference_data:manage'), createReferenceData);
+router.put('/:kind/:id', protect, requirePermission('reference_data:manage'), updateReferenceData);
+
+module.exports = router;
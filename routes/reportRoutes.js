@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, masterTrainerOnly, trainerOnly, requireRoles } = require("../middlewares/authMiddleware");
+const { protect, requirePermission } = require("../middlewares/authMiddleware");
 const {
   generateAttendanceReport,
   generateDayPlanComplianceReport,
@@ -11,18 +11,18 @@ const {
 const router = express.Router();
 
 // Attendance reports
-router.get("/attendance", protect, requireRoles(["master_trainer", "trainer"]), generateAttendanceReport);
+router.get("/attendance", protect, requirePermission("reports:read"), generateAttendanceReport);
 
 // Day plan compliance reports
-router.get("/day-plan-compliance", protect, requireRoles(["master_trainer", "trainer"]), generateDayPlanComplianceReport);
+router.get("/day-plan-compliance", protect, requirePermission("reports:read"), generateDayPlanComplianceReport);
 
 // Observation reports
-router.get("/observations", protect, requireRoles(["master_trainer", "trainer"]), generateObservationReport);
+router.get("/observations", protect, requirePermission("reports:read"), generateObservationReport);
 
-// Assignment reports (Master Trainer only)
-router.get("/assignments", protect, masterTrainerOnly, generateAssignmentReport);
+// Assignment reports
+router.get("/assignments", protect, requirePermission("reports:assignments"), generateAssignmentReport);
 
-// Audit log (Master Trainer only)
-router.get("/audit", protect, masterTrainerOnly, generateAuditLog);
+// Audit log
+router.get("/audit", protect, requirePermission("audit:read"), generateAuditLog);
 
 module.exports = router;
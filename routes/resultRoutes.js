@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect, requireRoles } = require("../middlewares/authMiddleware");
+const { protect, requirePermission } = require("../middlewares/authMiddleware");
 const {
   getResults,
   getResultById,
@@ -11,6 +11,13 @@ const {
   debugUserExams,
   getExamStatistics
 } = require("../controllers/resultController");
+const {
+  getVersions,
+  getVersion,
+  getVersionDiff,
+  restoreVersion
+} = require("../controllers/versionController");
+const { uploadImportFile, prepareFileImport } = require("../middlewares/importFileMiddleware");
 
 const router = express.Router();
 
@@ -18,15 +25,20 @@ const router = express.Router();
 router.use(protect);
 
 // Results Management Routes
-router.get("/", requireRoles(["master_trainer", "boa", "trainer"]), getResults); // Get all results
-router.get("/my-results", requireRoles(["trainee"]), getResults); // Get trainee's own results
-router.get("/statistics", requireRoles(["master_trainer", "boa"]), getExamStatistics); // Get exam statistics
-router.get("/debug-user/:authorId", requireRoles(["master_trainer", "boa"]), debugUserExams); // Debug user exams
-router.get("/:id", requireRoles(["master_trainer", "boa", "trainer"]), getResultById); // Get result by ID
-router.post("/", requireRoles(["master_trainer", "boa"]), createResult); // Create a new result
-router.post("/bulk-upload", requireRoles(["master_trainer", "boa"]), bulkUploadResults); // Bulk upload results
-router.post("/validate-sheets", requireRoles(["master_trainer", "boa"]), validateSheets); // Validate Google Sheets
-router.put("/:id", requireRoles(["master_trainer", "boa"]), updateResult); // Update result
-router.delete("/:id", requireRoles(["master_trainer", "boa"]), deleteResult); // Delete result
+router.get("/", requirePermission("results:read"), getResults); // Get all results
+router.get("/my-results", requirePermission("results:read_own"), getResults); // Get trainee's own results
+router.get("/statistics", requirePermission("results:statistics"), getExamStatistics); // Get exam statistics
+router.get("/debug-user/:authorId", requirePermission("results:statistics"), debugUserExams); // Debug user exams
+router.get("/:id", requirePermission("results:read"), getResultById); // Get result by ID
+router.post("/", requirePermission("results:write"), createResult); // Create a new result
+router.post("/bulk-upload", requirePermission("results:bulk_upload"), bulkUploadResults); // Bulk upload results
+router.post("/bulk-upload/file", requirePermission("results:bulk_upload"), uploadImportFile, prepareFileImport("results"), bulkUploadResults); // Bulk upload results from a CSV/XLSX file
+router.post("/validate-sheets", requirePermission("results:bulk_upload"), validateSheets); // Validate Google Sheets
+router.put("/:id", requirePermission("results:write"), updateResult); // Update result
+router.delete("/:id", requirePermission("results:write"), deleteResult); // Delete result
+router.get("/:id/versions", requirePermission("results:read"), getVersions("result")); // List result versions
+router.get("/:id/versions/diff", requirePermission("results:read"), getVersionDiff("result")); // Diff two versions
+router.get("/:id/versions/:version", requirePermission("results:read"), getVersion("result")); // Get one version
+router.post("/:id/versions/:version/restore", requirePermission("history:restore"), restoreVersion("result")); // Restore a version
 
 module.exports = router;
@@ -1,18 +1,18 @@
 const express = require("express");
-const { protect, masterTrainerOnly } = require("../middlewares/authMiddleware");
+const { protect, requirePermission } = require("../middlewares/authMiddleware");
 const { getDashboardData, getUserDashboardData, getTaskById, getTasks, createTask, updateTask, deleteTask, updateTaskStatus, updateTaskChecklist } = require("../controllers/taskController");
 
 const router = express.Router();
 
 // Task Management Routes
-router.get("/dashboard-data", protect, getDashboardData);
-router.get("/user-dashboard-data", protect, getUserDashboardData);
-router.get("/", protect, getTasks); // Get all tasks (Admin: all, User: assigned)
-router.get("/:id", protect, getTaskById); // Get task by ID
-router.post("/", protect, masterTrainerOnly, createTask); // Create a task (Master Trainer only)
-router.put("/:id", protect, updateTask); // Update task details
-router.delete("/:id", protect, masterTrainerOnly, deleteTask); // Delete a task (Master Trainer only)
-router.put("/:id/status", protect, updateTaskStatus); // Update task status
-router.put("/:id/todo", protect, updateTaskChecklist); // Update task checklist
+router.get("/dashboard-data", protect, requirePermission("tasks:read"), getDashboardData);
+router.get("/user-dashboard-data", protect, requirePermission("tasks:read"), getUserDashboardData);
+router.get("/", protect, requirePermission("tasks:read"), getTasks); // Get all tasks (Admin: all, User: assigned)
+router.get("/:id", protect, requirePermission("tasks:read"), getTaskById); // Get task by ID
+router.post("/", protect, requirePermission("tasks:manage"), createTask); // Create a task
+router.put("/:id", protect, requirePermission("tasks:update"), updateTask); // Update task details
+router.delete("/:id", protect, requirePermission("tasks:manage"), deleteTask); // Delete a task
+router.put("/:id/status", protect, requirePermission("tasks:update"), updateTaskStatus); // Update task status
+router.put("/:id/todo", protect, requirePermission("tasks:update"), updateTaskChecklist); // Update task checklist
 
 module.exports = router;
@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { protect, traineeOnly, requireRoles } = require("../middlewares/authMiddleware");
+const { protect, requirePermission } = require("../middlewares/authMiddleware");
 const {
   createTraineeDayPlan,
   getTraineeDayPlans,
@@ -18,17 +18,17 @@ const {
 router.use(protect);
 
 // Trainee routes
-router.get("/test", traineeOnly, testDayPlans);
-router.post("/", requireRoles(["trainee", "trainer"]), createTraineeDayPlan);
-router.post("/eod-update", traineeOnly, submitEodUpdate);
-router.get("/", requireRoles(["trainee", "trainer", "master_trainer"]), getTraineeDayPlans);
-router.get("/:id", requireRoles(["trainee", "trainer", "master_trainer"]), getTraineeDayPlan);
-router.put("/:id", traineeOnly, updateTraineeDayPlan);
-router.put("/:id/submit", traineeOnly, submitTraineeDayPlan);
-router.delete("/:id", traineeOnly, deleteTraineeDayPlan);
+router.get("/test", requirePermission("trainee_day_plans:write"), testDayPlans);
+router.post("/", requirePermission("trainee_day_plans:create"), createTraineeDayPlan);
+router.post("/eod-update", requirePermission("trainee_day_plans:write"), submitEodUpdate);
+router.get("/", requirePermission("trainee_day_plans:read"), getTraineeDayPlans);
+router.get("/:id", requirePermission("trainee_day_plans:read"), getTraineeDayPlan);
+router.put("/:id", requirePermission("trainee_day_plans:write"), updateTraineeDayPlan);
+router.put("/:id/submit", requirePermission("trainee_day_plans:write"), submitTraineeDayPlan);
+router.delete("/:id", requirePermission("trainee_day_plans:write"), deleteTraineeDayPlan);
 
 // Trainer routes
-router.put("/:id/review", requireRoles(["trainer"]), reviewTraineeDayPlan);
-router.put("/:id/eod-review", requireRoles(["trainer"]), reviewEodUpdate);
+router.put("/:id/review", requirePermission("trainee_day_plans:review"), reviewTraineeDayPlan);
+router.put("/:id/eod-review", requirePermission("trainee_day_plans:review"), reviewEodUpdate);
 
 module.exports = router;
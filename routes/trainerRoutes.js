@@ -1,16 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { protect, trainerOnly } = require('../middlewares/authMiddleware');
+const { protect, requirePermission } = require('../middlewares/authMiddleware');
 const { getAssignedTrainees, getTraineeResults } = require('../controllers/trainerController');
 
 // @route   GET /api/trainer/assigned-trainees
 // @desc    Get trainees assigned to the trainer
-// @access  Private (Trainer)
-router.get('/assigned-trainees', protect, trainerOnly, getAssignedTrainees);
+// @access  Private (trainees:read_assigned)
+router.get('/assigned-trainees', protect, requirePermission('trainees:read_assigned'), getAssignedTrainees);
 
 // @route   GET /api/trainer/trainee-results
 // @desc    Get results of trainees assigned to the trainer
-// @access  Private (Trainer)
-router.get('/trainee-results', protect, trainerOnly, getTraineeResults);
+// @access  Private (trainees:read_assigned)
+router.get('/trainee-results', protect, requirePermission('trainees:read_assigned'), getTraineeResults);
 
 module.exports = router;
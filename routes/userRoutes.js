@@ -1,13 +1,13 @@
 const express = require("express");
-const { protect, masterTrainerOnly, requireRoles } = require("../middlewares/authMiddleware");
+const { protect, requirePermission } = require("../middlewares/authMiddleware");
 const { getUsers, getUserById, createUser, updateUserByAuthorId } = require("../controllers/userController");
 
 const router = express.Router();
 
 // User Management Routes
-router.get("/", protect, requireRoles(["admin", "master_trainer", "boa", "trainer"]), getUsers); // Get all users (Admin, Master Trainer, BOA, and Trainer)
-router.get("/:id", protect, getUserById); // Get a specific user
-router.post("/", protect, createUser); // Create a new user (BOA/Admin)
-router.put("/by-author/:authorId", protect, requireRoles(["admin"]), updateUserByAuthorId); // Update user by author_id (Admin only)
+router.get("/", protect, requirePermission("users:list"), getUsers); // Get all users
+router.get("/:id", protect, requirePermission("users:view"), getUserById); // Get a specific user
+router.post("/", protect, requirePermission("users:create"), createUser); // Create a new user
+router.put("/by-author/:authorId", protect, requirePermission("users:manage"), updateUserByAuthorId); // Update user by author_id
 
 module.exports = router;
@@ -0,0 +1,120 @@
+require('dotenv').config();
+const connectDB = require('../config/db');
+const Joiner = require('../models/Joiner');
+const Batch = require('../models/Batch');
+const { REFERENCE_DATA_KINDS } = require('../config/referenceData');
+const { resolveReference, DEPARTMENT_FALLBACK } = require('../utils/referenceData');
+
+// Maps the department and role_assign values joiners (and batch tracks) hold onto
+// the codes of the Department and Track collections, which start out with the
+// values Joiner used to hard-code. Values are resolved by code, display name or
+// alias, so "Finance" becomes FINANCE. Joiners left in OTHERS get the department
+// their Darwinbox department name resolves to, if any. Values that resolve to
+// nothing become OTHERS / OTHER (batch tracks are cleared) and are listed, so
+// run with --dry-run first and add aliases for anything that should map.
+//
+//   node scripts/migrateReferenceData.js            apply changes
+//   node scripts/migrateReferenceData.js --dry-run  only report what would change
+//
+// Safe to run more than once; values that are already codes are left alone.
+
+const withDeleted = { withDeleted: true };
+
+// value -> code for every distinct value of a field, and the values nothing matched
+const planValues = async (kind, values) => {
+  const plan = [];
+  const unknown = [];
+  for (const value of values) {
+    const { code } = await resolveReference(kind, value, { allowInactive: true });
+    if (!code) unknown.push(value);
+    plan.push({ value, code });
+  }
+  return { plan, unknown };
+};
+
+const migrateJoinerField = async (kind, { dryRun }) => {
+  const { joinerField, fallbackCode } = REFERENCE_DATA_KINDS[kind];
+  const values = await Joiner.distinct(joinerField).setOptions(withDeleted);
+  const { plan, unknown } = await planValues(kind, values.filter(Boolean));
+
+  let updated = 0;
+  for (const { value, code } of plan) {
+    const target = code || fallbackCode;
+    if (target === value) continue;
+    const filter = { [joinerField]: value };
+    updated += dryRun
+      ? await Joiner.countDocuments(filter).setOptions(withDeleted)
+      : (await Joiner.updateMany(filter, { $set: { [joinerField]: target } }).setOptions(withDeleted)).modifiedCount;
+  }
+
+  // Unset values get the fallback too
+  const missing = { [joinerField]: { $in: [null, ''] } };
+  updated += dryRun
+    ? await Joiner.countDocuments(missing).setOptions(withDeleted)
+    : (await Joiner.updateMany(missing, { $set: { [joinerField]: fallbackCode } }).setOptions(withDeleted)).modifiedCount;
+
+  return { updated, unknown };
+};
+
+// Joiners in OTHERS whose Darwinbox department name resolves to a real department
+const migrateDarwinboxDepartments = async ({ dryRun }) => {
+  const names = await Joiner.distinct('top_department_name_as_per_darwinbox', { department: DEPARTMENT_FALLBACK })
+    .setOptions(withDeleted);
+  const { plan } = await planValues('departments', names.filter(Boolean));
+
+  let updated = 0;
+  for (const { value, code } of plan) {
+    if (!code || code === DEPARTMENT_FALLBACK) continue;
+    const filter = { department: DEPARTMENT_FALLBACK, top_department_name_as_per_darwinbox: value };
+    updated += dryRun
+      ? await Joiner.countDocuments(filter).setOptions(withDeleted)
+      : (await Joiner.updateMany(filter, { $set: { department: code } }).setOptions(withDeleted)).modifiedCount;
+  }
+  return updated;
+};
+
+const migrateBatchTracks = async ({ dryRun }) => {
+  const values = (await Batch.distinct('track').setOptions(withDeleted)).filter(Boolean);
+  const { plan, unknown } = await planValues('tracks', values);
+
+  let updated = 0;
+  for (const { value, code } of plan) {
+    if (code === value) continue;
+    const filter = { track: value };
+    updated += dryRun
+      ? await Batch.countDocuments(filter).setOptions(withDeleted)
+      : (await Batch.updateMany(filter, { $set: { track: code } }).setOptions(withDeleted)).modifiedCount;
+  }
+  return { updated, unknown };
+};
+
+async function migrateReferenceData({ dryRun = false } = {}) {
+  const departments = await migrateJoinerField('departments', { dryRun });
+  const darwinbox = await migrateDarwinboxDepartments({ dryRun });
+  const tracks = await migrateJoinerField('tracks', { dryRun });
+  const batches = await migrateBatchTracks({ dryRun });
+
+  const prefix = dryRun ? '[dry-run] ' : '';
+  console.log(`${prefix}Joiner departments updated: ${departments.updated}, from Darwinbox names: ${darwinbox}`);
+  console.log(`${prefix}Joiner tracks updated: ${tracks.updated}`);
+  console.log(`${prefix}Batch tracks updated: ${batches.updated}`);
+  if (departments.unknown.length) console.log(`Unknown departments (now ${DEPARTMENT_FALLBACK}):`, departments.unknown);
+  if (tracks.unknown.length) console.log(`Unknown tracks (now ${REFERENCE_DATA_KINDS.tracks.fallbackCode}):`, tracks.unknown);
+  if (batches.unknown.length) console.log('Unknown batch tracks (now cleared):', batches.unknown);
+
+  return { departments, darwinbox, tracks, batches };
+}
+
+module.exports = { migrateReferenceData };
+
+// Run migration if called directly
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  connectDB()
+    .then(() => migrateReferenceData({ dryRun }))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Reference data migration failed:', error);
+      process.exit(1);
+    });
+}
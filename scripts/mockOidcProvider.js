@@ -0,0 +1,128 @@
+require('dotenv').config();
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Minimal OpenID Connect provider for trying single sign-on locally.
+//
+//   node scripts/mockOidcProvider.js
+//
+// Then set OIDC_ENABLED=true and OIDC_ISSUER=http://localhost:9400 (plus the
+// matching OIDC_CLIENT_ID / OIDC_CLIENT_SECRET) and open /api/auth/oidc/login.
+// The login page lets you type any email and groups, so role mapping can be
+// exercised without a real identity provider. Never use it outside development.
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 9400;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || 'task-manager';
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || '';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// code -> pending token data, valid for one exchange
+const codes = new Map();
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_post']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+// Login form standing in for the real provider's sign-in page
+app.get('/authorize', (req, res) => {
+  if (req.query.client_id !== CLIENT_ID) {
+    return res.status(400).send('Unknown client_id');
+  }
+
+  const hidden = ['redirect_uri', 'state', 'nonce', 'code_challenge']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<title>Mock OIDC provider</title>
+<form method="post" action="/authorize">
+  ${hidden}
+  <p><label>Email <input name="email" value="${escapeHtml(req.query.login_hint)}" required></label></p>
+  <p><label>Name <input name="name"></label></p>
+  <p><label>Groups (comma separated) <input name="groups" value="tms-trainees"></label></p>
+  <p><button type="submit">Sign in</button></p>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, email, name, groups } = req.body;
+
+  const code = crypto.randomBytes(24).toString('hex');
+  codes.set(code, {
+    redirectUri,
+    nonce,
+    codeChallenge,
+    claims: {
+      sub: crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24),
+      email: email.toLowerCase(),
+      email_verified: true,
+      name: name || email.split('@')[0],
+      groups: (groups || '').split(',').map(group => group.trim()).filter(Boolean)
+    }
+  });
+  setTimeout(() => codes.delete(code), 5 * 60 * 1000).unref();
+
+  const url = new URL(redirectUri);
+  url.searchParams.set('code', code);
+  url.searchParams.set('state', state);
+  res.redirect(url.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, client_secret: clientSecret, code_verifier: codeVerifier } = req.body;
+  const pending = codes.get(code);
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code' || !pending) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+  if (clientId !== CLIENT_ID || (CLIENT_SECRET && clientSecret !== CLIENT_SECRET) || redirectUri !== pending.redirectUri) {
+    return res.status(401).json({ error: 'invalid_client' });
+  }
+  const challenge = crypto.createHash('sha256').update(codeVerifier || '').digest('base64url');
+  if (challenge !== pending.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign({ ...pending.claims, nonce: pending.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: CLIENT_ID,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(24).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER} (client_id: ${CLIENT_ID})`);
+});
@@ -0,0 +1,109 @@
+require('dotenv').config();
+const express = require('express');
+
+// Stand-in for the Google Apps Script web apps import sources fetch, for trying
+// scheduled imports locally.
+//
+//   node scripts/mockSheetSource.js
+//
+// Then register a source with url http://localhost:9410/joiners (or /results,
+// /candidate-reports). The response echoes the spread_sheet_name and data sets
+// from the json_config query parameter, like the real scripts do.
+// POST /down makes every feed answer 503 until POST /up, so failed runs and
+// reruns can be exercised; /html answers with an HTML error page the way a
+// broken Apps Script deployment does. Never use it outside development.
+
+const PORT = parseInt(process.env.MOCK_SHEETS_PORT, 10) || 9410;
+
+let down = false;
+
+const today = new Date().toISOString().split('T')[0];
+
+const JOINERS = [
+  { candidate_name: 'Asha Verma', candidate_personal_mail_id: 'asha.verma@example.com', phone_number: '9876500001', date_of_joining: today, joining_status: 'confirmed', top_department_name_as_per_darwinbox: 'IT', role_assign: 'SDI', qualification: 'B.Tech', genre: 'female' },
+  { candidate_name: 'Rahul Nair', candidate_personal_mail_id: 'rahul.nair@example.com', phone_number: '9876500002', date_of_joining: today, joining_status: 'confirmed', top_department_name_as_per_darwinbox: 'IT', role_assign: 'SDM', qualification: 'MCA', genre: 'male' },
+  { candidate_name: 'Meera Iyer', candidate_personal_mail_id: 'meera.iyer@example.com', phone_number: '9876500003', date_of_joining: today, joining_status: 'pending', top_department_name_as_per_darwinbox: 'IT', role_assign: 'SDF', qualification: 'B.Sc', genre: 'female' }
+];
+
+// author_ids only match trainees whose accounts use them; others come back as row errors
+const AUTHOR_IDS = ['0f6c2a52-8c1e-4c54-9f3a-1b2d3e4f5a61', '0f6c2a52-8c1e-4c54-9f3a-1b2d3e4f5a62'];
+
+const RESULTS = AUTHOR_IDS.map((author_id, index) => ({
+  author_id,
+  exam_date: today,
+  score: 70 + index * 10,
+  total_marks: 100,
+  remarks: 'Imported from the mock sheet'
+}));
+
+const CANDIDATE_REPORTS = {
+  DailyQuizReports: AUTHOR_IDS.map((author_id, index) => ({ author_id, topic: 'JavaScript', attempts: 5, averageScore: 72 + index * 8 })),
+  FortnightScores: AUTHOR_IDS.map((author_id, index) => ({ author_id, topic: 'Fortnight 1', score: 65 + index * 10, total: 100 })),
+  AttendanceReport: AUTHOR_IDS.map(author_id => ({ author_id, present: 18, absent: 2, percentage: 90 })),
+  GroomingReport: AUTHOR_IDS.map(author_id => ({ author_id, dressCode: 'Good', punctuality: 'Good' }))
+};
+
+const readConfig = (req) => {
+  try {
+    return req.query.json_config ? JSON.parse(req.query.json_config) : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const app = express();
+
+app.use((req, res, next) => {
+  console.log(`${req.method} ${req.path}`);
+  if (down && !['/down', '/up'].includes(req.path)) {
+    return res.status(503).json({ message: 'Mock sheet source is down' });
+  }
+  next();
+});
+
+app.post('/down', (req, res) => {
+  down = true;
+  res.json({ down });
+});
+
+app.post('/up', (req, res) => {
+  down = false;
+  res.json({ down });
+});
+
+app.get('/html', (req, res) => {
+  res.type('html').send('<!DOCTYPE html><html><body>Script function not found: doGet</body></html>');
+});
+
+app.get('/joiners', (req, res) => {
+  const config = readConfig(req);
+  res.json({
+    spread_sheet_name: config.spread_sheet_name || 'Joiners',
+    data_sets_to_be_loaded: config.data_sets_to_be_loaded || ['Joiners'],
+    data: JOINERS
+  });
+});
+
+app.get('/results', (req, res) => {
+  const config = readConfig(req);
+  res.json({
+    spread_sheet_name: config.spread_sheet_name || 'Results',
+    data_sets_to_be_loaded: config.data_sets_to_be_loaded || [req.query.subsheet || 'Results'],
+    data: RESULTS
+  });
+});
+
+// Keyed by sub-sheet, only the data sets asked for
+app.get('/candidate-reports', (req, res) => {
+  const config = readConfig(req);
+  const dataSets = config.data_sets_to_be_loaded || Object.keys(CANDIDATE_REPORTS);
+  res.json({
+    spread_sheet_name: config.spread_sheet_name || 'Candidate Reports',
+    data_sets_to_be_loaded: dataSets,
+    ...Object.fromEntries(dataSets.filter(name => CANDIDATE_REPORTS[name]).map(name => [name, CANDIDATE_REPORTS[name]]))
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock sheet source running at http://localhost:${PORT} (/joiners, /results, /candidate-reports)`);
+});
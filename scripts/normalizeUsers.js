@@ -0,0 +1,207 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+const Joiner = require('../models/Joiner');
+const DeactivatedUser = require('../models/DeactivatedUser');
+
+// Normalizes documents in the `users` collection that were written by the two
+// old user models (User and UserNew) so they all match the single User schema.
+//
+//   node scripts/normalizeUsers.js            apply changes
+//   node scripts/normalizeUsers.js --dry-run  only report what would change
+//
+// Safe to run more than once; already-normalized documents are left alone.
+
+// Joiner-style fields that used to be copied onto the user document
+const LEGACY_FIELDS = [
+  'date_of_joining',
+  'candidate_name',
+  'phone_number',
+  'candidate_personal_mail_id',
+  'top_department_name_as_per_darwinbox',
+  'department_name_as_per_darwinbox',
+  'joining_status',
+  'role_type',
+  'role_assign',
+  'accountCreated',
+  'onboardingChecklist',
+  'inviteToken',
+  'inviteExpiresAt'
+];
+
+const ARRAY_FIELDS = [
+  'assignedTrainees',
+  'roleHistory',
+  'company_allocated_details',
+  'dayPlanTasks',
+  'fortnightExams',
+  'dailyQuizzes',
+  'courseLevelExams',
+  'demo_managements_details',
+  'twoFactorRecoveryCodes'
+];
+
+const CHECKLIST_FLAGS = ['welcomeEmailSent', 'credentialsGenerated', 'accountActivated', 'trainingAssigned', 'documentsSubmitted'];
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const isObjectIdString = (value) => typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value);
+
+// Old records stored createdBy/invitedBy as an author_id string
+const resolveUserReference = async (value, authorIdToId) => {
+  if (isEmpty(value)) return null;
+  if (value instanceof mongoose.Types.ObjectId) return value;
+  if (isObjectIdString(value)) return new mongoose.Types.ObjectId(value);
+  return authorIdToId.get(String(value)) || null;
+};
+
+const findJoinerFor = (doc) => Joiner.findOne({
+  $or: [
+    { userId: doc._id },
+    ...(doc.author_id ? [{ author_id: doc.author_id }] : []),
+    { email: doc.email },
+    { candidate_personal_mail_id: doc.email }
+  ]
+}).select('_id onboardingChecklist userId').lean();
+
+const buildUpdate = async (doc, authorIdToId) => {
+  const set = {};
+  const unset = {};
+  let joinerChecklist = null;
+  let joinerId = doc.joinerId || null;
+
+  // Canonical fields take the Joiner-style value when they are empty
+  if (isEmpty(doc.name) && !isEmpty(doc.candidate_name)) set.name = doc.candidate_name;
+  if (isEmpty(doc.phone) && !isEmpty(doc.phone_number)) set.phone = String(doc.phone_number);
+  // joiningDate defaulted to the creation time, date_of_joining holds the real date
+  if (!isEmpty(doc.date_of_joining)) set.joiningDate = doc.date_of_joining;
+  if (isEmpty(doc.roleAssign) && !isEmpty(doc.role_assign)) set.roleAssign = doc.role_assign;
+  if (isEmpty(doc.department)) {
+    const department = doc.department_name_as_per_darwinbox || doc.top_department_name_as_per_darwinbox;
+    if (!isEmpty(department)) set.department = department;
+  }
+
+  const genre = User.normalizeGenre(doc.genre);
+  if (genre !== (doc.genre === undefined ? null : doc.genre)) set.genre = genre;
+
+  const isActive = doc.isActive !== false;
+  if (doc.isActive === undefined) set.isActive = true;
+  if (!User.USER_STATUSES.includes(doc.status)) set.status = isActive ? 'active' : 'inactive';
+  if (!User.ACCOUNT_STATUSES.includes(doc.accountStatus)) set.accountStatus = isActive ? 'active' : 'deactivated';
+  if (isEmpty(doc.accountCreatedAt)) set.accountCreatedAt = doc.createdAt || new Date();
+
+  for (const field of ['createdBy', 'invitedBy']) {
+    if (doc[field] !== undefined && !(doc[field] instanceof mongoose.Types.ObjectId)) {
+      set[field] = await resolveUserReference(doc[field], authorIdToId);
+    }
+  }
+
+  for (const field of ARRAY_FIELDS) {
+    if (!Array.isArray(doc[field])) set[field] = [];
+  }
+
+  // Link the Joiner record and hand the onboarding checklist over to it
+  if (!joinerId || doc.onboardingChecklist) {
+    const joiner = await findJoinerFor(doc);
+    if (joiner) {
+      if (!joinerId) {
+        joinerId = joiner._id;
+        set.joinerId = joiner._id;
+      }
+      const legacyChecklist = Array.isArray(doc.onboardingChecklist) ? doc.onboardingChecklist[0] : doc.onboardingChecklist;
+      if (legacyChecklist) {
+        const merged = {};
+        for (const flag of CHECKLIST_FLAGS) {
+          merged[flag] = Boolean(joiner.onboardingChecklist?.[flag] || legacyChecklist[flag]);
+        }
+        joinerChecklist = { joinerId: joiner._id, checklist: merged, linkUser: !joiner.userId };
+      } else if (!joiner.userId) {
+        joinerChecklist = { joinerId: joiner._id, checklist: null, linkUser: true };
+      }
+    }
+  }
+
+  for (const field of LEGACY_FIELDS) {
+    if (doc[field] !== undefined) unset[field] = '';
+  }
+
+  const update = {};
+  if (Object.keys(set).length) update.$set = set;
+  if (Object.keys(unset).length) update.$unset = unset;
+  return { update, joinerChecklist };
+};
+
+async function normalizeUsers({ dryRun = false } = {}) {
+  const users = mongoose.connection.collection('users');
+  const stats = { scanned: 0, updated: 0, joinersUpdated: 0, deactivatedRecordsUpdated: 0, errors: 0 };
+
+  const authorIdToId = new Map();
+  const allUsers = await users.find({}, { projection: { _id: 1, author_id: 1 } }).toArray();
+  allUsers.forEach(u => {
+    if (u.author_id) authorIdToId.set(String(u.author_id), u._id);
+  });
+
+  const cursor = users.find({});
+  for await (const doc of cursor) {
+    stats.scanned++;
+    try {
+      const { update, joinerChecklist } = await buildUpdate(doc, authorIdToId);
+
+      if (Object.keys(update).length) {
+        stats.updated++;
+        console.log(`${dryRun ? '[dry-run] ' : ''}${doc.email}:`, JSON.stringify(update));
+        if (!dryRun) {
+          await users.updateOne({ _id: doc._id }, update);
+        }
+      }
+
+      if (joinerChecklist) {
+        const joinerSet = {};
+        if (joinerChecklist.checklist) joinerSet.onboardingChecklist = joinerChecklist.checklist;
+        if (joinerChecklist.linkUser) joinerSet.userId = doc._id;
+        stats.joinersUpdated++;
+        if (!dryRun) {
+          await Joiner.updateOne({ _id: joinerChecklist.joinerId }, { $set: joinerSet });
+        }
+      }
+    } catch (error) {
+      stats.errors++;
+      console.error(`Error normalizing user ${doc.email}:`, error.message);
+    }
+  }
+
+  // Deactivation records used to point at either model
+  const deactivated = mongoose.connection.collection(DeactivatedUser.collection.name);
+  const legacyRecords = await deactivated.find({ originalUserNewId: { $exists: true } }).toArray();
+  for (const record of legacyRecords) {
+    stats.deactivatedRecordsUpdated++;
+    if (!dryRun) {
+      await deactivated.updateOne(
+        { _id: record._id },
+        {
+          $set: { originalUserId: record.originalUserId || record.originalUserNewId || null },
+          $unset: { originalUserNewId: '' }
+        }
+      );
+    }
+  }
+
+  console.log(`${dryRun ? '[dry-run] ' : ''}Users scanned: ${stats.scanned}, updated: ${stats.updated}, ` +
+    `joiners updated: ${stats.joinersUpdated}, deactivation records updated: ${stats.deactivatedRecordsUpdated}, errors: ${stats.errors}`);
+  return stats;
+}
+
+module.exports = { normalizeUsers };
+
+// Run migration if called directly
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  connectDB()
+    .then(() => normalizeUsers({ dryRun }))
+    .then((stats) => process.exit(stats.errors ? 1 : 0))
+    .catch((error) => {
+      console.error('User normalization failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,57 @@
+require('dotenv').config();
+const connectDB = require('../config/db');
+const Joiner = require('../models/Joiner');
+const OnboardingProgress = require('../models/OnboardingProgress');
+const onboardingService = require('../services/onboardingService');
+
+// Starts onboarding for joiners created before onboarding templates existed,
+// so they show up in the overdue view. Steps whose Joiner.onboardingChecklist
+// flag is already set start out completed.
+//
+//   node scripts/startOnboarding.js            apply changes
+//   node scripts/startOnboarding.js --dry-run  only report what would change
+//
+// Safe to run more than once; joiners that already have progress are skipped.
+
+const BATCH_SIZE = 200;
+
+async function startOnboarding({ dryRun = false } = {}) {
+  const stats = { scanned: 0, started: 0 };
+  const started = new Set((await OnboardingProgress.distinct('joiner')).map(String));
+
+  let batch = [];
+  const flush = async () => {
+    if (!batch.length) return;
+    stats.started += dryRun ? batch.length : await onboardingService.startOnboardingBatch(batch);
+    batch = [];
+  };
+
+  const cursor = Joiner.find({})
+    .select('_id name department joiningDate onboardingChecklist')
+    .lean()
+    .cursor();
+  for await (const joiner of cursor) {
+    stats.scanned++;
+    if (started.has(String(joiner._id))) continue;
+    batch.push(joiner);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`${dryRun ? '[dry-run] ' : ''}Joiners scanned: ${stats.scanned}, onboarding started: ${stats.started}`);
+  return stats;
+}
+
+module.exports = { startOnboarding };
+
+// Run migration if called directly
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  connectDB()
+    .then(() => startOnboarding({ dryRun }))
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Starting onboarding failed:', error);
+      process.exit(1);
+    });
+}
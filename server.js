@@ -4,6 +4,10 @@ const cors = require("cors");
 const cookieParser = require("cookie-parser");
 const path = require("path");
 const connectDB = require("./config/db");
+const { isAllowedOrigin } = require("./config/allowedOrigins");
+const { startTrashPurgeJob } = require("./utils/trash");
+const importScheduler = require("./services/importScheduler");
+const assignmentService = require("./services/assignmentService");
 
 const authRoutes = require("./routes/authRoutes")
 const userRoutes = require("./routes/userRoutes")
@@ -28,47 +32,33 @@ const candidateDashboardRoutes = require("./routes/candidateDashboardRoutes")
 const candidateReportRoutes = require("./routes/candidateReportRoutes")
 const performersMetricsRoutes = require("./routes/performersMetricsRoutes")
 const googleSheetsSyncRoutes = require("./routes/googleSheetsSyncRoutes")
+const onboardingRoutes = require("./routes/onboardingRoutes")
+const importRoutes = require("./routes/importRoutes")
+const batchRoutes = require("./routes/batchRoutes")
+const referenceDataRoutes = require("./routes/referenceDataRoutes")
 
 const app = express();
 
+// Behind Render's proxy req.ip must come from X-Forwarded-For (login throttling keys on it)
+app.set("trust proxy", parseInt(process.env.TRUST_PROXY_HOPS, 10) || 1);
+
 // Middleware to handle CORS
 app.use(
   cors({
     origin: function (origin, callback) {
       // Allow requests with no origin (like mobile apps or curl requests)
       if (!origin) return callback(null, true);
-      
-      // Allow localhost for development (including port 5173)
-      if (origin.includes('localhost') || origin.includes('127.0.0.1')) {
-        return callback(null, true);
-      }
-      
-      // Allow Vercel domains
-      if (origin.includes('.vercel.app')) {
-        return callback(null, true);
-      }
-      
-      // Allow Render domains
-      if (origin.includes('.onrender.com')) {
-        return callback(null, true);
-      }
-      
-      // Allow specific domains
-      const allowedOrigins = [
-        process.env.FRONTEND_URL,
-        "https://task-frontend-x8j5.vercel.app",
-        "https://task-manager-frontend.vercel.app"
-      ].filter(Boolean);
-      
-      if (allowedOrigins.includes(origin)) {
+
+      // Only exact origins from the allow-list; shared hosting domains are not trusted wholesale
+      if (isAllowedOrigin(origin)) {
         return callback(null, true);
       }
-      
+
       // Block other origins
       callback(new Error('Not allowed by CORS'));
     },
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With", "X-API-Key"],
     credentials: true, // Allow cookies to be sent
   })
 );
@@ -76,6 +66,15 @@ app.use(
 // Connect Database
 connectDB();
 
+// Permanently remove trashed records once their retention period has passed
+startTrashPurgeJob();
+
+// Import registered sheet sources on their schedules
+importScheduler.start();
+
+// Carry out trainee transfers scheduled for a future date once it comes
+assignmentService.startTransferActivationJob();
+
 // Middleware
 // Increase JSON body parser limit to handle large candidate reports data (50MB)
 app.use(express.json({ limit: '50mb' }));
@@ -106,6 +105,10 @@ app.use("/api/admin/candidate-dashboard", candidateDashboardRoutes);
 app.use("/api/candidate-reports", candidateReportRoutes);
 app.use("/api/performers-metrics", performersMetricsRoutes);
 app.use("/api/sync", googleSheetsSyncRoutes);
+app.use("/api/onboarding", onboardingRoutes);
+app.use("/api/imports", importRoutes);
+app.use("/api/batches", batchRoutes);
+app.use("/api/reference-data", referenceDataRoutes);
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -142,10 +145,6 @@ app.use('*', (req, res) => {
 app.get("/api/debug/env", (req, res) => {
   res.json({
     ADMIN_INVITE_TOKEN: process.env.ADMIN_INVITE_TOKEN,
-    MASTER_TRAINER_INVITE_TOKEN: process.env.MASTER_TRAINER_INVITE_TOKEN,
-    TRAINER_INVITE_TOKEN: process.env.TRAINER_INVITE_TOKEN,
-    TRAINEE_INVITE_TOKEN: process.env.TRAINEE_INVITE_TOKEN,
-    BOA_INVITE_TOKEN: process.env.BOA_INVITE_TOKEN,
     NODE_ENV: process.env.NODE_ENV
   });
 });
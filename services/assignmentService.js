@@ -0,0 +1,466 @@
+const Assignment = require('../models/Assignment');
+const AssignmentMembership = require('../models/AssignmentMembership');
+const TraineeDayPlan = require('../models/TraineeDayPlan');
+const Notification = require('../models/Notification');
+const userService = require('./userService');
+const onboardingService = require('./onboardingService');
+const { recordAudit } = require('../utils/auditLog');
+const { getTrainerCapacities } = require('../utils/trainerCapacity');
+
+// How often scheduled transfers whose effective date has come are carried out
+const TRANSFER_ACTIVATION_INTERVAL_MINUTES = parseInt(process.env.TRANSFER_ACTIVATION_INTERVAL_MINUTES, 10) || 15;
+
+/**
+ * Trainer assignments and trainee transfers.
+ *
+ * Assignment.trainees holds who is with a trainer now and AssignmentMembership the
+ * periods behind it. A transfer with a future effective date is stored as a
+ * scheduled membership and carried out by the activation job once the date comes.
+ */
+class AssignmentService {
+  constructor() {
+    this.timer = null;
+    this.activating = false;
+  }
+
+  /**
+   * Add trainees to the trainer's active assignment (or start one), link the users
+   * both ways, start each newly added trainee's membership period and notify the
+   * trainer and the trainees. Callers validate the trainer, the trainees and the
+   * trainer's capacity first.
+   *
+   * @param {Object} actor - user making the assignment
+   * @param {Object} trainer - trainer user
+   * @param {string[]} traineeIds - trainee author_ids
+   * @param {Object} options - effectiveDate, notes, instructions; membership (extra
+   *   AssignmentMembership fields, or the _id of a scheduled one to activate) and
+   *   notify (false when the caller notifies)
+   * @returns {Promise<{ assignment: Object, isUpdate: boolean, allTraineeIds: string[] }>}
+   */
+  async assignTrainees(actor, trainer, traineeIds, { effectiveDate, notes, instructions, membership = {}, notify = true } = {}) {
+    const assignedById = actor.id;
+    const trainerId = trainer.author_id;
+    const startDate = effectiveDate ? new Date(effectiveDate) : new Date();
+
+    // Check if trainer already has active assignments
+    const existingAssignment = await Assignment.findOne({
+      trainer: trainerId,
+      status: 'active'
+    });
+
+    let assignment;
+    let allTraineeIds = traineeIds;
+    const joining = existingAssignment
+      ? traineeIds.filter(id => !(existingAssignment.trainees || []).includes(id))
+      : traineeIds;
+
+    if (existingAssignment) {
+      // Update existing assignment with new trainees
+      const currentTrainees = existingAssignment.trainees || [];
+      allTraineeIds = [...new Set([...currentTrainees, ...traineeIds])]; // Remove duplicates
+
+      assignment = await Assignment.findByIdAndUpdate(
+        existingAssignment._id,
+        {
+          trainees: allTraineeIds,
+          totalTrainees: allTraineeIds.length,
+          activeTrainees: allTraineeIds.length,
+          updatedAt: new Date(),
+          updatedBy: assignedById
+        },
+        { new: true }
+      );
+    } else {
+      // Create new assignment
+      assignment = await Assignment.create({
+        masterTrainer: assignedById,
+        trainer: trainerId,
+        trainees: traineeIds,
+        assignmentDate: new Date(),
+        effectiveDate: startDate,
+        totalTrainees: traineeIds.length,
+        activeTrainees: traineeIds.length,
+        notes: notes || '',
+        instructions: instructions || '',
+        createdBy: assignedById
+      });
+    }
+
+    // Get trainee ObjectIds for the trainer's assignedTrainees field
+    const traineeObjectsUser = await userService.find({ author_id: { $in: allTraineeIds } }).select('_id');
+    const traineeObjectIds = traineeObjectsUser.map(t => t._id);
+
+    // Update trainer's assigned trainees with ObjectIds
+    await userService.findOneAndUpdate({ author_id: trainerId }, {
+      assignedTrainees: traineeObjectIds
+    });
+
+    // Update new trainees' assigned trainer (only the newly assigned ones)
+    const update = { assignedTrainer: trainer._id, status: 'active' };
+    await userService.updateMany({ author_id: { $in: traineeIds } }, update);
+
+    const { _id: scheduledId, ...membershipFields } = membership;
+    const started = { trainer: trainerId, trainerName: trainer.name, assignment: assignment._id, startDate, status: 'active' };
+    if (scheduledId) {
+      await AssignmentMembership.updateOne({ _id: scheduledId }, { $set: { ...membershipFields, ...started } });
+    } else {
+      await AssignmentMembership.insertMany(joining.map(traineeId => ({
+        trainee: traineeId,
+        startedBy: actor._id,
+        ...membershipFields,
+        ...started
+      })));
+    }
+
+    const isUpdate = existingAssignment ? true : false;
+    if (!notify) {
+      return { assignment, isUpdate, allTraineeIds };
+    }
+
+    await onboardingService.handleEvent('training_assigned', { authorIds: traineeIds }, actor);
+
+    // Send notification to trainer
+    await Notification.create({
+      recipientId: trainer._id.toString(),
+      recipientRole: 'trainer',
+      title: isUpdate ? 'Trainee Assignment Updated' : 'New Trainee Assignment',
+      message: isUpdate
+        ? `Your assignment has been updated. You now have ${allTraineeIds.length} total trainees (${traineeIds.length} newly assigned)`
+        : `You have been assigned ${traineeIds.length} trainees`,
+      type: 'assignment_created',
+      relatedEntityType: 'assignment',
+      relatedEntityId: assignment._id.toString(),
+      priority: 'high'
+    });
+
+    // Send notifications to trainees
+    for (const traineeId of traineeIds) {
+      // Find the trainee ObjectId
+      const traineeObject = await userService.findOne({ author_id: traineeId }).select('_id');
+
+      if (traineeObject) {
+        await Notification.create({
+          recipientId: traineeObject._id.toString(),
+          recipientRole: 'trainee',
+          title: 'Trainer Assignment',
+          message: `You have been assigned to trainer: ${trainer.name}`,
+          type: 'assignment_created',
+          relatedEntityType: 'assignment',
+          relatedEntityId: assignment._id.toString(),
+          priority: 'medium'
+        });
+      }
+    }
+
+    return { assignment, isUpdate, allTraineeIds };
+  }
+
+  /**
+   * Null when the trainer can take the trainees, otherwise the body of a 409
+   * response. Trainees already on the trainer's assignment, or scheduled to move
+   * to the trainer, are already part of the load.
+   */
+  async checkTrainerCapacity(trainer, traineeIds, overrideCapacity) {
+    if (overrideCapacity === true || overrideCapacity === 'true') {
+      return null;
+    }
+    const [load] = await getTrainerCapacities({ author_id: trainer.author_id });
+    if (!load) {
+      return null;
+    }
+    const [current, scheduled] = await Promise.all([
+      Assignment.findOne({ trainer: trainer.author_id, status: 'active' }).select('trainees'),
+      AssignmentMembership.find({ trainer: trainer.author_id, status: 'scheduled' }).select('trainee')
+    ]);
+    const counted = new Set([...(current ? current.trainees : []), ...scheduled.map(membership => membership.trainee)]);
+    const adding = traineeIds.filter(id => !counted.has(id)).length;
+    if (adding <= load.remaining) {
+      return null;
+    }
+    return {
+      message: `${trainer.name} has room for ${load.remaining} more trainee(s) (capacity ${load.capacity}, ${load.assigned} assigned or scheduled); send overrideCapacity to assign ${adding} anyway`,
+      capacity: load.capacity,
+      assigned: load.assigned,
+      remaining: load.remaining
+    };
+  }
+
+  // Day plans and demos of a trainee that wait on their trainer's review
+  async findPendingReviews(trainee) {
+    const dayPlans = await TraineeDayPlan.find({
+      trainee: trainee._id,
+      $or: [
+        { status: 'in_progress', submittedAt: { $ne: null } },
+        { status: 'pending', 'eodUpdate.status': 'submitted' }
+      ]
+    }).select('_id title date status').lean();
+    const demos = (trainee.demo_managements_details || [])
+      .filter(demo => demo && demo.status === 'under_review' && !demo.trainerStatus);
+    return { dayPlans, demos };
+  }
+
+  // ---- Transfers ----
+
+  /**
+   * Check that a trainee can move to another trainer
+   *
+   * @returns {Promise<{ error?: string, status?: number, trainee?: Object,
+   *   fromAssignment?: Object, fromTrainer?: Object, fromName?: string, toTrainer?: Object }>}
+   */
+  async validateTransfer(traineeId, toTrainerId) {
+    const trainee = await userService.findOne({ author_id: traineeId, role: 'trainee' });
+    if (!trainee || !trainee.isActive) {
+      return { status: 404, error: 'Trainee not found' };
+    }
+
+    const fromAssignment = await Assignment.findOne({ trainees: traineeId, status: 'active' });
+    if (!fromAssignment) {
+      return { status: 400, error: 'Trainee has no trainer to transfer from; assign them with POST /api/assignments' };
+    }
+    if (fromAssignment.trainer === toTrainerId) {
+      return { status: 400, error: 'Trainee is already assigned to this trainer' };
+    }
+
+    const toTrainer = await userService.findOne({ author_id: toTrainerId });
+    if (!toTrainer || toTrainer.role !== 'trainer' || !toTrainer.isActive) {
+      return { status: 400, error: 'Invalid trainer' };
+    }
+    const fromTrainer = await userService.findOne({ author_id: fromAssignment.trainer });
+    const fromName = fromTrainer ? fromTrainer.name : fromAssignment.trainer;
+
+    return { trainee, fromAssignment, fromTrainer, fromName, toTrainer };
+  }
+
+  /**
+   * Notify the trainee and both trainers of a transfer
+   */
+  async notifyTransfer({ trainee, fromTrainer, fromName, toTrainer, effectiveDate, scheduled, pendingNote = '', relatedEntityId }) {
+    const when = effectiveDate.toLocaleDateString();
+    const notifications = [
+      {
+        recipientId: toTrainer._id.toString(),
+        recipientRole: 'trainer',
+        title: scheduled ? 'Trainee Transfer Scheduled' : 'Trainee Transferred To You',
+        message: scheduled
+          ? `${trainee.name} will be transferred to you from ${fromName} on ${when}`
+          : `${trainee.name} has been transferred to you from ${fromName} as of ${when}.${pendingNote}`,
+        type: 'assignment_created',
+        priority: 'high'
+      },
+      {
+        recipientId: trainee._id.toString(),
+        recipientRole: 'trainee',
+        title: scheduled ? 'Trainer Change Scheduled' : 'Trainer Changed',
+        message: scheduled
+          ? `Your trainer will change from ${fromName} to ${toTrainer.name} on ${when}`
+          : `Your trainer is now ${toTrainer.name} (previously ${fromName}) as of ${when}`,
+        type: 'status_update',
+        priority: 'high'
+      }
+    ];
+    if (fromTrainer) {
+      notifications.push({
+        recipientId: fromTrainer._id.toString(),
+        recipientRole: 'trainer',
+        title: scheduled ? 'Trainee Transfer Scheduled' : 'Trainee Transferred',
+        message: scheduled
+          ? `${trainee.name} will be transferred to ${toTrainer.name} on ${when}`
+          : `${trainee.name} has been transferred to ${toTrainer.name} as of ${when}`,
+        type: 'status_update',
+        priority: 'medium'
+      });
+    }
+    await Notification.insertMany(notifications.map(notification => ({
+      ...notification,
+      relatedEntityType: 'assignment',
+      relatedEntityId: relatedEntityId ? relatedEntityId.toString() : null
+    })));
+  }
+
+  /**
+   * Record a transfer that takes effect on a future date. Nothing changes for the
+   * trainee until the activation job carries it out.
+   */
+  async scheduleTransfer(req, { trainee, fromAssignment, fromTrainer, fromName, toTrainer, effectiveDate, reason, overrideCapacity = false, actor }) {
+    const membership = await AssignmentMembership.create({
+      trainee: trainee.author_id,
+      trainer: toTrainer.author_id,
+      trainerName: toTrainer.name,
+      fromTrainer: fromAssignment.trainer,
+      startDate: effectiveDate,
+      status: 'scheduled',
+      startReason: 'transfer',
+      reason: reason || '',
+      overrideCapacity,
+      startedBy: actor._id
+    });
+
+    await this.notifyTransfer({ trainee, fromTrainer, fromName, toTrainer, effectiveDate, scheduled: true, relatedEntityId: fromAssignment._id });
+
+    await recordAudit(req, {
+      actor,
+      action: 'update',
+      entityType: 'user',
+      entityId: trainee._id,
+      entityLabel: trainee.email,
+      metadata: { transfer: 'scheduled', membershipId: membership._id, from: fromAssignment.trainer, to: toTrainer.author_id, effectiveDate, reason: reason || '', overrideCapacity }
+    });
+
+    return membership;
+  }
+
+  /**
+   * Move a trainee to another trainer as of an effective date (today or earlier).
+   * The trainee joins the new trainer before leaving the old one, so a failure
+   * part-way never leaves them without a trainer.
+   *
+   * @param {Object} scheduled - the scheduled membership being activated, if any
+   * @returns {Promise<{ assignment: Object, moved: { dayPlans: Array, demos: Array } }>}
+   */
+  async applyTransfer(req, { trainee, fromAssignment, fromTrainer, fromName, toTrainer, effectiveDate, reason, actor, scheduled = null }) {
+    const traineeId = trainee.author_id;
+
+    // The membership being ended; trainees assigned before memberships were recorded have none
+    const membership = await AssignmentMembership.findOne({ trainee: traineeId, assignment: fromAssignment._id, status: 'active', endDate: null });
+
+    // Reviews follow User.assignedTrainer, which the new assignment points at the new trainer
+    const pending = await this.findPendingReviews(trainee);
+    const movedItems = {
+      dayPlans: pending.dayPlans.map(dayPlan => dayPlan._id),
+      demos: pending.demos.map(demo => demo.id)
+    };
+
+    // Start the new membership first
+    const { assignment } = await this.assignTrainees(actor, toTrainer, [traineeId], {
+      effectiveDate,
+      membership: {
+        ...(scheduled ? { _id: scheduled._id } : {}),
+        startReason: 'transfer',
+        fromTrainer: fromAssignment.trainer,
+        reason: reason || '',
+        movedItems
+      },
+      notify: false
+    });
+
+    // Then end the old one
+    fromAssignment.trainees = fromAssignment.trainees.filter(id => id !== traineeId);
+    fromAssignment.totalTrainees = fromAssignment.trainees.length;
+    fromAssignment.activeTrainees = fromAssignment.trainees.length;
+    if (fromAssignment.trainees.length === 0) {
+      fromAssignment.status = 'inactive';
+      fromAssignment.endDate = effectiveDate;
+    }
+    fromAssignment.modifiedBy = actor.id;
+    fromAssignment.modifiedAt = new Date();
+    await fromAssignment.save();
+    if (fromTrainer) {
+      await userService.updateOne({ _id: fromTrainer._id }, { $pull: { assignedTrainees: trainee._id } });
+    }
+
+    const ended = { endDate: effectiveDate, endReason: 'transfer', status: 'ended', endedBy: actor._id };
+    if (membership) {
+      Object.assign(membership, ended);
+      await membership.save();
+    } else {
+      await AssignmentMembership.create({
+        trainee: traineeId,
+        trainer: fromAssignment.trainer,
+        trainerName: fromTrainer ? fromTrainer.name : null,
+        assignment: fromAssignment._id,
+        startDate: fromAssignment.effectiveDate,
+        ...ended
+      });
+    }
+
+    const pendingNote = movedItems.dayPlans.length || movedItems.demos.length
+      ? ` ${movedItems.dayPlans.length} day plan(s) and ${movedItems.demos.length} demo(s) are waiting for your review.`
+      : '';
+    await this.notifyTransfer({ trainee, fromTrainer, fromName, toTrainer, effectiveDate, scheduled: false, pendingNote, relatedEntityId: assignment._id });
+
+    await recordAudit(req, {
+      actor,
+      action: 'update',
+      entityType: 'user',
+      entityId: trainee._id,
+      entityLabel: trainee.email,
+      before: { assignedTrainer: fromAssignment.trainer },
+      after: { assignedTrainer: toTrainer.author_id },
+      metadata: { transfer: scheduled ? 'activated' : true, effectiveDate, reason: reason || '', movedItems }
+    });
+
+    return { assignment, moved: pending };
+  }
+
+  /**
+   * Carry out scheduled transfers whose effective date has come. A transfer that
+   * can no longer happen (trainee or trainer gone, already with that trainer, or
+   * the trainer over capacity without an override when it was scheduled) is
+   * cancelled with the reason.
+   */
+  async activateDueTransfers() {
+    const due = await AssignmentMembership.find({ status: 'scheduled', startDate: { $lte: new Date() } }).sort({ startDate: 1 });
+    let activated = 0;
+    for (const scheduled of due) {
+      try {
+        const actor = await userService.findById(scheduled.startedBy);
+        let check = actor
+          ? await this.validateTransfer(scheduled.trainee, scheduled.trainer)
+          : { error: 'The user who scheduled the transfer no longer exists' };
+        if (!check.error && !scheduled.overrideCapacity) {
+          // The load already counts this transfer, so it only fits within capacity
+          const [load] = await getTrainerCapacities({ author_id: scheduled.trainer });
+          if (load && load.assigned > load.capacity) {
+            check = { error: `${load.name} is over capacity (capacity ${load.capacity}, ${load.assigned} assigned or scheduled)` };
+          }
+        }
+        if (check.error) {
+          await AssignmentMembership.updateOne(
+            { _id: scheduled._id },
+            { $set: { status: 'cancelled', cancelReason: check.error } }
+          );
+          continue;
+        }
+        await this.applyTransfer(null, {
+          ...check,
+          effectiveDate: scheduled.startDate,
+          reason: scheduled.reason,
+          actor,
+          scheduled
+        });
+        activated++;
+      } catch (error) {
+        console.error(`Scheduled transfer ${scheduled._id} failed:`, error.message);
+      }
+    }
+    return activated;
+  }
+
+  async runActivation() {
+    if (this.activating) return;
+    this.activating = true;
+    try {
+      const activated = await this.activateDueTransfers();
+      if (activated > 0) {
+        console.log(`Activated ${activated} scheduled trainee transfer(s)`);
+      }
+    } catch (error) {
+      console.error('Scheduled transfer activation failed:', error.message);
+    } finally {
+      this.activating = false;
+    }
+  }
+
+  /**
+   * Activate due transfers a minute after startup and then every
+   * TRANSFER_ACTIVATION_INTERVAL_MINUTES
+   */
+  startTransferActivationJob() {
+    if (this.timer) return;
+    setTimeout(() => this.runActivation(), 60 * 1000).unref();
+    this.timer = setInterval(() => this.runActivation(), TRANSFER_ACTIVATION_INTERVAL_MINUTES * 60 * 1000);
+    this.timer.unref();
+  }
+}
+
+module.exports = new AssignmentService();
@@ -0,0 +1,404 @@
+const Joiner = require('../models/Joiner');
+const Result = require('../models/Result');
+const CandidateReport = require('../models/CandidateReport');
+const LearningReport = require('../models/LearningReport');
+const AttendanceReport = require('../models/AttendanceReport');
+const GroomingReport = require('../models/GroomingReport');
+const InteractionsReport = require('../models/InteractionsReport');
+const Allocation = require('../models/Allocation');
+const MCQDeployment = require('../models/MCQDeployment');
+const Notification = require('../models/Notification');
+const OnboardingProgress = require('../models/OnboardingProgress');
+const userService = require('./userService');
+const { revokeUserSessions } = require('../utils/sessionTokens');
+const { CHECKLIST_FLAGS } = require('../config/onboarding');
+const { recordVersions } = require('../utils/versionHistory');
+
+// How each match field is read off a joiner and normalized. A joiner can carry
+// two emails and two phone numbers, so every field yields a list of values.
+const MATCH_FIELDS = {
+  email: (joiner) => [joiner.email, joiner.candidate_personal_mail_id]
+    .map(value => (value || '').toString().trim().toLowerCase()),
+  // Digits only, compared on the last 10 so "+91 98765 43210" matches "9876543210"
+  phone: (joiner) => [joiner.phone, joiner.phone_number]
+    .map(value => (value || '').toString().replace(/\D/g, ''))
+    .map(digits => (digits.length >= 7 ? digits.slice(-10) : '')),
+  employeeId: (joiner) => [(joiner.employeeId || '').toString().trim().toUpperCase()],
+  name: (joiner) => [joiner.name, joiner.candidate_name]
+    .map(value => (value || '').toString().toLowerCase().replace(/[^a-z]+/g, ' ').trim())
+};
+
+const MATCH_SELECT = 'name candidate_name email candidate_personal_mail_id phone phone_number employeeId ' +
+  'department author_id status joiningDate accountCreated userId createdAt';
+
+// Blank survivor fields are filled from the merged duplicates
+const FILL_FIELDS = [
+  'candidate_name', 'candidate_personal_mail_id', 'phone', 'phone_number', 'employeeId',
+  'top_department_name_as_per_darwinbox', 'qualification', 'genre', 'date_of_joining'
+];
+
+// One report per candidate is expected for these models
+// Report models and their version history document types
+const REPORT_MODELS = [
+  [CandidateReport, 'candidate_report'],
+  [LearningReport, 'learning_report'],
+  [AttendanceReport, 'attendance_report'],
+  [GroomingReport, 'grooming_report'],
+  [InteractionsReport, 'interactions_report']
+];
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Parse match rules: rules are separated by ";", and a rule made of several
+ * fields joined by "+" matches only when all of them match ("name+phone").
+ *
+ * @returns {{ rules?: string[][], error?: string }}
+ */
+const parseMatchRules = (input) => {
+  const rules = String(input || '')
+    .split(';')
+    .map(rule => rule.split('+').map(field => field.trim()).filter(Boolean))
+    .filter(rule => rule.length);
+
+  if (!rules.length) {
+    return { error: 'At least one match rule is required' };
+  }
+  const unknown = rules.flat().find(field => !MATCH_FIELDS[field]);
+  if (unknown) {
+    return { error: `Unknown match field "${unknown}". Must be one of: ${Object.keys(MATCH_FIELDS).join(', ')}` };
+  }
+  return { rules };
+};
+
+const DEFAULT_MATCH_RULES = parseMatchRules(process.env.DUPLICATE_MATCH_RULES || 'email;phone;employeeId').rules
+  || [['email'], ['phone'], ['employeeId']];
+
+// Every key a joiner produces for a rule (cartesian product of the rule's field values)
+const ruleKeys = (joiner, rule) => {
+  let keys = [''];
+  for (const field of rule) {
+    const values = [...new Set(MATCH_FIELDS[field](joiner).filter(Boolean))];
+    if (!values.length) return [];
+    keys = keys.flatMap(prefix => values.map(value => (prefix ? `${prefix}|${value}` : value)));
+  }
+  return keys;
+};
+
+/**
+ * Finds joiners that describe the same person and merges them into one.
+ *
+ * Duplicates come from createJoiner, bulk imports, Sheets imports and
+ * self-registration (which creates a joiner with a random author_id). A merge
+ * keeps one joiner, gives it the chosen author_id, re-points everything keyed by
+ * the other author_ids and user accounts to it, and removes the duplicates.
+ */
+class DuplicateService {
+  constructor() {
+    this.matchFields = Object.keys(MATCH_FIELDS);
+    this.defaultRules = DEFAULT_MATCH_RULES;
+  }
+
+  parseMatchRules(input) {
+    return parseMatchRules(input);
+  }
+
+  formatRules(rules) {
+    return rules.map(rule => rule.join('+')).join(';');
+  }
+
+  /**
+   * Group live joiners that match on any rule. Groups are transitive: if A
+   * matches B by email and B matches C by phone, all three form one group.
+   */
+  async findDuplicateGroups(rules = this.defaultRules) {
+    const joiners = await Joiner.find({}).select(MATCH_SELECT).lean();
+
+    const parent = joiners.map((joiner, index) => index);
+    const root = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    const buckets = new Map();
+    joiners.forEach((joiner, index) => {
+      rules.forEach(rule => {
+        const ruleName = rule.join('+');
+        ruleKeys(joiner, rule).forEach(key => {
+          const bucketKey = `${ruleName}:${key}`;
+          if (!buckets.has(bucketKey)) buckets.set(bucketKey, { rule: ruleName, value: key, members: new Set() });
+          buckets.get(bucketKey).members.add(index);
+        });
+      });
+    });
+
+    const matches = [];
+    buckets.forEach(bucket => {
+      if (bucket.members.size < 2) return;
+      const members = [...bucket.members];
+      members.slice(1).forEach(index => { parent[root(index)] = root(members[0]); });
+      matches.push({ ...bucket, members });
+    });
+
+    const groups = new Map();
+    matches.forEach(match => {
+      const groupRoot = root(match.members[0]);
+      if (!groups.has(groupRoot)) groups.set(groupRoot, { members: new Set(), matches: [] });
+      const group = groups.get(groupRoot);
+      match.members.forEach(index => group.members.add(index));
+      group.matches.push({
+        rule: match.rule,
+        value: match.value,
+        joinerIds: match.members.map(index => joiners[index]._id)
+      });
+    });
+
+    return [...groups.values()]
+      .map(group => {
+        const members = [...group.members].map(index => joiners[index]);
+        return {
+          members,
+          matches: group.matches,
+          suggestedSurvivorId: this.suggestSurvivor(members)._id
+        };
+      })
+      .sort((a, b) => b.members.length - a.members.length);
+  }
+
+  /**
+   * Prefer the joiner that already has a user account, then the oldest record
+   */
+  suggestSurvivor(members) {
+    return [...members].sort((a, b) => {
+      if (Boolean(a.accountCreated) !== Boolean(b.accountCreated)) return a.accountCreated ? -1 : 1;
+      return new Date(a.createdAt) - new Date(b.createdAt);
+    })[0];
+  }
+
+  /**
+   * Number of results per author_id, to help pick the survivor
+   */
+  async countResults(authorIds) {
+    const counts = await Result.aggregate([
+      { $match: { author_id: { $in: authorIds } } },
+      { $group: { _id: '$author_id', count: { $sum: 1 } } }
+    ]);
+    return counts.reduce((acc, item) => ({ ...acc, [item._id]: item.count }), {});
+  }
+
+  // ---- Merge ----
+
+  /**
+   * Merge duplicate joiners into a survivor. Runs without a transaction (the
+   * rest of the app does not use them); records are re-pointed before anything
+   * is removed, so an interrupted merge can simply be run again.
+   *
+   * @param {object} options
+   * @param {object} options.survivor - Joiner document to keep
+   * @param {object[]} options.duplicates - Joiner documents to merge into it
+   * @param {string} options.survivingAuthorId - author_id the merged joiner keeps;
+   *   must belong to the survivor or one of the duplicates
+   * @param {object} options.user - User performing the merge
+   * @returns {Promise<object>} what was moved, kept and removed
+   */
+  async mergeJoiners({ survivor, duplicates, survivingAuthorId, user }) {
+    const joiners = [survivor, ...duplicates];
+    const retiredAuthorIds = [...new Set(joiners.map(joiner => joiner.author_id))]
+      .filter(authorId => authorId && authorId !== survivingAuthorId);
+
+    // ---- User accounts: keep one, remove the rest ----
+    const accounts = [];
+    for (const joiner of joiners) {
+      const account = (joiner.userId && await userService.findById(joiner.userId))
+        || await userService.findOne({ $or: [{ joinerId: joiner._id }, { author_id: joiner.author_id }] });
+      if (account && !accounts.some(existing => existing._id.equals(account._id))) {
+        accounts.push(account);
+      }
+    }
+    const survivingUser = accounts.find(account => survivor.userId && account._id.equals(survivor.userId))
+      || accounts.find(account => account.author_id === survivingAuthorId)
+      || accounts[0]
+      || null;
+    const retiredUsers = accounts.filter(account => !survivingUser || !account._id.equals(survivingUser._id));
+    const retiredUserIds = retiredUsers.map(account => account._id.toString());
+
+    // ---- Re-point everything keyed by the retired author_ids and accounts ----
+    const moved = await this.repointRecords({
+      survivingAuthorId,
+      retiredAuthorIds,
+      survivingUserId: survivingUser ? survivingUser._id : null,
+      retiredUserIds,
+      user
+    });
+
+    const removedUsers = [];
+    for (const account of retiredUsers) {
+      await revokeUserSessions(account._id, 'merged');
+      await userService.findByIdAndDelete(account._id);
+      removedUsers.push(account);
+    }
+
+    // ---- Joiners: remove the duplicates, then fill in and re-key the survivor ----
+    const previous = survivor.toObject();
+    for (const duplicate of duplicates) {
+      await Joiner.deleteOne({ _id: duplicate._id }).setOptions({ withDeleted: true });
+      await OnboardingProgress.deleteOne({ joiner: duplicate._id });
+    }
+
+    FILL_FIELDS.forEach(field => {
+      if (!isBlank(survivor[field])) return;
+      const source = duplicates.find(duplicate => !isBlank(duplicate[field]));
+      if (source) survivor[field] = source[field];
+    });
+    duplicates.forEach(duplicate => {
+      CHECKLIST_FLAGS.forEach(flag => {
+        if (duplicate.onboardingChecklist && duplicate.onboardingChecklist[flag]) {
+          survivor.set(`onboardingChecklist.${flag}`, true);
+        }
+      });
+      survivor.mergedFrom.push({
+        joinerId: duplicate._id,
+        author_id: duplicate.author_id,
+        name: duplicate.name,
+        email: duplicate.email,
+        mergedAt: new Date(),
+        mergedBy: user?._id || null
+      });
+    });
+    survivor.author_id = survivingAuthorId;
+    if (survivingUser) {
+      survivor.userId = survivingUser._id;
+      survivor.accountCreated = true;
+      survivor.accountCreatedAt = survivor.accountCreatedAt || survivingUser.createdAt || new Date();
+    }
+    await survivor.save({ validateBeforeSave: false });
+
+    if (survivingUser) {
+      await userService.updateOne(
+        { _id: survivingUser._id },
+        { $set: { author_id: survivingAuthorId, joinerId: survivor._id } }
+      );
+    }
+
+    return {
+      survivor,
+      previous,
+      survivingUser,
+      removedUsers,
+      retiredAuthorIds,
+      moved
+    };
+  }
+
+  async repointRecords({ survivingAuthorId, retiredAuthorIds, survivingUserId, retiredUserIds, user = null }) {
+    const moved = {
+      results: 0,
+      resultsTrashed: 0,
+      candidateReports: 0,
+      candidateReportsRemoved: 0,
+      allocations: 0,
+      mcqResults: 0,
+      mcqTargets: 0,
+      notifications: 0
+    };
+    if (!retiredAuthorIds.length && !retiredUserIds.length) return moved;
+
+    // Results are unique per (author_id, exam_type): the most recently updated live
+    // result of each exam type is kept, the others go to the trash under their old author_id
+    const results = await Result.find({ author_id: { $in: [survivingAuthorId, ...retiredAuthorIds] } })
+      .setOptions({ withDeleted: true });
+    const byExamType = new Map();
+    results.forEach(result => {
+      if (!byExamType.has(result.exam_type)) byExamType.set(result.exam_type, []);
+      byExamType.get(result.exam_type).push(result);
+    });
+    for (const sameExam of byExamType.values()) {
+      const live = sameExam.filter(result => !result.deletedAt)
+        .sort((a, b) => new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
+      const [keep, ...older] = live;
+      for (const result of older) {
+        await result.softDelete(null);
+        moved.resultsTrashed++;
+      }
+      if (!keep || keep.author_id === survivingAuthorId) continue;
+
+      // A trashed result already holding the surviving key would block the move
+      const blocking = sameExam.filter(result => result.deletedAt && result.author_id === survivingAuthorId);
+      for (const result of blocking) {
+        await Result.deleteOne({ _id: result._id }).setOptions({ withDeleted: true });
+      }
+      await Result.updateOne({ _id: keep._id }, { $set: { author_id: survivingAuthorId } }).setOptions({ withDeleted: true });
+      moved.results++;
+    }
+
+    // Candidate reports: one per candidate, the most recently updated wins. The
+    // others go into the survivor's version history (oldest first, then the kept
+    // one) before they are removed, so any of them can be restored onto it
+    for (const [ReportModel, documentType] of REPORT_MODELS) {
+      const reports = await ReportModel.find({ author_id: { $in: [survivingAuthorId, ...retiredAuthorIds] } })
+        .sort({ updatedAt: -1 });
+      if (!reports.length) continue;
+      const [keep, ...older] = reports;
+      if (older.length) {
+        const versioned = await recordVersions({ user }, documentType, [...older].reverse().concat(keep).map(report => ({
+          document: report,
+          documentId: survivingAuthorId,
+          action: 'merge'
+        })));
+        if (!versioned) {
+          throw new Error(`Could not store versions of the ${documentType.replace('_', ' ')}s being merged; nothing was removed`);
+        }
+        await ReportModel.deleteMany({ _id: { $in: older.map(report => report._id) } });
+        moved.candidateReportsRemoved += older.length;
+      }
+      if (keep.author_id !== survivingAuthorId || (survivingUserId && String(keep.user) !== String(survivingUserId))) {
+        await ReportModel.updateOne(
+          { _id: keep._id },
+          { $set: { author_id: survivingAuthorId, ...(survivingUserId ? { user: survivingUserId } : {}) } }
+        );
+        moved.candidateReports++;
+      }
+    }
+
+    // Allocations store the author_id, or the user _id for accounts without one
+    const allocationResult = await Allocation.updateMany(
+      { traineeId: { $in: [...retiredAuthorIds, ...retiredUserIds] } },
+      { $set: { traineeId: survivingAuthorId } }
+    ).setOptions({ withDeleted: true });
+    moved.allocations = allocationResult.modifiedCount;
+
+    if (retiredAuthorIds.length) {
+      const mcqResult = await MCQDeployment.updateMany(
+        { 'results.traineeId': { $in: retiredAuthorIds } },
+        { $set: { 'results.$[entry].traineeId': survivingAuthorId } },
+        { arrayFilters: [{ 'entry.traineeId': { $in: retiredAuthorIds } }] }
+      ).setOptions({ withDeleted: true });
+      moved.mcqResults = mcqResult.modifiedCount;
+
+      await MCQDeployment.updateMany(
+        { targetTrainees: { $in: retiredAuthorIds } },
+        { $addToSet: { targetTrainees: survivingAuthorId } }
+      ).setOptions({ withDeleted: true });
+      const targetResult = await MCQDeployment.updateMany(
+        { targetTrainees: { $in: retiredAuthorIds } },
+        { $pull: { targetTrainees: { $in: retiredAuthorIds } } }
+      ).setOptions({ withDeleted: true });
+      moved.mcqTargets = targetResult.modifiedCount;
+    }
+
+    if (survivingUserId && retiredUserIds.length) {
+      const notificationResult = await Notification.updateMany(
+        { recipientId: { $in: retiredUserIds } },
+        { $set: { recipientId: survivingUserId.toString() } }
+      );
+      moved.notifications = notificationResult.modifiedCount;
+    }
+
+    return moved;
+  }
+}
+
+module.exports = new DuplicateService();
@@ -0,0 +1,334 @@
+const axios = require('axios');
+const ImportSource = require('../models/ImportSource');
+const ImportRun = require('../models/ImportRun');
+const userService = require('./userService');
+const { IMPORT_TYPES, CANDIDATE_REPORT_SHEETS } = require('../config/imports');
+const { IMPORT_MAX_ROWS, missingFields, applyMapping } = require('../utils/importFile');
+const { mapSheet, BODY_BUILDERS } = require('../middlewares/importFileMiddleware');
+const { getRolePermissions } = require('../utils/rolePermissions');
+const { computeNextRunAt } = require('../utils/importSchedule');
+const { bulkUploadJoiners } = require('../controllers/bulkJoinerController');
+const { bulkUploadResults } = require('../controllers/resultController');
+const { bulkUploadCandidateReports } = require('../controllers/candidateReportController');
+
+const IMPORT_SCHEDULER_ENABLED = process.env.IMPORT_SCHEDULER_ENABLED !== 'false';
+const IMPORT_SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.IMPORT_SCHEDULER_INTERVAL_SECONDS, 10) || 60;
+const IMPORT_FETCH_TIMEOUT_MS = parseInt(process.env.IMPORT_FETCH_TIMEOUT_MS, 10) || 30000;
+
+// A run still marked running after this long was interrupted (server restart)
+const STALE_RUN_MINUTES = 60;
+
+// Row errors kept on a run; the counts still cover all of them
+const IMPORT_RUN_MAX_ERRORS = 100;
+
+// The same handlers the JSON and file upload endpoints use
+const IMPORT_HANDLERS = {
+  joiners: bulkUploadJoiners,
+  results: bulkUploadResults,
+  candidate_reports: bulkUploadCandidateReports
+};
+
+// Candidate report rows the Apps Script already combined per author_id
+const isCombinedReport = (row) => row && ['learningReport', 'attendanceReport', 'groomingReport'].some(key => typeof row[key] === 'object');
+
+const toSheet = (name, rows) => ({
+  name,
+  dataSet: name,
+  headers: [...new Set(rows.flatMap(row => Object.keys(row)))],
+  rows
+});
+
+class ImportScheduler {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Check for due sources every IMPORT_SCHEDULER_INTERVAL_SECONDS
+   */
+  start() {
+    if (this.timer || !IMPORT_SCHEDULER_ENABLED) return;
+    setTimeout(() => this.tick(), 30 * 1000).unref();
+    this.timer = setInterval(() => this.tick(), IMPORT_SCHEDULER_INTERVAL_SECONDS * 1000);
+    this.timer.unref();
+  }
+
+  /**
+   * Run every enabled source whose nextRunAt has passed, one after another
+   */
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      await this.recoverStaleRuns();
+      const due = await ImportSource.find({ enabled: true, nextRunAt: { $lte: new Date() }, runningSince: null })
+        .sort({ nextRunAt: 1 });
+      for (const source of due) {
+        await this.runSource(source, { trigger: 'schedule' });
+      }
+    } catch (error) {
+      console.error('Import scheduler tick failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async recoverStaleRuns() {
+    const cutoff = new Date(Date.now() - STALE_RUN_MINUTES * 60 * 1000);
+    await ImportRun.updateMany(
+      { status: 'running', startedAt: { $lt: cutoff } },
+      { $set: { status: 'failed', finishedAt: new Date(), error: 'Run was interrupted before it finished' } }
+    );
+    await ImportSource.updateMany({ runningSince: { $lt: cutoff } }, { $set: { runningSince: null } });
+  }
+
+  /**
+   * Fetch a source and import it through the bulk upload handler of its type.
+   * Never throws; the outcome is on the returned run.
+   *
+   * @param {Object} source - ImportSource document
+   * @param {Object} options - trigger ('schedule' | 'manual' | 'rerun'), actor (user
+   *   the import is made as, defaults to source.runAs), rerunOf (failed run id)
+   * @returns {Promise<{ run?: Object, alreadyRunning?: boolean, error?: string }>}
+   *   error when the run itself could not be recorded
+   */
+  async runSource(source, { trigger, actor = null, rerunOf = null }) {
+    // Claim the source so a scheduled and a manual run can't overlap
+    let claimed;
+    try {
+      claimed = await ImportSource.findOneAndUpdate(
+        { _id: source._id, runningSince: null },
+        { $set: { runningSince: new Date() } },
+        { new: true }
+      );
+    } catch (error) {
+      console.error(`Import source "${source.name}" could not be claimed:`, error.message);
+      return { error: error.message };
+    }
+    if (!claimed) return { alreadyRunning: true };
+
+    // The claim is released whatever happens below, or the source would stay
+    // blocked until recoverStaleRuns() gives up on it
+    let run = null;
+    let sourceUpdate = { runningSince: null };
+    try {
+      run = await ImportRun.create({
+        source: claimed._id,
+        sourceName: claimed.name,
+        importType: claimed.importType,
+        trigger,
+        rerunOf,
+        triggeredBy: actor ? actor._id : null
+      });
+
+      let outcome;
+      try {
+        outcome = await this.importSource(claimed, actor);
+      } catch (error) {
+        outcome = { status: 'failed', error: error.message };
+      }
+
+      const finishedAt = new Date();
+      run.set({
+        status: outcome.status,
+        finishedAt,
+        durationMs: finishedAt - run.startedAt,
+        counts: { fetched: 0, created: 0, updated: 0, errors: 0, ...outcome.counts },
+        rowErrors: (outcome.rowErrors || []).slice(0, IMPORT_RUN_MAX_ERRORS),
+        error: outcome.error || null
+      });
+      await run.save();
+
+      sourceUpdate = { lastRunAt: finishedAt, lastRunStatus: outcome.status, runningSince: null };
+      // Manual runs and reruns don't move the schedule
+      if (trigger === 'schedule') {
+        sourceUpdate.nextRunAt = computeNextRunAt(claimed.schedule, finishedAt);
+      }
+
+      if (outcome.status === 'failed') {
+        console.error(`Import source "${claimed.name}" failed:`, outcome.error);
+      }
+    } catch (error) {
+      console.error(`Import source "${claimed.name}" could not record its run:`, error.message);
+      return { error: error.message };
+    } finally {
+      await ImportSource.updateOne({ _id: claimed._id }, { $set: sourceUpdate })
+        .catch(error => console.error(`Import source "${claimed.name}" could not be released:`, error.message));
+    }
+    return { run };
+  }
+
+  async importSource(source, actor) {
+    const user = actor || await userService.findById(source.runAs);
+    if (!user || !user.isActive) {
+      return { status: 'failed', error: 'The user this source runs as no longer exists or is inactive' };
+    }
+    const { permission } = IMPORT_TYPES[source.importType];
+    const permissions = await getRolePermissions(user.role);
+    if (!permissions.includes(permission)) {
+      return { status: 'failed', error: `The user this source runs as no longer has ${permission}` };
+    }
+
+    const { payload, error: fetchError } = await this.fetchSource(source);
+    if (fetchError) return { status: 'failed', error: fetchError };
+
+    const { body, fetched, error: bodyError } = await this.buildBody(source, payload);
+    if (bodyError) return { status: 'failed', counts: { fetched }, error: bodyError };
+
+    const { status, body: result } = await this.invokeHandler(source.importType, body, user);
+    return this.interpretResult(status, result, fetched);
+  }
+
+  async fetchSource(source) {
+    const spreadSheetName = source.spreadSheetName || source.name;
+    const url = new URL(source.url);
+    url.searchParams.set('json_config', JSON.stringify({
+      spread_sheet_name: spreadSheetName,
+      data_sets_to_be_loaded: source.dataSets
+    }));
+    url.searchParams.set('subsheet', source.dataSets[0]);
+    if (source.examType) url.searchParams.set('examType', source.examType);
+
+    let response;
+    try {
+      response = await axios.get(url.toString(), { timeout: IMPORT_FETCH_TIMEOUT_MS });
+    } catch (error) {
+      const status = error.response ? ` (HTTP ${error.response.status})` : '';
+      return { error: `Failed to fetch the sheet${status}: ${error.message}` };
+    }
+
+    const payload = response.data;
+    if (typeof payload === 'string' && payload.includes('<!DOCTYPE html>')) {
+      return { error: 'The sheet URL returned HTML instead of JSON. Check the Apps Script deployment.' };
+    }
+    if (typeof payload !== 'object' || payload === null) {
+      return { error: 'The sheet URL did not return a JSON object' };
+    }
+    if (source.spreadSheetName && payload.spread_sheet_name && payload.spread_sheet_name !== source.spreadSheetName) {
+      return { error: `Spreadsheet name does not match: expected "${source.spreadSheetName}", got "${payload.spread_sheet_name}"` };
+    }
+    return { payload };
+  }
+
+  /**
+   * Turn the Apps Script response into the JSON body of the bulk handler. Rows come
+   * either as one array (data) or keyed by data set name, at the top level or under data.
+   */
+  async buildBody(source, payload) {
+    const spreadSheetName = source.spreadSheetName || source.name;
+    const rows = Array.isArray(payload) ? payload : payload.data;
+    let sheets;
+
+    if (Array.isArray(rows)) {
+      if (rows.length > IMPORT_MAX_ROWS) {
+        return { fetched: rows.length, error: `The sheet returned ${rows.length} rows; the limit is ${IMPORT_MAX_ROWS}` };
+      }
+      if (source.importType === 'candidate_reports' && rows.some(isCombinedReport)) {
+        return {
+          fetched: rows.length,
+          body: { spread_sheet_name: spreadSheetName, data_sets_to_be_loaded: source.dataSets, candidate_reports_data: rows }
+        };
+      }
+      if (source.importType === 'candidate_reports' && source.dataSets.length > 1) {
+        return { fetched: rows.length, error: 'The sheet returned one list of rows for several report data sets; key the rows by data set name' };
+      }
+      sheets = [toSheet(source.dataSets[0], rows)];
+    } else {
+      const container = payload.data && typeof payload.data === 'object' ? payload.data : payload;
+      const missing = source.dataSets.filter(name => !Array.isArray(container[name]));
+      if (missing.length) {
+        return { fetched: 0, error: `Data sets missing from the response: ${missing.join(', ')}` };
+      }
+      sheets = source.dataSets.map(name => toSheet(name, container[name]));
+    }
+
+    const fetched = sheets.reduce((sum, sheet) => sum + sheet.rows.length, 0);
+    if (fetched > IMPORT_MAX_ROWS) {
+      return { fetched, error: `The sheet returned ${fetched} rows; the limit is ${IMPORT_MAX_ROWS}` };
+    }
+    if (!fetched) return { fetched, error: 'The sheet returned no rows' };
+
+    if (source.importType === 'candidate_reports') {
+      const unknown = sheets.filter(sheet => !CANDIDATE_REPORT_SHEETS.includes(sheet.dataSet));
+      if (unknown.length) {
+        return { fetched, error: `Unknown report data sets: ${unknown.map(sheet => sheet.name).join(', ')}` };
+      }
+    } else if (sheets.length > 1) {
+      // One import per run: data sets of the same type are imported as one list
+      sheets = [toSheet(sheets[0].name, sheets.flatMap(sheet => sheet.rows))];
+    }
+
+    const mapped = [];
+    for (const sheet of sheets) {
+      const { mapping, error } = await mapSheet(source.importType, sheet, { mappingId: source.mappingId, explicit: null });
+      if (error) return { fetched, error };
+
+      const missingColumns = missingFields(source.importType, mapping);
+      if (missingColumns.length) {
+        return { fetched, error: `Data set "${sheet.name}" has no column for: ${missingColumns.join(', ')}` };
+      }
+      mapped.push({ ...sheet, records: applyMapping(sheet.rows, mapping) });
+    }
+
+    const body = BODY_BUILDERS[source.importType]({ body: { spread_sheet_name: spreadSheetName, examType: source.examType } }, mapped);
+    return { fetched, body };
+  }
+
+  /**
+   * Call the bulk handler with a request made as the source's user and capture its response
+   */
+  async invokeHandler(importType, body, user) {
+    let status = 200;
+    let result = null;
+    const req = {
+      body,
+      query: {},
+      params: {},
+      headers: {},
+      user,
+      ip: null,
+      get: () => null
+    };
+    const res = {
+      status(code) {
+        status = code;
+        return this;
+      },
+      json(payload) {
+        result = payload;
+        return this;
+      }
+    };
+
+    await IMPORT_HANDLERS[importType](req, res);
+    return { status, body: result || {} };
+  }
+
+  interpretResult(status, result, fetched) {
+    const rowErrors = (Array.isArray(result.errors) ? result.errors : []).map(error => {
+      const text = typeof error === 'string' ? error : (error.error || error.message || JSON.stringify(error));
+      const match = /^Row (\d+): (.*)$/s.exec(text);
+      return match
+        ? { row: Number(match[1]), message: match[2] }
+        : { row: typeof error === 'object' && error.index !== undefined ? error.index + 1 : null, message: text };
+    });
+    const counts = {
+      fetched,
+      created: result.createdCount ?? result.uploadedCount ?? result.insertedCount ?? 0,
+      updated: result.updatedCount || 0,
+      errors: result.errorCount ?? rowErrors.length
+    };
+
+    if (status >= 400) {
+      return { status: 'failed', counts, rowErrors, error: result.error ? `${result.message}: ${result.error}` : (result.message || `Import failed with HTTP ${status}`) };
+    }
+    if (counts.errors > 0) {
+      const written = counts.created + counts.updated > 0;
+      return { status: written ? 'partial' : 'failed', counts, rowErrors, error: written ? null : (result.message || 'No rows were imported') };
+    }
+    return { status: 'succeeded', counts, rowErrors };
+  }
+}
+
+module.exports = new ImportScheduler();
@@ -0,0 +1,355 @@
+const mongoose = require('mongoose');
+const Joiner = require('../models/Joiner');
+const OnboardingTemplate = require('../models/OnboardingTemplate');
+const OnboardingProgress = require('../models/OnboardingProgress');
+const { ONBOARDING_EVENTS, DEFAULT_ONBOARDING_TEMPLATE } = require('../config/onboarding');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STEP_FIELDS = ['key', 'title', 'description', 'ownerRole', 'dueOffsetDays', 'dependsOn', 'autoCompleteOn', 'checklistFlag'];
+
+const addDays = (date, days) => (date ? new Date(new Date(date).getTime() + (days || 0) * DAY_MS) : null);
+
+const isDone = (step) => step.status === 'completed' || step.status === 'skipped';
+
+/**
+ * Onboarding checklist workflow for joiners.
+ *
+ * Every joiner gets one OnboardingProgress built from a template: the template's
+ * steps are copied with a due date computed from the joining date. Steps are
+ * completed by their owner role through the API, or automatically when the
+ * controllers report an event (account created, welcome email sent, first sign-in,
+ * trainer assigned). Each step can mirror one Joiner.onboardingChecklist flag,
+ * which is kept in sync whenever the step changes.
+ */
+class OnboardingService {
+  // ---- Templates ----
+
+  /**
+   * Template for a joiner: an active template listing the joiner's department,
+   * then the active default template, then the built-in one
+   */
+  async resolveTemplate(joiner) {
+    const templates = await OnboardingTemplate.find({ isActive: true }).sort({ updatedAt: -1 }).lean();
+    return templates.find(template => joiner.department && template.departments.includes(joiner.department))
+      || templates.find(template => template.isDefault)
+      || DEFAULT_ONBOARDING_TEMPLATE;
+  }
+
+  /**
+   * Build the steps for a joiner. Flags already set on the joiner's checklist
+   * mark their steps as completed so existing joiners do not start from zero.
+   */
+  buildSteps(template, joiner) {
+    const checklist = joiner.onboardingChecklist || {};
+    return template.steps.map(templateStep => {
+      const step = {};
+      STEP_FIELDS.forEach(field => { step[field] = templateStep[field]; });
+      step.dependsOn = [...(templateStep.dependsOn || [])];
+      step.dueDate = addDays(joiner.joiningDate, step.dueOffsetDays);
+
+      if (step.checklistFlag && checklist[step.checklistFlag]) {
+        step.status = 'completed';
+        step.completedAt = new Date();
+        step.completedVia = 'checklist';
+      }
+      return step;
+    });
+  }
+
+  // ---- Progress ----
+
+  /**
+   * Start onboarding for a joiner. Returns the existing progress if there is one.
+   */
+  async startOnboarding(joiner, { template = null } = {}) {
+    const existing = await OnboardingProgress.findOne({ joiner: joiner._id });
+    if (existing) return existing;
+
+    const resolved = template || await this.resolveTemplate(joiner);
+    const progress = new OnboardingProgress({
+      joiner: joiner._id,
+      template: resolved._id || null,
+      templateName: resolved.name,
+      joiningDate: joiner.joiningDate || null,
+      steps: this.buildSteps(resolved, joiner)
+    });
+    this.updateCompletion(progress);
+
+    try {
+      await progress.save();
+    } catch (error) {
+      // Another request started it first
+      if (error.code === 11000) return OnboardingProgress.findOne({ joiner: joiner._id });
+      throw error;
+    }
+    return progress;
+  }
+
+  /**
+   * Start onboarding for many joiners (bulk imports). Never throws; failures are logged.
+   */
+  async startOnboardingBatch(joiners) {
+    try {
+      const ids = joiners.map(joiner => joiner._id);
+      const started = await OnboardingProgress.find({ joiner: { $in: ids } }).distinct('joiner');
+      const startedIds = new Set(started.map(String));
+      const templates = await OnboardingTemplate.find({ isActive: true }).sort({ updatedAt: -1 }).lean();
+
+      const documents = joiners
+        .filter(joiner => !startedIds.has(String(joiner._id)))
+        .map(joiner => {
+          const template = templates.find(t => joiner.department && t.departments.includes(joiner.department))
+            || templates.find(t => t.isDefault)
+            || DEFAULT_ONBOARDING_TEMPLATE;
+          const progress = new OnboardingProgress({
+            joiner: joiner._id,
+            template: template._id || null,
+            templateName: template.name,
+            joiningDate: joiner.joiningDate || null,
+            steps: this.buildSteps(template, joiner)
+          });
+          this.updateCompletion(progress);
+          return progress;
+        });
+
+      if (documents.length) {
+        await OnboardingProgress.insertMany(documents, { ordered: false });
+      }
+      return documents.length;
+    } catch (error) {
+      console.error('Failed to start onboarding for imported joiners:', error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Progress for a joiner, starting onboarding on first access
+   */
+  async getProgress(joiner) {
+    const progress = await OnboardingProgress.findOne({ joiner: joiner._id });
+    return progress || this.startOnboarding(joiner);
+  }
+
+  /**
+   * Progress with a computed state per step (completed, skipped, blocked, overdue, pending)
+   * and a summary, as returned by the API
+   */
+  describeProgress(progress, now = new Date()) {
+    const plain = typeof progress.toObject === 'function' ? progress.toObject() : progress;
+    const byKey = new Map(plain.steps.map(step => [step.key, step]));
+
+    const steps = plain.steps.map(step => {
+      const blockedBy = step.status === 'pending'
+        ? step.dependsOn.filter(key => byKey.has(key) && !isDone(byKey.get(key)))
+        : [];
+      let state = step.status;
+      if (step.status === 'pending') {
+        if (blockedBy.length) state = 'blocked';
+        else if (step.dueDate && step.dueDate < now) state = 'overdue';
+      }
+      return { ...step, state, blockedBy };
+    });
+
+    const summary = { total: steps.length, completed: 0, skipped: 0, pending: 0, blocked: 0, overdue: 0 };
+    steps.forEach(step => { summary[step.state] += 1; });
+    summary.percentComplete = steps.length
+      ? Math.round(((summary.completed + summary.skipped) / steps.length) * 100)
+      : 100;
+
+    const nextStep = steps.find(step => step.state === 'overdue' || step.state === 'pending') || null;
+    return { ...plain, steps, summary, nextStep: nextStep ? nextStep.key : null };
+  }
+
+  updateCompletion(progress) {
+    const allDone = progress.steps.length > 0 && progress.steps.every(isDone);
+    if (allDone && !progress.completedAt) progress.completedAt = new Date();
+    if (!allDone) progress.completedAt = null;
+  }
+
+  /**
+   * Mirror step statuses onto Joiner.onboardingChecklist
+   */
+  async syncChecklist(joinerId, steps) {
+    const update = {};
+    steps.forEach(step => {
+      if (step.checklistFlag) update[`onboardingChecklist.${step.checklistFlag}`] = step.status === 'completed';
+    });
+    if (Object.keys(update).length) {
+      await Joiner.updateOne({ _id: joinerId }, { $set: update });
+    }
+  }
+
+  /**
+   * Complete, skip or reopen a step by hand. Dependencies must be done before a
+   * step can be completed or skipped.
+   *
+   * @returns {{ progress?, step?, error?, statusCode? }}
+   */
+  async completeStep(joiner, stepKey, { user = null, status = 'completed', notes } = {}) {
+    const progress = await this.getProgress(joiner);
+    const step = progress.steps.find(s => s.key === stepKey);
+    if (!step) {
+      return { error: `Step "${stepKey}" not found`, statusCode: 404 };
+    }
+
+    if (status !== 'pending') {
+      const blockedBy = step.dependsOn.filter(key => {
+        const dependency = progress.steps.find(s => s.key === key);
+        return dependency && !isDone(dependency);
+      });
+      if (blockedBy.length) {
+        return { error: `Step "${stepKey}" is waiting on: ${blockedBy.join(', ')}`, statusCode: 409, blockedBy };
+      }
+    } else {
+      // Reopening is refused while a later step that depends on this one is done
+      const dependents = progress.steps.filter(s => s.dependsOn.includes(stepKey) && isDone(s)).map(s => s.key);
+      if (dependents.length) {
+        return { error: `Step "${stepKey}" cannot be reopened while these steps are done: ${dependents.join(', ')}`, statusCode: 409 };
+      }
+    }
+
+    step.status = status;
+    step.completedAt = status === 'pending' ? null : new Date();
+    step.completedBy = status === 'pending' ? null : (user?._id || null);
+    step.completedVia = status === 'pending' ? null : 'manual';
+    if (notes !== undefined) step.notes = notes;
+
+    this.updateCompletion(progress);
+    await progress.save();
+    await this.syncChecklist(joiner._id, [step]);
+
+    return { progress, step };
+  }
+
+  /**
+   * Complete pending steps that auto-complete on an event, for joiners given by
+   * _id or author_id. Joiners without progress get onboarding started first.
+   * Dependencies are not enforced here: the event proves the work happened.
+   * Never throws - the action that fired the event has already happened.
+   *
+   * @returns {Promise<number>} number of steps completed
+   */
+  async handleEvent(event, { joinerIds = [], authorIds = [] } = {}, actor = null) {
+    if (!ONBOARDING_EVENTS[event]) {
+      console.error(`Unknown onboarding event: ${event}`);
+      return 0;
+    }
+
+    try {
+      const conditions = [];
+      const ids = joinerIds.filter(id => id && mongoose.Types.ObjectId.isValid(id));
+      if (ids.length) conditions.push({ _id: { $in: ids } });
+      const authors = authorIds.filter(Boolean);
+      if (authors.length) conditions.push({ author_id: { $in: authors } });
+      if (!conditions.length) return 0;
+
+      const joiners = await Joiner.find({ $or: conditions })
+        .select('_id department joiningDate onboardingChecklist')
+        .lean();
+
+      let completed = 0;
+      for (const joiner of joiners) {
+        const progress = await this.getProgress(joiner);
+        const steps = progress.steps.filter(step => step.autoCompleteOn === event && step.status === 'pending');
+        if (!steps.length) continue;
+
+        steps.forEach(step => {
+          step.status = 'completed';
+          step.completedAt = new Date();
+          step.completedBy = actor?._id || null;
+          step.completedVia = 'auto';
+        });
+        this.updateCompletion(progress);
+        await progress.save();
+        await this.syncChecklist(joiner._id, steps);
+        completed += steps.length;
+      }
+      return completed;
+    } catch (error) {
+      console.error(`Failed to apply onboarding event ${event}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Recompute due dates after a joiner's joining date changes. Never throws.
+   */
+  async rescheduleJoiner(joiner) {
+    try {
+      const progress = await OnboardingProgress.findOne({ joiner: joiner._id });
+      if (!progress) return;
+
+      progress.joiningDate = joiner.joiningDate || null;
+      progress.steps.forEach(step => {
+        step.dueDate = addDays(joiner.joiningDate, step.dueOffsetDays);
+      });
+      await progress.save();
+    } catch (error) {
+      console.error('Failed to reschedule onboarding:', error.message);
+    }
+  }
+
+  /**
+   * Pending steps past their due date, oldest first, with the joiner attached.
+   * Steps still blocked by a dependency are included and flagged.
+   */
+  async getOverdueSteps({ ownerRole, department, joinerId, page = 1, limit = 50, now = new Date() } = {}) {
+    const stepMatch = { 'steps.status': 'pending', 'steps.dueDate': { $lt: now } };
+    if (ownerRole) stepMatch['steps.ownerRole'] = ownerRole;
+
+    const pipeline = [
+      { $match: { 'steps.status': 'pending', 'steps.dueDate': { $lt: now }, ...(joinerId ? { joiner: new mongoose.Types.ObjectId(joinerId) } : {}) } },
+      { $addFields: { allSteps: '$steps' } },
+      { $unwind: '$steps' },
+      { $match: stepMatch },
+      {
+        $lookup: {
+          from: Joiner.collection.name,
+          localField: 'joiner',
+          foreignField: '_id',
+          as: 'joiner',
+          pipeline: [
+            { $match: { deletedAt: null } },
+            { $project: { name: 1, candidate_name: 1, email: 1, candidate_personal_mail_id: 1, department: 1, author_id: 1, joiningDate: 1, status: 1 } }
+          ]
+        }
+      },
+      { $unwind: '$joiner' },
+      ...(department ? [{ $match: { 'joiner.department': department } }] : []),
+      { $sort: { 'steps.dueDate': 1 } },
+      {
+        $facet: {
+          items: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+          total: [{ $count: 'count' }],
+          byOwnerRole: [{ $group: { _id: '$steps.ownerRole', count: { $sum: 1 } } }]
+        }
+      }
+    ];
+
+    const [result] = await OnboardingProgress.aggregate(pipeline);
+    const items = result.items.map(item => {
+      const blockedBy = item.steps.dependsOn.filter(key => {
+        const dependency = item.allSteps.find(s => s.key === key);
+        return dependency && !isDone(dependency);
+      });
+      return {
+        progressId: item._id,
+        joiner: item.joiner,
+        templateName: item.templateName,
+        step: item.steps,
+        daysOverdue: Math.floor((now - item.steps.dueDate) / DAY_MS),
+        blocked: blockedBy.length > 0,
+        blockedBy
+      };
+    });
+
+    const total = result.total[0] ? result.total[0].count : 0;
+    const byOwnerRole = {};
+    result.byOwnerRole.forEach(group => { byOwnerRole[group._id] = group.count; });
+
+    return { items, total, byOwnerRole };
+  }
+}
+
+module.exports = new OnboardingService();
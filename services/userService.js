@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+/**
+ * Single entry point for reading and writing user accounts.
+ *
+ * Controllers, middleware and sync jobs go through this service instead of
+ * requiring the model directly, so there is exactly one place that knows how
+ * users are stored. Query methods return Mongoose queries, so callers can keep
+ * chaining .select(), .populate(), .lean() and .sort() as before.
+ */
+class UserService {
+  constructor() {
+    this.model = User;
+  }
+
+  // ---- Generic queries ----
+
+  find(filter = {}, projection, options) {
+    return User.find(filter, projection, options);
+  }
+
+  findOne(filter = {}, projection, options) {
+    return User.findOne(filter, projection, options);
+  }
+
+  findById(id, projection, options) {
+    return User.findById(id, projection, options);
+  }
+
+  countDocuments(filter = {}) {
+    return User.countDocuments(filter);
+  }
+
+  exists(filter) {
+    return User.exists(filter);
+  }
+
+  aggregate(pipeline) {
+    return User.aggregate(pipeline);
+  }
+
+  // ---- Lookups ----
+
+  /**
+   * Find a user by email (case-insensitive)
+   */
+  findByEmail(email, projection) {
+    const normalized = (email || '').toString().trim();
+    return User.findOne({
+      email: { $regex: new RegExp(`^${normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i') }
+    }, projection);
+  }
+
+  findByAuthorId(authorId, projection) {
+    return User.findOne({ author_id: authorId }, projection);
+  }
+
+  /**
+   * Accepts either a Mongo _id or an author_id, which the API uses interchangeably
+   */
+  findByIdOrAuthorId(identifier, projection) {
+    if (mongoose.Types.ObjectId.isValid(identifier) && String(identifier).length === 24) {
+      return User.findOne({ $or: [{ _id: identifier }, { author_id: identifier }] }, projection);
+    }
+    return User.findOne({ author_id: identifier }, projection);
+  }
+
+  findByJoinerId(joinerId, projection) {
+    return User.findOne({ joinerId }, projection);
+  }
+
+  // ---- Writes ----
+
+  create(data) {
+    return User.create(data);
+  }
+
+  createWithJoiner(data, joinerId) {
+    return User.createWithJoiner(data, joinerId);
+  }
+
+  /**
+   * Build an unsaved user document
+   */
+  build(data) {
+    return new User(data);
+  }
+
+  updateOne(filter, update, options) {
+    return User.updateOne(filter, update, options);
+  }
+
+  updateMany(filter, update, options) {
+    return User.updateMany(filter, update, options);
+  }
+
+  findByIdAndUpdate(id, update, options) {
+    return User.findByIdAndUpdate(id, update, options);
+  }
+
+  findOneAndUpdate(filter, update, options) {
+    return User.findOneAndUpdate(filter, update, options);
+  }
+
+  findByIdAndDelete(id) {
+    return User.findByIdAndDelete(id);
+  }
+
+  findOneAndDelete(filter) {
+    return User.findOneAndDelete(filter);
+  }
+}
+
+module.exports = new UserService();
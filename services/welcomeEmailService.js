@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const Joiner = require('../models/Joiner');
+const EmailDelivery = require('../models/EmailDelivery');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const userService = require('./userService');
+const onboardingService = require('./onboardingService');
+const { hashToken } = require('../utils/sessionTokens');
+const { sendMail, buildFrontendUrl } = require('../utils/mailer');
+const { getEmailTemplate, renderEmailTemplate } = require('../utils/emailTemplates');
+
+const WELCOME_LINK_TTL_HOURS = parseInt(process.env.WELCOME_LINK_TTL_HOURS, 10) || 72;
+
+const formatDate = (date) => (date ? new Date(date).toDateString() : 'to be confirmed');
+
+/**
+ * Welcome emails for joiners.
+ *
+ * The email carries a one-time set-password link (a PasswordResetToken with the
+ * "welcome" purpose, redeemed through POST /api/auth/reset-password), never the
+ * password itself. Every attempt is logged in EmailDelivery and summarized on
+ * Joiner.welcomeEmail; a successful send sets onboardingChecklist.welcomeEmailSent
+ * and completes the welcome_email_sent onboarding step.
+ */
+class WelcomeEmailService {
+  constructor() {
+    this.autoSend = process.env.WELCOME_EMAIL_AUTO_SEND !== 'false';
+  }
+
+  // The joiner's user account, linked either way round
+  async findAccount(joiner) {
+    if (joiner.userId) {
+      const user = await userService.findById(joiner.userId).select('_id name email isActive');
+      if (user) return user;
+    }
+    return userService.findOne({ joinerId: joiner._id }).select('_id name email isActive');
+  }
+
+  // Only the newest welcome link stays usable
+  async issueSetPasswordLink(user) {
+    await PasswordResetToken.updateMany(
+      { userId: user._id, purpose: 'welcome', usedAt: null },
+      { usedAt: new Date() }
+    );
+
+    const rawToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + WELCOME_LINK_TTL_HOURS * 60 * 60 * 1000);
+    await PasswordResetToken.create({
+      userId: user._id,
+      tokenHash: hashToken(rawToken),
+      purpose: 'welcome',
+      expiresAt
+    });
+
+    return { url: buildFrontendUrl('/reset-password', { token: rawToken, welcome: 'true' }), expiresAt };
+  }
+
+  /**
+   * Send the welcome email to one joiner. Never throws.
+   *
+   * @param {object} joiner - Joiner document or lean object
+   * @param {object} options - actor (user sending it), trigger (account_created | resend | bulk)
+   * @returns {Promise<{ joinerId, status: 'sent'|'failed'|'skipped', error?: string }>}
+   *   skipped means there was nothing to send to (no account, or it is deactivated)
+   */
+  async send(joiner, { actor = null, trigger = 'resend' } = {}) {
+    const result = { joinerId: joiner._id, name: joiner.name };
+
+    let user;
+    try {
+      user = await this.findAccount(joiner);
+    } catch (error) {
+      return { ...result, status: 'failed', error: error.message };
+    }
+    if (!user) {
+      return { ...result, status: 'skipped', error: 'The joiner has no user account yet' };
+    }
+    if (user.isActive === false) {
+      return { ...result, status: 'skipped', error: 'The joiner\'s user account is deactivated' };
+    }
+
+    const attempt = { template: 'welcome', joinerId: joiner._id, userId: user._id, to: user.email, trigger, sentBy: actor?._id || null };
+    try {
+      const template = await getEmailTemplate('welcome');
+      const link = await this.issueSetPasswordLink(user);
+      const email = renderEmailTemplate(template, {
+        name: joiner.name || user.name,
+        email: user.email,
+        setPasswordUrl: link.url,
+        linkExpiresAt: link.expiresAt.toUTCString(),
+        joiningDate: formatDate(joiner.joiningDate || joiner.date_of_joining),
+        department: joiner.department || ''
+      });
+      attempt.subject = email.subject;
+
+      const info = await sendMail({ to: user.email, ...email });
+      if (Array.isArray(info.rejected) && info.rejected.length) {
+        throw new Error(`Recipient rejected: ${info.rejected.join(', ')}`);
+      }
+
+      const now = new Date();
+      await EmailDelivery.create({ ...attempt, status: 'sent', messageId: info.messageId || null });
+      await Joiner.updateOne({ _id: joiner._id }, {
+        $set: {
+          'welcomeEmail.status': 'sent',
+          'welcomeEmail.sentAt': now,
+          'welcomeEmail.lastAttemptAt': now,
+          'welcomeEmail.lastError': null,
+          'onboardingChecklist.welcomeEmailSent': true
+        },
+        $inc: { 'welcomeEmail.attempts': 1 }
+      });
+      await onboardingService.handleEvent('welcome_email_sent', { joinerIds: [joiner._id] }, actor);
+
+      return { ...result, status: 'sent', to: user.email };
+    } catch (error) {
+      console.error(`Failed to send welcome email to joiner ${joiner._id}:`, error.message);
+      try {
+        await EmailDelivery.create({ ...attempt, status: 'failed', error: error.message });
+        await Joiner.updateOne({ _id: joiner._id }, {
+          $set: {
+            'welcomeEmail.status': 'failed',
+            'welcomeEmail.lastAttemptAt': new Date(),
+            'welcomeEmail.lastError': error.message
+          },
+          $inc: { 'welcomeEmail.attempts': 1 }
+        });
+      } catch (logError) {
+        console.error('Failed to record welcome email delivery:', logError.message);
+      }
+      return { ...result, status: 'failed', to: user.email, error: error.message };
+    }
+  }
+
+  /**
+   * Send right after an account was created, unless WELCOME_EMAIL_AUTO_SEND=false.
+   * Never throws; resolves to null when automatic sending is off.
+   */
+  async sendForNewAccount(joiner, actor = null) {
+    if (!this.autoSend) return null;
+    return this.send(joiner, { actor, trigger: 'account_created' });
+  }
+
+  /**
+   * Send to many joiners one after another. Never throws.
+   */
+  async sendBatch(joiners, { actor = null, trigger = 'bulk' } = {}) {
+    const results = [];
+    for (const joiner of joiners) {
+      results.push(await this.send(joiner, { actor, trigger }));
+    }
+    return {
+      sent: results.filter(result => result.status === 'sent').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      skipped: results.filter(result => result.status === 'skipped').length,
+      results
+    };
+  }
+}
+
+module.exports = new WelcomeEmailService();
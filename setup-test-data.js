@@ -3,7 +3,6 @@ const bcrypt = require('bcryptjs');
 
 // Import models
 const User = require('./models/User');
-const UserNew = require('./models/UserNew');
 const Joiner = require('./models/Joiner');
 
 // Database connection
@@ -25,13 +24,12 @@ const createTestData = async () => {
 
     // Clear existing data
     await User.deleteMany({});
-    await UserNew.deleteMany({});
     await Joiner.deleteMany({});
 
     // Create admin user
     const hashedPassword = await bcrypt.hash('admin123', 10);
     
-    const adminUser = await UserNew.create({
+    const adminUser = await User.create({
       author_id: 'admin-001',
       name: 'Admin User',
       email: 'admin@test.com',
@@ -44,7 +42,7 @@ const createTestData = async () => {
     });
 
     // Create active trainer
-    const trainerUser = await UserNew.create({
+    const trainerUser = await User.create({
       author_id: 'trainer-001',
       name: 'John Trainer',
       email: 'john.trainer@test.com',
@@ -57,7 +55,7 @@ const createTestData = async () => {
     });
 
     // Create active trainee
-    const traineeUser = await UserNew.create({
+    const traineeUser = await User.create({
       author_id: 'trainee-001',
       name: 'Jane Trainee',
       email: 'jane.trainee@test.com',
@@ -71,7 +69,7 @@ const createTestData = async () => {
     });
 
     // Create DEACTIVATED trainer with remarks
-    const deactivatedTrainer = await UserNew.create({
+    const deactivatedTrainer = await User.create({
       author_id: 'trainer-002',
       name: 'Mike Deactivated',
       email: 'mike.deactivated@test.com',
@@ -87,7 +85,7 @@ const createTestData = async () => {
     });
 
     // Create DEACTIVATED trainee with remarks
-    const deactivatedTrainee = await UserNew.create({
+    const deactivatedTrainee = await User.create({
       author_id: 'trainee-002',
       name: 'Sarah Deactivated',
       email: 'sarah.deactivated@test.com',
@@ -103,7 +101,7 @@ const createTestData = async () => {
     });
 
     // Create another DEACTIVATED trainee with different remarks
-    const deactivatedTrainee2 = await UserNew.create({
+    const deactivatedTrainee2 = await User.create({
       author_id: 'trainee-003',
       name: 'Tom Deactivated',
       email: 'tom.deactivated@test.com',
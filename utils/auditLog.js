@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+
+// Bookkeeping and secrets that never belong in an audit diff
+const IGNORED_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt',
+  'password', 'tempPassword', 'twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorRecoveryCodes', 'twoFactorLastUsedStep'
+];
+
+// Large values (report payloads, exam arrays) are summarized instead of stored whole
+const MAX_VALUE_LENGTH = 5000;
+
+// Plain JSON-safe copy of a document or value
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value.toObject === 'function') value = value.toObject({ depopulate: true, virtuals: false });
+  return JSON.parse(JSON.stringify(value, (key, val) => (val instanceof mongoose.Types.ObjectId ? val.toString() : val)));
+};
+
+const limitSize = (value) => {
+  if (value === null || value === undefined) return null;
+  const serialized = JSON.stringify(value);
+  if (serialized.length <= MAX_VALUE_LENGTH) return value;
+  return { truncated: true, length: serialized.length, preview: serialized.slice(0, 500) };
+};
+
+/**
+ * Field-level changes between two snapshots of a record.
+ * Pass { truncate: false } to keep large values whole.
+ */
+const diffSnapshots = (before, after, { truncate = true } = {}) => {
+  const previous = toPlain(before) || {};
+  const next = toPlain(after) || {};
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+  const changes = [];
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    const oldValue = previous[field] === undefined ? null : previous[field];
+    const newValue = next[field] === undefined ? null : next[field];
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes.push({
+        field,
+        before: truncate ? limitSize(oldValue) : oldValue,
+        after: truncate ? limitSize(newValue) : newValue
+      });
+    }
+  });
+  return changes;
+};
+
+const buildEvent = (req, { actor, action, entityType, entityId, entityLabel = null, before = null, after = null, metadata = null }) => {
+  const user = actor || req?.user || null;
+  return {
+    actor: user?._id || null,
+    actorName: user?.name || null,
+    actorEmail: user?.email || null,
+    actorRole: user?.role || null,
+    apiKey: req?.apiKey?._id || null,
+    impersonatedBy: req?.impersonation?.impersonatedBy || null,
+    action,
+    entityType,
+    entityId: String(entityId),
+    entityLabel,
+    changes: diffSnapshots(before, after),
+    metadata,
+    ipAddress: req?.ip || null,
+    userAgent: req?.get ? req.get('user-agent') || null : null
+  };
+};
+
+/**
+ * Append an audit event. Never throws - the change it describes has already happened.
+ *
+ * @param {object} req - Express request (actor, API key, impersonation and IP are read from it)
+ * @param {object} event - action, entityType, entityId and optionally entityLabel,
+ *   before/after snapshots, metadata, and actor when req.user is not the one acting
+ */
+const recordAudit = async (req, event) => {
+  try {
+    await AuditEvent.create(buildEvent(req, event));
+  } catch (error) {
+    console.error('Failed to record audit event:', error.message);
+  }
+};
+
+/**
+ * Append many audit events at once (bulk uploads)
+ */
+const recordAuditBatch = async (req, events) => {
+  if (!events.length) return;
+  try {
+    await AuditEvent.insertMany(events.map(event => buildEvent(req, event)), { ordered: false });
+  } catch (error) {
+    console.error('Failed to record audit events:', error.message);
+  }
+};
+
+module.exports = {
+  toPlain,
+  diffSnapshots,
+  recordAudit,
+  recordAuditBatch,
+};
@@ -1,7 +1,6 @@
 const googleSheetsSync = require('../services/googleSheetsSyncService');
-const User = require('../models/User');
-const UserNew = require('../models/UserNew');
 const Joiner = require('../models/Joiner');
+const userService = require('../services/userService');
 
 /**
  * Automatically sync data to Google Sheets when changes occur
@@ -100,9 +99,8 @@ const syncJoinersToSheet = async (spreadsheetId) => {
 const syncUsersToSheet = async (spreadsheetId) => {
   const sheetName = 'Users';
   
-  // Fetch all users from both collections
-  const users = await User.find({}).lean();
-  const usersNew = await UserNew.find({}).lean();
+  // Fetch all users
+  const users = await userService.find({}).lean();
 
   // Fetch all joiners to get proper employee IDs (NW format)
   const joiners = await Joiner.find({}).lean();
@@ -118,19 +116,6 @@ const syncUsersToSheet = async (spreadsheetId) => {
     }
   });
 
-  // Combine and deduplicate by email
-  const allUsers = [...users, ...usersNew];
-  const uniqueUsers = [];
-  const seenEmails = new Set();
-
-  allUsers.forEach(user => {
-    const email = user.email?.toLowerCase();
-    if (email && !seenEmails.has(email)) {
-      seenEmails.add(email);
-      uniqueUsers.push(user);
-    }
-  });
-
   // Prepare headers
   const headers = [
     'Name',
@@ -149,7 +134,7 @@ const syncUsersToSheet = async (spreadsheetId) => {
   ];
 
   // Prepare data rows with proper employee ID lookup
-  const data = uniqueUsers.map(user => {
+  const data = users.map(user => {
     // Get employee ID - prioritize joiner's employeeId (NW format)
     let employeeId = '';
     
@@ -181,7 +166,7 @@ const syncUsersToSheet = async (spreadsheetId) => {
       user.author_id || '',
       user.role || '',
       user.department || '',
-      user.phone || user.phone_number || '',
+      user.phone || '',
       user.status || '',
       user.isActive ? 'Yes' : 'No',
       user.accountStatus || '',
@@ -201,7 +186,7 @@ const syncUsersToSheet = async (spreadsheetId) => {
 
   await googleSheetsSync.formatHeaders(spreadsheetId, sheetName);
   
-  console.log(`[Auto-Sync] Successfully synced ${uniqueUsers.length} users to Google Sheets`);
+  console.log(`[Auto-Sync] Successfully synced ${users.length} users to Google Sheets`);
 };
 
 module.exports = {
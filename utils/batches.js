@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const Batch = require('../models/Batch');
+const userService = require('../services/userService');
+
+/**
+ * Everything needed to narrow a query down to one batch's trainees: joiner ids,
+ * author_ids (results, reports and assignments) and user ids (attendance, day
+ * plans and observations).
+ *
+ * @returns {Promise<{ batch, joinerIds, authorIds, userIds }|null>} null if there is no such batch
+ */
+const findBatchMembers = async (batchId) => {
+  if (!mongoose.Types.ObjectId.isValid(batchId)) return null;
+
+  const batch = await Batch.findById(batchId).select('name startDate endDate members').lean();
+  if (!batch) return null;
+
+  const authorIds = batch.members.map(member => member.author_id);
+  const users = authorIds.length
+    ? await userService.find({ author_id: { $in: authorIds } }).select('_id').lean()
+    : [];
+
+  return {
+    batch: { _id: batch._id, name: batch.name, startDate: batch.startDate, endDate: batch.endDate },
+    joinerIds: batch.members.map(member => member.joiner),
+    authorIds,
+    userIds: users.map(user => user._id)
+  };
+};
+
+/**
+ * Resolve the ?batch= filter of a request. Sends the 404 itself and resolves to
+ * false when the batch does not exist; resolves to null when no batch was asked for.
+ */
+const resolveBatchFilter = async (req, res) => {
+  if (!req.query.batch) return null;
+  const members = await findBatchMembers(req.query.batch);
+  if (!members) {
+    res.status(404).json({ success: false, message: 'Batch not found' });
+    return false;
+  }
+  return members;
+};
+
+/**
+ * author_id -> { _id, name } of the batch it belongs to, for grouping by batch
+ */
+const getBatchIndex = async () => {
+  const batches = await Batch.find({}).select('name members.author_id').lean();
+  const index = new Map();
+  batches.forEach(batch => {
+    batch.members.forEach(member => index.set(member.author_id, { _id: batch._id, name: batch.name }));
+  });
+  return { batches, index };
+};
+
+module.exports = {
+  findBatchMembers,
+  resolveBatchFilter,
+  getBatchIndex,
+};
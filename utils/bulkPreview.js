@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const BulkUploadPreview = require('../models/BulkUploadPreview');
+const BulkUploadPreviewChunk = require('../models/BulkUploadPreviewChunk');
+const { toPlain, diffSnapshots } = require('./auditLog');
+const { hashToken } = require('./sessionTokens');
+
+const BULK_PREVIEW_TTL_MINUTES = parseInt(process.env.BULK_PREVIEW_TTL_MINUTES, 10) || 60;
+
+const ROW_ACTIONS = ['create', 'update', 'skip', 'error'];
+
+// Well under MongoDB's 16 MB document limit
+const PAYLOAD_CHUNK_BYTES = 8 * 1024 * 1024;
+
+// dryRun may come as a JSON boolean, a multipart/query string or ?dryRun=
+const isDryRun = (req) => [req.body?.dryRun, req.query?.dryRun].some(value => value === true || value === 'true' || value === '1');
+
+// { a: { b: 1 } } -> { 'a.b': 1 }, so nested report data diffs per metric
+const flatten = (value, prefix = '', into = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length) {
+    Object.entries(value).forEach(([key, nested]) => flatten(nested, prefix ? `${prefix}.${key}` : key, into));
+  } else if (prefix) {
+    into[prefix] = value === undefined ? null : value;
+  }
+  return into;
+};
+
+/**
+ * Field-level changes a row would make to an existing record (or to nothing, for
+ * a create). Nested objects are compared per leaf, e.g. "Daily Quiz counts.Static".
+ */
+const diffRow = (existing, incoming) =>
+  diffSnapshots(flatten(toPlain(existing) || {}), flatten(toPlain(incoming) || {}), { truncate: false })
+    .map(({ field, before, after }) => ({ field, from: before, to: after }));
+
+/**
+ * One planned row of a bulk upload
+ *
+ * @param {number} index - zero-based position in the uploaded data
+ * @param {string} action - create | update | skip | error
+ * @param {object} details - key (what the row identifies), message, diff, existing (record it matched)
+ */
+const planRow = (index, action, { key = null, message = null, diff = [], existing = null } = {}) => ({
+  row: index + 1,
+  action,
+  key,
+  message,
+  diff,
+  existingId: existing?._id ? String(existing._id) : null,
+  // Any edit to the matched record between preview and commit changes the plan
+  existingUpdatedAt: existing?.updatedAt ? new Date(existing.updatedAt).toISOString() : null
+});
+
+const summarizeRows = (rows) => ROW_ACTIONS.reduce((summary, action) => ({
+  ...summary,
+  [action]: rows.filter(row => row.action === action).length
+}), { total: rows.length });
+
+const hashRows = (rows) => crypto.createHash('sha256').update(JSON.stringify(rows)).digest('hex');
+
+const describeSummary = (summary) =>
+  `${summary.create} to create, ${summary.update} to update, ${summary.skip} to skip, ${summary.error} with errors`;
+
+const splitPayload = (payload) => {
+  const serialized = Buffer.from(JSON.stringify(payload));
+  const chunks = [];
+  for (let offset = 0; offset < serialized.length; offset += PAYLOAD_CHUNK_BYTES) {
+    chunks.push(serialized.subarray(offset, offset + PAYLOAD_CHUNK_BYTES));
+  }
+  return chunks;
+};
+
+const loadPayload = async (preview) => {
+  const chunks = await BulkUploadPreviewChunk.find({ preview: preview._id }).sort({ index: 1 }).lean();
+  if (chunks.length !== preview.payloadChunks) {
+    return null;
+  }
+  return JSON.parse(Buffer.concat(chunks.map(chunk => Buffer.from(chunk.data.buffer || chunk.data))).toString());
+};
+
+/**
+ * Store a dry-run and return the response body describing it. The token is only
+ * ever returned here; the preview stores its hash.
+ */
+const createPreview = async (req, importType, payload, rows) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const summary = summarizeRows(rows);
+  const expiresAt = new Date(Date.now() + BULK_PREVIEW_TTL_MINUTES * 60 * 1000);
+  const chunks = splitPayload(payload);
+
+  const preview = await BulkUploadPreview.create({
+    tokenHash: hashToken(token),
+    importType,
+    payloadChunks: chunks.length,
+    planHash: hashRows(rows),
+    summary,
+    createdBy: req.user._id,
+    apiKey: req.apiKey ? req.apiKey._id : null,
+    expiresAt
+  });
+  await BulkUploadPreviewChunk.insertMany(chunks.map((data, index) => ({ preview: preview._id, index, data, expiresAt })));
+
+  return {
+    dryRun: true,
+    message: `Preview: ${describeSummary(summary)}. Commit it with the previewToken before it expires.`,
+    previewToken: token,
+    expiresAt,
+    summary,
+    rows
+  };
+};
+
+/**
+ * Look up the preview a commit request refers to ({ previewToken } in the body).
+ * Only the user who ran the preview can commit it, and only once.
+ *
+ * @returns {Promise<{ preview?: object, status?: number, message?: string }>}
+ *   an empty object when the request is not a commit; the preview is a plain
+ *   object with its payload reassembled
+ */
+const findPreviewForCommit = async (req, importType) => {
+  const token = req.body?.previewToken;
+  if (!token) return {};
+
+  const preview = await BulkUploadPreview.findOne({ tokenHash: hashToken(String(token)), importType });
+  if (!preview || preview.expiresAt < new Date()) {
+    return { status: 404, message: 'Preview not found or expired. Run the upload with dryRun again.' };
+  }
+  if (!preview.createdBy.equals(req.user._id)) {
+    return { status: 403, message: 'Only the user who ran the preview can commit it' };
+  }
+  if (preview.committedAt) {
+    return { status: 409, message: `This preview was already committed on ${preview.committedAt.toISOString()}` };
+  }
+
+  const payload = await loadPayload(preview);
+  if (!payload) {
+    return { status: 404, message: 'Preview not found or expired. Run the upload with dryRun again.' };
+  }
+  return { preview: { ...preview.toObject(), payload } };
+};
+
+/**
+ * Check a commit against its preview after re-planning the stored payload, and
+ * claim the preview so it cannot be committed twice. When the plan differs the
+ * data changed since the preview; the response body then carries a fresh preview.
+ *
+ * @returns {Promise<{ ok: boolean, status?: number, body?: object }>}
+ */
+const claimPreview = async (req, preview, rows) => {
+  if (hashRows(rows) !== preview.planHash) {
+    const fresh = await createPreview(req, preview.importType, preview.payload, rows);
+    return {
+      ok: false,
+      status: 409,
+      body: {
+        ...fresh,
+        message: `Records changed since the preview; nothing was imported. New preview: ${describeSummary(fresh.summary)}.`
+      }
+    };
+  }
+
+  const claimed = await BulkUploadPreview.findOneAndUpdate(
+    { _id: preview._id, committedAt: null },
+    { $set: { committedAt: new Date() } }
+  );
+  if (!claimed) {
+    return { ok: false, status: 409, body: { message: 'This preview was already committed' } };
+  }
+  // The caller already holds the payload
+  await BulkUploadPreviewChunk.deleteMany({ preview: preview._id });
+  return { ok: true };
+};
+
+module.exports = {
+  BULK_PREVIEW_TTL_MINUTES,
+  isDryRun,
+  diffRow,
+  planRow,
+  summarizeRows,
+  createPreview,
+  findPreviewForCommit,
+  claimPreview,
+};
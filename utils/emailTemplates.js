@@ -0,0 +1,48 @@
+const EmailTemplate = require('../models/EmailTemplate');
+const { DEFAULT_EMAIL_TEMPLATES } = require('../config/emailTemplates');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const fillPlaceholders = (content, values, escape) => String(content || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+  if (!Object.prototype.hasOwnProperty.call(values, name)) return match;
+  const value = values[name] === null || values[name] === undefined ? '' : values[name];
+  return escape ? escapeHtml(value) : String(value);
+});
+
+/**
+ * The template an email is sent with: the admin's saved version, else the default
+ *
+ * @returns {Promise<{ key, subject, text, html, isDefault, updatedAt }>}
+ */
+const getEmailTemplate = async (key) => {
+  const defaults = DEFAULT_EMAIL_TEMPLATES[key];
+  if (!defaults) {
+    throw new Error(`Unknown email template: ${key}`);
+  }
+
+  const saved = await EmailTemplate.findOne({ key }).lean();
+  if (!saved) {
+    return { key, subject: defaults.subject, text: defaults.text, html: defaults.html, isDefault: true, updatedAt: null };
+  }
+  return { key, subject: saved.subject, text: saved.text, html: saved.html, isDefault: false, updatedAt: saved.updatedAt };
+};
+
+/**
+ * Fill a template's {{placeholders}}. Subject and text get the values as-is, the
+ * html body gets them escaped. A template without html is sent as text only.
+ */
+const renderEmailTemplate = (template, values) => ({
+  subject: fillPlaceholders(template.subject, values, false).replace(/[\r\n]+/g, ' ').trim(),
+  text: fillPlaceholders(template.text, values, false),
+  html: template.html ? fillPlaceholders(template.html, values, true) : undefined
+});
+
+module.exports = {
+  getEmailTemplate,
+  renderEmailTemplate,
+};
@@ -0,0 +1,64 @@
+const ImpersonationLog = require('../models/ImpersonationLog');
+
+const IMPERSONATION_DEFAULT_MINUTES = parseInt(process.env.IMPERSONATION_DEFAULT_MINUTES, 10) || 15;
+const IMPERSONATION_MAX_MINUTES = parseInt(process.env.IMPERSONATION_MAX_MINUTES, 10) || 60;
+// "block" rejects writes while impersonating, "flag" lets them through and marks them in the log
+const IMPERSONATION_WRITE_MODE = process.env.IMPERSONATION_WRITE_MODE === 'flag' ? 'flag' : 'block';
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Writes that are always allowed so the session can be ended from the impersonated view
+const ALWAYS_ALLOWED_WRITES = ['/api/auth/impersonation/end', '/api/auth/logout'];
+
+const requestPath = (req) => req.originalUrl.split('?')[0];
+
+/**
+ * Clamp the requested duration to the configured maximum
+ */
+const resolveDurationMinutes = (requested) => {
+  const minutes = parseInt(requested, 10) || IMPERSONATION_DEFAULT_MINUTES;
+  return Math.min(Math.max(minutes, 1), IMPERSONATION_MAX_MINUTES);
+};
+
+/**
+ * Apply the write policy to a request made with an impersonation session and
+ * log it once the response is sent. Calls next() or answers with 403.
+ */
+const guardImpersonatedRequest = (req, res, next) => {
+  const path = requestPath(req);
+  const isWrite = !READ_METHODS.includes(req.method) && !ALWAYS_ALLOWED_WRITES.includes(path);
+  const blocked = isWrite && IMPERSONATION_WRITE_MODE === 'block';
+
+  res.on('finish', () => {
+    ImpersonationLog.create({
+      sessionId: req.impersonation.sessionId,
+      impersonatedBy: req.impersonation.impersonatedBy,
+      user: req.user._id,
+      method: req.method,
+      path,
+      statusCode: res.statusCode,
+      blocked,
+      flagged: isWrite && !blocked,
+      ipAddress: req.ip || null,
+      userAgent: req.get('user-agent') || null
+    }).catch(error => console.error('Failed to log impersonated request:', error.message));
+  });
+
+  res.set('X-Impersonated-By', String(req.impersonation.impersonatedBy));
+
+  if (blocked) {
+    return res.status(403).json({
+      message: 'Changes are not allowed while viewing as another user',
+      code: 'IMPERSONATION_READ_ONLY'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  IMPERSONATION_MAX_MINUTES,
+  IMPERSONATION_WRITE_MODE,
+  resolveDurationMinutes,
+  guardImpersonatedRequest,
+};
@@ -0,0 +1,158 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { IMPORT_TYPES } = require('../config/imports');
+
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx'];
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+
+// "Date of Joining" -> "dateofjoining"
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Identifies a sheet layout regardless of column order and header spelling
+const headerSignature = (headers) => headers.map(normalizeHeader).filter(Boolean).sort().join('|');
+
+// Plain value of an ExcelJS cell (rich text, hyperlinks and formulas unwrapped)
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value !== 'object') return typeof value === 'string' ? value.trim() : value;
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+  if (value.text !== undefined) return cellValue(value.text);
+  if (value.result !== undefined) return cellValue(value.result);
+  if (value.error) return null;
+  return String(value);
+};
+
+const readWorksheet = (worksheet) => {
+  const headerRow = worksheet.getRow(1);
+  const headers = [];
+  headerRow.eachCell({ includeEmpty: true }, (cell, column) => {
+    // CSV exports from Excel start with a byte order mark
+    headers[column - 1] = String(cellValue(cell.value) || '').replace(/^\uFEFF/, '').trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = {};
+    let hasValue = false;
+    headers.forEach((header, index) => {
+      if (!header) return;
+      const value = cellValue(row.getCell(index + 1).value);
+      record[header] = value === '' ? null : value;
+      if (value !== null && value !== '') hasValue = true;
+    });
+    if (hasValue) rows.push(record);
+  });
+
+  return { name: worksheet.name, headers: headers.filter(Boolean), rows };
+};
+
+/**
+ * Read an uploaded .csv or .xlsx file (multer memory storage).
+ * CSV values are kept as text so phone numbers and IDs keep their leading zeros.
+ *
+ * @returns {Promise<{ sheets?: Array<{ name, headers, rows }>, error?: string }>}
+ */
+const readImportFile = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (!IMPORT_EXTENSIONS.includes(extension)) {
+    return { error: `Unsupported file type. Upload one of: ${IMPORT_EXTENSIONS.join(', ')}` };
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  try {
+    if (extension === '.csv') {
+      const sheetName = path.basename(file.originalname, extension);
+      await workbook.csv.read(Readable.from(file.buffer), { sheetName, map: value => value });
+    } else {
+      await workbook.xlsx.load(file.buffer);
+    }
+  } catch (error) {
+    return { error: `Could not read ${file.originalname}: ${error.message}` };
+  }
+
+  const sheets = workbook.worksheets.map(readWorksheet).filter(sheet => sheet.headers.length);
+  if (!sheets.length) {
+    return { error: 'The file has no header row' };
+  }
+  const tooLarge = sheets.find(sheet => sheet.rows.length > IMPORT_MAX_ROWS);
+  if (tooLarge) {
+    return { error: `Sheet "${tooLarge.name}" has ${tooLarge.rows.length} rows; the limit is ${IMPORT_MAX_ROWS}` };
+  }
+  return { sheets };
+};
+
+/**
+ * Header -> field mapping for an import type. Automatic alias matching is the
+ * base; a saved mapping and then an explicit mapping override it per header.
+ */
+const resolveMapping = (importType, headers, { saved = null, explicit = null } = {}) => {
+  const { fields } = IMPORT_TYPES[importType];
+  const lookup = new Map();
+  Object.entries(fields).forEach(([field, aliases]) => {
+    [field, ...aliases].forEach(alias => {
+      const key = normalizeHeader(alias);
+      if (!lookup.has(key)) lookup.set(key, field);
+    });
+  });
+
+  const mapping = {};
+  const taken = new Set();
+  headers.forEach(header => {
+    const field = lookup.get(normalizeHeader(header));
+    if (field && !taken.has(field)) {
+      mapping[header] = field;
+      taken.add(field);
+    }
+  });
+
+  [saved, explicit].filter(Boolean).forEach(overrides => {
+    Object.entries(overrides).forEach(([header, field]) => {
+      if (headers.includes(header)) mapping[header] = field || '';
+    });
+  });
+
+  return mapping;
+};
+
+/**
+ * Rename mapped columns to their fields. Columns mapped to '' are dropped and
+ * unmapped columns are kept under their original header.
+ */
+const applyMapping = (rows, mapping) => rows.map(row => {
+  const record = {};
+  Object.entries(row).forEach(([header, value]) => {
+    if (mapping[header] === '') return;
+    const key = mapping[header] || header;
+    if (record[key] === undefined || record[key] === null) record[key] = value;
+  });
+  return record;
+});
+
+// Required fields no header was mapped to
+const missingFields = (importType, mapping) => {
+  const mapped = new Set(Object.values(mapping));
+  return IMPORT_TYPES[importType].requiredFields.filter(field => !mapped.has(field));
+};
+
+// Mapping values that are not a field of the import type ('' ignores a column)
+const invalidMappingFields = (importType, mapping) => {
+  const { fields, allowOtherFields } = IMPORT_TYPES[importType];
+  return Object.values(mapping).filter(field =>
+    typeof field !== 'string' || (field !== '' && !allowOtherFields && !fields[field])
+  );
+};
+
+module.exports = {
+  IMPORT_EXTENSIONS,
+  IMPORT_MAX_ROWS,
+  normalizeHeader,
+  headerSignature,
+  readImportFile,
+  resolveMapping,
+  applyMapping,
+  missingFields,
+  invalidMappingFields,
+};
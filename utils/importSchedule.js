@@ -0,0 +1,74 @@
+// Schedules of import sources. Times are UTC so runs don't move with the server's timezone.
+const SCHEDULE_TYPES = ['interval', 'daily', 'weekly'];
+
+const MIN_INTERVAL_MINUTES = 5;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Check a schedule from a request body.
+ *
+ * @returns {string|null} what is wrong with it, or null if it is valid
+ */
+const validateSchedule = (schedule) => {
+  if (!schedule || typeof schedule !== 'object') return 'schedule is required';
+  if (!SCHEDULE_TYPES.includes(schedule.type)) {
+    return `schedule.type must be one of: ${SCHEDULE_TYPES.join(', ')}`;
+  }
+
+  if (schedule.type === 'interval') {
+    const minutes = Number(schedule.intervalMinutes);
+    if (!Number.isInteger(minutes) || minutes < MIN_INTERVAL_MINUTES) {
+      return `schedule.intervalMinutes must be a whole number of at least ${MIN_INTERVAL_MINUTES}`;
+    }
+    return null;
+  }
+
+  if (!TIME_PATTERN.test(schedule.time || '')) return 'schedule.time must be HH:MM (UTC)';
+  if (schedule.type === 'weekly') {
+    const day = Number(schedule.dayOfWeek);
+    if (schedule.dayOfWeek === null || schedule.dayOfWeek === undefined || !Number.isInteger(day) || day < 0 || day > 6) {
+      return 'schedule.dayOfWeek must be 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+  return null;
+};
+
+/**
+ * Keep only the fields that apply to the schedule's type
+ */
+const normalizeSchedule = (schedule) => ({
+  type: schedule.type,
+  intervalMinutes: schedule.type === 'interval' ? Number(schedule.intervalMinutes) : null,
+  time: schedule.type === 'interval' ? null : schedule.time,
+  dayOfWeek: schedule.type === 'weekly' ? Number(schedule.dayOfWeek) : null
+});
+
+/**
+ * The first time after `from` a schedule is due
+ */
+const computeNextRunAt = (schedule, from = new Date()) => {
+  if (schedule.type === 'interval') {
+    return new Date(from.getTime() + schedule.intervalMinutes * 60 * 1000);
+  }
+
+  const [, hours, minutes] = TIME_PATTERN.exec(schedule.time);
+  const next = new Date(from);
+  next.setUTCHours(Number(hours), Number(minutes), 0, 0);
+
+  if (schedule.type === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + ((schedule.dayOfWeek - next.getUTCDay() + 7) % 7));
+    if (next <= from) next.setUTCDate(next.getUTCDate() + 7);
+  } else if (next <= from) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next;
+};
+
+module.exports = {
+  SCHEDULE_TYPES,
+  MIN_INTERVAL_MINUTES,
+  validateSchedule,
+  normalizeSchedule,
+  computeNextRunAt,
+};
@@ -0,0 +1,139 @@
+const JoinerStatusTransition = require('../models/JoinerStatusTransition');
+const { JOINER_STATUS_TRANSITIONS, JOINER_TRANSITION_REQUIREMENTS } = require('../config/joinerLifecycle');
+
+const LIFECYCLE_FIELDS = Object.keys(JOINER_STATUS_TRANSITIONS);
+
+// Joiners saved before the enums had defaults may have no value yet
+const currentValue = (joiner, field) => joiner[field] || 'pending';
+
+const allowedTransitions = (field, from) => JOINER_STATUS_TRANSITIONS[field][from] || [];
+
+const sameDate = (a, b) => Boolean(a && b) && new Date(a).getTime() === new Date(b).getTime();
+
+const describeRequirements = (field, to) => Object.entries(JOINER_TRANSITION_REQUIREMENTS[field][to] || {})
+  .map(([key, description]) => `${key} (${description})`)
+  .join(', ');
+
+/**
+ * Check requested status / joining_status changes against the lifecycle.
+ *
+ * @param {object} joiner - current Joiner document or lean object
+ * @param {object} changes - status, joining_status and the data transitions need:
+ *   notJoinedReason, joiningDate, reason
+ * @returns {{ error?: { message, field, from, to, allowed }, transitions: object[], updates: object }}
+ *   updates are the Joiner fields to set, transitions are ready for recordJoinerTransitions().
+ *   Asking for the current value is not a transition and is ignored.
+ */
+const planJoinerTransitions = (joiner, changes) => {
+  const transitions = [];
+  const updates = {};
+
+  for (const field of LIFECYCLE_FIELDS) {
+    const to = changes[field];
+    if (to === undefined || to === null || to === '') continue;
+
+    const from = currentValue(joiner, field);
+    const fail = (message) => ({ error: { message, field, from, to, allowed: allowedTransitions(field, from) }, transitions: [], updates: {} });
+
+    if (!Object.prototype.hasOwnProperty.call(JOINER_STATUS_TRANSITIONS[field], to)) {
+      return fail(`Invalid ${field} "${to}". Valid values: ${Object.keys(JOINER_STATUS_TRANSITIONS[field]).join(', ')}`);
+    }
+
+    const postponingAgain = field === 'joining_status' && to === 'postponed' && from === 'postponed';
+    if (to === from && !(postponingAgain && changes.joiningDate)) continue;
+
+    if (!allowedTransitions(field, from).includes(to)) {
+      const allowed = allowedTransitions(field, from);
+      return fail(`Cannot change ${field} from ${from} to ${to}. Allowed: ${allowed.length ? allowed.join(', ') : 'none'}`);
+    }
+
+    const required = JOINER_TRANSITION_REQUIREMENTS[field][to] || {};
+    const reason = String(changes.reason || '').trim();
+    const data = {};
+
+    if (required.notJoinedReason) {
+      const notJoinedReason = String(changes.notJoinedReason || '').trim();
+      if (!notJoinedReason) {
+        return fail(`Changing ${field} to ${to} requires ${describeRequirements(field, to)}`);
+      }
+      updates.notJoinedReason = notJoinedReason;
+    }
+
+    if (required.joiningDate) {
+      const joiningDate = changes.joiningDate ? new Date(changes.joiningDate) : null;
+      if (!joiningDate || Number.isNaN(joiningDate.getTime())) {
+        return fail(`Changing ${field} to ${to} requires ${describeRequirements(field, to)}`);
+      }
+      if (sameDate(joiningDate, joiner.joiningDate)) {
+        return fail('The new joining date must differ from the current one');
+      }
+      data.previousJoiningDate = joiner.joiningDate || null;
+      data.joiningDate = joiningDate;
+      updates.joiningDate = joiningDate;
+    }
+
+    if (required.reason && !reason) {
+      return fail(`Changing ${field} to ${to} requires ${describeRequirements(field, to)}`);
+    }
+
+    // Rejoining the pipeline clears the old reason; the timeline keeps it
+    if (field === 'status' && from === 'not_joined') {
+      data.previousNotJoinedReason = joiner.notJoinedReason || '';
+      updates.notJoinedReason = '';
+    }
+
+    updates[field] = to;
+    transitions.push({
+      field,
+      from,
+      to,
+      reason: required.notJoinedReason ? updates.notJoinedReason : reason,
+      data: Object.keys(data).length ? data : null
+    });
+  }
+
+  return { transitions, updates };
+};
+
+// 400 body for a change the lifecycle does not allow
+const lifecycleError = ({ message, field, from, to, allowed }) => ({
+  message,
+  transition: { field, from, to, allowed }
+});
+
+/**
+ * The status / joining_status changes between two versions of a joiner, for writes
+ * that do not go through planJoinerTransitions() (e.g. restoring an old version)
+ */
+const transitionsBetween = (before, after) => LIFECYCLE_FIELDS
+  .filter(field => (before[field] || null) !== (after[field] || null) && after[field])
+  .map(field => ({ field, from: before[field] || null, to: after[field], reason: '', data: null }));
+
+/**
+ * Store transitions on the joiner's timeline. Never throws: a failed write is
+ * logged and must not undo the status change itself.
+ *
+ * @param {object} options - actor (user who made the change, null for system jobs), source
+ */
+const recordJoinerTransitions = async (joiner, transitions, { actor = null, source = 'manual' } = {}) => {
+  if (!transitions || transitions.length === 0) return;
+  try {
+    await JoinerStatusTransition.insertMany(transitions.map(transition => ({
+      ...transition,
+      joinerId: joiner._id,
+      source,
+      changedBy: actor?._id || null,
+      changedByName: actor?.name || null
+    })));
+  } catch (error) {
+    console.error(`Failed to record status transitions for joiner ${joiner._id}:`, error.message);
+  }
+};
+
+module.exports = {
+  allowedTransitions,
+  planJoinerTransitions,
+  lifecycleError,
+  transitionsBetween,
+  recordJoinerTransitions,
+};
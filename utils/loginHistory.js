@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const LoginEvent = require('../models/LoginEvent');
+const userService = require('../services/userService');
+
+// protect() runs on every request; only write lastActivityAt this often
+const ACTIVITY_UPDATE_INTERVAL_MS = (parseInt(process.env.LAST_ACTIVITY_INTERVAL_MINUTES, 10) || 5) * 60 * 1000;
+
+/**
+ * Record a sign-in attempt. Never throws - login must not fail because of it.
+ */
+const recordLogin = async ({ user = null, email, success, method = 'password', failureReason = null, sessionId = null, req }) => {
+  try {
+    const now = new Date();
+    await LoginEvent.create({
+      user: user ? user._id : null,
+      email: (email || user?.email || '').toString().trim().toLowerCase(),
+      success,
+      method,
+      failureReason: success ? null : failureReason,
+      sessionId,
+      ipAddress: req?.ip || null,
+      userAgent: req?.get ? req.get('user-agent') || null : null
+    });
+
+    if (success && user) {
+      await userService.updateOne({ _id: user._id }, { lastLoginAt: now, lastActivityAt: now });
+    }
+  } catch (error) {
+    console.error('Failed to record login:', error.message);
+  }
+};
+
+/**
+ * Bump the user's lastActivityAt, at most once per interval.
+ * Fire-and-forget so it never slows down the request.
+ */
+const touchLastActivity = (user) => {
+  const now = Date.now();
+  if (user.lastActivityAt && now - new Date(user.lastActivityAt).getTime() < ACTIVITY_UPDATE_INTERVAL_MS) {
+    return;
+  }
+
+  userService.updateOne({ _id: user._id }, { lastActivityAt: new Date(now) })
+    .catch(error => console.error('Failed to record user activity:', error.message));
+};
+
+/**
+ * Last login, distinct days with a successful login and last activity for a user
+ */
+const getLoginSummary = async (userId) => {
+  const [user, loginDays] = await Promise.all([
+    userService.findById(userId).select('lastLoginAt lastActivityAt').lean(),
+    LoginEvent.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(String(userId)), success: true } },
+      { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } } } },
+      { $count: 'days' }
+    ])
+  ]);
+
+  return {
+    lastLoginAt: user?.lastLoginAt || null,
+    totalLoginDays: loginDays[0]?.days || 0,
+    lastActivityAt: user?.lastActivityAt || null
+  };
+};
+
+module.exports = {
+  recordLogin,
+  touchLastActivity,
+  getLoginSummary,
+};
@@ -0,0 +1,152 @@
+const LoginThrottle = require('../models/LoginThrottle');
+
+const MAX_FAILED_PER_EMAIL = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const MAX_FAILED_PER_IP = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP, 10) || 20;
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const DELAY_BASE_SECONDS = parseInt(process.env.LOGIN_DELAY_BASE_SECONDS, 10) || 1;
+const DELAY_MAX_SECONDS = parseInt(process.env.LOGIN_DELAY_MAX_SECONDS, 10) || 30;
+
+const MINUTE = 60 * 1000;
+
+const normalizeEmail = (email) => (email || '').toString().trim().toLowerCase();
+
+/**
+ * Seconds to wait after the nth consecutive failure.
+ * The first two failures are free, then the delay doubles up to DELAY_MAX_SECONDS.
+ */
+const delayForFailures = (failedCount) => {
+  if (failedCount < 3) return 0;
+  return Math.min(DELAY_BASE_SECONDS * Math.pow(2, failedCount - 3), DELAY_MAX_SECONDS);
+};
+
+/**
+ * Whether a login attempt for this email/IP may be evaluated right now
+ */
+const checkLoginAllowed = async (email, ip) => {
+  const now = new Date();
+  const counters = await LoginThrottle.find({
+    $or: [
+      { type: 'email', key: normalizeEmail(email) },
+      { type: 'ip', key: ip || 'unknown' }
+    ]
+  }).lean();
+
+  for (const counter of counters) {
+    if (counter.lockedUntil && counter.lockedUntil > now) {
+      return {
+        allowed: false,
+        reason: counter.type === 'email' ? 'account_locked' : 'ip_locked',
+        lockedUntil: counter.lockedUntil,
+        retryAfterSeconds: Math.ceil((counter.lockedUntil - now) / 1000)
+      };
+    }
+  }
+
+  for (const counter of counters) {
+    if (counter.nextAttemptAt && counter.nextAttemptAt > now) {
+      return {
+        allowed: false,
+        reason: 'too_many_attempts',
+        lockedUntil: null,
+        retryAfterSeconds: Math.ceil((counter.nextAttemptAt - now) / 1000)
+      };
+    }
+  }
+
+  return { allowed: true };
+};
+
+// Atomically count one failure for a single counter and apply delay or lockout
+const incrementCounter = async (type, key, ip, maxFailures) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - WINDOW_MINUTES * MINUTE);
+
+  // Failures older than the window start a fresh count
+  await LoginThrottle.updateOne(
+    {
+      type,
+      key,
+      firstFailedAt: { $lt: windowStart },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { $set: { failedCount: 0, firstFailedAt: null, nextAttemptAt: null } }
+  );
+
+  const countFailure = () => LoginThrottle.findOneAndUpdate(
+    { type, key },
+    {
+      $inc: { failedCount: 1 },
+      $set: { lastFailedAt: now, lastIp: ip || null },
+      $setOnInsert: { expiresAt: new Date(now.getTime() + WINDOW_MINUTES * MINUTE) }
+    },
+    { upsert: true, new: true }
+  );
+
+  let counter;
+  try {
+    counter = await countFailure();
+  } catch (error) {
+    // Two first failures upserting the same counter at once: one insert wins and
+    // the other hits the unique index, so retry as an update of the new counter
+    if (error.code !== 11000) {
+      throw error;
+    }
+    counter = await countFailure();
+  }
+
+  const update = {};
+  if (!counter.firstFailedAt) {
+    update.firstFailedAt = now;
+  }
+
+  if (counter.failedCount >= maxFailures) {
+    // Each repeated lockout lasts twice as long as the previous one
+    const lockMinutes = Math.min(LOCKOUT_MINUTES * Math.pow(2, counter.lockCount), MAX_LOCKOUT_MINUTES);
+    update.lockedUntil = new Date(now.getTime() + lockMinutes * MINUTE);
+    update.lockCount = counter.lockCount + 1;
+    update.failedCount = 0;
+    update.firstFailedAt = null;
+    update.nextAttemptAt = null;
+    update.expiresAt = new Date(update.lockedUntil.getTime() + MAX_LOCKOUT_MINUTES * MINUTE);
+  } else {
+    const delaySeconds = delayForFailures(counter.failedCount);
+    update.nextAttemptAt = delaySeconds ? new Date(now.getTime() + delaySeconds * 1000) : null;
+    const windowEnd = new Date(now.getTime() + WINDOW_MINUTES * MINUTE);
+    update.expiresAt = counter.expiresAt > windowEnd ? counter.expiresAt : windowEnd;
+  }
+
+  return LoginThrottle.findByIdAndUpdate(counter._id, { $set: update }, { new: true });
+};
+
+/**
+ * Record a failed login for both the email and the client IP
+ */
+const recordLoginFailure = async (email, ip) => {
+  const [emailCounter, ipCounter] = await Promise.all([
+    incrementCounter('email', normalizeEmail(email), ip, MAX_FAILED_PER_EMAIL),
+    incrementCounter('ip', ip || 'unknown', ip, MAX_FAILED_PER_IP)
+  ]);
+
+  return {
+    remainingAttempts: Math.max(MAX_FAILED_PER_EMAIL - emailCounter.failedCount, 0),
+    lockedUntil: emailCounter.lockedUntil && emailCounter.lockedUntil > new Date()
+      ? emailCounter.lockedUntil
+      : (ipCounter.lockedUntil && ipCounter.lockedUntil > new Date() ? ipCounter.lockedUntil : null)
+  };
+};
+
+/**
+ * Clear the email counter after a successful login
+ */
+const recordLoginSuccess = async (email) => {
+  await LoginThrottle.deleteOne({ type: 'email', key: normalizeEmail(email) });
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  normalizeEmail
+};
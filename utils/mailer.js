@@ -0,0 +1,68 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+/**
+ * Build the mail transport from environment variables.
+ * SMTP_HOST can point at a real relay or at a local catcher (e.g. MailHog on localhost:1025).
+ * Without SMTP_HOST, messages are not sent; only their recipient and subject are logged,
+ * since bodies can carry reset links and invite tokens.
+ */
+const getTransporter = () => {
+  if (transporter) {
+    return transporter;
+  }
+
+  if (process.env.SMTP_HOST) {
+    const auth = process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined;
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth,
+      // Local catchers usually run without TLS certificates
+      tls: process.env.SMTP_ALLOW_SELF_SIGNED === 'true' ? { rejectUnauthorized: false } : undefined,
+    });
+  } else {
+    console.log('[Mailer] No SMTP_HOST configured, emails will be logged instead of sent');
+    transporter = nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return transporter;
+};
+
+/**
+ * Send an email. Throws when the transport rejects the message.
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'Task Manager <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  if (!process.env.SMTP_HOST) {
+    console.log(`[Mailer] Not sent (no SMTP_HOST): to ${to}, subject "${subject}"`);
+  }
+
+  return info;
+};
+
+/**
+ * Build a link into the frontend app
+ */
+const buildFrontendUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  buildFrontendUrl
+};
@@ -0,0 +1,241 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ROLES = ['admin', 'master_trainer', 'trainer', 'trainee', 'boa'];
+
+// Discovery documents and signing keys rarely change
+const METADATA_CACHE_TTL_MS = 60 * 60 * 1000;
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+let cachedMetadata = null;
+let cachedMetadataAt = 0;
+let cachedKeys = null;
+let cachedKeysAt = 0;
+
+/**
+ * Parse "claimValue:role,otherValue:role" into an ordered list of pairs.
+ * The first pair whose value appears in the role claim wins.
+ */
+const parseRoleMapping = (value) => {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.lastIndexOf(':');
+      return { claimValue: entry.slice(0, separator).trim(), role: entry.slice(separator + 1).trim() };
+    })
+    .filter(pair => pair.claimValue && ROLES.includes(pair.role));
+};
+
+const parseList = (value) => (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+const getOidcConfig = () => ({
+  enabled: process.env.OIDC_ENABLED === 'true',
+  providerName: process.env.OIDC_PROVIDER_NAME || 'Single sign-on',
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID || '',
+  clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+  redirectUri: process.env.OIDC_REDIRECT_URI || '',
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  emailClaim: process.env.OIDC_EMAIL_CLAIM || 'email',
+  nameClaim: process.env.OIDC_NAME_CLAIM || 'name',
+  roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups',
+  roleMapping: parseRoleMapping(process.env.OIDC_ROLE_MAPPING),
+  defaultRole: ROLES.includes(process.env.OIDC_DEFAULT_ROLE) ? process.env.OIDC_DEFAULT_ROLE : null,
+  autoCreateUsers: process.env.OIDC_AUTO_CREATE_USERS === 'true',
+  syncRoles: process.env.OIDC_SYNC_ROLES === 'true',
+  stateTtlMinutes: parseInt(process.env.OIDC_STATE_TTL_MINUTES, 10) || 10,
+  // Off by default: SSO logins still need the app's own TOTP where the role requires it
+  trustProviderMfa: process.env.OIDC_TRUST_PROVIDER_MFA === 'true',
+  mfaAmrValues: parseList(process.env.OIDC_MFA_AMR_VALUES || 'mfa'),
+  mfaAcrValues: parseList(process.env.OIDC_MFA_ACR_VALUES),
+});
+
+const isOidcConfigured = () => {
+  const config = getOidcConfig();
+  return config.enabled && Boolean(config.issuer && config.clientId && config.redirectUri);
+};
+
+/**
+ * Provider metadata from /.well-known/openid-configuration
+ */
+const getProviderMetadata = async () => {
+  if (cachedMetadata && Date.now() - cachedMetadataAt < METADATA_CACHE_TTL_MS) {
+    return cachedMetadata;
+  }
+
+  const { issuer } = getOidcConfig();
+  const { data } = await axios.get(`${issuer}/.well-known/openid-configuration`, { timeout: HTTP_TIMEOUT_MS });
+  if (data.issuer.replace(/\/$/, '') !== issuer) {
+    throw new Error(`Issuer mismatch: expected ${issuer}, provider reports ${data.issuer}`);
+  }
+
+  cachedMetadata = data;
+  cachedMetadataAt = Date.now();
+  return cachedMetadata;
+};
+
+/**
+ * Provider signing keys, refetched when a token uses an unknown key id
+ */
+const getSigningKey = async (kid) => {
+  const findKey = () => (cachedKeys || []).find(key => !kid || key.kid === kid);
+
+  let key = Date.now() - cachedKeysAt < METADATA_CACHE_TTL_MS ? findKey() : null;
+  if (!key) {
+    const { jwks_uri: jwksUri } = await getProviderMetadata();
+    const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+    cachedKeys = data.keys || [];
+    cachedKeysAt = Date.now();
+    key = findKey();
+  }
+  if (!key) {
+    throw new Error('No matching signing key found for ID token');
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Random values for one authorization request: state, nonce and a PKCE pair
+ */
+const createAuthorizationParams = () => {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  return {
+    state: base64Url(crypto.randomBytes(32)),
+    nonce: base64Url(crypto.randomBytes(16)),
+    codeVerifier,
+    codeChallenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest()),
+  };
+};
+
+/**
+ * URL of the provider's login page for this authorization request
+ */
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge, loginHint }) => {
+  const config = getOidcConfig();
+  const metadata = await getProviderMetadata();
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.clientId);
+  url.searchParams.set('redirect_uri', config.redirectUri);
+  url.searchParams.set('scope', config.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  if (loginHint) url.searchParams.set('login_hint', loginHint);
+
+  return url.toString();
+};
+
+/**
+ * Verify an ID token's signature and standard claims
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const config = getOidcConfig();
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('ID token is not a valid JWT');
+  }
+
+  // HS256 tokens are signed with the client secret, everything else with the provider keys
+  const isHmac = decoded.header.alg === 'HS256';
+  const key = isHmac ? config.clientSecret : await getSigningKey(decoded.header.kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: isHmac ? ['HS256'] : ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    issuer: [config.issuer, `${config.issuer}/`],
+    audience: config.clientId,
+    clockTolerance: 60,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match the login request');
+  }
+  return claims;
+};
+
+/**
+ * Exchange the authorization code for tokens and return the verified ID token claims
+ */
+const exchangeCode = async ({ code, codeVerifier, nonce }) => {
+  const config = getOidcConfig();
+  const metadata = await getProviderMetadata();
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (config.clientSecret) body.set('client_secret', config.clientSecret);
+
+  const { data } = await axios.post(metadata.token_endpoint, body.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    timeout: HTTP_TIMEOUT_MS,
+  });
+  if (!data.id_token) {
+    throw new Error('Token response did not include an ID token');
+  }
+
+  return verifyIdToken(data.id_token, nonce);
+};
+
+// Read a claim by name or dotted path (e.g. "realm_access.roles")
+const readClaim = (claims, path) => path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), claims);
+
+/**
+ * Role for a set of claims according to OIDC_ROLE_MAPPING, falling back to OIDC_DEFAULT_ROLE
+ */
+const mapClaimsToRole = (claims) => {
+  const config = getOidcConfig();
+  const raw = readClaim(claims, config.roleClaim);
+  const values = (Array.isArray(raw) ? raw : [raw]).filter(value => value !== undefined && value !== null).map(String);
+
+  const match = config.roleMapping.find(pair => values.includes(pair.claimValue));
+  return match ? match.role : config.defaultRole;
+};
+
+/**
+ * Email and display name from the ID token, using the configured claim names
+ */
+const getIdentity = (claims) => {
+  const config = getOidcConfig();
+  const email = readClaim(claims, config.emailClaim);
+  return {
+    subject: claims.sub,
+    email: email ? email.toString().trim().toLowerCase() : null,
+    // Only an explicit email_verified claim vouches for the email
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: readClaim(claims, config.nameClaim) || claims.preferred_username || email,
+  };
+};
+
+/**
+ * Whether the ID token shows the provider did multi-factor authentication, by its
+ * amr or acr claim. Always false unless OIDC_TRUST_PROVIDER_MFA is on.
+ */
+const hasProviderMfa = (claims) => {
+  const { trustProviderMfa, mfaAmrValues, mfaAcrValues } = getOidcConfig();
+  if (!trustProviderMfa) return false;
+  const amr = Array.isArray(claims.amr) ? claims.amr : [];
+  return amr.some(value => mfaAmrValues.includes(value)) || (claims.acr !== undefined && mfaAcrValues.includes(String(claims.acr)));
+};
+
+module.exports = {
+  getOidcConfig,
+  isOidcConfigured,
+  createAuthorizationParams,
+  buildAuthorizationUrl,
+  exchangeCode,
+  mapClaimsToRole,
+  getIdentity,
+  hasProviderMfa,
+};
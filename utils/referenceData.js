@@ -0,0 +1,117 @@
+const Department = require('../models/Department');
+const Track = require('../models/Track');
+const { REFERENCE_DATA_KINDS } = require('../config/referenceData');
+
+const REFERENCE_MODELS = {
+  departments: Department,
+  tracks: Track
+};
+
+// Given to joiners without a known department or track
+const DEPARTMENT_FALLBACK = REFERENCE_DATA_KINDS.departments.fallbackCode;
+const TRACK_FALLBACK = REFERENCE_DATA_KINDS.tracks.fallbackCode;
+
+// Joiner writes resolve every department and track, so keep the lists in memory briefly
+const CACHE_TTL_MS = 30 * 1000;
+const cache = {};
+
+// "Information Technology" -> "informationtechnology"
+const normalizeKey = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// An empty collection starts with the built-in defaults
+const seedDefaults = async (kind) => {
+  try {
+    await REFERENCE_MODELS[kind].insertMany(REFERENCE_DATA_KINDS[kind].defaults, { ordered: false });
+  } catch (error) {
+    // Another process seeded at the same time
+    if (error.code !== 11000 && !error.writeErrors) throw error;
+  }
+};
+
+/**
+ * All records of a kind with a lookup of code, display name and aliases -> record
+ *
+ * @param {string} kind - 'departments' or 'tracks'
+ * @returns {Promise<{ records: Array, index: Map }>}
+ */
+const loadReferenceData = async (kind) => {
+  const cached = cache[kind];
+  if (cached && Date.now() - cached.at < CACHE_TTL_MS) {
+    return cached;
+  }
+
+  let records = await REFERENCE_MODELS[kind].find({}).sort({ code: 1 }).lean();
+  if (!records.length) {
+    await seedDefaults(kind);
+    records = await REFERENCE_MODELS[kind].find({}).sort({ code: 1 }).lean();
+  }
+
+  // Codes win over display names, display names over aliases
+  const index = new Map();
+  records.forEach(record => (record.aliases || []).forEach(alias => index.set(normalizeKey(alias), record)));
+  records.forEach(record => index.set(normalizeKey(record.name), record));
+  records.forEach(record => index.set(normalizeKey(record.code), record));
+
+  cache[kind] = { records, index, at: Date.now() };
+  return cache[kind];
+};
+
+const clearReferenceDataCache = (kind) => {
+  if (kind) delete cache[kind];
+  else Object.keys(cache).forEach(key => delete cache[key]);
+};
+
+const activeCodes = (records) => records.filter(record => record.active).map(record => record.code);
+
+/**
+ * Resolve a department or track given by code, display name or alias to its code.
+ * Blank values resolve to a null code. Inactive records only resolve with
+ * allowInactive, for values a record already holds.
+ *
+ * @returns {Promise<{ code: string|null, record?: Object, error?: string }>}
+ */
+const resolveReference = async (kind, value, { allowInactive = false } = {}) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return { code: null };
+  }
+
+  const { label } = REFERENCE_DATA_KINDS[kind];
+  const { records, index } = await loadReferenceData(kind);
+  const record = index.get(normalizeKey(value));
+  if (!record) {
+    return { code: null, error: `Unknown ${label.toLowerCase()} "${value}". Must be one of: ${activeCodes(records).join(', ')}` };
+  }
+  if (!record.active && !allowInactive) {
+    return { code: null, error: `${label} ${record.code} is inactive` };
+  }
+  return { code: record.code, record };
+};
+
+const resolveDepartment = (value, options) => resolveReference('departments', value, options);
+
+const resolveTrack = (value, options) => resolveReference('tracks', value, options);
+
+/**
+ * Resolve a new value for a department/track field of an existing record. Keeping
+ * the record's current value is allowed even when it has since been deactivated.
+ */
+const resolveChangedReference = async (kind, value, current) => {
+  const resolved = await resolveReference(kind, value, { allowInactive: true });
+  if (!resolved.record || resolved.code === current || resolved.record.active) {
+    return resolved;
+  }
+  return { code: null, error: `${REFERENCE_DATA_KINDS[kind].label} ${resolved.code} is inactive` };
+};
+
+module.exports = {
+  REFERENCE_MODELS,
+  DEPARTMENT_FALLBACK,
+  TRACK_FALLBACK,
+  normalizeKey,
+  loadReferenceData,
+  clearReferenceDataCache,
+  resolveReference,
+  resolveDepartment,
+  resolveTrack,
+  resolveChangedReference,
+};
@@ -0,0 +1,47 @@
+const RolePermission = require('../models/RolePermission');
+const { PERMISSIONS, ROLES, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+// Every authorized request needs the mapping, so keep it in memory briefly
+const CACHE_TTL_MS = 30 * 1000;
+let cachedMatrix = null;
+let cachedAt = 0;
+
+/**
+ * Map of role -> permission list, merging stored overrides over the defaults
+ */
+const getPermissionMatrix = async () => {
+  if (cachedMatrix && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedMatrix;
+  }
+
+  const stored = await RolePermission.find({}).lean();
+  cachedMatrix = ROLES.reduce((acc, role) => {
+    const override = stored.find(entry => entry.role === role);
+    const permissions = override ? override.permissions : DEFAULT_ROLE_PERMISSIONS[role];
+    // Ignore permissions that no longer exist in the catalog
+    acc[role] = permissions.filter(permission => PERMISSIONS[permission]);
+    return acc;
+  }, {});
+  cachedAt = Date.now();
+
+  return cachedMatrix;
+};
+
+/**
+ * Effective permissions for a role
+ */
+const getRolePermissions = async (role) => {
+  const matrix = await getPermissionMatrix();
+  return matrix[role] || [];
+};
+
+const clearPermissionCache = () => {
+  cachedMatrix = null;
+  cachedAt = 0;
+};
+
+module.exports = {
+  getPermissionMatrix,
+  getRolePermissions,
+  clearPermissionCache
+};
@@ -0,0 +1,207 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+const REFRESH_COOKIE_NAME = 'refreshToken';
+// How long the token a refresh just replaced still gets an access token (two tabs
+// refreshing at once, or a retried request) before presenting it counts as reuse
+const REFRESH_REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS, 10) || 30;
+// 'lax' unless the frontend is served from another site than the API; 'none' then
+// lets the browser send the cookie cross-site, which /refresh guards with its
+// header and Origin checks
+const REFRESH_COOKIE_SAMESITE = ['strict', 'lax', 'none'].includes((process.env.REFRESH_COOKIE_SAMESITE || '').toLowerCase())
+  ? process.env.REFRESH_COOKIE_SAMESITE.toLowerCase()
+  : 'lax';
+
+/**
+ * Hash an opaque token before storing or looking it up
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Sign the short-lived proof that the password (or SSO) step succeeded; only
+ * accepted by POST /api/auth/2fa/verify
+ */
+const generateTwoFactorToken = (userId) => {
+  return jwt.sign({ id: userId, purpose: '2fa_login' }, process.env.JWT_SECRET, {
+    expiresIn: '5m',
+  });
+};
+
+/**
+ * Start a new session for a user and return its access and refresh tokens
+ */
+const createSession = async (userId, req, { authMethod = 'password', mfaByProvider = false } = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+
+  const session = await Session.create({
+    userId,
+    authMethod,
+    mfaByProvider,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req?.get ? req.get('user-agent') || null : null,
+    ipAddress: req?.ip || null,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    session,
+    refreshToken,
+    accessToken: generateAccessToken(userId, session._id),
+  };
+};
+
+/**
+ * Start a time-boxed "view as user" session. The access token carries both
+ * identities (id = impersonated user, imp = admin) and cannot be refreshed.
+ */
+const createImpersonationSession = async (userId, impersonatorId, req, { minutes, reason = null }) => {
+  const session = await Session.create({
+    userId,
+    impersonatedBy: impersonatorId,
+    impersonationReason: reason,
+    // No refresh token is handed out; store an unguessable placeholder
+    refreshTokenHash: hashToken(crypto.randomBytes(48).toString('hex')),
+    userAgent: req?.get ? req.get('user-agent') || null : null,
+    ipAddress: req?.ip || null,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+
+  const accessToken = jwt.sign(
+    { id: userId, sid: session._id, imp: impersonatorId },
+    process.env.JWT_SECRET,
+    { expiresIn: minutes * 60 }
+  );
+
+  return { session, accessToken };
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * The swap is a single conditional update, so of two concurrent refreshes with the
+ * same token only one rotates it. The other, and any use of the replaced token
+ * within REFRESH_REUSE_GRACE_SECONDS, gets an access token with refreshToken null
+ * (the client keeps the token the winning refresh issued). Presenting a replaced
+ * token after that revokes the whole session.
+ * Returns null when the token cannot be used.
+ */
+const rotateSession = async (refreshToken, req) => {
+  if (!refreshToken) return null;
+
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+  const newRefreshToken = crypto.randomBytes(48).toString('hex');
+  const update = {
+    previousRefreshTokenHash: tokenHash,
+    refreshTokenHash: hashToken(newRefreshToken),
+    rotatedAt: now,
+    lastUsedAt: now,
+    expiresAt: refreshExpiry()
+  };
+  if (req?.ip) update.ipAddress = req.ip;
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: update },
+    { new: true }
+  );
+  if (session) {
+    return {
+      session,
+      refreshToken: newRefreshToken,
+      accessToken: generateAccessToken(session.userId, session._id),
+    };
+  }
+
+  const rotatedOut = await Session.findOne({ previousRefreshTokenHash: tokenHash, revokedAt: null });
+  if (!rotatedOut) return null;
+
+  const graceStart = new Date(now.getTime() - REFRESH_REUSE_GRACE_SECONDS * 1000);
+  if (rotatedOut.rotatedAt && rotatedOut.rotatedAt >= graceStart) {
+    if (!rotatedOut.isValid()) return null;
+    return {
+      session: rotatedOut,
+      refreshToken: null,
+      accessToken: generateAccessToken(rotatedOut.userId, rotatedOut._id),
+    };
+  }
+
+  await Session.updateOne(
+    { _id: rotatedOut._id, previousRefreshTokenHash: tokenHash, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: 'token_reuse' } }
+  );
+  return null;
+};
+
+/**
+ * Revoke a single session
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+/**
+ * Revoke every active session of a user, optionally keeping the current one
+ */
+const revokeUserSessions = async (userId, reason, exceptSessionId = null) => {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason
+  });
+  return result.modifiedCount;
+};
+
+const refreshCookieOptions = () => ({
+  httpOnly: true,
+  // Browsers only accept SameSite=None on secure cookies
+  secure: process.env.NODE_ENV === 'production' || REFRESH_COOKIE_SAMESITE === 'none',
+  sameSite: REFRESH_COOKIE_SAMESITE,
+  path: '/api/auth',
+});
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE_NAME, refreshToken, {
+    ...refreshCookieOptions(),
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+  });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE_NAME, refreshCookieOptions());
+};
+
+module.exports = {
+  REFRESH_COOKIE_NAME,
+  hashToken,
+  generateAccessToken,
+  generateTwoFactorToken,
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  setRefreshCookie,
+  clearRefreshCookie,
+};
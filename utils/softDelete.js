@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Query operations that must not see documents sitting in the trash
+const FILTERED_OPERATIONS = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'];
+
+/**
+ * Schema plugin for soft deletion. Adds deletedAt/deletedBy and hides deleted
+ * documents from queries and aggregations. A query that mentions deletedAt in
+ * its filter (or an aggregation whose first $match does) is left alone, which is
+ * how the trash finds deleted documents: { deletedAt: { $ne: null } }.
+ * Queries that must see live and deleted documents alike (duplicate checks
+ * against unique fields) use .setOptions({ withDeleted: true }).
+ */
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  schema.index({ deletedAt: 1 });
+
+  schema.pre(FILTERED_OPERATIONS, function(next) {
+    if (this.getOptions().withDeleted) {
+      // Not a driver option, so it must not be sent to MongoDB
+      delete this.options.withDeleted;
+      return next();
+    }
+    if (this.getFilter().deletedAt === undefined) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  schema.pre('aggregate', function(next) {
+    const pipeline = this.pipeline();
+    const firstMatch = pipeline[0] && pipeline[0].$match;
+    if (!firstMatch || firstMatch.deletedAt === undefined) {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+    next();
+  });
+
+  // Move the document to the trash; validation is skipped so older records can always be deleted
+  schema.methods.softDelete = function(userId) {
+    this.deletedAt = new Date();
+    this.deletedBy = userId || null;
+    return this.save({ validateBeforeSave: false });
+  };
+};
+
+module.exports = {
+  softDeletePlugin,
+};
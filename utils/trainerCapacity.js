@@ -0,0 +1,252 @@
+const Assignment = require('../models/Assignment');
+const AssignmentMembership = require('../models/AssignmentMembership');
+const Joiner = require('../models/Joiner');
+const Allocation = require('../models/Allocation');
+const Batch = require('../models/Batch');
+const userService = require('../services/userService');
+const { resolveDepartment } = require('./referenceData');
+const { planRow } = require('./bulkPreview');
+
+// Trainees a trainer takes unless User.traineeCapacity overrides it
+const TRAINER_DEFAULT_CAPACITY = parseInt(process.env.TRAINER_DEFAULT_CAPACITY, 10) || 10;
+
+// What auto-assignment can match trainees and trainers on
+const MATCH_CRITERIA = ['department', 'track', 'campus'];
+
+const TRAINER_FIELDS = 'name email author_id department traineeCapacity trainerTracks trainerCampus';
+
+/**
+ * Active trainers with their capacity and current load. The load is the number of
+ * trainees on the trainer's active assignment plus those with a transfer to the
+ * trainer scheduled, which hold their place until it takes effect.
+ *
+ * @param {Object} filter - extra User filter, e.g. { author_id: { $in: [...] } }
+ * @returns {Promise<Array>} trainers with capacity, capacitySource, assigned, remaining
+ *   and departmentCode (their department resolved to a Department code, or null)
+ */
+const getTrainerCapacities = async (filter = {}) => {
+  const trainers = await userService.find({ role: 'trainer', isActive: true, ...filter })
+    .select(TRAINER_FIELDS)
+    .populate('trainerCampus', 'name location')
+    .sort({ name: 1 })
+    .lean();
+
+  const assignments = await Assignment.find({ status: 'active', trainer: { $in: trainers.map(trainer => trainer.author_id) } })
+    .select('trainer trainees')
+    .lean();
+  const scheduled = await AssignmentMembership.find({ status: 'scheduled', trainer: { $in: trainers.map(trainer => trainer.author_id) } })
+    .select('trainer trainee')
+    .lean();
+  const loads = new Map();
+  const addToLoad = (trainerId, traineeId) => {
+    if (!loads.has(trainerId)) loads.set(trainerId, new Set());
+    loads.get(trainerId).add(traineeId);
+  };
+  assignments.forEach(assignment => (assignment.trainees || []).forEach(traineeId => addToLoad(assignment.trainer, traineeId)));
+  scheduled.forEach(membership => addToLoad(membership.trainer, membership.trainee));
+
+  return Promise.all(trainers.map(async trainer => {
+    const override = trainer.traineeCapacity !== null && trainer.traineeCapacity !== undefined;
+    const capacity = override ? trainer.traineeCapacity : TRAINER_DEFAULT_CAPACITY;
+    const assigned = loads.has(trainer.author_id) ? loads.get(trainer.author_id).size : 0;
+    const { code } = await resolveDepartment(trainer.department, { allowInactive: true });
+    return {
+      ...trainer,
+      departmentCode: code || null,
+      capacity,
+      capacitySource: override ? 'override' : 'default',
+      assigned,
+      remaining: Math.max(capacity - assigned, 0)
+    };
+  }));
+};
+
+/**
+ * Department, track and campus of each trainee: department and track from the
+ * joiner record, campus from the latest confirmed campus allocation; the trainee's
+ * batch fills in a missing track or campus.
+ *
+ * @returns {Promise<Map>} author_id -> { department, track, campus }
+ */
+const getTraineeProfiles = async (trainees) => {
+  const authorIds = trainees.map(trainee => trainee.author_id);
+  const [joiners, allocations, batches] = await Promise.all([
+    Joiner.find({
+      $or: [
+        { _id: { $in: trainees.map(trainee => trainee.joinerId).filter(Boolean) } },
+        { author_id: { $in: authorIds } }
+      ]
+    }).select('author_id department role_assign').lean(),
+    Allocation.find({
+      traineeId: { $in: [...authorIds, ...trainees.map(trainee => String(trainee._id))] },
+      status: 'confirmed'
+    }).select('traineeId campusId').sort({ allocatedDate: -1 }).lean(),
+    Batch.find({ 'members.author_id': { $in: authorIds } }).select('campus track members.author_id').lean()
+  ]);
+
+  const joinerByAuthor = new Map(joiners.map(joiner => [joiner.author_id, joiner]));
+  const campusByTrainee = new Map();
+  allocations.forEach(allocation => {
+    if (!campusByTrainee.has(allocation.traineeId)) campusByTrainee.set(allocation.traineeId, String(allocation.campusId));
+  });
+  const batchByAuthor = new Map();
+  batches.forEach(batch => batch.members.forEach(member => batchByAuthor.set(member.author_id, batch)));
+
+  return new Map(trainees.map(trainee => {
+    const joiner = joinerByAuthor.get(trainee.author_id);
+    const batch = batchByAuthor.get(trainee.author_id);
+    const campus = campusByTrainee.get(trainee.author_id) || campusByTrainee.get(String(trainee._id))
+      || (batch && batch.campus ? String(batch.campus) : null);
+    return [trainee.author_id, {
+      department: joiner ? joiner.department : null,
+      track: (joiner && joiner.role_assign) || (batch && batch.track) || null,
+      campus
+    }];
+  }));
+};
+
+// The trainer's side of a criterion; null (or no tracks) takes anyone
+const trainerValues = (trainer, criterion) => {
+  if (criterion === 'department') return trainer.departmentCode ? [trainer.departmentCode] : null;
+  if (criterion === 'track') return trainer.trainerTracks && trainer.trainerTracks.length ? trainer.trainerTracks : null;
+  const campus = trainer.trainerCampus && (trainer.trainerCampus._id || trainer.trainerCampus);
+  return campus ? [String(campus)] : null;
+};
+
+/**
+ * Whether a trainer can take a trainee, and the criteria both sides specify and agree on
+ *
+ * @returns {{ eligible: boolean, matchedOn: string[] }}
+ */
+const matchTrainer = (trainer, profile, criteria) => {
+  const matchedOn = [];
+  for (const criterion of criteria) {
+    const values = trainerValues(trainer, criterion);
+    if (!values || !profile[criterion]) continue;
+    if (!values.includes(profile[criterion])) return { eligible: false, matchedOn };
+    matchedOn.push(criterion);
+  }
+  return { eligible: true, matchedOn };
+};
+
+const describeProfile = (profile, criteria) => criteria
+  .filter(criterion => profile[criterion])
+  .map(criterion => `${criterion} ${profile[criterion]}`)
+  .join(', ');
+
+/**
+ * Plan the distribution of trainees across trainers without writing anything.
+ * Trainees go, earliest joiners first, to the eligible trainer that matches the
+ * most criteria, then to the one with the most remaining capacity.
+ *
+ * @param {Object} payload - traineeIds (author_ids; default: every active trainee
+ *   without a trainer), trainerIds (author_ids; default: every active trainer) and
+ *   match (criteria that must agree; default: all of MATCH_CRITERIA)
+ * @returns {Promise<{ error?: string, rows?: Array, groups?: Array, trainers?: Array }>}
+ *   one planned row per trainee, the trainee author_ids per trainer, and the trainers'
+ *   capacity after the plan
+ */
+const planAutoAssignment = async (payload) => {
+  const criteria = payload.match === undefined ? MATCH_CRITERIA : payload.match;
+  if (!Array.isArray(criteria) || criteria.some(criterion => !MATCH_CRITERIA.includes(criterion))) {
+    return { error: `match must be a list of: ${MATCH_CRITERIA.join(', ')}` };
+  }
+
+  const explicit = Array.isArray(payload.traineeIds) && payload.traineeIds.length > 0;
+  const trainees = await userService.find(explicit
+    ? { author_id: { $in: payload.traineeIds }, role: 'trainee' }
+    : { role: 'trainee', isActive: true, assignedTrainer: null })
+    .select('name email author_id joinerId joiningDate isActive assignedTrainer')
+    .sort({ joiningDate: 1, name: 1 })
+    .lean();
+
+  const trainers = await getTrainerCapacities(Array.isArray(payload.trainerIds) && payload.trainerIds.length
+    ? { author_id: { $in: payload.trainerIds } }
+    : {});
+  if (!trainers.length) {
+    return { error: 'No active trainers to assign to' };
+  }
+
+  // Trainees on an active assignment count as assigned even if the user record lags
+  const onAssignment = new Set((await Assignment.find({ status: 'active', trainees: { $in: trainees.map(trainee => trainee.author_id) } })
+    .select('trainees')
+    .lean()).flatMap(assignment => assignment.trainees));
+  const profiles = await getTraineeProfiles(trainees);
+
+  const rows = [];
+  const groups = new Map();
+  const found = new Set(trainees.map(trainee => trainee.author_id));
+  if (explicit) {
+    payload.traineeIds.filter(id => !found.has(id)).forEach(id => {
+      rows.push(planRow(rows.length, 'error', { key: id, message: 'Trainee not found' }));
+    });
+  }
+
+  trainees.forEach(trainee => {
+    const index = rows.length;
+    const traineeSummary = { _id: String(trainee._id), author_id: trainee.author_id, name: trainee.name };
+    if (!trainee.isActive) {
+      rows.push({ ...planRow(index, 'skip', { key: trainee.author_id, message: 'Trainee is inactive' }), trainee: traineeSummary });
+      return;
+    }
+    if (trainee.assignedTrainer || onAssignment.has(trainee.author_id)) {
+      rows.push({ ...planRow(index, 'skip', { key: trainee.author_id, message: 'Already assigned to a trainer' }), trainee: traineeSummary });
+      return;
+    }
+
+    const profile = profiles.get(trainee.author_id);
+    const [best] = trainers
+      .filter(trainer => trainer.remaining > 0)
+      .map(trainer => ({ trainer, ...matchTrainer(trainer, profile, criteria) }))
+      .filter(candidate => candidate.eligible)
+      .sort((a, b) => b.matchedOn.length - a.matchedOn.length
+        || b.trainer.remaining - a.trainer.remaining
+        || a.trainer.assigned - b.trainer.assigned
+        || a.trainer.name.localeCompare(b.trainer.name));
+
+    if (!best) {
+      const wanted = describeProfile(profile, criteria);
+      rows.push({
+        ...planRow(index, 'skip', {
+          key: trainee.author_id,
+          message: `No trainer with free capacity${wanted ? ` matches ${wanted}` : ''}`
+        }),
+        trainee: traineeSummary,
+        profile
+      });
+      return;
+    }
+
+    const { trainer, matchedOn } = best;
+    trainer.assigned += 1;
+    trainer.remaining -= 1;
+    if (!groups.has(trainer.author_id)) groups.set(trainer.author_id, []);
+    groups.get(trainer.author_id).push(trainee.author_id);
+
+    rows.push({
+      ...planRow(index, 'create', {
+        key: trainee.author_id,
+        message: `Assign to ${trainer.name}${matchedOn.length ? ` (matches ${matchedOn.join(', ')})` : ''}`,
+        diff: [{ field: 'trainer', from: null, to: trainer.name }]
+      }),
+      trainee: traineeSummary,
+      trainer: { _id: String(trainer._id), author_id: trainer.author_id, name: trainer.name },
+      profile,
+      matchedOn
+    });
+  });
+
+  return {
+    rows,
+    groups: [...groups.entries()].map(([trainerId, traineeIds]) => ({ trainerId, traineeIds })),
+    trainers: trainers.map(({ _id, author_id, name, capacity, assigned, remaining }) => ({ _id, author_id, name, capacity, assigned, remaining }))
+  };
+};
+
+module.exports = {
+  TRAINER_DEFAULT_CAPACITY,
+  MATCH_CRITERIA,
+  getTrainerCapacities,
+  getTraineeProfiles,
+  planAutoAssignment,
+};
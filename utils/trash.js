@@ -0,0 +1,202 @@
+const Joiner = require('../models/Joiner');
+const Result = require('../models/Result');
+const Campus = require('../models/Campus');
+const MCQDeployment = require('../models/MCQDeployment');
+const Allocation = require('../models/Allocation');
+const Batch = require('../models/Batch');
+const { recordAudit } = require('./auditLog');
+const userService = require('../services/userService');
+
+// Days a deleted record stays restorable; 0 turns automatic purging off
+const parsedRetention = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+const TRASH_RETENTION_DAYS = Number.isNaN(parsedRetention) ? 30 : parsedRetention;
+const TRASH_PURGE_INTERVAL_HOURS = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS) || 6;
+
+// Set on the linked user account while its joiner is in the trash
+const JOINER_DELETED_REASON = 'Joiner deleted';
+
+/**
+ * Lock the account of a joiner that is being moved to the trash.
+ * The account is removed for good only when the joiner is purged.
+ */
+const suspendJoinerAccount = async (joiner, deletedBy) => {
+  if (!joiner.accountCreated || !joiner.userId) return null;
+  return userService.findOneAndUpdate(
+    { _id: joiner.userId, isActive: { $ne: false } },
+    {
+      isActive: false,
+      accountStatus: 'suspended',
+      deactivatedAt: new Date(),
+      deactivatedBy: deletedBy || null,
+      deactivationReason: JOINER_DELETED_REASON
+    },
+    { new: true }
+  );
+};
+
+const TRASH_TYPES = {
+  joiner: {
+    model: Joiner,
+    auditType: 'joiner',
+    select: 'name email department role_assign author_id joiningDate accountCreated userId deletedAt deletedBy',
+    getLabel: item => item.name,
+    afterRestore: async (joiner) => {
+      if (!joiner.userId) return;
+      await userService.findOneAndUpdate(
+        { _id: joiner.userId, deactivationReason: JOINER_DELETED_REASON },
+        { isActive: true, accountStatus: 'active', deactivatedAt: null, deactivatedBy: null, deactivationReason: null }
+      );
+    },
+    beforePurge: async (joiner, req) => {
+      if (!joiner.userId) return;
+      const deletedUser = await userService.findOneAndDelete({ _id: joiner.userId, deactivationReason: JOINER_DELETED_REASON });
+      if (deletedUser) {
+        await recordAudit(req, {
+          action: 'purge',
+          entityType: 'user',
+          entityId: deletedUser._id,
+          entityLabel: deletedUser.email,
+          before: deletedUser,
+          metadata: { reason: 'Joiner purged from trash', joinerId: joiner._id }
+        });
+      }
+    }
+  },
+  result: {
+    model: Result,
+    auditType: 'result',
+    select: 'result_name trainee_name author_id exam_type score total_marks deletedAt deletedBy',
+    getLabel: item => `${item.result_name} - ${item.trainee_name}`
+  },
+  campus: {
+    model: Campus,
+    auditType: 'campus',
+    select: 'name location capacity status deletedAt deletedBy',
+    getLabel: item => `${item.name} (${item.location})`
+  },
+  mcq_deployment: {
+    model: MCQDeployment,
+    auditType: 'mcq_deployment',
+    select: 'name scheduledDateTime duration status targetTrainees deletedAt deletedBy',
+    getLabel: item => item.name
+  },
+  allocation: {
+    model: Allocation,
+    auditType: 'allocation',
+    select: 'traineeId campusId campusName status allocatedDate deletedAt deletedBy',
+    getLabel: item => `${item.traineeId} - ${item.campusName}`
+  },
+  batch: {
+    model: Batch,
+    auditType: 'batch',
+    select: 'name startDate endDate track campus deletedAt deletedBy',
+    getLabel: item => item.name
+  }
+};
+
+const getTrashType = (type) => TRASH_TYPES[type] || null;
+
+const findTrashedItem = (type, id) => TRASH_TYPES[type].model.findOne({ _id: id, deletedAt: { $ne: null } });
+
+/**
+ * Take an item out of the trash. Returns the restored document or null.
+ */
+const restoreTrashedItem = async (req, type, id) => {
+  const config = TRASH_TYPES[type];
+  const item = await config.model.findOneAndUpdate(
+    { _id: id, deletedAt: { $ne: null } },
+    { deletedAt: null, deletedBy: null },
+    { new: true }
+  );
+  if (!item) return null;
+
+  if (config.afterRestore) await config.afterRestore(item, req);
+
+  await recordAudit(req, {
+    action: 'restore',
+    entityType: config.auditType,
+    entityId: item._id,
+    entityLabel: config.getLabel(item)
+  });
+  return item;
+};
+
+/**
+ * Permanently delete an item that is in the trash. Returns the removed document or null.
+ */
+const purgeTrashedItem = async (req, type, id) => {
+  const config = TRASH_TYPES[type];
+  const item = await findTrashedItem(type, id);
+  if (!item) return null;
+
+  if (config.beforePurge) await config.beforePurge(item, req);
+  await config.model.deleteOne({ _id: item._id });
+
+  await recordAudit(req, {
+    action: 'purge',
+    entityType: config.auditType,
+    entityId: item._id,
+    entityLabel: config.getLabel(item),
+    before: item,
+    metadata: { deletedAt: item.deletedAt, deletedBy: item.deletedBy }
+  });
+  return item;
+};
+
+/**
+ * Purge everything deleted longer ago than the retention period.
+ * Returns the number of purged items per type.
+ */
+const purgeExpiredTrash = async (req = null, retentionDays = TRASH_RETENTION_DAYS) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const purged = {};
+
+  for (const [type, config] of Object.entries(TRASH_TYPES)) {
+    const expired = await config.model.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id').lean();
+    purged[type] = 0;
+    for (const { _id } of expired) {
+      if (await purgeTrashedItem(req, type, _id)) purged[type]++;
+    }
+  }
+  return purged;
+};
+
+let purgeTimer = null;
+let purgeRunning = false;
+
+const runScheduledPurge = async () => {
+  if (purgeRunning) return;
+  purgeRunning = true;
+  try {
+    const purged = await purgeExpiredTrash();
+    const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      console.log(`Trash purge removed ${total} item(s) older than ${TRASH_RETENTION_DAYS} days`, purged);
+    }
+  } catch (error) {
+    console.error('Trash purge failed:', error.message);
+  } finally {
+    purgeRunning = false;
+  }
+};
+
+/**
+ * Purge expired trash a minute after startup and then every TRASH_PURGE_INTERVAL_HOURS
+ */
+const startTrashPurgeJob = () => {
+  if (purgeTimer || TRASH_RETENTION_DAYS <= 0) return;
+  setTimeout(runScheduledPurge, 60 * 1000).unref();
+  purgeTimer = setInterval(runScheduledPurge, TRASH_PURGE_INTERVAL_HOURS * 60 * 60 * 1000);
+  purgeTimer.unref();
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  getTrashType,
+  suspendJoinerAccount,
+  restoreTrashedItem,
+  purgeTrashedItem,
+  purgeExpiredTrash,
+  startTrashPurgeJob,
+};
@@ -0,0 +1,46 @@
+const TwoFactorPolicy = require('../models/TwoFactorPolicy');
+
+// Roles that can enroll in two-factor authentication
+const TWO_FACTOR_ROLES = ['admin', 'master_trainer', 'boa'];
+
+// protect() consults the policy on every request, so keep it in memory briefly
+const CACHE_TTL_MS = 30 * 1000;
+let cachedPolicies = null;
+let cachedAt = 0;
+
+/**
+ * Map of role -> whether 2FA is required
+ */
+const getTwoFactorPolicies = async () => {
+  if (cachedPolicies && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedPolicies;
+  }
+
+  const policies = await TwoFactorPolicy.find({}).lean();
+  cachedPolicies = TWO_FACTOR_ROLES.reduce((acc, role) => {
+    const policy = policies.find(p => p.role === role);
+    acc[role] = policy ? policy.required : false;
+    return acc;
+  }, {});
+  cachedAt = Date.now();
+
+  return cachedPolicies;
+};
+
+const isTwoFactorRequired = async (role) => {
+  if (!TWO_FACTOR_ROLES.includes(role)) return false;
+  const policies = await getTwoFactorPolicies();
+  return policies[role] === true;
+};
+
+const clearTwoFactorPolicyCache = () => {
+  cachedPolicies = null;
+  cachedAt = 0;
+};
+
+module.exports = {
+  TWO_FACTOR_ROLES,
+  getTwoFactorPolicies,
+  isTwoFactorRequired,
+  clearTwoFactorPolicyCache
+};
@@ -0,0 +1,182 @@
+const DocumentVersion = require('../models/DocumentVersion');
+const Joiner = require('../models/Joiner');
+const Result = require('../models/Result');
+const CandidateReport = require('../models/CandidateReport');
+const LearningReport = require('../models/LearningReport');
+const AttendanceReport = require('../models/AttendanceReport');
+const GroomingReport = require('../models/GroomingReport');
+const InteractionsReport = require('../models/InteractionsReport');
+const { toPlain, diffSnapshots } = require('./auditLog');
+
+const BOOKKEEPING_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+const isObjectId = (id) => /^[0-9a-fA-F]{24}$/.test(id);
+
+// Candidate reports are one document per author_id
+const findReport = (Model) => (authorId) => Model.findOne({ author_id: authorId }).sort({ uploadedAt: -1 });
+
+const typedReport = (Model) => ({
+  auditType: 'candidate_report',
+  fields: ['reportData'],
+  findDocument: findReport(Model),
+  getDocumentId: document => document.author_id
+});
+
+// How each versioned document is found, identified and which fields its history covers.
+// Documents without a `fields` list keep every field; `protectedFields` are never restored.
+const VERSIONED_DOCUMENTS = {
+  joiner: {
+    auditType: 'joiner',
+    protectedFields: ['author_id', 'accountCreated', 'accountCreatedAt', 'userId', 'createdBy', 'apiKey', 'onboardingChecklist', 'mergedFrom'],
+    findDocument: async (id) => (isObjectId(id) && await Joiner.findById(id)) || Joiner.findOne({ author_id: id }),
+    getDocumentId: document => document._id.toString(),
+    getLabel: document => document.name
+  },
+  result: {
+    auditType: 'result',
+    protectedFields: ['author_id', 'uploaded_by', 'apiKey'],
+    findDocument: (id) => (isObjectId(id) ? Result.findById(id) : null),
+    getDocumentId: document => document._id.toString(),
+    getLabel: document => `${document.result_name} - ${document.trainee_name}`
+  },
+  candidate_report: {
+    auditType: 'candidate_report',
+    fields: ['learningReport', 'attendanceReport', 'groomingReport', 'interactionsReport', 'googleSheetUrl'],
+    findDocument: findReport(CandidateReport),
+    getDocumentId: document => document.author_id
+  },
+  learning_report: typedReport(LearningReport),
+  attendance_report: typedReport(AttendanceReport),
+  grooming_report: typedReport(GroomingReport),
+  interactions_report: typedReport(InteractionsReport)
+};
+
+const getVersionedDocumentConfig = (documentType) => VERSIONED_DOCUMENTS[documentType] || null;
+
+/**
+ * The part of a document its version history keeps
+ */
+const buildSnapshot = (documentType, document) => {
+  const { fields } = VERSIONED_DOCUMENTS[documentType];
+  const plain = toPlain(document) || {};
+
+  if (fields) {
+    return fields.reduce((snapshot, field) => {
+      snapshot[field] = plain[field] === undefined ? null : plain[field];
+      return snapshot;
+    }, {});
+  }
+
+  BOOKKEEPING_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+};
+
+const changedFieldsBetween = (before, after) =>
+  diffSnapshots(before, after, { truncate: false }).map(change => change.field);
+
+/**
+ * Store new versions for documents that were just created or changed. Never throws;
+ * resolves to false when the versions could not be stored.
+ *
+ * @param {object} req - Express request (the author is read from it)
+ * @param {string} documentType - key of VERSIONED_DOCUMENTS
+ * @param {Array} entries - { document, previous, action, restoredFrom, documentId }.
+ *   `document` is the new state, `previous` the state before the change; a document
+ *   with no history yet gets its previous state stored first as a baseline version.
+ *   Entries whose state matches the latest version are skipped.
+ */
+const recordVersions = async (req, documentType, entries) => {
+  if (!entries.length) return true;
+
+  try {
+    const config = VERSIONED_DOCUMENTS[documentType];
+    const items = entries.map(entry => ({
+      ...entry,
+      documentId: String(entry.documentId || config.getDocumentId(entry.document)),
+      snapshot: buildSnapshot(documentType, entry.document)
+    }));
+
+    const latest = await DocumentVersion.aggregate([
+      { $match: { documentType, documentId: { $in: [...new Set(items.map(item => item.documentId))] } } },
+      { $sort: { version: -1 } },
+      { $group: { _id: '$documentId', version: { $first: '$version' }, snapshot: { $first: '$snapshot' } } }
+    ]);
+    const latestById = new Map(latest.map(entry => [entry._id, entry]));
+
+    const author = {
+      changedBy: req?.user?._id || null,
+      changedByName: req?.user?.name || null,
+      apiKey: req?.apiKey?._id || null
+    };
+
+    const versions = [];
+    items.forEach(item => {
+      let last = latestById.get(item.documentId) || null;
+
+      if (!last && item.previous) {
+        last = {
+          documentType,
+          documentId: item.documentId,
+          version: 1,
+          action: 'baseline',
+          snapshot: buildSnapshot(documentType, item.previous),
+          changedFields: []
+        };
+        versions.push(last);
+      }
+
+      const changedFields = last
+        ? changedFieldsBetween(last.snapshot, item.snapshot)
+        : Object.keys(item.snapshot).filter(field => item.snapshot[field] !== null);
+      if (last && !changedFields.length) return;
+
+      const version = {
+        documentType,
+        documentId: item.documentId,
+        version: last ? last.version + 1 : 1,
+        action: item.action,
+        snapshot: item.snapshot,
+        changedFields,
+        restoredFrom: item.restoredFrom || null,
+        ...author
+      };
+      versions.push(version);
+      // The same document can appear twice in one bulk upload
+      latestById.set(item.documentId, version);
+    });
+
+    if (versions.length) {
+      await DocumentVersion.insertMany(versions, { ordered: false });
+    }
+    return true;
+  } catch (error) {
+    console.error('Failed to record document versions:', error.message);
+    return false;
+  }
+};
+
+const recordVersion = (req, documentType, entry) => recordVersions(req, documentType, [entry]);
+
+/**
+ * Put a stored snapshot back onto a document (not saved). Protected fields keep their current value.
+ */
+const applySnapshot = (documentType, document, snapshot) => {
+  const { protectedFields = [] } = VERSIONED_DOCUMENTS[documentType];
+  const current = buildSnapshot(documentType, document);
+  const fields = new Set([...Object.keys(current), ...Object.keys(snapshot)]);
+
+  fields.forEach(field => {
+    if (protectedFields.includes(field)) return;
+    document.set(field, snapshot[field]);
+    // Report payloads are Mixed and are not change-tracked by Mongoose
+    document.markModified(field);
+  });
+};
+
+module.exports = {
+  getVersionedDocumentConfig,
+  buildSnapshot,
+  recordVersion,
+  recordVersions,
+  applySnapshot,
+};